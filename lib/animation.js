@@ -106,8 +106,8 @@ util.inherits(Animation, Emitter);
 /**
  * Add an animation segment to the animation queue
  * @param {Object} opts Options: cuePoints, keyFrames, duration,
- *   easing, loop, metronomic, progress, fps, onstart, onpause,
- *   onstop, oncomplete, onloop
+ *   easing (a name or a function), loop, metronomic, progress,
+ *   fps, onstart, onpause, onstop, oncomplete, onloop
  */
 Animation.prototype.enqueue = function(opts) {
 
@@ -350,7 +350,7 @@ Animation.prototype.calculateProgress = function(calledAt) {
 
   // Ease the timeline
   // to do: When reverse replace inFoo with outFoo and vice versa. skip inOutFoo
-  progress = ease[this.easing](progress);
+  progress = (typeof this.easing === "function" ? this.easing : ease[this.easing])(progress);
   progress = __.constrain(progress, 0, 1);
 
   return progress;
@@ -502,4 +502,130 @@ Animation.prototype.normalizeKeyframes = function() {
   return this;
 };
 
+/**
+ * Animation.profile
+ *
+ * A motion profile for travelling `distance` units within
+ * `velocity` (units/s), `acceleration` (units/s²) and `jerk`
+ * (units/s³) limits. Returns the segment `duration` (ms) and
+ * an `easing` function for the segment.
+ *
+ * Without a jerk limit, the profile is trapezoidal (or
+ * triangular, if the distance is too short to reach full
+ * velocity). With one, the trapezoid's velocity is smoothed
+ * over the time it takes to reach its peak acceleration at
+ * the jerk limit, giving an S-curve. Short moves, and low
+ * velocity limits, lower the peak acceleration (and velocity)
+ * so that the acceleration never has to ramp down before it
+ * has ramped up.
+ *
+ * @param  {Number} distance
+ * @param  {Object} limits   { velocity, acceleration, jerk }
+ * @return {Object} { duration, easing }
+ */
+Animation.profile = function(distance, limits) {
+  var jerk = limits.jerk || 0;
+  var peak = limits.velocity;
+  var acceleration = limits.acceleration || Infinity;
+  var smoothing = 0;
+  var ramp, total, end, time;
+
+  if (typeof peak !== "number" || peak <= 0) {
+    throw new RangeError("Motion profiles require a positive `velocity`");
+  }
+
+  distance = Math.abs(distance);
+
+  if (jerk && isFinite(acceleration)) {
+    // Reaching the velocity takes at least as long
+    // as ramping the acceleration up and down
+    acceleration = Math.min(acceleration, Math.sqrt(peak * jerk));
+    smoothing = acceleration / jerk;
+  }
+
+  // Too short to reach full velocity: the distance covered
+  // accelerating to the peak and back is peak * (ramp + smoothing)
+  if (peak * (peak / acceleration + smoothing) > distance) {
+    peak = (Math.sqrt(Math.pow(acceleration * smoothing, 2) + 4 * acceleration * distance) -
+      acceleration * smoothing) / 2;
+
+    // ...or to reach full acceleration: the acceleration
+    // ramps up and straight back down (over `time` s each)
+    if (smoothing && peak < acceleration * smoothing) {
+      time = Math.cbrt(distance / (2 * jerk));
+      peak = jerk * time * time;
+      acceleration = jerk * time;
+      smoothing = time;
+    }
+  }
+
+  ramp = peak ? peak / acceleration : 0;
+
+  // The trapezoid's duration (s)
+  end = peak ? distance / peak + ramp : 0;
+  total = end + smoothing;
+
+  // The integral of the trapezoid's position over time
+  function integral(t) {
+    var cruise = end - ramp;
+    var accelerated = peak * ramp * ramp / 6;
+    var cruised = accelerated + (peak * ramp / 2) * (cruise - ramp) +
+      peak * (cruise - ramp) * (cruise - ramp) / 2;
+
+    if (t <= 0) {
+      return 0;
+    }
+
+    if (t < ramp) {
+      return acceleration * t * t * t / 6;
+    }
+
+    if (t < cruise) {
+      return accelerated + (peak * ramp / 2) * (t - ramp) + peak * (t - ramp) * (t - ramp) / 2;
+    }
+
+    if (t < end) {
+      return cruised + distance * (t - cruise) -
+        acceleration * (Math.pow(ramp, 3) - Math.pow(end - t, 3)) / 6;
+    }
+
+    return cruised + distance * ramp - accelerated + distance * (t - end);
+  }
+
+  function position(t) {
+    if (t <= 0) {
+      return 0;
+    }
+
+    if (t < ramp) {
+      return acceleration * t * t / 2;
+    }
+
+    if (t < end - ramp) {
+      return peak * ramp / 2 + peak * (t - ramp);
+    }
+
+    if (t < end) {
+      return distance - acceleration * (end - t) * (end - t) / 2;
+    }
+
+    return distance;
+  }
+
+  return {
+    duration: total * 1000,
+    easing: function(progress) {
+      var t = progress * total;
+
+      if (!distance || progress >= 1) {
+        return progress >= 1 ? 1 : 0;
+      }
+
+      return (smoothing ?
+        (integral(t) - integral(t - smoothing)) / smoothing :
+        position(t)) / distance;
+    }
+  };
+};
+
 module.exports = Animation;
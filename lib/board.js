@@ -16,6 +16,9 @@ var __ = require("./fn");
 var Repl = require("./repl.js");
 var Options = require("./board.options.js");
 var Pins = require("./board.pins.js");
+var Recorder = require("./board.recorder.js");
+var Simulator = require("./board.simulator.js");
+var Scheduler = require("./board.scheduler.js");
 var Expander;
 //var temporal = require("temporal");
 //var IO;
@@ -258,9 +261,16 @@ function Board(opts) {
   // Pins, Addr (alt Pin name), Addresses
   this.occupied = [];
 
+  // Components that own each occupied entry
+  this.owners = new Map();
+
   // Registry of drivers by address (i.e. I2C Controllers)
   this.Drivers = {};
 
+  // Timed work scoped to this board,
+  // cancelled when the board emits "exit"
+  this.scheduler = new Scheduler(this);
+
   // Identify for connect hardware cache
   if (!this.id) {
     this.id = __.uid();
@@ -281,6 +291,24 @@ function Board(opts) {
     this.sigint = true;
   }
 
+  // How to respond when a component requests a pin
+  // that is already owned by another component:
+  //
+  //  "warn"  (default) log a warning and continue
+  //  "error" throw
+  //
+  if (typeof this.pinConflict === "undefined") {
+    this.pinConflict = "warn";
+  }
+
+  // When true, timed component operations (servo.to,
+  // led.fade, stepper.step, piezo.play, motor.brake)
+  // return promises. Components may override this
+  // with their own `promises` option.
+  if (typeof this.promises === "undefined") {
+    this.promises = false;
+  }
+
   // Specially processed pin capabilities object
   // assigned when physical board has reported
   // "ready" via Firmata or IO-Plugin.
@@ -315,6 +343,12 @@ function Board(opts) {
     // If you already have a connected io instance
     this.io = opts.io;
     this.isReady = opts.io.isReady;
+
+    // The Simulator reports readings on this board's scheduler
+    if (this.io instanceof Simulator) {
+      this.io.board = this;
+    }
+
     this.transport = this.io.transport || null;
     this.port = this.io.name;
     this.pins = Board.Pins(this);
@@ -502,27 +536,63 @@ util.inherits(Board, Emitter);
   };
 });
 
+/**
+ * serialize The state of every registered component, as JSON
+ *
+ * Components that implement `toJSON` are serialized with that
+ * schema; everything else falls back to reflecting own properties.
+ * Records of components that do not implement `fromJSON` are
+ * marked `restorable: false`: Board.prototype.restore can't
+ * return them to that state.
+ *
+ * @param  {Function} filter (optional) filter(prop, value, device)
+ *                           returns the value to serialize
+ * @return {String}
+ */
 Board.prototype.serialize = function(filter) {
   var blacklist = this.serialize.blacklist;
   var special = this.serialize.special;
 
   return JSON.stringify(
     this.register.map(function(device) {
-      return Object.getOwnPropertyNames(device).reduce(function(data, prop) {
-        var value = device[prop];
+      var record;
 
-        if (!blacklist.includes(prop) &&
-            typeof value !== "function") {
+      if (typeof device.toJSON === "function") {
+        record = device.toJSON();
 
-          data[prop] = special[prop] ?
-            special[prop](value) : value;
+        // Records are matched to components by id
+        if (typeof record.id === "undefined") {
+          record.id = device.id;
+        }
 
-          if (filter) {
-            data[prop] = filter(prop, data[prop], device);
-          }
+        if (filter) {
+          Object.keys(record).forEach(function(prop) {
+            record[prop] = filter(prop, record[prop], device);
+          });
         }
-        return data;
-      }, {});
+      } else {
+        record = Object.getOwnPropertyNames(device).reduce(function(data, prop) {
+          var value = device[prop];
+
+          if (!blacklist.includes(prop) &&
+              typeof value !== "function") {
+
+            data[prop] = special[prop] ?
+              special[prop](value) : value;
+
+            if (filter) {
+              data[prop] = filter(prop, data[prop], device);
+            }
+          }
+          return data;
+        }, {});
+      }
+
+      if (typeof device.fromJSON !== "function") {
+        record.restorable = false;
+      }
+
+      return record;
     }, this)
   );
 };
@@ -531,6 +601,121 @@ Board.prototype.serialize.blacklist = [
   "board", "io", "_events"
 ];
 
+/**
+ * restore Reload component state produced by Board.prototype.serialize
+ *
+ * Records are matched to registered components by `id`,
+ * so components that will be restored after a process
+ * restart must be given an explicit, stable `id`.
+ * Components that do not implement `fromJSON` can't be
+ * restored; serialize marks their records `restorable: false`.
+ *
+ * @param  {String|Array} json  The serialized register
+ * @return {Board}
+ */
+Board.prototype.restore = function(json) {
+  var records;
+
+  // Nothing to restore
+  if (typeof json === "undefined") {
+    return this;
+  }
+
+  records = typeof json === "string" ? JSON.parse(json) : json;
+
+  if (!Array.isArray(records)) {
+    throw new Error("Board.prototype.restore expects an array of component records");
+  }
+
+  records.forEach(function(record) {
+    var device = null;
+
+    if (record == null || typeof record.id === "undefined") {
+      return;
+    }
+
+    for (var i = 0; i < this.register.length; i++) {
+      if (String(this.register[i].id) === String(record.id)) {
+        device = this.register[i];
+        break;
+      }
+    }
+
+    if (device && typeof device.fromJSON === "function") {
+      device.fromJSON(record);
+    }
+  }, this);
+
+  return this;
+};
+
+/**
+ * pinOwners Report which component owns each occupied pin
+ *
+ * @return {Array} A list of ownership records:
+ *   {
+ *     pin: value as requested,
+ *     type: "pin" | "emitter" | "addr",
+ *     id: owning component's id,
+ *     component: owning component's constructor name,
+ *     mode: current pin mode name, if the IO plugin reports one,
+ *     [controller, address, bus]
+ *   }
+ */
+Board.prototype.pinOwners = function() {
+  return this.occupied.map(function(occupied) {
+    var owner = this.owners.get(occupied) || null;
+    var record = {
+      pin: occupied.value,
+      type: occupied.type,
+      id: owner ? owner.id : null,
+      component: owner && owner.constructor ? owner.constructor.name : null,
+      mode: null,
+    };
+
+    ["controller", "address", "bus"].forEach(function(key) {
+      if (typeof occupied[key] !== "undefined") {
+        record[key] = occupied[key];
+      }
+    });
+
+    // Only pins that belong to the IO plugin itself
+    // can report a mode; expander pins are virtual.
+    if (occupied.type === "pin" && typeof occupied.controller === "undefined") {
+      record.mode = pinModeName(this.io, occupied.value);
+    }
+
+    return record;
+  }, this);
+};
+
+function pinModeName(io, pin) {
+  var descriptor;
+  var name = null;
+
+  if (!io || !io.pins || !io.MODES) {
+    return null;
+  }
+
+  if (typeof pin === "string" && pin[0] === "A" && io.analogPins) {
+    pin = io.analogPins[+pin.slice(1)];
+  }
+
+  descriptor = io.pins[pin];
+
+  if (descriptor && typeof descriptor.mode !== "undefined") {
+    Object.keys(io.MODES).some(function(key) {
+      if (io.MODES[key] === descriptor.mode) {
+        name = key;
+        return true;
+      }
+      return false;
+    });
+  }
+
+  return name;
+}
+
 Board.prototype.samplingInterval = function(ms) {
 
   if (this.io.setSamplingInterval) {
@@ -662,24 +847,24 @@ logging.specials.forEach(function(type) {
 Board.prototype.wait = Board.prototype.delay;
 */
 
-// -----THIS IS A TEMPORARY FIX UNTIL THE ISSUES WITH TEMPORAL ARE RESOLVED-----
-// Aliasing.
-// (temporary, while ironing out API details)
-// The idea is to match existing hardware programming apis
-// or simply find the words that are most intuitive.
-
-// Eventually, there should be a queuing process
-// for all new callbacks added
-//
-// TODO: Repalce with temporal or compulsive API
-
+/**
+ * wait, loop
+ *
+ * Schedule a callback on the board's scheduler. Use
+ * board.scheduler directly for a Task handle that can be
+ * cancelled, paused and resumed, or to name and group tasks.
+ *
+ * @param  {Number}   time     Milliseconds
+ * @param  {Function} callback Called with the board as `this`
+ * @return {Board}
+ */
 Board.prototype.wait = function(time, callback) {
-  setTimeout(callback.bind(this), time);
+  this.scheduler.wait(time, callback);
   return this;
 };
 
 Board.prototype.loop = function(time, callback) {
-  setInterval(callback.bind(this), time);
+  this.scheduler.loop(time, callback);
   return this;
 };
 
@@ -911,19 +1096,32 @@ Board.Component = function(opts, componentOpts) {
   if (componentOpts.requestPin) {
     // With the pins being requested for use by this component,
     // compare with the list of pins that are already known to be
-    // in use by other components. If any are known to be in use,
-    // produce a warning for the user.
+    // in use by other components. If any are known to be in use
+    // in an incompatible mode, emit a "conflict" event and either
+    // produce a warning for the user or throw, as specified by
+    // the board's `pinConflict` option. Pins are only reserved
+    // once every request has been checked.
+    var reserving = [];
+
     requesting.forEach(function(request, index) {
       var hasController = typeof request.controller !== "undefined";
       var hasAddress = typeof request.address !== "undefined";
-      var isOccupied = false;
+      var occupant;
       var message = "";
+      var owner;
 
       request.value = originalPins[index];
 
-      if (this.board.occupied.length) {
-        isOccupied = this.board.occupied.some(function(occupied) {
-          var isPinOccupied = request.value === occupied.value && request.type === occupied.type;
+      if (typeof componentOpts.pinMode !== "undefined") {
+        request.mode = componentOpts.pinMode;
+      }
+
+      // Including the pins this component has already requested
+      if (this.board.occupied.length || reserving.length) {
+        occupant = this.board.occupied.concat(reserving).find(function(occupied) {
+          var isPinOccupied = request.value === occupied.value &&
+            request.type === occupied.type &&
+            !isShareable(request.mode, occupied.mode);
 
           if (typeof occupied.controller !== "undefined") {
             if (hasController) {
@@ -943,7 +1141,7 @@ Board.Component = function(opts, componentOpts) {
         });
       }
 
-      if (isOccupied) {
+      if (occupant) {
         message = request.type + ": " + request.value;
 
         if (hasController) {
@@ -954,16 +1152,60 @@ Board.Component = function(opts, componentOpts) {
           message += ", address: " + request.address;
         }
 
-        this.board.warn("Component", message + " is already in use");
+        message += " is already in use";
+        owner = this.board.owners.get(occupant) || null;
+
+        if (owner && owner.constructor && owner !== this) {
+          message += " by " + owner.constructor.name + " (" + owner.id + ")";
+        }
+
+        this.board.emit("conflict", new Board.Event({
+          type: "conflict",
+          target: this,
+          owner: owner,
+          request: request,
+          message: message,
+        }));
+
+        if (this.board.pinConflict === "error") {
+          throw new Error(message);
+        }
+
+        this.board.warn("Component", message);
       } else {
-        this.board.occupied.push(request);
+        reserving.push(request);
       }
     }, this);
+
+    reserving.forEach(function(request) {
+      this.board.occupied.push(request);
+      this.board.owners.set(request, this);
+    }, this);
   }
 
   this.board.register.push(this);
 };
 
+// Pin modes that only read a pin, which any number of
+// components can share
+var SHAREABLE_MODES = ["INPUT", "ANALOG"];
+
+// Components can share a pin when they read it in the same
+// mode; an unknown mode (a component that didn't declare
+// `pinMode`) is never shared
+function isShareable(a, b) {
+  return typeof a !== "undefined" && a === b && SHAREABLE_MODES.includes(a);
+}
+
+/**
+ * Board.Component.initialization
+ *
+ * @param  {Object} opts Component options: requestPin,
+ *                       normalizePin, pinMode (the mode the
+ *                       component wants its pins in, a
+ *                       key of io.MODES)
+ * @return {Object}
+ */
 Board.Component.initialization = function(opts) {
   var defaults = {
     requestPin: true,
@@ -1036,6 +1278,26 @@ Board.Pins = Pins;
 
 Board.Options = Options;
 
+/**
+ * IO session recording and playback
+ */
+
+Board.Recorder = Recorder;
+
+Board.Player = Recorder.Player;
+
+/**
+ * Simulated IO with programmable device models
+ */
+
+Board.Simulator = Simulator;
+
+/**
+ * Board-scoped task scheduling
+ */
+
+Board.Scheduler = Scheduler;
+
 // Define a user-safe, unwritable hardware cache access
 Object.defineProperty(Board, "cache", {
   get: function() {
@@ -67,7 +67,9 @@ Object.keys(MODES).forEach(function(mode) {
 });
 
 function isFirmata(board) {
-  return board.io.name === "Firmata" || board.io.name === "Mock";
+  return board.io.name === "Firmata" ||
+    board.io.name === "Mock" ||
+    board.io.name === "Simulator";
 }
 
 function hasPins(opts) {
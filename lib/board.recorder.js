@@ -0,0 +1,489 @@
+var Emitter = require("events").EventEmitter;
+var util = require("util");
+var fs = require("fs");
+
+var priv = new Map();
+
+// IO Plugin methods that are captured by a Recorder
+// (when the wrapped IO object implements them) and
+// provided by a Player.
+var methods = [
+  "pinMode", "digitalWrite", "analogWrite", "pwmWrite",
+  "servoConfig", "servoWrite",
+  "analogRead", "digitalRead", "reportAnalogPin", "reportDigitalPin",
+  "queryPinState", "setSamplingInterval",
+  "i2cConfig", "i2cWrite", "i2cWriteReg", "i2cRead", "i2cReadOnce", "i2cStop",
+  "sendI2CConfig", "sendI2CWriteRequest", "sendI2CReadRequest",
+  "pingRead",
+  "stepperConfig", "stepperStep",
+  "sendOneWireConfig", "sendOneWireSearch", "sendOneWireAlarmsSearch", "sendOneWireRead",
+  "sendOneWireReset", "sendOneWireWrite", "sendOneWireDelay", "sendOneWireWriteAndRead",
+  "sysexCommand", "sysexResponse",
+  "serialConfig", "serialWrite", "serialRead", "serialStop", "serialClose", "serialFlush", "serialListen",
+];
+
+// Methods whose callbacks are invoked for every
+// new reading, rather than once per call.
+var continuous = [
+  "analogRead", "digitalRead", "i2cRead", "serialRead", "sysexResponse",
+];
+
+// IO instance properties mirrored by a Recorder
+var properties = [
+  "name", "isReady", "MODES", "pins", "analogPins",
+  "HIGH", "LOW", "defaultLed", "port", "transport",
+];
+
+// IO events forwarded by a Recorder
+var events = [
+  "connect", "ready", "error", "close", "disconnect", "string",
+];
+
+/**
+ * portable
+ *
+ * Produce a JSON-safe copy of an IO call argument or
+ * callback value. Functions and non-plain objects (eg. a
+ * Board reference in an options object) are dropped.
+ *
+ * @param  {Any} value
+ * @return {Any}
+ */
+function portable(value) {
+  if (value === null || typeof value !== "object") {
+    return typeof value === "function" ? undefined : value;
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return Array.from(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(function(entry) {
+      var copy = portable(entry);
+      return typeof copy === "undefined" ? null : copy;
+    });
+  }
+
+  if (Object.getPrototypeOf(value) !== Object.prototype) {
+    return undefined;
+  }
+
+  return Object.keys(value).reduce(function(accum, key) {
+    var copy = portable(value[key]);
+
+    if (typeof copy !== "undefined") {
+      accum[key] = copy;
+    }
+    return accum;
+  }, {});
+}
+
+/**
+ * channel
+ *
+ * Identify the reading that a call's callback will
+ * receive, eg. "analogRead:[0]" or "i2cRead:[72,0,6]"
+ *
+ * @param  {String} method
+ * @param  {Array} args
+ * @return {String}
+ */
+function channel(method, args) {
+  return method + ":" + JSON.stringify(
+    portable(args.filter(function(arg) {
+      return typeof arg !== "function";
+    }))
+  );
+}
+
+/**
+ * Recorder
+ * @constructor
+ *
+ * Wrap an IO instance to capture every IO call and
+ * every callback response, with timestamps. The Recorder
+ * is itself passed to Board as the IO object.
+ *
+ * new Board.Recorder(io);
+ *
+ * new Board.Recorder({
+ *   io: io,
+ *   file: "session.ndjson"
+ * });
+ *
+ * When a `file` is provided, records are written to it as
+ * newline-delimited JSON. Otherwise they are collected
+ * in the `records` array.
+ *
+ * @param {Object} opts
+ */
+function Recorder(opts) {
+  if (!(this instanceof Recorder)) {
+    return new Recorder(opts);
+  }
+
+  var io;
+  var state;
+
+  Emitter.call(this);
+
+  if (opts && typeof opts.pinMode === "function") {
+    opts = {
+      io: opts
+    };
+  }
+
+  opts = opts || {};
+  io = opts.io;
+
+  if (!io) {
+    throw new Error("Recorder requires an `io` object");
+  }
+
+  state = {
+    io: io,
+    start: Date.now(),
+    stream: null,
+    isRecording: true,
+  };
+
+  priv.set(this, state);
+
+  this.records = [];
+
+  if (opts.file) {
+    state.stream = fs.createWriteStream(opts.file);
+  }
+
+  properties.forEach(function(property) {
+    Object.defineProperty(this, property, {
+      get: function() {
+        return io[property];
+      }
+    });
+  }, this);
+
+  if (typeof io.normalize === "function") {
+    this.normalize = io.normalize.bind(io);
+  }
+
+  methods.forEach(function(method) {
+    if (typeof io[method] !== "function") {
+      return;
+    }
+
+    this[method] = function() {
+      var args = [].slice.call(arguments);
+      var key = channel(method, args);
+
+      this.record({
+        type: "call",
+        method: method,
+        args: portable(args),
+      });
+
+      args = args.map(function(arg) {
+        if (typeof arg !== "function") {
+          return arg;
+        }
+
+        return function() {
+          this.record({
+            type: "data",
+            method: method,
+            key: key,
+            data: portable([].slice.call(arguments)),
+          });
+
+          return arg.apply(this, arguments);
+        }.bind(this);
+      }, this);
+
+      return io[method].apply(io, args);
+    };
+  }, this);
+
+  events.forEach(function(type) {
+    io.on(type, function(data) {
+      if (type === "ready") {
+        recordReady(this, io);
+      }
+
+      this.emit(type, data);
+    }.bind(this));
+  }, this);
+
+  if (io.isReady) {
+    recordReady(this, io);
+  }
+}
+
+util.inherits(Recorder, Emitter);
+
+// The "ready" record captures the capabilities
+// that a Player will present to the Board.
+function recordReady(recorder, io) {
+  recorder.record({
+    type: "ready",
+    name: io.name,
+    defaultLed: io.defaultLed,
+    HIGH: io.HIGH,
+    LOW: io.LOW,
+    MODES: portable(io.MODES),
+    pins: portable(io.pins),
+    analogPins: portable(io.analogPins),
+  });
+}
+
+/**
+ * record Timestamp and store a single record
+ *
+ * @param  {Object} record
+ * @return {Recorder}
+ */
+Recorder.prototype.record = function(record) {
+  var state = priv.get(this);
+  var entry;
+
+  if (!state.isRecording) {
+    return this;
+  }
+
+  entry = Object.assign({ t: Date.now() - state.start }, record);
+
+  if (state.stream) {
+    state.stream.write(JSON.stringify(entry) + "\n");
+  } else {
+    this.records.push(entry);
+  }
+
+  this.emit("record", entry);
+
+  return this;
+};
+
+/**
+ * stop Stop recording and close the output file, if any.
+ *
+ * @param  {Function} callback Called once the file is flushed
+ * @return {Recorder}
+ */
+Recorder.prototype.stop = function(callback) {
+  var state = priv.get(this);
+
+  state.isRecording = false;
+
+  if (state.stream) {
+    state.stream.end(callback);
+    state.stream = null;
+  } else if (typeof callback === "function") {
+    process.nextTick(callback);
+  }
+
+  return this;
+};
+
+/**
+ * Player
+ * @constructor
+ *
+ * An IO Plugin that replays a session captured by a
+ * Recorder, delivering the recorded readings to the
+ * program's callbacks with the original timing. Writes
+ * are accepted and discarded.
+ *
+ * new Board.Player("session.ndjson");
+ *
+ * new Board.Player({
+ *   file: "session.ndjson"
+ * });
+ *
+ * new Board.Player({
+ *   records: recorder.records
+ * });
+ *
+ * @param {Object} opts
+ */
+function Player(opts) {
+  if (!(this instanceof Player)) {
+    return new Player(opts);
+  }
+
+  var records;
+  var ready;
+  var state;
+
+  Emitter.call(this);
+
+  if (typeof opts === "string") {
+    opts = {
+      file: opts
+    };
+  }
+
+  if (Array.isArray(opts)) {
+    opts = {
+      records: opts
+    };
+  }
+
+  opts = opts || {};
+  records = opts.records;
+
+  if (!records && opts.file) {
+    records = fs.readFileSync(opts.file, "utf8").split("\n").filter(function(line) {
+      return line.trim().length;
+    }).map(function(line) {
+      return JSON.parse(line);
+    });
+  }
+
+  if (!Array.isArray(records)) {
+    throw new Error("Player requires a recording `file` or `records` array");
+  }
+
+  ready = records.find(function(record) {
+    return record.type === "ready";
+  });
+
+  if (!ready) {
+    throw new Error("Player requires a recording that contains a \"ready\" record");
+  }
+
+  this.name = ready.name;
+  this.defaultLed = ready.defaultLed;
+  this.HIGH = typeof ready.HIGH === "number" ? ready.HIGH : 1;
+  this.LOW = typeof ready.LOW === "number" ? ready.LOW : 0;
+  this.MODES = Object.assign({}, ready.MODES);
+  this.pins = (ready.pins || []).map(function(pin) {
+    return Object.assign({}, pin);
+  });
+  this.analogPins = (ready.analogPins || []).slice();
+  this.isReady = true;
+
+  state = {
+    origin: ready.t,
+    startedAt: null,
+    timeline: records.filter(function(record) {
+      return record.type === "data";
+    }).sort(function(a, b) {
+      return a.t - b.t;
+    }),
+    index: 0,
+    timer: null,
+    subscribers: new Map(),
+    pending: new Map(),
+  };
+
+  priv.set(this, state);
+
+  // The playback clock starts when the board receives "ready"
+  this.once("ready", function() {
+    state.startedAt = Date.now();
+    schedule(this);
+  });
+}
+
+util.inherits(Player, Emitter);
+
+function schedule(player) {
+  var state = priv.get(player);
+  var record = state.timeline[state.index];
+  var elapsed;
+
+  if (!record) {
+    state.timer = null;
+    player.emit("end");
+    return;
+  }
+
+  elapsed = Date.now() - state.startedAt;
+
+  state.timer = setTimeout(function() {
+    state.index++;
+    deliver(player, record);
+    schedule(player);
+  }, Math.max(0, record.t - state.origin - elapsed));
+}
+
+function deliver(player, record) {
+  var state = priv.get(player);
+  var subscribers = state.subscribers.get(record.key);
+  var queue;
+
+  // Once-only responses may be recorded before the replayed
+  // program has made the matching call; hold on to them.
+  if (!subscribers || !subscribers.length) {
+    if (!continuous.includes(record.method)) {
+      queue = state.pending.get(record.key) || [];
+      queue.push(record);
+      state.pending.set(record.key, queue);
+    }
+    return;
+  }
+
+  if (!continuous.includes(record.method)) {
+    subscribers = subscribers.splice(0, 1);
+  }
+
+  subscribers.forEach(function(callback) {
+    callback.apply(player, record.data || []);
+  });
+}
+
+methods.forEach(function(method) {
+  Player.prototype[method] = function() {
+    var state = priv.get(this);
+    var args = [].slice.call(arguments);
+    var key = channel(method, args);
+    var callback = args.find(function(arg) {
+      return typeof arg === "function";
+    });
+    var subscribers;
+    var queue;
+
+    if (method === "pinMode" && this.pins[args[0]]) {
+      this.pins[args[0]].mode = args[1];
+    }
+
+    if (!callback) {
+      return this;
+    }
+
+    queue = state.pending.get(key);
+
+    if (queue && queue.length) {
+      process.nextTick(function() {
+        callback.apply(this, queue.shift().data || []);
+      }.bind(this));
+      return this;
+    }
+
+    subscribers = state.subscribers.get(key) || [];
+    subscribers.push(callback);
+    state.subscribers.set(key, subscribers);
+
+    return this;
+  };
+});
+
+/**
+ * stop Stop the playback
+ *
+ * @return {Player}
+ */
+Player.prototype.stop = function() {
+  var state = priv.get(this);
+
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+
+  return this;
+};
+
+Recorder.Player = Player;
+
+module.exports = Recorder;
@@ -0,0 +1,555 @@
+var Emitter = require("events").EventEmitter;
+var util = require("util");
+
+var priv = new Map();
+
+/**
+ * normalize
+ *
+ * Convert a task description into a spec:
+ *
+ *   function                  Called on the next turn
+ *   { delay, task }           Called once, after delay ms
+ *   { loop, task, times }     Called every loop ms, `times` times
+ *                             (or until cancelled)
+ *   { sequence: [...] }       Each description, one after another
+ *   { parallel: [...] }       Each description, all at once
+ *
+ * Any description may have a `name`.
+ *
+ * @param  {Function|Object} description
+ * @return {Object}
+ */
+function normalize(description) {
+  var spec;
+
+  if (typeof description === "function") {
+    description = {
+      delay: 0,
+      task: description
+    };
+  }
+
+  if (description === null || typeof description !== "object") {
+    throw new Error("Scheduler expects a task function or description object");
+  }
+
+  if (Array.isArray(description.sequence) || Array.isArray(description.parallel)) {
+    spec = {
+      type: Array.isArray(description.sequence) ? "sequence" : "parallel",
+      tasks: (description.sequence || description.parallel).map(normalize),
+    };
+  } else {
+    if (typeof description.task !== "function") {
+      throw new Error("Scheduler expects a `task` function");
+    }
+
+    spec = typeof description.loop === "number" ? {
+      type: "loop",
+      interval: description.loop,
+      times: typeof description.times === "number" ? description.times : Infinity,
+      task: description.task,
+    } : {
+      type: "wait",
+      delay: description.delay || 0,
+      task: description.task,
+    };
+  }
+
+  spec.name = description.name || null;
+
+  return spec;
+}
+
+/**
+ * Task
+ * @constructor
+ *
+ * A unit of scheduled work: a single delayed call, a
+ * repeating call, or a sequential or parallel group
+ * of other tasks. Tasks are created by a Scheduler.
+ *
+ * task.state is one of:
+ *
+ *   "running", "paused", "complete", "cancelled"
+ *
+ * Task functions are called with the board as `this`
+ * and the task as their only argument. A `delay` task
+ * (or a step of a sequence) that returns a promise is
+ * complete when that promise settles.
+ *
+ * @param {Scheduler} scheduler
+ * @param {Object} spec
+ */
+function Task(scheduler, spec) {
+  Emitter.call(this);
+
+  this.name = spec.name;
+  this.type = spec.type;
+  this.state = "running";
+
+  priv.set(this, {
+    scheduler: scheduler,
+    spec: spec,
+    timer: null,
+    due: null,
+    remaining: null,
+    callback: null,
+    isSettled: false,
+    count: 0,
+    children: [],
+  });
+}
+
+util.inherits(Task, Emitter);
+
+function arm(task, ms, callback) {
+  var state = priv.get(task);
+
+  state.callback = callback;
+  state.due = Date.now() + ms;
+  state.remaining = null;
+  state.timer = setTimeout(function() {
+    state.timer = null;
+    callback();
+  }, ms);
+}
+
+function call(task) {
+  var state = priv.get(task);
+  return state.spec.task.call(state.scheduler.board, task);
+}
+
+function complete(task) {
+  var state = priv.get(task);
+
+  if (task.state === "complete" || task.state === "cancelled") {
+    return;
+  }
+
+  // Completion of a paused task is deferred until resumed
+  if (task.state === "paused") {
+    state.isSettled = true;
+    return;
+  }
+
+  task.state = "complete";
+  priv.delete(task);
+  task.emit("complete");
+}
+
+function child(task, spec) {
+  var state = priv.get(task);
+  var member = new Task(state.scheduler, spec);
+
+  state.children.push(member);
+  return member;
+}
+
+var run = {
+  wait: function(task) {
+    var state = priv.get(task);
+
+    arm(task, state.spec.delay, function() {
+      var result = call(task);
+
+      if (result && typeof result.then === "function") {
+        result.then(complete.bind(null, task), complete.bind(null, task));
+      } else {
+        complete(task);
+      }
+    });
+  },
+
+  loop: function(task) {
+    var state = priv.get(task);
+
+    // Nothing to repeat
+    if (state.spec.times <= 0) {
+      arm(task, 0, complete.bind(null, task));
+      return;
+    }
+
+    arm(task, state.spec.interval, function tick() {
+      state.count++;
+      call(task);
+
+      if (task.state === "cancelled") {
+        return;
+      }
+
+      if (state.count >= state.spec.times) {
+        complete(task);
+        return;
+      }
+
+      // Paused from within the task function
+      if (task.state === "paused") {
+        state.callback = tick;
+        state.remaining = state.spec.interval;
+        return;
+      }
+
+      arm(task, state.spec.interval, tick);
+    });
+  },
+
+  sequence: function(task) {
+    var state = priv.get(task);
+    var index = 0;
+
+    (function next() {
+      var spec = state.spec.tasks[index++];
+      var member;
+
+      if (!spec) {
+        complete(task);
+        return;
+      }
+
+      member = child(task, spec);
+      member.once("complete", next);
+      start(member);
+    }());
+  },
+
+  parallel: function(task) {
+    var state = priv.get(task);
+    var remaining = state.spec.tasks.length;
+
+    if (!remaining) {
+      arm(task, 0, complete.bind(null, task));
+      return;
+    }
+
+    state.spec.tasks.forEach(function(spec) {
+      var member = child(task, spec);
+
+      member.once("complete", function() {
+        if (--remaining === 0) {
+          complete(task);
+        }
+      });
+      start(member);
+    });
+  },
+};
+
+function start(task) {
+  run[task.type](task);
+  return task;
+}
+
+/**
+ * cancel Stop the task and any of its members; it will not run again.
+ *
+ * @return {Task}
+ */
+Task.prototype.cancel = function() {
+  var state = priv.get(this);
+
+  if (!state) {
+    return this;
+  }
+
+  if (state.timer) {
+    clearTimeout(state.timer);
+  }
+
+  state.children.forEach(function(member) {
+    member.cancel();
+  });
+
+  this.state = "cancelled";
+  priv.delete(this);
+  this.emit("cancel");
+
+  return this;
+};
+
+/**
+ * pause Suspend the task and any of its members,
+ * preserving the time remaining until its next call.
+ *
+ * @return {Task}
+ */
+Task.prototype.pause = function() {
+  var state = priv.get(this);
+
+  if (!state || this.state !== "running") {
+    return this;
+  }
+
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.remaining = Math.max(0, state.due - Date.now());
+  }
+
+  state.children.forEach(function(member) {
+    member.pause();
+  });
+
+  this.state = "paused";
+
+  return this;
+};
+
+/**
+ * resume Continue a paused task
+ *
+ * @return {Task}
+ */
+Task.prototype.resume = function() {
+  var state = priv.get(this);
+
+  if (!state || this.state !== "paused") {
+    return this;
+  }
+
+  this.state = "running";
+
+  if (state.isSettled) {
+    complete(this);
+    return this;
+  }
+
+  if (state.remaining !== null) {
+    arm(this, state.remaining, state.callback);
+  }
+
+  state.children.forEach(function(member) {
+    member.resume();
+  });
+
+  return this;
+};
+
+/**
+ * Scheduler
+ * @constructor
+ *
+ * Board-scoped scheduling of timed work. Every task
+ * can be cancelled, paused and resumed, and all
+ * scheduled work is cancelled when the board emits
+ * "exit". Each Board has a `scheduler`.
+ *
+ * board.scheduler.wait(1000, function() { ... });
+ *
+ * board.scheduler.loop({
+ *   name: "heartbeat",
+ *   loop: 500,
+ *   task: function(task) { led.toggle(); }
+ * });
+ *
+ * board.scheduler.sequence([
+ *   { delay: 0, task: function() { return servo.to(180, 500); } },
+ *   { delay: 1000, task: function() { return servo.to(0, 500); } },
+ *   { parallel: [
+ *     { delay: 0, task: function() { led.on(); } },
+ *     { loop: 100, times: 5, task: function() { piezo.frequency(440, 50); } },
+ *   ] },
+ * ]);
+ *
+ * board.scheduler.cancel("heartbeat");
+ *
+ * Scheduling a task with the name of an existing task
+ * cancels and replaces the existing task.
+ *
+ * @param {Board} board
+ */
+function Scheduler(board) {
+  if (!(this instanceof Scheduler)) {
+    return new Scheduler(board);
+  }
+
+  priv.set(this, {
+    board: board,
+    tasks: [],
+  });
+
+  if (board && typeof board.on === "function") {
+    board.on("exit", this.clear.bind(this));
+  }
+}
+
+/**
+ * schedule Start a task from any task description
+ *
+ * @param  {Function|Object} description
+ * @return {Task}
+ */
+Scheduler.prototype.schedule = function(description) {
+  var state = priv.get(this);
+  var task = new Task(this, normalize(description));
+  var forget = function() {
+    var index = state.tasks.indexOf(task);
+
+    if (index !== -1) {
+      state.tasks.splice(index, 1);
+    }
+  };
+
+  if (task.name) {
+    this.cancel(task.name);
+  }
+
+  state.tasks.push(task);
+
+  task.once("complete", forget);
+  task.once("cancel", forget);
+
+  return start(task);
+};
+
+/**
+ * wait Call a task function once, after a delay
+ *
+ * @param  {Number}   ms
+ * @param  {Function} task
+ *
+ * - or -
+ *
+ * @param  {Object}   description { name, delay, task }
+ *
+ * @return {Task}
+ */
+Scheduler.prototype.wait = function(ms, task) {
+  return this.schedule(typeof ms === "object" ? ms : {
+    delay: ms,
+    task: task
+  });
+};
+
+/**
+ * loop Call a task function repeatedly
+ *
+ * @param  {Number}   ms
+ * @param  {Function} task
+ *
+ * - or -
+ *
+ * @param  {Object}   description { name, loop, times, task }
+ *
+ * @return {Task}
+ */
+Scheduler.prototype.loop = function(ms, task) {
+  return this.schedule(typeof ms === "object" ? ms : {
+    loop: ms,
+    task: task
+  });
+};
+
+/**
+ * sequence Run task descriptions one after another
+ *
+ * @param  {Array}  descriptions
+ * @param  {Object} opts         (optional) { name }
+ * @return {Task}
+ */
+Scheduler.prototype.sequence = function(descriptions, opts) {
+  return this.schedule(Object.assign({}, opts, {
+    sequence: descriptions
+  }));
+};
+
+/**
+ * parallel Run task descriptions all at once
+ *
+ * @param  {Array}  descriptions
+ * @param  {Object} opts         (optional) { name }
+ * @return {Task}
+ */
+Scheduler.prototype.parallel = function(descriptions, opts) {
+  return this.schedule(Object.assign({}, opts, {
+    parallel: descriptions
+  }));
+};
+
+/**
+ * task Find a scheduled task by name
+ *
+ * @param  {String} name
+ * @return {Task|undefined}
+ */
+Scheduler.prototype.task = function(name) {
+  return priv.get(this).tasks.find(function(task) {
+    return task.name === name;
+  });
+};
+
+Object.defineProperties(Scheduler.prototype, {
+  board: {
+    get: function() {
+      return priv.get(this).board;
+    }
+  },
+  tasks: {
+    get: function() {
+      return priv.get(this).tasks.slice();
+    }
+  }
+});
+
+// Apply a Task method to the named task, or to
+// every scheduled task when no name is given.
+["cancel", "pause", "resume"].forEach(function(method) {
+  Scheduler.prototype[method] = function(name) {
+    var tasks = typeof name === "undefined" ?
+      this.tasks : [this.task(name)].filter(Boolean);
+
+    tasks.forEach(function(task) {
+      task[method]();
+    });
+
+    return this;
+  };
+});
+
+/**
+ * clear Cancel all scheduled tasks
+ *
+ * @return {Scheduler}
+ */
+Scheduler.prototype.clear = function() {
+  return this.cancel();
+};
+
+/**
+ * Scheduler.every
+ *
+ * Call a function every `ms` ms: on the board's scheduler,
+ * so that it ends when the board exits, or, for work that
+ * has no board, on an interval.
+ *
+ * @param  {Board}    board (or null)
+ * @param  {Number}   ms
+ * @param  {Function} callback Called with no arguments
+ * @return {Task|Object} A Task, or an object with the
+ *                       Task's `state` and `cancel()`
+ */
+Scheduler.every = function(board, ms, callback) {
+  var interval, handle;
+
+  if (board && board.scheduler) {
+    return board.scheduler.loop(ms, function() {
+      callback();
+    });
+  }
+
+  interval = setInterval(callback, ms);
+  handle = {
+    state: "running",
+    cancel: function() {
+      clearInterval(interval);
+      handle.state = "cancelled";
+      return handle;
+    }
+  };
+
+  return handle;
+};
+
+Scheduler.Task = Task;
+
+module.exports = Scheduler;
@@ -0,0 +1,643 @@
+var Emitter = require("events").EventEmitter;
+var util = require("util");
+var Fn = require("./fn");
+var Scheduler = require("./board.scheduler");
+
+var priv = new Map();
+
+// Firmata pin modes
+var MODES = {
+  INPUT: 0x00,
+  OUTPUT: 0x01,
+  ANALOG: 0x02,
+  PWM: 0x03,
+  SERVO: 0x04,
+  SHIFT: 0x05,
+  I2C: 0x06,
+  ONEWIRE: 0x07,
+  STEPPER: 0x08,
+  SERIAL: 0x0A,
+  PULLUP: 0x0B,
+  IGNORE: 0x7F,
+};
+
+var PWM_PINS = [3, 5, 6, 9, 10, 11];
+var ANALOG_PINS = [14, 15, 16, 17, 18, 19];
+var I2C_PINS = [18, 19];
+
+// The capabilities reported by an Arduino Uno
+// running StandardFirmata.
+function layout() {
+  var pins = [];
+
+  for (var i = 0; i < 20; i++) {
+    var supportedModes = [];
+    var analogChannel = ANALOG_PINS.indexOf(i);
+
+    // 0 & 1 are reserved for the serial connection
+    if (i > 1) {
+      supportedModes.push(MODES.INPUT, MODES.OUTPUT, MODES.PULLUP);
+
+      if (analogChannel !== -1) {
+        supportedModes.push(MODES.ANALOG);
+      }
+
+      if (PWM_PINS.includes(i)) {
+        supportedModes.push(MODES.PWM);
+      }
+
+      supportedModes.push(MODES.SERVO);
+
+      if (I2C_PINS.includes(i)) {
+        supportedModes.push(MODES.I2C);
+      }
+    }
+
+    pins.push({
+      supportedModes: supportedModes,
+      mode: analogChannel !== -1 ? MODES.ANALOG : MODES.OUTPUT,
+      value: 0,
+      report: 1,
+      analogChannel: analogChannel !== -1 ? analogChannel : 127,
+    });
+  }
+
+  return pins;
+}
+
+/**
+ * Simulator
+ * @constructor
+ *
+ * An IO Plugin that presents the capabilities of an
+ * Arduino Uno running StandardFirmata, where each pin
+ * or I2C address can be bound to a simulated device.
+ *
+ * var simulator = new Board.Simulator();
+ *
+ * simulator.bind("A0", Board.Simulator.Analog(function(t) {
+ *   return 512 + 511 * Math.sin(t / 1000);
+ * }));
+ *
+ * simulator.bind(2, Board.Simulator.Button([ [1000, 250] ]));
+ *
+ * simulator.bind({ address: 0x68 }, Board.Simulator.MPU6050());
+ *
+ * new Board({ io: simulator });
+ *
+ *
+ * Device models are objects that implement:
+ *
+ *   read(t)    (pins) Return the reading at time `t`
+ *   read(register, bytes, t)
+ *              (I2C) Return an array of `bytes` bytes
+ *   write(...) (optional) Receive values written by the program
+ *
+ * `t` is the number of milliseconds since the Simulator
+ * was created.
+ *
+ * Readings are delivered on the scheduler of the `board`
+ * that the Simulator is given to, and stop when it exits.
+ *
+ * @param {Object} opts Options: samplingInterval
+ */
+function Simulator(opts) {
+  if (!(this instanceof Simulator)) {
+    return new Simulator(opts);
+  }
+
+  Emitter.call(this);
+
+  opts = opts || {};
+
+  this.name = "Simulator";
+  this.HIGH = 1;
+  this.LOW = 0;
+  this.MODES = Object.assign({}, MODES);
+  this.pins = layout();
+  this.analogPins = ANALOG_PINS.slice();
+  this.defaultLed = 13;
+  this.isReady = true;
+
+  // Set by the Board that is given this Simulator
+  this.board = null;
+
+  priv.set(this, {
+    start: Date.now(),
+    samplingInterval: opts.samplingInterval || 19,
+    timer: null,
+    models: new Map(),
+    devices: new Map(),
+    reads: [],
+  });
+}
+
+util.inherits(Simulator, Emitter);
+
+/**
+ * bind Attach a device model to a pin or an I2C address
+ *
+ * @param  {Number|String|Object} target A pin number, an analog
+ *                                       pin name ("A0") or
+ *                                       { address: number }
+ * @param  {Object} model
+ * @return {Simulator}
+ */
+Simulator.prototype.bind = function(target, model) {
+  var state = priv.get(this);
+
+  if (!model || typeof model.read !== "function") {
+    throw new Error("Simulator device models must implement `read`");
+  }
+
+  if (typeof target === "object" && target !== null) {
+    if (typeof target.address !== "number") {
+      throw new Error("Simulator I2C devices require an `address` number");
+    }
+    state.devices.set(target.address, model);
+  } else {
+    state.models.set(toPinIndex(this, target), model);
+  }
+
+  return this;
+};
+
+/**
+ * now
+ *
+ * @return {Number} Milliseconds since the Simulator was created.
+ */
+Simulator.prototype.now = function() {
+  return Date.now() - priv.get(this).start;
+};
+
+/**
+ * stop Stop delivering readings
+ *
+ * @return {Simulator}
+ */
+Simulator.prototype.stop = function() {
+  var state = priv.get(this);
+
+  if (state.timer) {
+    state.timer.cancel();
+    state.timer = null;
+  }
+
+  return this;
+};
+
+function toPinIndex(simulator, pin) {
+  if (typeof pin === "string" && pin[0] === "A") {
+    return simulator.analogPins[+pin.slice(1)];
+  }
+  return +pin;
+}
+
+function readPin(simulator, pin) {
+  var model = priv.get(simulator).models.get(pin);
+
+  // Unbound pins read back the last written value
+  if (!model) {
+    return simulator.pins[pin] ? simulator.pins[pin].value : 0;
+  }
+
+  return model.read(simulator.now());
+}
+
+function readDevice(simulator, address, register, bytes) {
+  var device = priv.get(simulator).devices.get(address);
+  var data;
+
+  if (!device) {
+    return Array.from({ length: bytes }, function() {
+      return 0;
+    });
+  }
+
+  data = device.read(register, bytes, simulator.now());
+
+  return Array.from({ length: bytes }, function(_, index) {
+    return (data[index] | 0) & 0xFF;
+  });
+}
+
+function writePin(simulator, pin, value) {
+  var model = priv.get(simulator).models.get(pin);
+
+  if (simulator.pins[pin]) {
+    simulator.pins[pin].value = value;
+  }
+
+  if (model && typeof model.write === "function") {
+    model.write(value, simulator.now());
+  }
+}
+
+function writeDevice(simulator, address, register, bytes) {
+  var device = priv.get(simulator).devices.get(address);
+
+  if (device && typeof device.write === "function") {
+    device.write(register, bytes, simulator.now());
+  }
+}
+
+function subscribe(simulator, read) {
+  var state = priv.get(simulator);
+
+  state.reads.push(read);
+
+  if (!state.timer || state.timer.state === "cancelled") {
+    sample(simulator);
+  }
+}
+
+function sample(simulator) {
+  var state = priv.get(simulator);
+
+  state.timer = Scheduler.every(
+    simulator.board, state.samplingInterval, report.bind(null, simulator)
+  );
+}
+
+// Deliver a reading to every active subscription,
+// on the same schedule as Firmata's sampling interval.
+// Digital readings are only reported when they change.
+function report(simulator) {
+  priv.get(simulator).reads.forEach(function(read) {
+    var value;
+
+    if (read.type === "analog") {
+      read.callback(readPin(simulator, read.pin));
+    }
+
+    if (read.type === "digital") {
+      value = readPin(simulator, read.pin) ? 1 : 0;
+
+      if (value !== read.last) {
+        read.last = value;
+        read.callback(value);
+      }
+    }
+
+    if (read.type === "i2c") {
+      read.callback(readDevice(simulator, read.address, read.register, read.bytes));
+    }
+  });
+}
+
+// i2cRead(address, bytes, handler)
+// i2cRead(address, register, bytes, handler)
+function i2cReadArgs(args) {
+  return args.length === 3 ? {
+    address: args[0],
+    register: null,
+    bytes: args[1],
+    callback: args[2],
+  } : {
+    address: args[0],
+    register: args[1],
+    bytes: args[2],
+    callback: args[3],
+  };
+}
+
+Simulator.prototype.pinMode = function(pin, mode) {
+  // Firmata accepts an analog channel number for ANALOG mode
+  if (mode === this.MODES.ANALOG && pin < this.analogPins.length) {
+    pin = this.analogPins[pin];
+  }
+
+  if (this.pins[pin]) {
+    this.pins[pin].mode = mode;
+  }
+
+  return this;
+};
+
+Simulator.prototype.digitalWrite = function(pin, value) {
+  writePin(this, pin, value ? this.HIGH : this.LOW);
+  return this;
+};
+
+Simulator.prototype.analogWrite = function(pin, value) {
+  writePin(this, pin, value);
+  return this;
+};
+
+Simulator.prototype.pwmWrite = Simulator.prototype.analogWrite;
+
+Simulator.prototype.servoWrite = Simulator.prototype.analogWrite;
+
+Simulator.prototype.servoConfig = function(pin) {
+  return this.pinMode(pin, this.MODES.SERVO);
+};
+
+Simulator.prototype.analogRead = function(channel, callback) {
+  subscribe(this, {
+    type: "analog",
+    pin: this.analogPins[channel],
+    callback: callback,
+  });
+  return this;
+};
+
+Simulator.prototype.digitalRead = function(pin, callback) {
+  subscribe(this, {
+    type: "digital",
+    pin: pin,
+    last: null,
+    callback: callback,
+  });
+  return this;
+};
+
+Simulator.prototype.reportAnalogPin = function() {
+  return this;
+};
+
+Simulator.prototype.reportDigitalPin = function() {
+  return this;
+};
+
+Simulator.prototype.queryPinState = function(pin, callback) {
+  process.nextTick(callback);
+  return this;
+};
+
+Simulator.prototype.setSamplingInterval = function(ms) {
+  var state = priv.get(this);
+
+  state.samplingInterval = Fn.constrain(ms, 10, 65535);
+
+  if (state.timer && state.timer.state !== "cancelled") {
+    state.timer.cancel();
+    sample(this);
+  }
+
+  return this;
+};
+
+Simulator.prototype.pingRead = function(settings, callback) {
+  var microseconds = readPin(this, settings.pin);
+
+  process.nextTick(function() {
+    callback(microseconds);
+  });
+
+  return this;
+};
+
+Simulator.prototype.i2cConfig = function() {
+  return this;
+};
+
+// i2cWrite(address, [register, ...bytes])
+// i2cWrite(address, register, [...bytes])
+// i2cWrite(address, register, byte)
+Simulator.prototype.i2cWrite = function(address, registerOrData, data) {
+  var bytes;
+
+  if (typeof data === "undefined") {
+    bytes = Array.isArray(registerOrData) ? registerOrData.slice() : [registerOrData];
+    writeDevice(this, address, bytes.shift(), bytes);
+  } else {
+    writeDevice(this, address, registerOrData, Array.isArray(data) ? data : [data]);
+  }
+
+  return this;
+};
+
+Simulator.prototype.i2cWriteReg = function(address, register, byte) {
+  writeDevice(this, address, register, [byte]);
+  return this;
+};
+
+Simulator.prototype.i2cRead = function() {
+  var read = i2cReadArgs([].slice.call(arguments));
+
+  read.type = "i2c";
+  subscribe(this, read);
+
+  return this;
+};
+
+Simulator.prototype.i2cReadOnce = function() {
+  var read = i2cReadArgs([].slice.call(arguments));
+  var data = readDevice(this, read.address, read.register, read.bytes);
+
+  process.nextTick(function() {
+    read.callback(data);
+  });
+
+  return this;
+};
+
+Simulator.prototype.i2cStop = function(address) {
+  var state = priv.get(this);
+
+  state.reads = state.reads.filter(function(read) {
+    return read.type !== "i2c" || read.address !== address;
+  });
+
+  return this;
+};
+
+// Legacy names
+Simulator.prototype.sendI2CConfig = Simulator.prototype.i2cConfig;
+Simulator.prototype.sendI2CWriteRequest = Simulator.prototype.i2cWrite;
+Simulator.prototype.sendI2CReadRequest = function(address, bytes, callback) {
+  return this.i2cReadOnce(address, bytes, callback);
+};
+
+[
+  "stepperConfig", "stepperStep",
+  "sendOneWireConfig", "sendOneWireSearch", "sendOneWireAlarmsSearch", "sendOneWireRead",
+  "sendOneWireReset", "sendOneWireWrite", "sendOneWireDelay", "sendOneWireWriteAndRead",
+  "sysexCommand", "sysexResponse",
+  "serialConfig", "serialWrite", "serialRead", "serialStop", "serialClose", "serialFlush", "serialListen",
+].forEach(function(method) {
+  Simulator.prototype[method] = function() {
+    throw new Error("Simulator does not support " + method);
+  };
+});
+
+
+/**
+ * Device Models
+ */
+
+function valueAt(value, t) {
+  return typeof value === "function" ? value(t) : value;
+}
+
+/**
+ * Simulator.Analog
+ *
+ * An analog device (potentiometer, photoresistor, force
+ * sensor, analog distance sensor...) whose 10-bit reading is
+ * a constant or a function of time. Assign to `value` to
+ * change it at runtime.
+ *
+ * Simulator.Analog(512)
+ * Simulator.Analog(function(t) { return t % 1024; })
+ *
+ * @param {Number|Function} value
+ */
+Simulator.Analog = function(value) {
+  return {
+    value: typeof value === "undefined" ? 0 : value,
+    read: function(t) {
+      return Fn.constrain(Math.round(valueAt(this.value, t)), 0, 1023);
+    }
+  };
+};
+
+Simulator.Potentiometer = Simulator.Analog;
+
+/**
+ * Simulator.Digital
+ *
+ * A digital device whose reading is a constant or
+ * a function of time.
+ *
+ * @param {Number|Boolean|Function} value
+ */
+Simulator.Digital = function(value) {
+  return {
+    value: typeof value === "undefined" ? 0 : value,
+    read: function(t) {
+      return valueAt(this.value, t) ? 1 : 0;
+    }
+  };
+};
+
+/**
+ * Simulator.Button
+ *
+ * A momentary button, pressed on a schedule of
+ * [ [at, duration], ... ] (milliseconds). Reads HIGH
+ * while pressed, or LOW while pressed when `isPullup`.
+ *
+ * Simulator.Button([ [1000, 250], [3000, 2000] ])
+ * Simulator.Button({ presses: [ [1000, 250] ], isPullup: true })
+ *
+ * @param {Array|Object} opts
+ */
+Simulator.Button = function(opts) {
+  var presses = Array.isArray(opts) ? opts : (opts && opts.presses) || [];
+  var isPullup = !!(opts && opts.isPullup);
+
+  return Simulator.Digital(function(t) {
+    var isDown = presses.some(function(press) {
+      return t >= press[0] && t < press[0] + press[1];
+    });
+
+    return isDown !== isPullup;
+  });
+};
+
+/**
+ * Simulator.Ping
+ *
+ * An ultrasonic ping sensor (HC-SR04, Parallax Ping) with
+ * an object at a distance in centimeters that is a constant
+ * or a function of time. Reads the echo pulse width in
+ * microseconds.
+ *
+ * @param {Number|Function} cm
+ */
+Simulator.Ping = function(cm) {
+  return {
+    value: typeof cm === "undefined" ? 0 : cm,
+    read: function(t) {
+      return Math.round(valueAt(this.value, t) * 29.1 * 2);
+    }
+  };
+};
+
+/**
+ * Simulator.Registers
+ *
+ * An I2C device described by a register map. Register
+ * values are bytes or functions of time that return a
+ * byte. Writes update the map and set the register
+ * pointer used by reads that do not specify a register.
+ *
+ * Simulator.Registers({ 0x00: 0x55, 0x01: function(t) { ... } })
+ *
+ * @param {Object} registers
+ */
+Simulator.Registers = function(registers) {
+  return {
+    registers: registers || {},
+    pointer: 0,
+    read: function(register, bytes, t) {
+      var start = register === null || typeof register === "undefined" ?
+        this.pointer : register;
+      var data = [];
+
+      for (var i = 0; i < bytes; i++) {
+        data.push(valueAt(this.registers[start + i], t) | 0);
+      }
+
+      return data;
+    },
+    write: function(register, bytes) {
+      this.pointer = register;
+
+      bytes.forEach(function(byte, index) {
+        this.registers[register + index] = byte;
+      }, this);
+    }
+  };
+};
+
+/**
+ * Simulator.MPU6050
+ *
+ * An MPU-6050 accelerometer/gyro. Each of `accelerometer`
+ * and `gyro` is an { x, y, z } object of raw 16-bit counts,
+ * or a function of time that returns one; `temperature` is
+ * a raw count or a function of time. By default, the device
+ * is level and at rest (1g on z).
+ *
+ * @param {Object} opts
+ */
+Simulator.MPU6050 = function(opts) {
+  var device = Simulator.Registers({
+    // WHO_AM_I
+    0x75: 0x68
+  });
+  var read = device.read;
+  var sources = Object.assign({
+    accelerometer: { x: 0, y: 0, z: 16384 },
+    temperature: 0,
+    gyro: { x: 0, y: 0, z: 0 },
+  }, opts);
+
+  function store(register, value) {
+    value = Math.round(value) & 0xFFFF;
+    device.registers[register] = value >> 8;
+    device.registers[register + 1] = value & 0xFF;
+  }
+
+  device.read = function(register, bytes, t) {
+    var accelerometer = valueAt(sources.accelerometer, t);
+    var gyro = valueAt(sources.gyro, t);
+
+    // ACCEL_XOUT_H, TEMP_OUT_H, GYRO_XOUT_H
+    ["x", "y", "z"].forEach(function(axis, index) {
+      store(0x3B + index * 2, accelerometer[axis]);
+      store(0x43 + index * 2, gyro[axis]);
+    });
+
+    store(0x41, valueAt(sources.temperature, t));
+
+    return read.call(this, register, bytes, t);
+  };
+
+  return device;
+};
+
+module.exports = Simulator;
@@ -152,7 +152,9 @@ function Button(opts) {
   pinValue = typeof opts === "object" ? opts.pin : opts;
 
   Board.Component.call(
-    this, opts = Board.Options(opts)
+    this, opts = Board.Options(opts), {
+      pinMode: "INPUT"
+    }
   );
 
   opts.pinValue = pinValue;
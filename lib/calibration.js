@@ -0,0 +1,306 @@
+var fs = require("fs");
+
+var priv = new Map();
+
+// Solve a linear system (in place) by Gaussian
+// elimination with partial pivoting.
+function solve(matrix, vector) {
+  var n = vector.length;
+  var i, j, k, pivot, temp, factor;
+  var result = new Array(n);
+
+  for (i = 0; i < n; i++) {
+    pivot = i;
+
+    for (j = i + 1; j < n; j++) {
+      if (Math.abs(matrix[j][i]) > Math.abs(matrix[pivot][i])) {
+        pivot = j;
+      }
+    }
+
+    temp = matrix[i];
+    matrix[i] = matrix[pivot];
+    matrix[pivot] = temp;
+
+    temp = vector[i];
+    vector[i] = vector[pivot];
+    vector[pivot] = temp;
+
+    if (matrix[i][i] === 0) {
+      throw new Error("Calibration points cannot be fit (are there duplicate raw values?)");
+    }
+
+    for (j = i + 1; j < n; j++) {
+      factor = matrix[j][i] / matrix[i][i];
+
+      for (k = i; k < n; k++) {
+        matrix[j][k] -= factor * matrix[i][k];
+      }
+      vector[j] -= factor * vector[i];
+    }
+  }
+
+  for (i = n - 1; i >= 0; i--) {
+    result[i] = vector[i];
+
+    for (j = i + 1; j < n; j++) {
+      result[i] -= matrix[i][j] * result[j];
+    }
+    result[i] /= matrix[i][i];
+  }
+
+  return result;
+}
+
+// Least squares polynomial fit; coefficients
+// are in ascending order: c0 + c1x + c2x^2...
+function polyfit(points, degree) {
+  var size = degree + 1;
+  var matrix = [];
+  var vector = [];
+  var i, j;
+
+  for (i = 0; i < size; i++) {
+    matrix.push([]);
+    vector.push(0);
+
+    for (j = 0; j < size; j++) {
+      matrix[i].push(0);
+    }
+  }
+
+  points.forEach(function(point) {
+    for (i = 0; i < size; i++) {
+      for (j = 0; j < size; j++) {
+        matrix[i][j] += Math.pow(point[0], i + j);
+      }
+      vector[i] += Math.pow(point[0], i) * point[1];
+    }
+  });
+
+  return solve(matrix, vector);
+}
+
+function interpolate(points, raw) {
+  var index = 1;
+  var a, b;
+
+  // Extrapolate beyond the end points along the end segments
+  while (index < points.length - 1 && raw > points[index][0]) {
+    index++;
+  }
+
+  a = points[index - 1];
+  b = points[index];
+
+  return a[1] + (raw - a[0]) * (b[1] - a[1]) / (b[0] - a[0]);
+}
+
+/**
+ * Calibration
+ * @constructor
+ *
+ * Maps raw readings to actual values through a set of
+ * (raw, actual) reference points, using either a
+ * piecewise-linear ("linear") or a least squares
+ * polynomial ("polynomial") fit.
+ *
+ * new five.Calibration([[120, 10], [300, 25], [620, 60]]);
+ *
+ * new five.Calibration({
+ *   type: "polynomial",
+ *   degree: 2,
+ *   points: [[120, 10], [300, 25], [620, 60]]
+ * });
+ *
+ * With no points, raw values are passed through unchanged;
+ * with a single point, raw values are offset.
+ *
+ * @param {Array|Object} opts points, or { type, degree, points }
+ */
+function Calibration(opts) {
+  if (!(this instanceof Calibration)) {
+    return new Calibration(opts);
+  }
+
+  if (Array.isArray(opts)) {
+    opts = {
+      points: opts
+    };
+  }
+
+  opts = opts || {};
+
+  this.type = opts.type || "linear";
+  this.degree = opts.degree || 2;
+
+  if (this.type !== "linear" && this.type !== "polynomial") {
+    throw new Error("Calibration `type` must be \"linear\" or \"polynomial\"");
+  }
+
+  priv.set(this, {
+    points: [],
+    coefficients: null,
+  });
+
+  (opts.points || []).forEach(function(point) {
+    this.add(point[0], point[1]);
+  }, this);
+}
+
+function fit(calibration) {
+  var state = priv.get(calibration);
+
+  state.points.sort(function(a, b) {
+    return a[0] - b[0];
+  });
+
+  state.coefficients = calibration.type === "polynomial" && state.points.length > 1 ?
+    polyfit(state.points, Math.min(calibration.degree, state.points.length - 1)) :
+    null;
+}
+
+/**
+ * add Record a reference point
+ *
+ * @param {Number} raw    The raw reading
+ * @param {Number} actual The actual value at that reading
+ * @return {Calibration}
+ */
+Calibration.prototype.add = function(raw, actual) {
+  var points = priv.get(this).points;
+
+  if (typeof raw !== "number" || typeof actual !== "number") {
+    throw new Error("Calibration points must be numeric (raw, actual) pairs");
+  }
+
+  // A new reading at the same raw value replaces the old one
+  priv.get(this).points = points.filter(function(point) {
+    return point[0] !== raw;
+  }).concat([[raw, actual]]);
+
+  fit(this);
+
+  return this;
+};
+
+/**
+ * clear Remove all reference points
+ *
+ * @return {Calibration}
+ */
+Calibration.prototype.clear = function() {
+  priv.get(this).points = [];
+  fit(this);
+  return this;
+};
+
+/**
+ * map Convert a raw reading to an actual value
+ *
+ * @param  {Number} raw
+ * @return {Number}
+ */
+Calibration.prototype.map = function(raw) {
+  var state = priv.get(this);
+  var points = state.points;
+
+  if (raw === null || !points.length) {
+    return raw;
+  }
+
+  if (points.length === 1) {
+    return raw + (points[0][1] - points[0][0]);
+  }
+
+  if (state.coefficients) {
+    return state.coefficients.reduce(function(sum, coefficient, power) {
+      return sum + coefficient * Math.pow(raw, power);
+    }, 0);
+  }
+
+  return interpolate(points, raw);
+};
+
+/**
+ * toJSON A profile that can be saved and loaded
+ *
+ * @return {Object} { type, degree, points }
+ */
+Calibration.prototype.toJSON = function() {
+  return {
+    type: this.type,
+    degree: this.degree,
+    points: this.points,
+  };
+};
+
+/**
+ * save Write the profile to a JSON file
+ *
+ * @param  {String} file
+ * @return {Calibration}
+ */
+Calibration.prototype.save = function(file) {
+  fs.writeFileSync(file, JSON.stringify(this, null, 2));
+  return this;
+};
+
+Object.defineProperties(Calibration.prototype, {
+  /**
+   * [read-only] The reference points, sorted by raw value
+   * @property points
+   * @type Array
+   */
+  points: {
+    get: function() {
+      return priv.get(this).points.map(function(point) {
+        return point.slice();
+      });
+    }
+  },
+  /**
+   * [read-only] Polynomial coefficients, lowest order first
+   * (null for piecewise-linear calibrations)
+   * @property coefficients
+   * @type Array
+   */
+  coefficients: {
+    get: function() {
+      var coefficients = priv.get(this).coefficients;
+      return coefficients ? coefficients.slice() : null;
+    }
+  },
+});
+
+/**
+ * Calibration.load Read a profile saved with `save()`
+ *
+ * @param  {String} file
+ * @return {Calibration}
+ */
+Calibration.load = function(file) {
+  return new Calibration(JSON.parse(fs.readFileSync(file, "utf8")));
+};
+
+/**
+ * Calibration.from
+ *
+ * @param  {Calibration|String|Array|Object} value
+ *         A calibration, a profile file name, or
+ *         calibration options
+ * @return {Calibration}
+ */
+Calibration.from = function(value) {
+  if (value instanceof Calibration) {
+    return value;
+  }
+
+  if (typeof value === "string") {
+    return Calibration.load(value);
+  }
+
+  return new Calibration(value);
+};
+
+module.exports = Calibration;
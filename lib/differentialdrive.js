@@ -0,0 +1,474 @@
+var Emitter = require("events").EventEmitter;
+var util = require("util");
+var Board = require("./board");
+var ESC = require("./esc");
+var Motor = require("./motor");
+var Operation = require("./operation");
+var Scheduler = require("./board.scheduler");
+var Servo = require("./servo");
+
+var priv = new Map();
+
+/**
+ * actuator
+ *
+ * Drive a Motor, ESC or continuous Servo with a signed
+ * speed, -1 (full reverse) to 1 (full forward)
+ *
+ * @param  {Object}  component
+ * @param  {Boolean} invert    Swap forward and reverse (eg. for
+ *                             a servo mounted in mirror image)
+ * @return {Function} write(speed)
+ */
+function actuator(component, invert) {
+  var write;
+
+  if (component instanceof Servo) {
+    if (component.type !== "continuous") {
+      throw new Error("DifferentialDrive servos must be continuous");
+    }
+
+    write = function(speed) {
+      if (speed > 0) {
+        component.cw(speed);
+      } else if (speed < 0) {
+        component.ccw(-speed);
+      } else {
+        component.stop();
+      }
+    };
+  } else if (component instanceof ESC) {
+    write = function(speed) {
+      if (speed > 0) {
+        component.forward(speed * 100);
+      } else if (speed < 0) {
+        component.reverse(-speed * 100);
+      } else {
+        component.stop();
+      }
+    };
+  } else if (component instanceof Motor) {
+    write = function(speed) {
+      if (speed > 0) {
+        component.forward(Math.round(speed * 255));
+      } else if (speed < 0) {
+        component.reverse(Math.round(-speed * 255));
+      } else {
+        component.stop();
+      }
+    };
+  } else {
+    throw new Error("DifferentialDrive requires `left` and `right` Motors, ESCs or continuous Servos");
+  }
+
+  return function(speed) {
+    write(invert ? -speed : speed);
+  };
+}
+
+// Scale a pair of speeds into -1...1, keeping their ratio
+// (and so the curvature of the path)
+function desaturate(left, right) {
+  var largest = Math.max(1, Math.abs(left), Math.abs(right));
+
+  return {
+    left: left / largest,
+    right: right / largest
+  };
+}
+
+/**
+ * DifferentialDrive
+ * @constructor
+ *
+ * A pair of wheels (or tracks) steered by the difference in
+ * their speeds, driven by any pair of Motors, ESCs or continuous
+ * Servos.
+ *
+ * new five.DifferentialDrive({
+ *   left: new five.Motor(...),
+ *   right: new five.Motor(...),
+ *   ramp: 2,
+ *   trim: 0.05
+ * });
+ *
+ * new five.DifferentialDrive({
+ *   left: new five.Servo.Continuous(10),
+ *   right: new five.Servo.Continuous(11),
+ *   invert: { right: true }
+ * });
+ *
+ * Speeds are fractions of full speed, -1 (full reverse) to
+ * 1 (full forward). With a `ramp` (speed per second), speed
+ * changes are approached gradually, every `freq` ms (on the
+ * scheduler of the wheels' board). `trim`
+ * corrects a drive that doesn't go straight: positive values
+ * slow the left side, negative values slow the right side.
+ *
+ * With `encoders` ({ left, right }, see Encoder), a
+ * `wheelDiameter` and a `trackWidth` (the distance between
+ * the wheels, in the same units), the drive keeps track of
+ * its pose: { x, y, heading }, starting at the origin
+ * heading along the x axis (heading is in radians,
+ * counter-clockwise).
+ *
+ * Events:
+ *
+ *   "odometry"    The pose changed: { x, y, heading }
+ *   "calibrated"  calibrate() found a trim: { trim }
+ *
+ * @param {Object} opts Options: left, right, invert, ramp, freq,
+ *                      trim, encoders, wheelDiameter, trackWidth
+ */
+function DifferentialDrive(opts) {
+  if (!(this instanceof DifferentialDrive)) {
+    return new DifferentialDrive(opts);
+  }
+
+  var invert, encoders, state;
+
+  Emitter.call(this);
+
+  opts = opts || {};
+  invert = opts.invert || {};
+  encoders = opts.encoders || null;
+
+  if (!opts.left || !opts.right) {
+    throw new Error("DifferentialDrive requires `left` and `right` Motors, ESCs or continuous Servos");
+  }
+
+  if (encoders && (!encoders.left || !encoders.right || !opts.wheelDiameter || !opts.trackWidth)) {
+    throw new Error(
+      "DifferentialDrive odometry requires `encoders` (left and right), a `wheelDiameter` and a `trackWidth`"
+    );
+  }
+
+  this.left = opts.left;
+  this.right = opts.right;
+  this.encoders = encoders;
+  this.ramp = opts.ramp || 0;
+  this.freq = opts.freq || 20;
+  this.wheelDiameter = opts.wheelDiameter || null;
+  this.trackWidth = opts.trackWidth || null;
+
+  // The board of the wheels, whose scheduler runs the ramp
+  this.board = this.left.board || null;
+
+  // Return a promise from calibrate()
+  this.promises = Operation.isEnabled(this, opts);
+
+  state = {
+    write: {
+      left: actuator(this.left, !!invert.left),
+      right: actuator(this.right, !!invert.right),
+    },
+    trim: opts.trim || 0,
+    target: { left: 0, right: 0 },
+    current: { left: 0, right: 0 },
+    written: { left: null, right: null },
+    timer: null,
+    pose: { x: 0, y: 0, heading: 0 },
+    counts: null,
+    calibration: null,
+  };
+
+  priv.set(this, state);
+
+  if (encoders) {
+    state.counts = {
+      left: encoders.left.count,
+      right: encoders.right.count
+    };
+
+    encoders.left.on("change", odometry.bind(null, this));
+    encoders.right.on("change", odometry.bind(null, this));
+  }
+}
+
+util.inherits(DifferentialDrive, Emitter);
+
+// Write the current speeds, with the trim applied
+function write(state) {
+  var trim = state.trim;
+  var speeds = {
+    left: state.current.left * (1 - Math.max(trim, 0)),
+    right: state.current.right * (1 + Math.min(trim, 0))
+  };
+
+  ["left", "right"].forEach(function(side) {
+    if (speeds[side] !== state.written[side]) {
+      state.written[side] = speeds[side];
+      state.write[side](speeds[side]);
+    }
+  });
+}
+
+// Move the current speeds toward the target speeds by one
+// ramp step, so that both sides arrive together
+function ramp(drive, state) {
+  var step = drive.ramp * drive.freq / 1000;
+  var distance = Math.max(
+    Math.abs(state.target.left - state.current.left),
+    Math.abs(state.target.right - state.current.right)
+  );
+  var fraction = distance <= step ? 1 : step / distance;
+
+  ["left", "right"].forEach(function(side) {
+    state.current[side] += (state.target[side] - state.current[side]) * fraction;
+  });
+
+  if (fraction === 1) {
+    state.current = Object.assign({}, state.target);
+    state.timer.cancel();
+    state.timer = null;
+  }
+
+  write(state);
+}
+
+// Update the pose from the encoders' counts
+function odometry(drive) {
+  var state = priv.get(drive);
+  var circumference = Math.PI * drive.wheelDiameter;
+  var counts = {
+    left: drive.encoders.left.count,
+    right: drive.encoders.right.count
+  };
+  var left = (counts.left - state.counts.left) / drive.encoders.left.cpr * circumference;
+  var right = (counts.right - state.counts.right) / drive.encoders.right.cpr * circumference;
+  var distance = (left + right) / 2;
+  var turn = (right - left) / drive.trackWidth;
+  var pose = state.pose;
+
+  state.counts = counts;
+
+  if (state.calibration) {
+    state.calibration.left += Math.abs(left);
+    state.calibration.right += Math.abs(right);
+  }
+
+  pose.x += distance * Math.cos(pose.heading + turn / 2);
+  pose.y += distance * Math.sin(pose.heading + turn / 2);
+  pose.heading += turn;
+
+  drive.emit("odometry", drive.pose);
+}
+
+/**
+ * tank Set the speed of each side
+ *
+ * @param  {Number} left  -1...1
+ * @param  {Number} right -1...1
+ * @return {DifferentialDrive}
+ */
+DifferentialDrive.prototype.tank = function(left, right) {
+  var state = priv.get(this);
+
+  state.target = {
+    left: Board.constrain(left, -1, 1),
+    right: Board.constrain(right, -1, 1)
+  };
+
+  if (!this.ramp) {
+    state.current = Object.assign({}, state.target);
+    write(state);
+  } else if (!state.timer || state.timer.state === "cancelled") {
+    // (The ramp is cancelled when the board exits)
+    state.timer = Scheduler.every(this.board, this.freq, ramp.bind(null, this, state));
+  }
+
+  return this;
+};
+
+/**
+ * drive Drive forward (or in reverse) while turning
+ *
+ * @param  {Number} linear  -1...1, forward speed
+ * @param  {Number} angular -1...1, turning speed (counter-clockwise,
+ *                          ie. to the left, is positive)
+ * @return {DifferentialDrive}
+ */
+DifferentialDrive.prototype.drive = function(linear, angular) {
+  var speeds = desaturate(linear - (angular || 0), linear + (angular || 0));
+
+  return this.tank(speeds.left, speeds.right);
+};
+
+/**
+ * arcade Drive with a joystick's axes
+ *
+ * @param  {Number} x -1...1, turn (right is positive)
+ * @param  {Number} y -1...1, throttle (forward is positive)
+ * @return {DifferentialDrive}
+ */
+DifferentialDrive.prototype.arcade = function(x, y) {
+  return this.drive(y, -x);
+};
+
+// Stop both sides, without ramping
+function halt(state) {
+  if (state.timer) {
+    state.timer.cancel();
+  }
+
+  clearTimeout(state.calibration && state.calibration.timer);
+
+  state.timer = null;
+  state.calibration = null;
+  state.target = { left: 0, right: 0 };
+  state.current = { left: 0, right: 0 };
+  state.written = { left: null, right: null };
+
+  write(state);
+}
+
+/**
+ * stop Stop immediately (without ramping), and end any calibration
+ *
+ * @return {DifferentialDrive}
+ */
+DifferentialDrive.prototype.stop = function() {
+  halt(priv.get(this));
+  Operation.interrupt(this);
+
+  return this;
+};
+
+/**
+ * trim Get or set the trim
+ *
+ * @param  {Number} trim -1...1 (optional, when missing
+ *                       the method behaves like a getter)
+ * @return {DifferentialDrive|Number}
+ */
+DifferentialDrive.prototype.trim = function(trim) {
+  var state = priv.get(this);
+
+  if (typeof trim === "undefined") {
+    return state.trim;
+  }
+
+  state.trim = Board.constrain(trim, -1, 1);
+  write(state);
+
+  return this;
+};
+
+/**
+ * calibrate Find the trim with the encoders
+ *
+ * Drive straight (untrimmed) for `duration` ms at `speed`,
+ * then set the trim that would have kept both sides at the
+ * same distance, and stop.
+ *
+ * @param  {Object} opts speed (default: 0.5), duration (default: 2000)
+ * @return {DifferentialDrive}
+ *
+ * - or, when created with `promises: true` -
+ *
+ * @return {Promise} Resolved with the drive once calibrated
+ */
+DifferentialDrive.prototype.calibrate = function(opts) {
+  var state = priv.get(this);
+  var operation, calibration;
+
+  opts = opts || {};
+
+  if (!this.encoders) {
+    throw new Error("DifferentialDrive calibration requires `encoders`");
+  }
+
+  this.stop();
+
+  operation = Operation.begin(this);
+  calibration = state.calibration = {
+    left: 0,
+    right: 0,
+    timer: null,
+  };
+
+  state.trim = 0;
+  this.tank(opts.speed || 0.5, opts.speed || 0.5);
+
+  calibration.timer = setTimeout(function() {
+    var trim = 0;
+
+    state.calibration = null;
+    halt(state);
+
+    if (calibration.left > calibration.right) {
+      trim = 1 - calibration.right / calibration.left;
+    } else if (calibration.right > calibration.left) {
+      trim = calibration.left / calibration.right - 1;
+    }
+
+    this.trim(trim);
+
+    if (operation) {
+      operation.complete();
+    }
+
+    this.emit("calibrated", {
+      trim: trim
+    });
+  }.bind(this), opts.duration || 2000);
+
+  return Operation.result(this, operation);
+};
+
+/**
+ * resetPose Set the pose (default: the origin)
+ *
+ * @param  {Object} pose { x, y, heading }
+ * @return {DifferentialDrive}
+ */
+DifferentialDrive.prototype.resetPose = function(pose) {
+  pose = pose || {};
+
+  priv.get(this).pose = {
+    x: pose.x || 0,
+    y: pose.y || 0,
+    heading: pose.heading || 0
+  };
+
+  return this;
+};
+
+Object.defineProperties(DifferentialDrive.prototype, {
+  /**
+   * [read-only] The current speed of each side, before trim
+   * (while ramping, these lag the requested speeds)
+   * @property speeds
+   * @type Object
+   */
+  speeds: {
+    get: function() {
+      return Object.assign({}, priv.get(this).current);
+    }
+  },
+
+  /**
+   * [read-only] The pose, from odometry: { x, y, heading }
+   * @property pose
+   * @type Object
+   */
+  pose: {
+    get: function() {
+      return Object.assign({}, priv.get(this).pose);
+    }
+  },
+
+  /**
+   * [read-only] Whether the drive is ramping toward a new speed
+   * @property isRamping
+   * @type Boolean
+   */
+  isRamping: {
+    get: function() {
+      var timer = priv.get(this).timer;
+      return !!timer && timer.state !== "cancelled";
+    }
+  },
+});
+
+module.exports = DifferentialDrive;
@@ -90,6 +90,11 @@ Controllers["0A02"] = Controllers.GP2Y0A02YK0F;
  *  freq: 100
  * });
  *
+ * five.IR.Distance({
+ *  pin: "A0",
+ *  calibration: "ir-distance.json"
+ * });
+ *
  *
  * @param {Object} opts [description]
  *
@@ -129,6 +134,10 @@ function Distance(opts) {
      */
     centimeters: {
       get: function() {
+        // A calibrated sensor replaces the datasheet formula
+        if (this.calibration.points.length) {
+          return this.calibrated;
+        }
         return this.toCm(this.value);
       }
     },
@@ -0,0 +1,310 @@
+var Board = require("./board");
+var Emitter = require("events").EventEmitter;
+var util = require("util");
+
+var priv = new Map();
+
+// Quadrature state transitions, indexed by
+// (previous << 2) | next, where each state is
+// (a << 1) | b. Channel A leading B is forward:
+//
+//   00 -> 10 -> 11 -> 01 -> 00
+//
+// Invalid transitions (both channels changed) count 0.
+var TRANSITIONS = [
+  0, -1, 1, 0,
+  1, 0, 0, -1,
+  -1, 0, 0, 1,
+  0, 1, -1, 0
+];
+
+var Controllers = {
+  DEFAULT: {
+    initialize: {
+      value: function(opts, dataHandler) {
+        var levels = {
+          a: null,
+          b: null
+        };
+
+        ["a", "b"].forEach(function(channel) {
+          var pin = this.pins[channel];
+
+          this.io.pinMode(pin, this.io.MODES.INPUT);
+          this.io.digitalRead(pin, function(data) {
+            levels[channel] = data ? 1 : 0;
+
+            // Each channel's first read is reported on its own;
+            // the state is only known once both have reported.
+            if (levels.a === null || levels.b === null) {
+              return;
+            }
+
+            dataHandler((levels.a << 1) | levels.b);
+          });
+        }, this);
+      }
+    }
+  }
+};
+
+/**
+ * Encoder
+ * @constructor
+ *
+ * A quadrature (A/B) rotary encoder.
+ *
+ * five.Encoder([2, 3]);
+ *
+ * five.Encoder({
+ *   pins: {
+ *     a: 2,
+ *     b: 3
+ *   },
+ *   cpr: 1200,
+ *   freq: 50
+ * });
+ *
+ * `cpr` is the number of counts per revolution, after
+ * quadrature decoding (ie. 4 counts per encoder cycle).
+ * The count is updated on every edge; the `rpm` is
+ * calculated every `freq` ms.
+ *
+ * Note: edges are only seen as fast as the IO plugin
+ * reports digital pin changes. The rpm is sampled on
+ * the board's scheduler until `stop()` is called.
+ *
+ * Events:
+ *
+ *   "change"     The count changed
+ *   "data"       Every `freq` ms
+ *   "direction"  The direction of rotation changed
+ *                (also emitted as "forward" or "reverse")
+ *
+ * @param {Object} opts Options: pins, cpr, freq, invert
+ */
+function Encoder(opts) {
+  if (!(this instanceof Encoder)) {
+    return new Encoder(opts);
+  }
+
+  var controller, state;
+
+  Board.Component.call(
+    this, opts = Board.Options(opts)
+  );
+
+  if (Array.isArray(this.pins)) {
+    this.pins = {
+      a: this.pins[0],
+      b: this.pins[1]
+    };
+  }
+
+  if (!this.pins || typeof this.pins.a === "undefined" || typeof this.pins.b === "undefined") {
+    throw new Error("Encoder requires `pins` for channels A and B");
+  }
+
+  if (typeof opts.controller === "string") {
+    controller = Controllers[opts.controller];
+  } else {
+    controller = opts.controller || Controllers.DEFAULT;
+  }
+
+  Board.Controller.call(this, controller, opts);
+
+  this.cpr = opts.cpr || 1;
+  this.freq = opts.freq || 100;
+
+  state = {
+    count: 0,
+    previous: null,
+    direction: 0,
+    sampled: 0,
+    rpm: 0,
+    invert: !!opts.invert,
+    sampler: null,
+  };
+
+  priv.set(this, state);
+
+  Object.defineProperties(this, {
+    /**
+     * [read-only] Counts since start (or reset)
+     * @property count
+     * @type Number
+     */
+    count: {
+      get: function() {
+        return state.count;
+      }
+    },
+    /**
+     * [read-only] Revolutions since start (or reset)
+     * @property revolutions
+     * @type Number
+     */
+    revolutions: {
+      get: function() {
+        return state.count / this.cpr;
+      }
+    },
+    /**
+     * [read-only] Revolutions per minute (negative in reverse)
+     * @property rpm
+     * @type Number
+     */
+    rpm: {
+      get: function() {
+        return state.rpm;
+      }
+    },
+    /**
+     * [read-only] 1 (forward), -1 (reverse), or 0 (not yet moved)
+     * @property direction
+     * @type Number
+     */
+    direction: {
+      get: function() {
+        return state.direction;
+      }
+    },
+    value: {
+      get: function() {
+        return state.count;
+      }
+    },
+  });
+
+  if (typeof this.initialize === "function") {
+    this.initialize(opts, function(next) {
+      var step;
+
+      if (state.previous === null) {
+        state.previous = next;
+        return;
+      }
+
+      step = TRANSITIONS[(state.previous << 2) | next];
+      state.previous = next;
+
+      if (!step) {
+        return;
+      }
+
+      if (state.invert) {
+        step = -step;
+      }
+
+      state.count += step;
+
+      if (step !== state.direction) {
+        state.direction = step;
+        this.emit("direction", step);
+        this.emit(step === 1 ? "forward" : "reverse");
+      }
+
+      this.emit("change", this.toJSON());
+    }.bind(this));
+  }
+
+  this.start();
+}
+
+util.inherits(Encoder, Emitter);
+
+/**
+ * start Sample the rpm and emit "data" every `freq` ms.
+ * Encoders start sampling when they are created.
+ *
+ * @return {Encoder}
+ */
+Encoder.prototype.start = function() {
+  var state = priv.get(this);
+
+  if (state.sampler) {
+    return this;
+  }
+
+  state.sampled = state.count;
+  state.sampler = this.board.scheduler.loop(this.freq, function() {
+    state.rpm = (state.count - state.sampled) / this.cpr * (60000 / this.freq);
+    state.sampled = state.count;
+
+    this.emit("data", this.toJSON());
+  }.bind(this));
+
+  return this;
+};
+
+/**
+ * stop Stop sampling the rpm. The count is still
+ * updated on every edge.
+ *
+ * @return {Encoder}
+ */
+Encoder.prototype.stop = function() {
+  var state = priv.get(this);
+
+  if (state.sampler) {
+    state.sampler.cancel();
+    state.sampler = null;
+  }
+
+  state.rpm = 0;
+
+  return this;
+};
+
+/**
+ * reset Set the count to zero
+ *
+ * @return {Encoder}
+ */
+Encoder.prototype.reset = function() {
+  var state = priv.get(this);
+
+  state.count = 0;
+  state.sampled = 0;
+
+  return this;
+};
+
+/**
+ * toJSON
+ *
+ * Also the state record used by Board.prototype.serialize
+ * (which adds the encoder's `id`).
+ *
+ * @return {Object} { count, revolutions, rpm, direction }
+ */
+Encoder.prototype.toJSON = function() {
+  return {
+    count: this.count,
+    revolutions: this.revolutions,
+    rpm: this.rpm,
+    direction: this.direction,
+  };
+};
+
+/**
+ * fromJSON Restore the count recorded by toJSON, so a
+ * position kept in counts survives a restart
+ *
+ * @param  {Object} data A state record
+ * @return {Encoder}
+ */
+Encoder.prototype.fromJSON = function(data) {
+  var state = priv.get(this);
+
+  if (data && typeof data.count === "number") {
+    state.count = data.count;
+    state.sampled = data.count;
+  }
+
+  return this;
+};
+
+Encoder.Controllers = Controllers;
+
+module.exports = Encoder;
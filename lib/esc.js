@@ -406,6 +406,35 @@ ESC.prototype.stop = function() {
   return this;
 };
 
+/**
+ * toJSON
+ *
+ * @return {Object} The state record used by Board.prototype.serialize
+ */
+ESC.prototype.toJSON = function() {
+  var speed = this.last.speed;
+
+  return {
+    id: this.id,
+    pin: this.pin,
+    speed: typeof speed === "number" ? speed : null
+  };
+};
+
+/**
+ * fromJSON Return the ESC to the speed recorded by toJSON
+ *
+ * @param  {Object} data A state record
+ * @return {ESC}
+ */
+ESC.prototype.fromJSON = function(data) {
+  if (data && typeof data.speed === "number") {
+    this.speed(data.speed);
+  }
+
+  return this;
+};
+
 /**
  * ESC.Array()
  * new ESC.Array()
@@ -457,7 +486,10 @@ ESCs.prototype = Object.create(Collection.prototype, {
  * eg. array.stop();
  */
 
-Object.keys(ESC.prototype).forEach(function(method) {
+Object.keys(ESC.prototype).filter(function(method) {
+  // State records are per-ESC, not per-collection
+  return method !== "toJSON" && method !== "fromJSON";
+}).forEach(function(method) {
   // Create ESCs wrappers for each method listed.
   // This will allow us control over all ESC instances
   // simultaneously.
@@ -0,0 +1,333 @@
+/**
+ * Filter
+ *
+ * Composable filters for noisy sensor readings. Each
+ * filter has a `process(value)` method, which returns
+ * the filtered value, and a `reset()` method, which
+ * discards any accumulated history.
+ *
+ * Components that accept a `filters` option (Sensor,
+ * Thermometer, Proximity, Light) pass every reading
+ * through the filters, in order:
+ *
+ * new five.Sensor({
+ *   pin: "A0",
+ *   filters: [
+ *     { type: "spike", threshold: 50 },
+ *     { type: "movingAverage", size: 10 },
+ *     "hysteresis"
+ *   ]
+ * });
+ *
+ * A filter in a `filters` list may be:
+ *
+ *   - A filter object (anything with a `process` method)
+ *   - A function, called with each value
+ *   - A filter name, using that filter's defaults
+ *   - An object with a filter name as its `type`, plus
+ *     that filter's options
+ */
+var Filter = {};
+
+function options(opts, primary) {
+  if (typeof opts === "number") {
+    var temp = {};
+    temp[primary] = opts;
+    return temp;
+  }
+  return opts || {};
+}
+
+/**
+ * MovingAverage
+ * @constructor
+ *
+ * The mean of the most recent `size` values.
+ *
+ * @param {Number|Object} opts size, or { size } (default 5)
+ */
+function MovingAverage(opts) {
+  if (!(this instanceof MovingAverage)) {
+    return new MovingAverage(opts);
+  }
+
+  opts = options(opts, "size");
+
+  this.size = opts.size || 5;
+  this.values = [];
+}
+
+MovingAverage.prototype.process = function(value) {
+  this.values.push(value);
+
+  if (this.values.length > this.size) {
+    this.values.shift();
+  }
+
+  return this.values.reduce(function(sum, value) {
+    return sum + value;
+  }, 0) / this.values.length;
+};
+
+MovingAverage.prototype.reset = function() {
+  this.values.length = 0;
+};
+
+/**
+ * ExponentialMovingAverage
+ * @constructor
+ *
+ * Exponential smoothing: each value contributes `alpha`
+ * of the output, the previous output contributes the rest.
+ * Smaller alpha values produce smoother (slower) output.
+ *
+ * @param {Number|Object} opts alpha, or { alpha } (0 < alpha <= 1, default 0.5)
+ */
+function ExponentialMovingAverage(opts) {
+  if (!(this instanceof ExponentialMovingAverage)) {
+    return new ExponentialMovingAverage(opts);
+  }
+
+  opts = options(opts, "alpha");
+
+  this.alpha = typeof opts.alpha === "undefined" ? 0.5 : opts.alpha;
+
+  if (!(this.alpha > 0 && this.alpha <= 1)) {
+    throw new RangeError("ExponentialMovingAverage expects 0 < alpha <= 1");
+  }
+
+  this.value = null;
+}
+
+ExponentialMovingAverage.prototype.process = function(value) {
+  if (this.value === null) {
+    this.value = value;
+  } else {
+    this.value += this.alpha * (value - this.value);
+  }
+  return this.value;
+};
+
+ExponentialMovingAverage.prototype.reset = function() {
+  this.value = null;
+};
+
+/**
+ * Kalman
+ * @constructor
+ *
+ * One-dimensional Kalman filter for a value that is
+ * expected to be (mostly) constant.
+ *
+ * @param {Object} opts
+ *        r: measurement noise (default 1)
+ *        q: process noise (default 0.05)
+ */
+function Kalman(opts) {
+  if (!(this instanceof Kalman)) {
+    return new Kalman(opts);
+  }
+
+  opts = opts || {};
+
+  this.r = typeof opts.r === "undefined" ? 1 : opts.r;
+  this.q = typeof opts.q === "undefined" ? 0.05 : opts.q;
+  this.value = null;
+  this.covariance = null;
+}
+
+Kalman.prototype.process = function(value) {
+  var gain;
+
+  if (this.value === null) {
+    this.value = value;
+    this.covariance = this.r;
+    return this.value;
+  }
+
+  // Predict
+  this.covariance += this.q;
+
+  // Update
+  gain = this.covariance / (this.covariance + this.r);
+  this.value += gain * (value - this.value);
+  this.covariance *= (1 - gain);
+
+  return this.value;
+};
+
+Kalman.prototype.reset = function() {
+  this.value = null;
+  this.covariance = null;
+};
+
+/**
+ * Hysteresis
+ * @constructor
+ *
+ * Holds the output until the input has moved at
+ * least `band` away from it.
+ *
+ * @param {Number|Object} opts band, or { band } (default 5)
+ */
+function Hysteresis(opts) {
+  if (!(this instanceof Hysteresis)) {
+    return new Hysteresis(opts);
+  }
+
+  opts = options(opts, "band");
+
+  this.band = typeof opts.band === "undefined" ? 5 : opts.band;
+  this.value = null;
+}
+
+Hysteresis.prototype.process = function(value) {
+  if (this.value === null || Math.abs(value - this.value) >= this.band) {
+    this.value = value;
+  }
+  return this.value;
+};
+
+Hysteresis.prototype.reset = function() {
+  this.value = null;
+};
+
+/**
+ * Spike
+ * @constructor
+ *
+ * Rejects values that jump more than `threshold` from
+ * the last accepted value, repeating the last accepted
+ * value instead. A jump that persists for more than
+ * `limit` consecutive values is a real change, and
+ * is accepted.
+ *
+ * @param {Number|Object} opts threshold, or { threshold, limit }
+ *        threshold: (default 100)
+ *        limit: (default 3)
+ */
+function Spike(opts) {
+  if (!(this instanceof Spike)) {
+    return new Spike(opts);
+  }
+
+  opts = options(opts, "threshold");
+
+  this.threshold = typeof opts.threshold === "undefined" ? 100 : opts.threshold;
+  this.limit = typeof opts.limit === "undefined" ? 3 : opts.limit;
+  this.value = null;
+  this.rejected = 0;
+}
+
+Spike.prototype.process = function(value) {
+  if (this.value === null ||
+      Math.abs(value - this.value) <= this.threshold ||
+      this.rejected >= this.limit) {
+    this.value = value;
+    this.rejected = 0;
+  } else {
+    this.rejected++;
+  }
+  return this.value;
+};
+
+Spike.prototype.reset = function() {
+  this.value = null;
+  this.rejected = 0;
+};
+
+/**
+ * Chain
+ * @constructor
+ *
+ * Applies a list of filters, in order.
+ *
+ * @param {Array} filters Filter objects, functions, names
+ *                        or { type, ... } descriptions
+ */
+function Chain(filters) {
+  if (!(this instanceof Chain)) {
+    return new Chain(filters);
+  }
+
+  this.filters = (Array.isArray(filters) ? filters : [filters]).map(Filter.from);
+}
+
+Chain.prototype.process = function(value) {
+  return this.filters.reduce(function(value, filter) {
+    return filter.process(value);
+  }, value);
+};
+
+Chain.prototype.reset = function() {
+  this.filters.forEach(function(filter) {
+    filter.reset();
+  });
+};
+
+var Types = {
+  movingaverage: MovingAverage,
+  ema: ExponentialMovingAverage,
+  exponentialmovingaverage: ExponentialMovingAverage,
+  kalman: Kalman,
+  hysteresis: Hysteresis,
+  spike: Spike,
+};
+
+/**
+ * Filter.from Create a filter from a filter description
+ *
+ * @param  {Object|Function|String} description
+ * @return {Object} filter
+ */
+Filter.from = function(description) {
+  var name, Type;
+
+  if (description && typeof description.process === "function") {
+    return typeof description.reset === "function" ? description : {
+      process: description.process.bind(description),
+      reset: function() {}
+    };
+  }
+
+  if (typeof description === "function") {
+    return {
+      process: description,
+      reset: function() {}
+    };
+  }
+
+  name = typeof description === "string" ?
+    description : (description && description.type);
+
+  Type = typeof name === "string" ? Types[name.toLowerCase()] : null;
+
+  if (!Type) {
+    throw new Error("Unknown filter: " + (name || description));
+  }
+
+  return new Type(typeof description === "string" ? {} : description);
+};
+
+/**
+ * Filter.chain
+ *
+ * @param  {Array} filters
+ * @return {Chain|null} A filter chain, or null when there are no filters
+ */
+Filter.chain = function(filters) {
+  if (filters == null || (Array.isArray(filters) && !filters.length)) {
+    return null;
+  }
+  return new Chain(filters);
+};
+
+Filter.Chain = Chain;
+Filter.MovingAverage = MovingAverage;
+Filter.ExponentialMovingAverage = ExponentialMovingAverage;
+Filter.EMA = ExponentialMovingAverage;
+Filter.Kalman = Kalman;
+Filter.Hysteresis = Hysteresis;
+Filter.Spike = Spike;
+
+module.exports = Filter;
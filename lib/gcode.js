@@ -0,0 +1,766 @@
+var Emitter = require("events").EventEmitter;
+var fs = require("fs");
+var util = require("util");
+var Board = require("./board");
+var Operation = require("./operation");
+var Servo = require("./servo");
+var Stepper = require("./stepper");
+
+var priv = new Map();
+
+// A G-code word: a letter and a number, eg. "G1", "X-10.5"
+var WORD = /([A-Z])\s*([-+]?(?:\d+\.?\d*|\.\d+))/g;
+
+// Letters that are not axes
+var RESERVED = ["F", "G", "M", "N", "P", "S", "T"];
+
+/**
+ * parse
+ *
+ * Parse a line of G-code into its words, dropping comments
+ * (parentheses, or from a semicolon), line numbers and
+ * checksums. Blank lines parse to null.
+ *
+ * @param  {String} text
+ * @return {Object|null} { g: [], m: [], axes: { X: 10 }, f, s, p }
+ */
+function parse(text) {
+  var line = text.replace(/\([^)]*\)/g, "").replace(/;.*$/, "")
+    .replace(/\*\d+\s*$/, "").trim().toUpperCase();
+  var command = {
+    g: [],
+    m: [],
+    axes: {},
+  };
+
+  if (!line) {
+    return null;
+  }
+
+  if (line.replace(WORD, "").trim()) {
+    throw new Error("Invalid G-code: " + text.trim());
+  }
+
+  line.replace(WORD, function(word, letter, value) {
+    value = Number(value);
+
+    if (letter === "G" || letter === "M") {
+      command[letter.toLowerCase()].push(value);
+    } else if (RESERVED.includes(letter)) {
+      command[letter.toLowerCase()] = value;
+    } else {
+      command.axes[letter] = value;
+    }
+  });
+
+  return command;
+}
+
+/**
+ * tool
+ *
+ * A tool is a Servo (eg. a pen lift), a Relay or an Led,
+ * switched on by M3 and off by M5:
+ *
+ *   tool: relay
+ *   tool: { component: servo, on: 40, off: 90, delay: 200 }
+ *
+ * Servo tools move to the `on` and `off` positions. Led tools
+ * take M3's S word as their brightness. Every tool change waits
+ * `delay` ms before the next line.
+ *
+ * @param  {Object} opts
+ * @return {Object} { on(power), off(), delay }
+ */
+function tool(opts) {
+  var component = opts.component || opts;
+
+  if (component instanceof Servo) {
+    if (typeof opts.on !== "number" || typeof opts.off !== "number") {
+      throw new Error("GCode Servo tools require `on` and `off` positions");
+    }
+
+    return {
+      on: function() {
+        component.to(opts.on);
+      },
+      off: function() {
+        component.to(opts.off);
+      },
+      delay: opts.delay || 0,
+    };
+  }
+
+  if (typeof component.on !== "function" || typeof component.off !== "function") {
+    throw new Error("GCode `tool` must be a Servo, a Relay or an Led");
+  }
+
+  return {
+    on: function(power) {
+      if (typeof power === "number" && typeof component.brightness === "function") {
+        component.brightness(Board.constrain(power, 0, 255));
+      } else {
+        component.on();
+      }
+    },
+    off: function() {
+      component.off();
+    },
+    delay: opts.delay || 0,
+  };
+}
+
+// Upper case the (axis letter) keys of an object
+function upper(object) {
+  return Object.keys(object || {}).reduce(function(accum, key) {
+    accum[key.toUpperCase()] = object[key];
+    return accum;
+  }, {});
+}
+
+/**
+ * GCode
+ * @constructor
+ *
+ * A G-code interpreter for plotters, pen and laser machines:
+ * axes are Steppers (moved together, see Stepper.Array), and
+ * the tool is a Servo, Relay or Led.
+ *
+ * var gcode = new five.GCode({
+ *   axes: { x: xStepper, y: yStepper },
+ *   tool: { component: pen, on: 40, off: 90, delay: 200 },
+ *   home: { x: { switch: xLimit }, y: { switch: yLimit } },
+ *   feedrate: 1200,
+ *   rapid: 3000
+ * });
+ *
+ * gcode.file("drawing.gcode");
+ * gcode.send("G1 X10 Y10 F600");
+ * gcode.stream(socket);
+ *
+ * Positions are in each stepper's `units`, and feedrates
+ * (the F word, `feedrate` for G1 and `rapid` for G0) in
+ * units per minute. `acceleration` is in units per second².
+ *
+ * Supported commands:
+ *
+ *   G0, G1    Move in a straight line (rapid, or at the feedrate)
+ *   G4        Dwell for P milliseconds (or S seconds)
+ *   G21       Millimeters (the only units: a no-op)
+ *   G28       Home the listed axes (default: all). Axes with a
+ *             `home` switch are homed (see Stepper.prototype.home),
+ *             the others move to 0
+ *   G90, G91  Absolute or relative positions
+ *   M3, M5    Tool on (with an optional power, S) or off
+ *
+ * Moves are queued (up to `buffer` at once), so the speed
+ * carries through consecutive moves. Tool changes, dwells
+ * and homing wait for the moves before them.
+ *
+ * Events:
+ *
+ *   "progress"  A line is complete: { line, text }
+ *   "error"     A line could not be run (error.line, error.text);
+ *               the rest of its program is dropped (emitted when
+ *               there is a listener, or no callback or promise
+ *               to report the error to)
+ *
+ * @param {Object} opts Options: axes, tool, home, feedrate,
+ *                      rapid, acceleration, buffer, promises
+ */
+function GCode(opts) {
+  if (!(this instanceof GCode)) {
+    return new GCode(opts);
+  }
+
+  var axes, home;
+
+  Emitter.call(this);
+
+  opts = opts || {};
+  axes = upper(opts.axes);
+  home = upper(opts.home);
+
+  if (!Object.keys(axes).length || Object.keys(axes).some(function(axis) {
+      return RESERVED.includes(axis) || !(axes[axis] instanceof Stepper);
+    })) {
+    throw new Error("GCode requires `axes`: Steppers named by axis letter, eg. { x: stepper }");
+  }
+
+  if (Object.keys(home).some(function(axis) {
+      return !home[axis] || !home[axis].switch;
+    })) {
+    throw new Error("GCode `home` axes require a limit `switch`");
+  }
+
+  this.axes = Object.keys(axes);
+  this.steppers = new Stepper.Array(this.axes.map(function(axis) {
+    return axes[axis];
+  }));
+
+  // Return promises from send(), stream() and file()
+  this.promises = Operation.isEnabled(this, opts);
+
+  priv.set(this, {
+    tool: opts.tool ? tool(opts.tool) : null,
+    home: home,
+    feedrate: opts.feedrate ? opts.feedrate / 60 : null,
+    rapid: opts.rapid ? opts.rapid / 60 : null,
+    acceleration: opts.acceleration,
+    buffer: opts.buffer || 16,
+    position: null,
+    absolute: true,
+    motion: 0,
+    queue: [],
+    reports: [],
+    streams: [],
+    pending: 0,
+    waiting: false,
+    looping: false,
+    generation: 0,
+  });
+}
+
+util.inherits(GCode, Emitter);
+
+// The planned position of each axis (in units), once every
+// queued move is complete
+function planned(gcode, state) {
+  return state.position || gcode.steppers.position;
+}
+
+// Emit "progress" for the complete lines, in order
+function flush(gcode, state) {
+  var reported;
+
+  while (state.reports.length && state.reports[0].isComplete) {
+    reported = state.reports.shift();
+    gcode.emit("progress", {
+      line: reported.line,
+      text: reported.text
+    });
+  }
+}
+
+function report(gcode, state, item) {
+  item.isComplete = true;
+  flush(gcode, state);
+}
+
+function finish(state, program) {
+  var index = state.streams.indexOf(program);
+
+  if (index !== -1) {
+    state.streams.splice(index, 1);
+  }
+
+  if (program.operation) {
+    program.operation.complete();
+  }
+
+  if (program.callback) {
+    program.callback(null, true);
+  }
+}
+
+function fail(gcode, state, item, error) {
+  var program = item.program;
+  var index = state.reports.indexOf(item);
+  var streamed = state.streams.indexOf(program);
+
+  if (program.isFailed) {
+    return;
+  }
+
+  program.isFailed = true;
+
+  if (typeof item.line === "number") {
+    error.message = "G-code line " + item.line + ": " + error.message;
+    error.line = item.line;
+    error.text = item.text;
+  }
+
+  // Drop the rest of the program
+  state.queue = state.queue.filter(function(queued) {
+    return queued.program !== program;
+  });
+
+  if (program.stream) {
+    program.stream.pause();
+
+    // (A stream that has already finished is no longer listed)
+    if (streamed !== -1) {
+      state.streams.splice(streamed, 1);
+    }
+  }
+
+  if (index !== -1) {
+    state.reports.splice(index, 1);
+    flush(gcode, state);
+  }
+
+  if (program.operation) {
+    program.operation.fail(error);
+  }
+
+  if (program.callback) {
+    program.callback(error);
+  }
+
+  // With no listener, "error" would throw: only emit it when
+  // someone listens, or when there's no other way to report it
+  if (gcode.listenerCount("error") || (!program.callback && !program.operation)) {
+    gcode.emit("error", error);
+  }
+}
+
+function complete(gcode, state, item, error) {
+  if (error) {
+    fail(gcode, state, item, error);
+  } else {
+    report(gcode, state, item);
+  }
+
+  next(gcode);
+}
+
+function move(gcode, state, item, command) {
+  var position = planned(gcode, state);
+  var generation = state.generation;
+  var velocity = state.motion === 0 ? state.rapid : state.feedrate;
+  var opts = {};
+  var isRefused = false;
+  var target;
+
+  target = gcode.axes.map(function(axis, index) {
+    if (typeof command.axes[axis] !== "number") {
+      return null;
+    }
+
+    return state.absolute ? command.axes[axis] : position[index] + command.axes[axis];
+  });
+
+  if (velocity) {
+    opts.velocity = velocity;
+  }
+
+  if (typeof state.acceleration === "number") {
+    opts.acceleration = state.acceleration;
+  }
+
+  state.pending++;
+
+  gcode.steppers.to(target, opts, function(error) {
+    if (generation !== state.generation) {
+      return;
+    }
+
+    isRefused = !!error;
+    state.pending--;
+    complete(gcode, state, item, error);
+  });
+
+  if (!isRefused) {
+    state.position = target.map(function(value, index) {
+      return value === null ? position[index] : value;
+    });
+  }
+}
+
+function home(gcode, state, item, command, done) {
+  var listed = gcode.axes.filter(function(axis) {
+    return typeof command.axes[axis] === "number";
+  });
+  var axes = listed.length ? listed : gcode.axes;
+  var switched = axes.filter(function(axis) {
+    return !!state.home[axis];
+  });
+  var zero = gcode.axes.map(function(axis) {
+    return axes.includes(axis) && !state.home[axis] ? 0 : null;
+  });
+
+  var step = function(index) {
+    var axis = switched[index];
+
+    if (index === switched.length) {
+      state.position = null;
+
+      if (zero.every(function(value) {
+          return value === null;
+        })) {
+        return done(null);
+      }
+
+      return gcode.steppers.to(zero, state.rapid ? { velocity: state.rapid } : {}, function(error) {
+        done(error);
+      });
+    }
+
+    gcode.steppers[gcode.axes.indexOf(axis)].home(Object.assign({}, state.home[axis]), function(error) {
+      if (error) {
+        return done(error);
+      }
+      step(index + 1);
+    });
+  };
+
+  step(0);
+}
+
+// Run the tool change, dwell or homing of a line, once the
+// moves before it are complete
+function wait(gcode, state, item, command) {
+  var generation = state.generation;
+  var delay = 0;
+
+  var done = function(error) {
+    if (generation !== state.generation) {
+      return;
+    }
+
+    setTimeout(function() {
+      if (generation !== state.generation) {
+        return;
+      }
+
+      state.waiting = false;
+      complete(gcode, state, item, error);
+    }, error ? 0 : delay);
+  };
+
+  state.waiting = true;
+
+  if (command.g.includes(28)) {
+    return home(gcode, state, item, command, done);
+  }
+
+  if (command.g.includes(4)) {
+    delay = typeof command.p === "number" ? command.p : (command.s || 0) * 1000;
+    return done(null);
+  }
+
+  if (!state.tool) {
+    return done(new Error("GCode has no `tool`"));
+  }
+
+  if (command.m.includes(3)) {
+    state.tool.on(command.s);
+  } else {
+    state.tool.off();
+  }
+
+  delay = state.tool.delay;
+  done(null);
+}
+
+// Validate a line's commands, and apply its modal settings
+function prepare(gcode, state, command) {
+  var unsupported = command.g.filter(function(code) {
+    return ![0, 1, 4, 21, 28, 90, 91].includes(code);
+  }).map(function(code) {
+    return "G" + code;
+  }).concat(command.m.filter(function(code) {
+    return ![3, 5].includes(code);
+  }).map(function(code) {
+    return "M" + code;
+  }));
+  var unknown = Object.keys(command.axes).filter(function(axis) {
+    return !gcode.axes.includes(axis);
+  });
+
+  if (unsupported.length) {
+    throw new Error("Unsupported command: " + unsupported.join(" "));
+  }
+
+  if (unknown.length) {
+    throw new Error("GCode has no " + unknown.join(", ") + " axis");
+  }
+
+  if (typeof command.f === "number") {
+    state.feedrate = command.f / 60;
+  }
+
+  if (command.g.includes(90)) {
+    state.absolute = true;
+  }
+
+  if (command.g.includes(91)) {
+    state.absolute = false;
+  }
+
+  if (command.g.includes(0) || command.g.includes(1)) {
+    state.motion = command.g.includes(1) ? 1 : 0;
+  }
+}
+
+function next(gcode) {
+  var state = priv.get(gcode);
+  var item, command, isWaiting;
+
+  if (state.looping) {
+    return;
+  }
+
+  state.looping = true;
+
+  try {
+    while (state.queue.length && !state.waiting) {
+      item = state.queue[0];
+
+      if (item.isEnd) {
+        if (state.pending) {
+          break;
+        }
+
+        state.queue.shift();
+        finish(state, item.program);
+        continue;
+      }
+
+      try {
+        command = parse(item.text);
+      } catch (error) {
+        state.queue.shift();
+        fail(gcode, state, item, error);
+        continue;
+      }
+
+      isWaiting = !!command && (command.g.includes(4) || command.g.includes(28) || command.m.length > 0);
+
+      // Waiting commands run when every move before them is
+      // complete; moves run while there's room in the buffer
+      if (state.pending && (isWaiting || state.pending >= state.buffer)) {
+        break;
+      }
+
+      state.queue.shift();
+      state.reports.push(item);
+
+      if (!command) {
+        report(gcode, state, item);
+        continue;
+      }
+
+      try {
+        prepare(gcode, state, command);
+      } catch (error) {
+        fail(gcode, state, item, error);
+        continue;
+      }
+
+      if (isWaiting) {
+        wait(gcode, state, item, command);
+      } else if (Object.keys(command.axes).length) {
+        move(gcode, state, item, command);
+      } else {
+        report(gcode, state, item);
+      }
+    }
+  } finally {
+    state.looping = false;
+  }
+
+  // Read more of the streams once the queue is running low
+  if (state.queue.length < state.buffer) {
+    state.streams.forEach(function(program) {
+      program.stream.resume();
+    });
+  }
+}
+
+function begin(gcode, callback) {
+  return {
+    operation: Operation.begin(gcode),
+    callback: callback,
+    stream: null,
+    line: 0,
+    isFailed: false,
+  };
+}
+
+function enqueue(state, program, lines) {
+  lines.forEach(function(text) {
+    state.queue.push({
+      program: program,
+      line: ++program.line,
+      text: text,
+      isComplete: false,
+    });
+  });
+}
+
+/**
+ * send Run one or more lines of G-code
+ *
+ * @param  {String} text
+ * @param  {Function} callback function(err, complete)
+ * @return {GCode}
+ *
+ * - or, when created with `promises: true` -
+ *
+ * @return {Promise} Resolved with the GCode when every
+ *                   line is complete
+ */
+GCode.prototype.send = function(text, callback) {
+  var state = priv.get(this);
+  var sent = begin(this, callback);
+
+  enqueue(state, sent, String(text).split(/\r?\n/));
+  state.queue.push({ program: sent, isEnd: true });
+
+  next(this);
+
+  return Operation.result(this, sent.operation);
+};
+
+/**
+ * stream Run G-code from a readable stream (eg. a
+ * file, a serial port or a socket), reading it as
+ * the queue runs low
+ *
+ * @param  {Stream} readable
+ * @param  {Function} callback function(err, complete)
+ * @return {GCode}
+ *
+ * - or, when created with `promises: true` -
+ *
+ * @return {Promise} Resolved with the GCode when the stream
+ *                   has ended and every line is complete
+ */
+GCode.prototype.stream = function(readable, callback) {
+  var state = priv.get(this);
+  var streamed = begin(this, callback);
+  var partial = "";
+
+  streamed.stream = readable;
+  state.streams.push(streamed);
+
+  if (typeof readable.setEncoding === "function") {
+    readable.setEncoding("utf8");
+  }
+
+  readable.on("data", function(chunk) {
+    var lines;
+
+    if (streamed.isFailed) {
+      return;
+    }
+
+    lines = (partial + chunk).split(/\r?\n/);
+    partial = lines.pop();
+
+    enqueue(state, streamed, lines);
+
+    if (state.queue.length >= state.buffer * 4) {
+      readable.pause();
+    }
+
+    next(this);
+  }.bind(this));
+
+  readable.on("end", function() {
+    if (streamed.isFailed) {
+      return;
+    }
+
+    if (partial) {
+      enqueue(state, streamed, [partial]);
+    }
+
+    state.queue.push({ program: streamed, isEnd: true });
+    next(this);
+  }.bind(this));
+
+  readable.on("error", function(error) {
+    fail(this, state, { program: streamed }, error);
+  }.bind(this));
+
+  return Operation.result(this, streamed.operation);
+};
+
+/**
+ * file Run a G-code file
+ *
+ * @param  {String} filename
+ * @param  {Function} callback function(err, complete)
+ * @return {GCode} (or a Promise, see stream())
+ */
+GCode.prototype.file = function(filename, callback) {
+  return this.stream(fs.createReadStream(filename), callback);
+};
+
+/**
+ * stop Stop moving, turn the tool off, and drop every
+ * line that hasn't run
+ *
+ * @return {GCode}
+ */
+GCode.prototype.stop = function() {
+  var state = priv.get(this);
+  var programs = [];
+
+  state.generation++;
+
+  state.queue.concat(state.reports, state.streams.map(function(streamed) {
+    streamed.stream.pause();
+    return { program: streamed };
+  })).forEach(function(item) {
+    if (!programs.includes(item.program)) {
+      programs.push(item.program);
+    }
+  });
+
+  state.queue = [];
+  state.reports = [];
+  state.streams = [];
+  state.pending = 0;
+  state.waiting = false;
+  state.position = null;
+
+  this.steppers.stop();
+
+  if (state.tool) {
+    state.tool.off();
+  }
+
+  Operation.interrupt(this);
+
+  programs.forEach(function(program) {
+    program.isFailed = true;
+
+    if (program.callback) {
+      program.callback(null, false);
+    }
+  });
+
+  return this;
+};
+
+Object.defineProperties(GCode.prototype, {
+  /**
+   * [read-only] Whether positions are absolute (G90) or relative (G91)
+   * @property isAbsolute
+   * @type Boolean
+   */
+  isAbsolute: {
+    get: function() {
+      return priv.get(this).absolute;
+    }
+  },
+
+  /**
+   * [read-only] The G1 feedrate (units per minute)
+   * @property feedrate
+   * @type Number
+   */
+  feedrate: {
+    get: function() {
+      var feedrate = priv.get(this).feedrate;
+      return feedrate === null ? null : feedrate * 60;
+    }
+  },
+});
+
+GCode.parse = parse;
+
+module.exports = GCode;
@@ -6,6 +6,8 @@ if (!Array.prototype.includes) {
   require("./array-includes-shim");
 }
 
+var Collection = require("./mixins/collection");
+
 module.exports = {
   // extract-start:apinames
   Accelerometer: require("./accelerometer"),
@@ -14,12 +16,17 @@ module.exports = {
   Barometer: require("./barometer"),
   Board: require("./board"),
   Button: require("./button"),
+  Calibration: require("./calibration"),
   Color: require("./color"),
   Compass: require("./compass"),
+  DifferentialDrive: require("./differentialdrive"),
   Distance: require("./distance"),
+  Encoder: require("./encoder"),
   ESC: require("./esc"),
   Expander: require("./expander"),
+  Filter: require("./filter"),
   Fn: require("./fn"),
+  GCode: require("./gcode"),
   Gripper: require("./gripper"),
   Gyro: require("./gyro"),
   Hygrometer: require("./hygrometer"),
@@ -30,6 +37,8 @@ module.exports = {
   Led: require("./led"),
   LedControl: require("./led/ledcontrol"),
   Light: require("./light"),
+  Limb: require("./limb"),
+  Logger: require("./logger"),
   Joystick: require("./joystick"),
   Motion: require("./motion"),
   Motor: require("./motor"),
@@ -38,6 +47,7 @@ module.exports = {
   Ping: require("./ping"),
   Pir: require("./pir"),
   Pin: require("./pin"),
+  PID: require("./pid"),
   Proximity: require("./proximity"),
   Relay: require("./relay"),
   Repl: require("./repl"),
@@ -156,6 +166,21 @@ module.exports.Magnetometer = function() {
   });
 };
 
+// Generated Array collections for component types
+// that do not define their own.
+[
+  "Accelerometer", "Altimeter", "Barometer", "Button", "Color",
+  "Compass", "Encoder", "Gripper", "Gyro", "Hygrometer", "IMU", "Joystick",
+  "Keypad", "LCD", "LedControl", "Light", "Motion", "Piezo",
+  "Ping", "Pir", "Proximity", "Relay", "Sensor", "ShiftRegister",
+  "Sonar", "Switch", "Thermometer",
+].forEach(function(name) {
+  module.exports[name].Array = Collection.create(module.exports[name]);
+});
+
+module.exports.Led.RGB.Array = Collection.create(module.exports.Led.RGB);
+module.exports.Led.Matrix.Array = module.exports.LedControl.Array;
+
 // Short-handing, Aliases
 module.exports.Boards = module.exports.Board.Array;
 module.exports.ESCs = module.exports.ESC.Array;
@@ -163,6 +188,7 @@ module.exports.Leds = module.exports.Led.Array;
 module.exports.Motors = module.exports.Motor.Array;
 module.exports.Pins = module.exports.Pin.Array;
 module.exports.Servos = module.exports.Servo.Array;
+module.exports.Steppers = module.exports.Stepper.Array;
 
 // Direct Alias
 module.exports.Touchpad = module.exports.Keypad;
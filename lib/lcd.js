@@ -1,5 +1,6 @@
 var Board = require("./board"),
   Pin = require("./pin.js"),
+  Scheduler = require("./board.scheduler"),
   lcdCharacters = require("./lcd-chars.js"),
   converter = require("color-convert")();
 
@@ -214,12 +215,9 @@ var Controllers = {
     },
     clear: {
       value: function() {
-        return this.command(this.OP.CLEAR);
-      }
-    },
-    setCursor: {
-      value: function(col, row) {
-        return this.command(row === 0 ? col | 0x80 : col | 0xc0);
+        this.command(this.OP.CLEAR);
+        reset(this);
+        return this;
       }
     },
     bgColor: {
@@ -401,8 +399,8 @@ var Controllers = {
       value: function() {
         this.command(this.OP.CLEAR);
         sleep(2);
+        reset(this);
         return this;
-
       }
     },
     backlight: {
@@ -458,6 +456,9 @@ var Controllers = {
 
         state.characters[name] = address;
 
+        // The display's address counter is in CGRAM now
+        state.counter = null;
+
         return address;
       }
     },
@@ -701,7 +702,7 @@ function LCD(opts) {
     this, opts = Board.Options(opts)
   );
 
-  var controller;
+  var controller, state;
 
   if (opts.controller) {
     controller = typeof opts.controller === "string" ?
@@ -720,6 +721,17 @@ function LCD(opts) {
   if (this.initialize) {
     this.initialize(opts);
   }
+
+  state = priv.get(this) || {};
+
+  // Layout: the named virtual screens, each rows of lines
+  state.screens = new Map();
+  state.screen = "default";
+
+  priv.set(this, state);
+
+  // Initialization cleared the display
+  reset(this);
 }
 
 LCD.prototype.command = function(mode, value) {
@@ -772,49 +784,162 @@ LCD.prototype.hilo = function(callback) {
 
 
 var RE_SPECIALS = /:(\w+):/g;
+var ROW_OFFSETS = [0x00, 0x40, 0x14, 0x54];
+var SPACE = 0x20;
+
+// Replace the :name: of each created character with its address
+function specials(state, message) {
+  return message.replace(RE_SPECIALS, function(match, name) {
+    var address = state.characters[name];
+
+    return typeof address === "number" ? String.fromCharCode(address) : match;
+  });
+}
+
+/**
+ * Shadow buffer
+ *
+ * The LCD keeps a copy of the display's memory (DDRAM) and
+ * of the address the next character goes to (the cursor).
+ * print() and write() only transmit the characters that
+ * change, moving the display's own address counter just
+ * before each run of changed characters.
+ *
+ * The copy follows the display's memory layout: 40 characters
+ * per line of a two line display (rows 2 and 3 of a four row
+ * display continue rows 0 and 1), or 80 on a single line, so
+ * characters printed past the end of a row land where they do
+ * on the display.
+ */
+
+// The DDRAM index of an address
+function index(lcd, address) {
+  if (lcd.rows === 1) {
+    return address;
+  }
+
+  return (address & 0x40 ? 40 : 0) + (address & 0x3F);
+}
+
+// The address after an address, as the display's counter advances
+function advance(lcd, address) {
+  if (lcd.rows === 1) {
+    return (address + 1) % 80;
+  }
+
+  if (address === 0x27) {
+    return 0x40;
+  }
+
+  if (address === 0x67) {
+    return 0x00;
+  }
+
+  return address + 1;
+}
+
+// Blank the copy and home the cursor, as clear() does the display
+function reset(lcd) {
+  var state = priv.get(lcd);
+
+  state.ddram = new Array(80).fill(SPACE);
+
+  home(lcd);
+}
+
+function home(lcd) {
+  var state = priv.get(lcd);
+
+  state.cursor = 0x00;
+  state.counter = 0x00;
+}
+
+// Move the display's address counter
+function move(lcd, address) {
+  var state = priv.get(lcd);
+
+  lcd.command(lcd.OP.SETDDRAMADDR | address);
+  state.counter = address;
+}
+
+// A visible (or blinking) cursor is kept where the next character goes
+function follow(lcd) {
+  var state = priv.get(lcd);
+
+  if ((state.display & (lcd.OP.CURSORON | lcd.OP.BLINKON)) === 0) {
+    return;
+  }
+
+  if (state.counter !== state.cursor) {
+    move(lcd, state.cursor);
+  }
+}
+
+// Write character codes at the cursor, transmitting the changed ones
+function put(lcd, codes) {
+  var state = priv.get(lcd);
+  var spans = [];
+  var current = null;
+
+  codes.forEach(function(code) {
+    var address = state.cursor;
+    var i = index(lcd, address);
+
+    state.cursor = advance(lcd, address);
+
+    if (state.ddram[i] === code) {
+      current = null;
+      return;
+    }
+
+    state.ddram[i] = code;
+
+    if (!current) {
+      current = { address: address, codes: [] };
+      spans.push(current);
+    }
+
+    current.codes.push(code);
+  });
+
+  spans.forEach(function(span) {
+    if (state.counter !== span.address) {
+      move(lcd, span.address);
+    }
+
+    lcd.hilo(function() {
+      span.codes.forEach(function(code) {
+        this.command(this.OP.DATA, code);
+        state.counter = advance(this, state.counter);
+      }, this);
+    });
+  });
+
+  follow(lcd);
+}
 
 LCD.prototype.print = function(message, opts) {
-  var state, dontProcessSpecials, hasCharacters, processed;
+  var state, dontProcessSpecials;
 
   message = message + "";
   opts = opts || {};
 
   state = priv.get(this);
   dontProcessSpecials = opts.dontProcessSpecials || false;
-  hasCharacters = !dontProcessSpecials && RE_SPECIALS.test(message);
-
-  if (message.length === 1) {
-    this.hilo(function() {
-      this.command(this.OP.DATA, message.charCodeAt(0));
-    });
-  } else {
-
-    if (hasCharacters) {
-      processed = message.replace(RE_SPECIALS, function(match, name) {
-        var address = state.characters[name];
-
-        return typeof address === "number" ? String.fromCharCode(address) : match;
-      });
 
-      this.print(processed, {
-        dontProcessSpecials: true
-      });
-    } else {
-      this.hilo(function() {
-        Array.from(message).forEach(function(character) {
-          this.command(this.OP.DATA, character.charCodeAt(0));
-        }, this);
-      });
-    }
+  if (!dontProcessSpecials) {
+    message = specials(state, message);
   }
 
+  put(this, Array.from(message).map(function(character) {
+    return character.charCodeAt(0);
+  }));
+
   return this;
 };
 
 LCD.prototype.write = function(charCode) {
-  this.hilo.call(this, function() {
-    this.command(this.OP.DATA, charCode);
-  });
+  put(this, [charCode]);
 
   return this;
 };
@@ -822,21 +947,62 @@ LCD.prototype.write = function(charCode) {
 LCD.prototype.clear = function() {
   this.command(this.OP.CLEAR);
   sleep(2);
+  reset(this);
   return this;
 };
 
 LCD.prototype.home = function() {
   this.command(this.OP.HOME);
   sleep(2);
+  home(this);
   return this;
 };
 
+/**
+ * setCursor Set where the next character goes; the display's
+ * cursor is moved when a changed character is transmitted (or
+ * right away, when the cursor is visible or blinking)
+ *
+ * @param  {Number} col
+ * @param  {Number} row
+ * @return {LCD}
+ */
 LCD.prototype.setCursor = function(col, row) {
-  var rowOffsets = [0x00, 0x40, 0x14, 0x54];
-  this.command(this.OP.SETDDRAMADDR | (col + rowOffsets[row]));
+  var offset;
+
+  row = Board.constrain(row, 0, this.rows - 1);
+  offset = ROW_OFFSETS[row];
+
+  // Within the row's line of DDRAM
+  priv.get(this).cursor = offset + Board.constrain(
+    col, 0, (this.rows === 1 ? 80 : 40) - (offset & 0x3F) - 1
+  );
+
+  follow(this);
+
   return this;
 };
 
+/**
+ * contents The contents of the display, from the shadow buffer
+ *
+ * Rows are read from the display's memory as it is laid out
+ * without a display shift: autoscroll() shifts the display as
+ * characters are written, which the rows don't follow.
+ *
+ * @return {Array} The rows, as strings (created characters
+ *                 are their addresses, "\x00"..."\x07")
+ */
+LCD.prototype.contents = function() {
+  var ddram = priv.get(this).ddram;
+
+  return ROW_OFFSETS.slice(0, this.rows).map(function(offset) {
+    var start = index(this, offset);
+
+    return String.fromCharCode.apply(null, ddram.slice(start, start + this.cols));
+  }, this);
+};
+
 LCD.prototype.backlight = function(highOrLow) {
   var state = priv.get(this);
 
@@ -908,6 +1074,7 @@ LCD.prototype.cursor = function(row, col) {
 
   state.display |= this.OP.CURSORON;
   this.command(state.display);
+  follow(this);
 
   return this;
 };
@@ -926,6 +1093,7 @@ LCD.prototype.blink = function() {
 
   state.display |= this.OP.BLINKON;
   this.command(state.display);
+  follow(this);
 
   return this;
 };
@@ -939,6 +1107,12 @@ LCD.prototype.noBlink = function() {
   return this;
 };
 
+/**
+ * autoscroll Shift the display as characters are written
+ * (contents() does not follow the shift)
+ *
+ * @return {LCD}
+ */
 LCD.prototype.autoscroll = function() {
   var state = priv.get(this);
 
@@ -983,6 +1157,9 @@ LCD.prototype.createChar = function(name, charMap) {
   // Fill in address
   state.characters[name] = address;
 
+  // The display's address counter is in CGRAM now
+  state.counter = null;
+
   return address;
 };
 
@@ -1000,6 +1177,327 @@ LCD.prototype.useChar = function(name) {
 };
 
 
+/**
+ * Layout
+ *
+ * text() and append() lay out messages across the rows of a
+ * screen: word-wrapped to `cols`, aligned, and scrolled up a
+ * line at a time when they run past the last row. With
+ * wrap: false, each line of a message keeps to a single row,
+ * and lines longer than `cols` scroll across it in a marquee.
+ *
+ * Screens are named, virtual sets of rows; only the active
+ * screen is written to the display. The others keep their
+ * contents until screen() switches to them.
+ */
+
+var MARQUEE_GAP = "   ";
+
+// Word-wrap a message into lines of at most `cols` characters,
+// breaking words that are longer than a line
+function wrap(message, cols) {
+  var lines = [];
+
+  message.split("\n").forEach(function(paragraph) {
+    var count = lines.length;
+    var line = "";
+
+    paragraph.split(" ").forEach(function(word) {
+      while (word.length > cols) {
+        if (line) {
+          lines.push(line);
+          line = "";
+        }
+        lines.push(word.slice(0, cols));
+        word = word.slice(cols);
+      }
+
+      if (!word) {
+        return;
+      }
+
+      if (!line) {
+        line = word;
+      } else if (line.length + word.length < cols) {
+        line += " " + word;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    });
+
+    // Blank paragraphs are blank lines
+    if (line || lines.length === count) {
+      lines.push(line);
+    }
+  });
+
+  return lines;
+}
+
+// Pad a line to `cols` characters
+function align(text, cols, alignment) {
+  var padding = cols - text.length;
+  var left = 0;
+
+  if (alignment === "right") {
+    left = padding;
+  } else if (alignment === "center") {
+    left = Math.floor(padding / 2);
+  }
+
+  return " ".repeat(left) + text + " ".repeat(padding - left);
+}
+
+// The characters of a line that are in view
+function visible(line, cols) {
+  var loop;
+
+  if (line.marquee) {
+    loop = line.text + MARQUEE_GAP;
+    return (loop + loop).substr(line.offset, cols);
+  }
+
+  return align(line.text, cols, line.align);
+}
+
+function blank() {
+  return {
+    text: "",
+    align: "left",
+    marquee: false,
+    offset: 0,
+    speed: 0,
+    timer: null,
+  };
+}
+
+// A screen, created (blank) when first used
+function screen(lcd, name) {
+  var screens = priv.get(lcd).screens;
+
+  if (!screens.has(name)) {
+    screens.set(name, {
+      lines: Array.from({ length: lcd.rows }, blank),
+      // The row that append() continues from
+      next: 0,
+    });
+  }
+
+  return screens.get(name);
+}
+
+// Write a row of the active screen to the display
+function draw(lcd, row) {
+  var state = priv.get(lcd);
+  var line = screen(lcd, state.screen).lines[row];
+
+  lcd.setCursor(0, row).print(visible(line, lcd.cols), {
+    dontProcessSpecials: true
+  });
+}
+
+// Whether a line's marquee is scrolling (the board's scheduler
+// cancels it when the board exits)
+function scrolling(line) {
+  return !!line.timer && line.timer.state !== "cancelled";
+}
+
+// Stop a line's marquee
+function halt(line) {
+  if (line.timer) {
+    line.timer.cancel();
+    line.timer = null;
+  }
+}
+
+// Start the marquees of the active screen
+function run(lcd) {
+  var state = priv.get(lcd);
+  var lines = screen(lcd, state.screen).lines;
+
+  lines.forEach(function(line) {
+    if (!line.marquee || scrolling(line)) {
+      return;
+    }
+
+    line.timer = Scheduler.every(lcd.board, 1000 / line.speed, function() {
+      line.offset = (line.offset + 1) % (line.text.length + MARQUEE_GAP.length);
+      // Lines move up as the screen scrolls
+      draw(lcd, lines.indexOf(line));
+    });
+  });
+}
+
+// Lay out a message on a screen, starting at `row` (null: the
+// row after the last line laid out)
+function layout(lcd, message, row, opts) {
+  var state = priv.get(lcd);
+  var name = typeof opts.screen === "undefined" ? state.screen : opts.screen;
+  var target = screen(lcd, name);
+  var wrapping = opts.wrap !== false;
+  var drawn = [];
+  var scrolled = false;
+  var texts;
+
+  message = String(message);
+
+  if (!opts.dontProcessSpecials) {
+    message = specials(state, message);
+  }
+
+  texts = wrapping ? wrap(message, lcd.cols) : message.split("\n");
+
+  if (row === null) {
+    row = target.next;
+  }
+
+  texts.forEach(function(text) {
+    // Past the last row, scroll up a line
+    if (row >= lcd.rows) {
+      halt(target.lines.shift());
+      target.lines.push(blank());
+      row = lcd.rows - 1;
+      scrolled = true;
+    }
+
+    halt(target.lines[row]);
+
+    target.lines[row] = {
+      text: text,
+      align: opts.align || "left",
+      marquee: text.length > lcd.cols,
+      offset: 0,
+      speed: opts.speed || 3,
+      timer: null,
+    };
+
+    drawn.push(row++);
+  });
+
+  target.next = row;
+
+  if (name === state.screen) {
+    if (scrolled) {
+      drawn = target.lines.map(function(line, index) {
+        return index;
+      });
+    }
+
+    drawn.forEach(function(index) {
+      draw(lcd, index);
+    });
+
+    run(lcd);
+  }
+
+  return lcd;
+}
+
+/**
+ * text Lay out a message, starting at a row
+ *
+ * lcd.text("Now playing: Blue Monday, New Order", { align: "center" });
+ * lcd.text("Blue Monday - New Order - Power, Corruption & Lies", {
+ *   row: 1,
+ *   wrap: false
+ * });
+ *
+ * Only the rows the message is laid out on change; a message
+ * that runs past the last row scrolls the screen up.
+ *
+ * @param  {String} message
+ * @param  {Object} opts Options: row (default: 0), align ("left",
+ *                       "center" or "right", default: "left"),
+ *                       wrap (default: true), speed (of marquees,
+ *                       in characters per second, default: 3),
+ *                       screen (default: the active screen),
+ *                       dontProcessSpecials
+ * @return {LCD}
+ */
+LCD.prototype.text = function(message, opts) {
+  opts = opts || {};
+
+  return layout(this, message, Board.constrain(opts.row || 0, 0, this.rows - 1), opts);
+};
+
+/**
+ * append Lay out a message on the rows after the last message,
+ * scrolling the screen up as the rows run out (as a terminal
+ * does)
+ *
+ * lcd.append("Connecting...");
+ * lcd.append("Connected", { align: "right" });
+ *
+ * @param  {String} message
+ * @param  {Object} opts Options: see text() (without row)
+ * @return {LCD}
+ */
+LCD.prototype.append = function(message, opts) {
+  return layout(this, message, null, opts || {});
+};
+
+/**
+ * screen Switch to a screen (created blank when first used),
+ * writing its rows to the display
+ *
+ * lcd.text("Inside 21C", { screen: "temperatures" });
+ * lcd.text("Humidity 40%", { screen: "humidity" });
+ *
+ * lcd.screen("temperatures");
+ *
+ * @param  {String} name (optional, when missing the
+ *                       method behaves like a getter)
+ * @return {LCD|String}
+ */
+LCD.prototype.screen = function(name) {
+  var state = priv.get(this);
+
+  if (typeof name === "undefined") {
+    return state.screen;
+  }
+
+  screen(this, state.screen).lines.forEach(halt);
+  state.screen = name;
+
+  screen(this, name).lines.forEach(function(line, row) {
+    draw(this, row);
+  }, this);
+
+  run(this);
+
+  return this;
+};
+
+/**
+ * stop Stop the marquees of the active screen (until the
+ * next text(), append() or screen())
+ *
+ * @return {LCD}
+ */
+LCD.prototype.stop = function() {
+  var state = priv.get(this);
+
+  screen(this, state.screen).lines.forEach(halt);
+
+  return this;
+};
+
+Object.defineProperties(LCD.prototype, {
+  /**
+   * [read-only] Whether a marquee is scrolling on the active screen
+   * @property isScrolling
+   * @type Boolean
+   */
+  isScrolling: {
+    get: function() {
+      var state = priv.get(this);
+
+      return screen(this, state.screen).lines.some(scrolling);
+    }
+  },
+});
+
 /**
  *
 
@@ -0,0 +1,483 @@
+var Scheduler = require("../board.scheduler");
+var ledCharacters = require("./led-chars");
+
+var priv = new Map();
+
+/**
+ * glyph Crop a font character (an array of row bytes, the
+ * leftmost column in the most significant bit) to its lit
+ * columns
+ *
+ * @param  {Array} rows
+ * @return {Object} { width, columns: [[states of each row], ...] }
+ */
+function glyph(rows) {
+  var lit = rows.reduce(function(bits, row) {
+    return bits | row;
+  }, 0);
+  var first = 0;
+  var last = 7;
+  var columns = [];
+
+  if (!lit) {
+    return null;
+  }
+
+  while ((lit & (0x80 >> first)) === 0) {
+    first++;
+  }
+
+  while ((lit & (0x80 >> last)) === 0) {
+    last--;
+  }
+
+  for (var col = first; col <= last; col++) {
+    columns.push(column(rows, col));
+  }
+
+  return {
+    width: columns.length,
+    columns: columns
+  };
+}
+
+function column(rows, col) {
+  return rows.map(function(row) {
+    return (row >> (7 - col)) & 0x01;
+  });
+}
+
+// A bitmap row as an array of states: a number (the leftmost
+// column in bit width - 1), a string of "0"s and "1"s, or an
+// array of states
+function bits(row, width) {
+  var states = [];
+
+  if (Array.isArray(row)) {
+    return row;
+  }
+
+  if (typeof row === "string") {
+    return row.split("").map(Number);
+  }
+
+  for (var i = width - 1; i >= 0; i--) {
+    states.push((row >> i) & 0x01);
+  }
+
+  return states;
+}
+
+/**
+ * Canvas
+ * @constructor
+ *
+ * A frame buffer spanning all of the devices of a LedControl
+ * matrix (MAX7219 or HT16K33), drawn with pixels, lines,
+ * rectangles, bitmaps and proportional text, and written to
+ * the devices with show(), which transmits only the rows that
+ * changed since the last show().
+ *
+ * var canvas = new five.Led.Matrix.Canvas({
+ *   matrix: new five.Led.Matrix({ pins: ..., devices: 4 })
+ * });
+ *
+ * canvas.text(0, 0, "Hi!").show();
+ * canvas.marquee("Departures: 10:42 Platform 3", { speed: 20 });
+ *
+ * Devices are laid out left to right, device 0 first (or
+ * last, with `reverse`), in rows of `across` devices (default:
+ * all of them, in a single row).
+ *
+ * @param {Object} opts Options: matrix, across, reverse, font
+ */
+function Canvas(opts) {
+  if (!(this instanceof Canvas)) {
+    return new Canvas(opts);
+  }
+
+  var matrix, across;
+
+  opts = opts || {};
+  matrix = opts.matrix;
+
+  if (!matrix || !matrix.isMatrix) {
+    throw new Error("Led.Matrix.Canvas requires a `matrix` (a Led.Matrix or LedControl with isMatrix: true)");
+  }
+
+  across = opts.across || matrix.devices;
+
+  this.matrix = matrix;
+  // The board of the matrix, whose scheduler runs the marquee
+  this.board = matrix.board || null;
+  this.across = across;
+  this.reverse = !!opts.reverse;
+  this.width = across * matrix.columns;
+  this.height = Math.ceil(matrix.devices / across) * matrix.rows;
+  this.font = opts.font || ledCharacters.MATRIX_CHARS;
+
+  priv.set(this, {
+    pixels: new Uint8Array(this.width * this.height),
+    // The rows as last shown, per device (unknown until the first show())
+    shown: Array.from({ length: matrix.devices }, function() {
+      return [];
+    }),
+    glyphs: new Map(),
+    marquee: null,
+  });
+}
+
+/**
+ * setPixel
+ *
+ * @param  {Number} x
+ * @param  {Number} y
+ * @param  {Number|Boolean} state 1 or true: on, 0 or false: off,
+ *                                or a LedControl.COLORS value (default: 1)
+ * @return {Canvas}
+ */
+Canvas.prototype.setPixel = function(x, y, state) {
+  var pixels = priv.get(this).pixels;
+
+  x = Math.round(x);
+  y = Math.round(y);
+
+  if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+    pixels[y * this.width + x] = typeof state === "undefined" ? 1 : +state;
+  }
+
+  return this;
+};
+
+/**
+ * getPixel
+ *
+ * @param  {Number} x
+ * @param  {Number} y
+ * @return {Number} The state of the pixel (0 outside the canvas)
+ */
+Canvas.prototype.getPixel = function(x, y) {
+  if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+    return 0;
+  }
+
+  return priv.get(this).pixels[y * this.width + x];
+};
+
+/**
+ * clear Turn every pixel off
+ *
+ * @return {Canvas}
+ */
+Canvas.prototype.clear = function() {
+  return this.fill(0);
+};
+
+/**
+ * fill Set every pixel
+ *
+ * @param  {Number|Boolean} state (default: 1)
+ * @return {Canvas}
+ */
+Canvas.prototype.fill = function(state) {
+  priv.get(this).pixels.fill(typeof state === "undefined" ? 1 : +state);
+  return this;
+};
+
+/**
+ * line Draw a line (Bresenham's)
+ *
+ * @param  {Number} x0, y0 Start
+ * @param  {Number} x1, y1 End
+ * @param  {Number|Boolean} state (default: 1)
+ * @return {Canvas}
+ */
+Canvas.prototype.line = function(x0, y0, x1, y1, state) {
+  var dx = Math.abs(x1 - x0);
+  var dy = -Math.abs(y1 - y0);
+  var sx = x0 < x1 ? 1 : -1;
+  var sy = y0 < y1 ? 1 : -1;
+  var error = dx + dy;
+  var doubled;
+
+  while (true) {
+    this.setPixel(x0, y0, state);
+
+    if (x0 === x1 && y0 === y1) {
+      break;
+    }
+
+    doubled = 2 * error;
+
+    if (doubled >= dy) {
+      error += dy;
+      x0 += sx;
+    }
+
+    if (doubled <= dx) {
+      error += dx;
+      y0 += sy;
+    }
+  }
+
+  return this;
+};
+
+/**
+ * rect Draw a rectangle
+ *
+ * @param  {Number} x, y          Top left corner
+ * @param  {Number} width, height
+ * @param  {Number|Boolean} state (default: 1)
+ * @param  {Boolean} fill         Fill the rectangle (default: outline)
+ * @return {Canvas}
+ */
+Canvas.prototype.rect = function(x, y, width, height, state, fill) {
+  var right = x + width - 1;
+  var bottom = y + height - 1;
+
+  if (width < 1 || height < 1) {
+    return this;
+  }
+
+  if (fill) {
+    for (var row = y; row <= bottom; row++) {
+      this.line(x, row, right, row, state);
+    }
+    return this;
+  }
+
+  return this
+    .line(x, y, right, y, state)
+    .line(x, bottom, right, bottom, state)
+    .line(x, y, x, bottom, state)
+    .line(right, y, right, bottom, state);
+};
+
+/**
+ * bitmap Draw a bitmap; unlit bitmap pixels are left as they are
+ * (or, with `opaque`, turned off)
+ *
+ * @param  {Number} x, y  Top left corner
+ * @param  {Array}  rows  Rows of numbers (the leftmost column in the
+ *                        most significant bit), strings ("01100110")
+ *                        or arrays of states
+ * @param  {Object} opts  Options: width (of number rows, default: 8),
+ *                        state, opaque
+ * @return {Canvas}
+ */
+Canvas.prototype.bitmap = function(x, y, rows, opts) {
+  opts = opts || {};
+
+  rows.forEach(function(row, dy) {
+    bits(row, opts.width || 8).forEach(function(lit, dx) {
+      if (+lit) {
+        this.setPixel(x + dx, y + dy, opts.state);
+      } else if (opts.opaque) {
+        this.setPixel(x + dx, y + dy, 0);
+      }
+    }, this);
+  }, this);
+
+  return this;
+};
+
+// The cropped glyph of a character of the canvas's font
+function character(canvas, chr) {
+  var glyphs = priv.get(canvas).glyphs;
+
+  if (!glyphs.has(chr)) {
+    glyphs.set(chr, canvas.font[chr] ? glyph(canvas.font[chr]) : null);
+  }
+
+  return glyphs.get(chr);
+}
+
+/**
+ * measure The width of a text, in pixels
+ *
+ * @param  {String} text
+ * @param  {Object} opts Options: spacing (between characters,
+ *                       default: 1), space (the width of " " and
+ *                       of unknown characters, default: 3)
+ * @return {Number}
+ */
+Canvas.prototype.measure = function(text, opts) {
+  opts = opts || {};
+
+  return String(text).split("").reduce(function(width, chr, index) {
+    var shape = character(this, chr);
+
+    return width + (index ? spacing(opts) : 0) + (shape ? shape.width : space(opts));
+  }.bind(this), 0);
+};
+
+function spacing(opts) {
+  return typeof opts.spacing === "number" ? opts.spacing : 1;
+}
+
+function space(opts) {
+  return typeof opts.space === "number" ? opts.space : 3;
+}
+
+/**
+ * text Draw a text in the canvas's font, each character as
+ * wide as its lit columns
+ *
+ * @param  {Number} x, y  Top left corner
+ * @param  {String} text
+ * @param  {Object} opts  Options: state, spacing, space (see measure)
+ * @return {Canvas}
+ */
+Canvas.prototype.text = function(x, y, text, opts) {
+  opts = opts || {};
+
+  String(text).split("").forEach(function(chr) {
+    var shape = character(this, chr);
+
+    if (!shape) {
+      x += space(opts) + spacing(opts);
+      return;
+    }
+
+    shape.columns.forEach(function(states, dx) {
+      states.forEach(function(lit, dy) {
+        if (lit) {
+          this.setPixel(x + dx, y + dy, opts.state);
+        }
+      }, this);
+    }, this);
+
+    x += shape.width + spacing(opts);
+  }, this);
+
+  return this;
+};
+
+// The device, and the device's column, of a canvas column
+function device(canvas, x, y) {
+  var matrix = canvas.matrix;
+  var across = Math.floor(x / matrix.columns);
+
+  if (canvas.reverse) {
+    across = canvas.across - across - 1;
+  }
+
+  return Math.floor(y / matrix.rows) * canvas.across + across;
+}
+
+/**
+ * show Write the canvas to the devices, transmitting only the
+ * rows that changed since the last show()
+ *
+ * @return {Canvas}
+ */
+Canvas.prototype.show = function() {
+  var state = priv.get(this);
+  var matrix = this.matrix;
+  var changes = state.shown.map(function() {
+    return [];
+  });
+
+  for (var y = 0; y < this.height; y++) {
+    for (var x = 0; x < this.width; x += matrix.columns) {
+      var addr = device(this, x, y);
+      var row = y % matrix.rows;
+      var states = Array.from(state.pixels.subarray(y * this.width + x, y * this.width + x + matrix.columns));
+      var shown = state.shown[addr] && state.shown[addr][row];
+
+      if (addr < matrix.devices && (!shown || shown.join() !== states.join())) {
+        changes[addr][row] = states;
+        state.shown[addr][row] = states;
+      }
+    }
+  }
+
+  changes.forEach(function(rows, addr) {
+    if (rows.length) {
+      matrix.display(addr, rows);
+    }
+  });
+
+  return this;
+};
+
+/**
+ * marquee Scroll a text across the canvas, from right to left,
+ * one column at a time
+ *
+ * @param  {String} text
+ * @param  {Object} opts Options: speed (columns per second,
+ *                       default: 10), y (default: 0), loop,
+ *                       state, spacing, space (see measure)
+ * @param  {Function} callback Called when the text has scrolled
+ *                             out of sight (with loop, each time)
+ * @return {Canvas}
+ */
+Canvas.prototype.marquee = function(text, opts, callback) {
+  var state = priv.get(this);
+  var width, offset;
+
+  if (typeof opts === "function") {
+    callback = opts;
+    opts = null;
+  }
+
+  opts = opts || {};
+
+  this.stop();
+
+  width = this.measure(text, opts);
+  offset = this.width;
+
+  // (The marquee is cancelled when the board exits)
+  state.marquee = Scheduler.every(this.board, 1000 / (opts.speed || 10), function() {
+    this.clear().text(offset, opts.y || 0, text, opts).show();
+
+    if (--offset < -width) {
+      offset = this.width;
+
+      if (!opts.loop) {
+        this.stop();
+      }
+
+      if (typeof callback === "function") {
+        callback();
+      }
+    }
+  }.bind(this));
+
+  return this;
+};
+
+/**
+ * stop Stop the marquee
+ *
+ * @return {Canvas}
+ */
+Canvas.prototype.stop = function() {
+  var state = priv.get(this);
+
+  if (state.marquee) {
+    state.marquee.cancel();
+    state.marquee = null;
+  }
+
+  return this;
+};
+
+Object.defineProperties(Canvas.prototype, {
+  /**
+   * [read-only] Whether a marquee is scrolling
+   * @property isScrolling
+   * @type Boolean
+   */
+  isScrolling: {
+    get: function() {
+      var marquee = priv.get(this).marquee;
+      return !!marquee && marquee.state !== "cancelled";
+    }
+  },
+});
+
+module.exports = Canvas;
@@ -3,5 +3,6 @@ Led.Array = require("./leds");
 Led.RGB = require("./rgb");
 Led.Matrix = require("./matrix");
 Led.Digits = require("./digits");
+Led.Strip = require("./strip");
 
 module.exports = Led;
@@ -2,6 +2,7 @@ var IS_TEST_MODE = !!process.env.IS_TEST_MODE;
 var Board = require("../board.js");
 var Expander = require("../expander");
 var Animation = require("../animation");
+var Operation = require("../operation");
 var Pins = Board.Pins;
 
 var priv = new Map();
@@ -126,7 +127,9 @@ function Led(opts) {
   var pinValue = typeof opts === "object" ? opts.pin : opts;
 
   Board.Component.call(
-    this, opts = Board.Options(opts)
+    this, opts = Board.Options(opts), {
+      pinMode: "OUTPUT"
+    }
   );
 
   if (opts.controller && typeof opts.controller === "string") {
@@ -141,6 +144,9 @@ function Led(opts) {
 
   Object.defineProperties(this, controller);
 
+  // Return promises from timed operations (fade, fadeIn, fadeOut)
+  this.promises = Operation.isEnabled(this, opts);
+
   state = {
     isOn: false,
     isRunning: false,
@@ -358,11 +364,18 @@ Led.prototype.pulse = function(rate, callback) {
  * - or -
  *
  * @param  {Object} val An Animation() segment config object
+ *
+ * - or, when created with `promises: true` -
+ *
+ * @return {Promise} Resolved with the Led when the fade is
+ *                   complete, rejected by `stop()`
  */
 
 Led.prototype.fade = function(val, time, callback) {
 
   var state = priv.get(this);
+  var operation;
+  var oncomplete;
 
   this.stop();
 
@@ -390,12 +403,24 @@ Led.prototype.fade = function(val, time, callback) {
     callback = time;
   }
 
+  operation = Operation.begin(this);
+
+  if (operation) {
+    oncomplete = options.oncomplete;
+    options.oncomplete = function() {
+      operation.complete();
+      if (typeof oncomplete === "function") {
+        oncomplete.apply(this, arguments);
+      }
+    };
+  }
+
   state.isRunning = true;
 
   state.animation = state.animation || new Animation(this);
   state.animation.enqueue(options);
 
-  return this;
+  return Operation.result(this, operation);
 };
 
 Led.prototype.fadeIn = function(time, callback) {
@@ -451,11 +476,47 @@ Led.prototype.stop = function() {
     state.animation.stop();
   }
 
+  Operation.interrupt(this);
+
   state.isRunning = false;
 
   return this;
 };
 
+/**
+ * toJSON
+ *
+ * @return {Object} The state record used by Board.prototype.serialize
+ */
+Led.prototype.toJSON = function() {
+  var state = priv.get(this);
+
+  return {
+    id: this.id,
+    pin: this.pin,
+    value: state.value,
+    isOn: this.isOn
+  };
+};
+
+/**
+ * fromJSON Return the led to a brightness recorded by toJSON
+ *
+ * @param  {Object} data A state record
+ * @return {Led}
+ */
+Led.prototype.fromJSON = function(data) {
+  if (data && typeof data.value === "number") {
+    if (data.value) {
+      this.brightness(data.value);
+    } else {
+      this.off();
+    }
+  }
+
+  return this;
+};
+
 if (IS_TEST_MODE) {
   Led.purge = function() {
     priv.clear();
@@ -85,6 +85,7 @@ function LedControl(opts) {
   this.clear = controller.clear;
   this.led = controller.led;
   this.row = controller.row;
+  this.display = controller.display;
   this.scanLimit = controller.scanLimit;
   this.send = controller.send;
   this.sendDigit = controller.sendDigit;
@@ -611,70 +612,101 @@ Controllers = {
           this.led(device, row, col, state);
         });
       } else {
-        var x = col;
-        var y = row;
-        var tmp, rows = this.rows, columns = this.columns;
-        if ((y < 0) || (y >= rows)) {
-          return;
+        if (Controllers.HT16K33.buffer.call(this, addr, row, col, state)) {
+          this.writeDisplay(addr);
         }
-        if ((x < 0) || (x >= columns)) {
-          return;
+      }
+      return this;
+    },
+
+    /**
+     * buffer Set the status of a single Led in the display buffer,
+     * without writing the display.
+     *
+     * @return {Boolean} false when the Led is outside the matrix
+     */
+    buffer: function(addr, row, col, state) {
+      var x = col;
+      var y = row;
+      var tmp, rows = this.rows, columns = this.columns;
+      if ((y < 0) || (y >= rows)) {
+        return false;
+      }
+      if ((x < 0) || (x >= columns)) {
+        return false;
+      }
+      switch (this.rotation) {
+        case 1:
+          columns = this.rows;
+          rows = this.columns;
+          tmp = x;
+          x = y;
+          y = tmp;
+          x = columns - x - 1;
+          break;
+        case 2:
+          x = columns - x - 1;
+          y = rows - y - 1;
+          break;
+        case 3:
+          columns = this.rows;
+          rows = this.columns;
+          tmp = x;
+          x = y;
+          y = tmp;
+          y = rows - y - 1;
+          break;
+      }
+      if (!this.isBicolor) {
+        // x needs to be wrapped around for single color 8x8 AdaFruit matrix
+        if (columns === 8 && rows === 8) {
+          x += columns - 1;
+          x %= columns;
         }
-        switch (this.rotation) {
-          case 1:
-            columns = this.rows;
-            rows = this.columns;
-            tmp = x;
-            x = y;
-            y = tmp;
-            x = columns - x - 1;
-            break;
-          case 2:
-            x = columns - x - 1;
-            y = rows - y - 1;
-            break;
-          case 3:
-            columns = this.rows;
-            rows = this.columns;
-            tmp = x;
-            x = y;
-            y = tmp;
-            y = rows - y - 1;
-            break;
+        if (state) {
+          this.displaybuffers[addr][y] |= 1 << x;
+        } else {
+          this.displaybuffers[addr][y] &= ~(1 << x);
         }
-        if (!this.isBicolor) {
-          // x needs to be wrapped around for single color 8x8 AdaFruit matrix
-          if (columns === 8 && rows === 8) {
-            x += columns - 1;
-            x %= columns;
-          }
-          if (state) {
-            this.displaybuffers[addr][y] |= 1 << x;
-          } else {
-            this.displaybuffers[addr][y] &= ~(1 << x);
-          }
+      } else {
+        // 8x8 bi-color matrixes only
+        if (state === LedControl.COLORS.GREEN) {
+          // Turn on green LED.
+          this.displaybuffers[addr][y] |= 1 << x;
+          // Turn off red LED.
+          this.displaybuffers[addr][y] &= ~(1 << (x + 8));
+        } else if (state === LedControl.COLORS.YELLOW) {
+          // Turn on green and red LED.
+          this.displaybuffers[addr][y] |= (1 << (x + 8)) | (1 << x);
+        } else if (state) {
+          // Turn on red LED.
+          this.displaybuffers[addr][y] |= 1 << (x + 8);
+          // Turn off green LED.
+          this.displaybuffers[addr][y] &= ~(1 << x);
         } else {
-          // 8x8 bi-color matrixes only
-          if (state === LedControl.COLORS.GREEN) {
-            // Turn on green LED.
-            this.displaybuffers[addr][y] |= 1 << x;
-            // Turn off red LED.
-            this.displaybuffers[addr][y] &= ~(1 << (x + 8));
-          } else if (state === LedControl.COLORS.YELLOW) {
-            // Turn on green and red LED.
-            this.displaybuffers[addr][y] |= (1 << (x + 8)) | (1 << x);
-          } else if (state) {
-            // Turn on red LED.
-            this.displaybuffers[addr][y] |= 1 << (x + 8);
-            // Turn off green LED.
-            this.displaybuffers[addr][y] &= ~(1 << x);
-          } else {
-            // Turn off green and red LED.
-            this.displaybuffers[addr][y] &= ~(1 << x) & ~(1 << (x + 8));
-          }
+          // Turn off green and red LED.
+          this.displaybuffers[addr][y] &= ~(1 << x) & ~(1 << (x + 8));
         }
-        this.writeDisplay(addr);
       }
+      return true;
+    },
+
+    /**
+     * display Update several rows of a device, with a single write
+     *
+     * @param  {Number} addr Device address
+     * @param  {Array}  rows A (sparse) array of rows, each an array
+     *                       of Led states, one per column
+     * @return {LedControl}
+     */
+    display: function(addr, rows) {
+      rows.forEach(function(states, row) {
+        states.forEach(function(state, col) {
+          Controllers.HT16K33.buffer.call(this, addr, row, col, state);
+        }, this);
+      }, this);
+
+      this.writeDisplay(addr);
       return this;
     },
     writeDisplay: function(addr) {
@@ -946,6 +978,24 @@ Controllers = {
 
       return this;
     },
+    /**
+     * display Update several rows of a device
+     *
+     * @param  {Number} addr Device address
+     * @param  {Array}  rows A (sparse) array of rows, each an array
+     *                       of Led states, one per column
+     * @return {LedControl}
+     */
+    display: function(addr, rows) {
+      rows.forEach(function(states, row) {
+        this.row(addr, row, states.reduce(function(value, state, col) {
+          return state ? value | (0x80 >> col) : value;
+        }, 0));
+      }, this);
+
+      return this;
+    },
+
     /*
      * scanLimit (function from interface)
      * @param {Number} addr Address of Led device
@@ -1093,6 +1143,8 @@ LedControl.MATRIX_DIMENSIONS = {
 LedControl.MATRIX_CHARS = ledCharacters.MATRIX_CHARS;
 LedControl.DIGIT_CHARS = ledCharacters.DIGIT_CHARS;
 
+LedControl.Canvas = require("./canvas");
+
 if (IS_TEST_MODE) {
   LedControl.reset = function() {
     addresses = new Set([0x70, 0x71, 0x72, 0x73, 0x74, 0x75, 0x76, 0x77]);
@@ -1,10 +1,161 @@
 var Board = require("../board.js");
+var Animation = require("../animation");
 var Expander = require("../../lib/expander");
+var Operation = require("../operation");
 var __ = require("../fn.js");
 var converter = require("color-convert");
 
 var priv = new Map();
 
+// The exponent of the LEDs' (approximate) response: output
+// light is proportional to (value / 255) ^ GAMMA
+var GAMMA = 2.8;
+
+/**
+ * Color spaces for animation. Colors are converted to a
+ * tuple in the space before interpolation, and back to
+ * RGB to render:
+ *
+ *   rgb    Raw values
+ *   hsv    Hue (0-360°), saturation and value (0-1): fades
+ *          keep their colors saturated, and hues turn the
+ *          short way around the color wheel
+ *   gamma  Gamma corrected values, so that brightness
+ *          changes evenly to the eye
+ */
+var Spaces = {
+  rgb: {
+    from: function(rgb) {
+      return rgb;
+    },
+    to: function(tuple) {
+      return tuple;
+    }
+  },
+  hsv: {
+    from: function(rgb) {
+      var r = rgb[0] / 255;
+      var g = rgb[1] / 255;
+      var b = rgb[2] / 255;
+      var max = Math.max(r, g, b);
+      var delta = max - Math.min(r, g, b);
+      var hue = 0;
+
+      if (delta) {
+        if (max === r) {
+          hue = (g - b) / delta;
+        } else if (max === g) {
+          hue = (b - r) / delta + 2;
+        } else {
+          hue = (r - g) / delta + 4;
+        }
+        hue = (hue * 60 + 360) % 360;
+      }
+
+      return [hue, max ? delta / max : 0, max];
+    },
+    to: function(tuple) {
+      var hue = ((tuple[0] % 360) + 360) % 360;
+      var chroma = tuple[2] * tuple[1];
+      var x = chroma * (1 - Math.abs((hue / 60) % 2 - 1));
+      var m = tuple[2] - chroma;
+      var sectors = [
+        [chroma, x, 0], [x, chroma, 0], [0, chroma, x],
+        [0, x, chroma], [x, 0, chroma], [chroma, 0, x]
+      ];
+
+      return sectors[Math.floor(hue / 60) % 6].map(function(value) {
+        return (value + m) * 255;
+      });
+    }
+  },
+  gamma: {
+    from: function(rgb) {
+      return rgb.map(function(value) {
+        return 255 * Math.pow(value / 255, 1 / GAMMA);
+      });
+    },
+    to: function(tuple) {
+      return tuple.map(function(value) {
+        return 255 * Math.pow(Board.constrain(value, 0, 255) / 255, GAMMA);
+      });
+    }
+  },
+};
+
+/**
+ * parse
+ *
+ * @param  {String} input Hexadecimal color string or CSS color name
+ * @param  {Array} input Array of color values
+ * @param  {Object} input object {red, green, blue}
+ * @return {Object} {red, green, blue} (unvalidated)
+ */
+function parse(input) {
+  if (input == null) {
+    throw new Error("Led.RGB.color: invalid color (" + input + ")");
+  }
+
+  if (Array.isArray(input)) {
+    // color([Byte, Byte, Byte])
+    return {
+      red: input[0],
+      green: input[1],
+      blue: input[2]
+    };
+  }
+
+  if (typeof input === "object") {
+    // colors({
+    //   red: Byte,
+    //   green: Byte,
+    //   blue: Byte
+    // });
+    return {
+      red: input.red,
+      green: input.green,
+      blue: input.blue
+    };
+  }
+
+  if (typeof input === "string") {
+    // color("#ffffff") or color("ffffff")
+    if (input.match(/^#?[0-9A-Fa-f]{6}$/)) {
+
+      // remove the leading # if there is one
+      if (input.length === 7 && input[0] === "#") {
+        input = input.slice(1);
+      }
+
+      return {
+        red: parseInt(input.slice(0, 2), 16),
+        green: parseInt(input.slice(2, 4), 16),
+        blue: parseInt(input.slice(4, 6), 16)
+      };
+    }
+
+    // color name
+    return parse(converter.keyword2rgb(input.toLowerCase()));
+  }
+
+  return {};
+}
+
+// Validate (and constrain) all color values
+function validate(update) {
+  RGB.colors.forEach(function(color) {
+    var value = update[color];
+
+    if (value == null) {
+      throw new Error("Led.RGB.color: invalid color ([" + [update.red, update.green, update.blue].join(",") + "])");
+    }
+
+    update[color] = __.constrain(value, 0, 255);
+  });
+
+  return update;
+}
+
 var Controllers = {
   DEFAULT: {
     initialize: {
@@ -176,6 +327,18 @@ var RGB = function(opts) {
 
   Object.defineProperties(this, controller);
 
+  // The color space in which animations interpolate: "hsv",
+  // "gamma" or "rgb" (see Spaces)
+  this.space = opts.space || "hsv";
+
+  if (!Spaces[this.space]) {
+    throw new Error("Led.RGB `space` must be \"hsv\", \"gamma\" or \"rgb\"");
+  }
+
+  // Return promises from timed operations (fade, fadeIn,
+  // fadeOut, gradient)
+  this.promises = Operation.isEnabled(this, opts);
+
   // The default color is #ffffff, but the light will be off
   state = {
     red: 255,
@@ -183,7 +346,9 @@ var RGB = function(opts) {
     blue: 255,
     intensity: 100,
     isAnode: opts.isAnode || false,
-    interval: null
+    interval: null,
+    animation: null,
+    space: null
   };
 
   // red, green, and blue store the raw color set via .color()
@@ -206,7 +371,7 @@ var RGB = function(opts) {
     },
     isRunning: {
       get: function() {
-        return !!state.interval;
+        return !!state.interval || !!state.space;
       }
     },
     isAnode: {
@@ -243,6 +408,33 @@ var RGB = function(opts) {
 
 RGB.colors = ["red", "green", "blue"];
 
+/**
+ * ToRGB Parse and validate a color, as accepted by color()
+ *
+ * @param  {String} color Hexadecimal color string or CSS color name
+ * @param  {Array} color Array of color values
+ * @param  {Object} color object {red, green, blue}
+ * @param  {Number} red, green, blue
+ *
+ * @return {Object} {red, green, blue} (constrained to 0-255)
+ */
+RGB.ToRGB = function(red, green, blue) {
+  var update;
+
+  if (arguments.length === 1) {
+    update = parse(red);
+  } else {
+    // color(Byte, Byte, Byte)
+    update = {
+      red: red,
+      green: green,
+      blue: blue
+    };
+  }
+
+  return validate(update);
+};
+
 /**
 * color
 *
@@ -252,10 +444,9 @@ RGB.colors = ["red", "green", "blue"];
 *
 * @return {RGB}
 */
-RGB.prototype.color = function(red, green, blue) {
+RGB.prototype.color = function() {
   var state = priv.get(this);
-  var update = {};
-  var input;
+  var update;
   var colors;
 
   if (arguments.length === 0) {
@@ -267,73 +458,8 @@ RGB.prototype.color = function(red, green, blue) {
     }, {});
   }
 
-  if (arguments.length === 1) {
-    input = red;
-
-    if (input == null) {
-      throw new Error("Led.RGB.color: invalid color (" + input + ")");
-    }
-
-    if (Array.isArray(input)) {
-        // color([Byte, Byte, Byte])
-        update = {
-          red: input[0],
-          green: input[1],
-          blue: input[2]
-        };
-    } else if (typeof input === "object") {
-        // colors({
-        //   red: Byte,
-        //   green: Byte,
-        //   blue: Byte
-        // });
-        update = {
-          red: input.red,
-          green: input.green,
-          blue: input.blue
-        };
-    } else if (typeof input === "string") {
-
-      // color("#ffffff") or color("ffffff")
-      if (input.match(/^#?[0-9A-Fa-f]{6}$/)) {
-
-        // remove the leading # if there is one
-        if (input.length === 7 && input[0] === "#") {
-          input = input.slice(1);
-        }
-
-         update = {
-          red: parseInt(input.slice(0, 2), 16),
-          green: parseInt(input.slice(2, 4), 16),
-          blue: parseInt(input.slice(4, 6), 16)
-        };
-
-
-      } else {
-        // color name
-        return this.color(converter.keyword2rgb(input.toLowerCase()));
-      }
-    }
-  } else {
-    // color(Byte, Byte, Byte)
-    update = {
-      red: red,
-      green: green,
-      blue: blue
-    };
-  }
-
   // Validate all color values before writing any values
-  RGB.colors.forEach(function(color) {
-    var value = update[color];
-
-    if (value == null) {
-      throw new Error("Led.RGB.color: invalid color ([" + [update.red, update.green, update.blue].join(",") + "])");
-    }
-
-    value = __.constrain(value, 0, 255);
-    update[color] = value;
-  }, this);
+  update = RGB.ToRGB.apply(null, arguments);
 
   this.update(update);
 
@@ -391,6 +517,10 @@ RGB.prototype.toggle = function() {
   return this[this.isOn ? "off" : "on"]();
 };
 
+/**
+ * stop Stop the led from strobing, fading, pulsing or cycling
+ * @return {RGB}
+ */
 RGB.prototype.stop = function() {
   var state = priv.get(this);
 
@@ -400,6 +530,14 @@ RGB.prototype.stop = function() {
 
   delete state.interval;
 
+  if (state.animation) {
+    state.animation.stop();
+  }
+
+  state.space = null;
+
+  Operation.interrupt(this);
+
   return this;
 };
 
@@ -417,4 +555,435 @@ RGB.prototype.intensity = function(intensity) {
   return this;
 };
 
+/**
+ * toJSON
+ *
+ * @return {Object} The state record used by Board.prototype.serialize
+ */
+RGB.prototype.toJSON = function() {
+  var state = priv.get(this);
+
+  return {
+    id: this.id,
+    pins: this.pins,
+    color: this.color(),
+    intensity: state.intensity,
+    isOn: this.isOn
+  };
+};
+
+/**
+ * fromJSON Return the led to the color, intensity and
+ * on/off state recorded by toJSON
+ *
+ * @param  {Object} data A state record
+ * @return {RGB}
+ */
+RGB.prototype.fromJSON = function(data) {
+  if (!data) {
+    return this;
+  }
+
+  if (typeof data.intensity === "number") {
+    this.intensity(data.intensity);
+  }
+
+  if (data.color) {
+    this.color(data.color);
+  }
+
+  if (data.isOn === false) {
+    this.off();
+  }
+
+  return this;
+};
+
+// The color space of the running animation segment
+function space(rgb) {
+  return Spaces[priv.get(rgb).space || rgb.space];
+}
+
+function tuple(color) {
+  return [color.red, color.green, color.blue];
+}
+
+/**
+ * animate
+ *
+ * Start an animation segment (after stopping anything that
+ * is running), in `options.space`, or the led's own space.
+ *
+ * @param  {RGB}      rgb
+ * @param  {Object}   options   An Animation() segment config object
+ * @param  {Function} callback  Called once the segment is complete
+ * @return {Operation|null}
+ */
+function animate(rgb, options, callback) {
+  var state = priv.get(rgb);
+  var operation, onstart, oncomplete;
+
+  if (options.space && !Spaces[options.space]) {
+    throw new Error("Led.RGB `space` must be \"hsv\", \"gamma\" or \"rgb\"");
+  }
+
+  rgb.stop();
+
+  operation = Operation.begin(rgb);
+  onstart = options.onstart;
+  oncomplete = options.oncomplete;
+
+  options.onstart = function() {
+    state.space = options.space || rgb.space;
+    if (typeof onstart === "function") {
+      onstart.apply(this, arguments);
+    }
+  };
+
+  options.oncomplete = function() {
+    state.space = null;
+    if (operation) {
+      operation.complete();
+    }
+    if (typeof oncomplete === "function") {
+      oncomplete.apply(this, arguments);
+    }
+    if (typeof callback === "function") {
+      callback();
+    }
+  };
+
+  state.animation = state.animation || new Animation(rgb);
+  state.animation.enqueue(options);
+
+  return operation;
+}
+
+/**
+ * fade Fade to a color
+ *
+ * @param  {String|Array|Object} color Any color accepted by color()
+ * @param  {Number} time Time in ms that the fade will elapse
+ * @return {RGB}
+ *
+ * - or -
+ *
+ * @param  {Object} color An Animation() segment config object, which
+ *                        may also have a `space`
+ * @param  {Object} time  Options: duration, easing, space
+ *
+ * - or, when created with `promises: true` -
+ *
+ * @return {Promise} Resolved with the led when the fade is
+ *                   complete, rejected by `stop()`
+ */
+RGB.prototype.fade = function(color, time, callback) {
+  var options = {
+    duration: 1000,
+    keyFrames: [null, color],
+    easing: "outSine"
+  };
+
+  if (typeof time === "function") {
+    callback = time;
+  } else if (typeof time === "number") {
+    options.duration = time;
+  } else if (time) {
+    Object.assign(options, time);
+  }
+
+  if (color && color.keyFrames) {
+    delete options.keyFrames;
+    Object.assign(options, color);
+  } else {
+    // Reject invalid colors before stopping anything
+    validate(parse(color));
+  }
+
+  return Operation.result(this, animate(this, options, callback));
+};
+
+/**
+ * fadeIn Fade from off to the led's color
+ *
+ * @param  {Number} time Time in ms that the fade will elapse
+ * @return {RGB|Promise}
+ */
+RGB.prototype.fadeIn = function(time, callback) {
+  return this.fade(this.color(), time || 1000, callback);
+};
+
+/**
+ * fadeOut Fade to off; on() and fadeIn() restore the color
+ *
+ * @param  {Number} time Time in ms that the fade will elapse
+ * @return {RGB|Promise}
+ */
+RGB.prototype.fadeOut = function(time, callback) {
+  var state = priv.get(this);
+  var color = this.color();
+  var result;
+
+  if (typeof time === "function") {
+    callback = time;
+    time = null;
+  }
+
+  result = this.fade([0, 0, 0], time || 1000, function() {
+    state.prev = color;
+    if (typeof callback === "function") {
+      callback();
+    }
+  });
+
+  return result;
+};
+
+/**
+ * pulse Fade the led's color in and out in a loop
+ *
+ * @param  {Number} rate Time in ms that a fade in/out will elapse
+ * @return {RGB}
+ *
+ * - or -
+ *
+ * @param  {Object} rate Options: color, duration, easing, space, or
+ *                       an Animation() segment config object
+ */
+RGB.prototype.pulse = function(rate, callback) {
+  var options = {
+    duration: typeof rate === "number" ? rate : 1000,
+    keyFrames: [[0, 0, 0], this.color()],
+    metronomic: true,
+    loop: true,
+    easing: "inOutSine",
+    onloop: function() {
+      if (typeof callback === "function") {
+        callback();
+      }
+    }
+  };
+
+  if (typeof rate === "function") {
+    callback = rate;
+  }
+
+  if (rate && typeof rate === "object") {
+    Object.assign(options, rate);
+
+    if (rate.color) {
+      options.keyFrames = [[0, 0, 0], rate.color];
+    }
+  }
+
+  animate(this, options);
+
+  return this;
+};
+
+/**
+ * gradient Fade through a list of colors
+ *
+ * @param  {Array}  stops Colors (or keyframes), spread evenly over time
+ * @param  {Number} time  Time in ms that the whole gradient will elapse
+ * @return {RGB}
+ *
+ * - or -
+ *
+ * @param  {Object} time  Options: duration, easing, space, loop,
+ *                        metronomic, cuePoints
+ *
+ * - or, when created with `promises: true` -
+ *
+ * @return {Promise} Resolved with the led when the gradient is
+ *                   complete, rejected by `stop()`
+ */
+RGB.prototype.gradient = function(stops, time, callback) {
+  var options;
+
+  if (!Array.isArray(stops) || stops.length < 2) {
+    throw new Error("Led.RGB.gradient requires two or more color stops");
+  }
+
+  options = {
+    duration: 1000,
+    keyFrames: stops,
+    cuePoints: stops.map(function(stop, index) {
+      return index / (stops.length - 1);
+    })
+  };
+
+  if (typeof time === "function") {
+    callback = time;
+  } else if (typeof time === "number") {
+    options.duration = time;
+  } else if (time) {
+    Object.assign(options, time);
+  }
+
+  return Operation.result(this, animate(this, options, callback));
+};
+
+/**
+ * cycle Turn around the color wheel, starting from the led's
+ * color (or, for white and grays, from red), in a loop
+ *
+ * @param  {Number} time Time in ms that a turn will elapse
+ *                       (default: 6000)
+ * @return {RGB}
+ *
+ * - or -
+ *
+ * @param  {Object} time Options: duration, ccw (turn counter-clockwise)
+ */
+RGB.prototype.cycle = function(time, callback) {
+  var hsv = Spaces.hsv.from(tuple(this.color()));
+  var options = {
+    duration: typeof time === "number" ? time : 6000,
+    space: "hsv",
+    loop: true,
+    onloop: function() {
+      if (typeof callback === "function") {
+        callback();
+      }
+    }
+  };
+  var turn = 360;
+
+  if (typeof time === "function") {
+    callback = time;
+  }
+
+  if (time && typeof time === "object") {
+    Object.assign(options, time);
+    turn = time.ccw ? -360 : 360;
+    delete options.ccw;
+  }
+
+  hsv[1] = hsv[1] || 1;
+  hsv[2] = hsv[2] || 1;
+
+  options.keyFrames = [
+    { position: hsv },
+    { position: [hsv[0] + turn, hsv[1], hsv[2]] }
+  ];
+
+  animate(this, options);
+
+  return this;
+};
+
+/**
+ * Animation.normalize
+ *
+ * Keyframes are colors (anything accepted by color()), or
+ * { color, easing } objects, converted to tuples in the
+ * animation's color space. Tuples ({ position: [...] }) are
+ * taken as already in that space. A null first keyframe
+ * starts from the current color.
+ *
+ * In HSV, white, grays and black take their hue (and black,
+ * its saturation) from the neighbouring color, so that they
+ * only fade brightness, and hues take the shortest way
+ * around the color wheel.
+ *
+ * @param [object] keyFrames
+ */
+RGB.prototype[Animation.normalize] = function(keyFrames) {
+  var state = priv.get(this);
+  var converter = space(this);
+  var isHSV = converter === Spaces.hsv;
+  var converted = [];
+
+  keyFrames = keyFrames.map(function(keyFrame, index) {
+    var color;
+
+    if (keyFrame === null) {
+      if (index !== 0) {
+        return null;
+      }
+      color = tuple(state);
+    } else if (typeof keyFrame === "object" && keyFrame.position) {
+      return keyFrame;
+    } else if (typeof keyFrame === "object" && typeof keyFrame.color !== "undefined") {
+      color = tuple(validate(parse(keyFrame.color)));
+    } else {
+      color = tuple(validate(parse(keyFrame)));
+      keyFrame = {};
+    }
+
+    converted.push(index);
+
+    return Object.assign({}, keyFrame, {
+      position: converter.from(color)
+    });
+  });
+
+  if (isHSV) {
+    hues(keyFrames, converted);
+  }
+
+  return keyFrames;
+};
+
+// Give achromatic HSV keyframes the hue (and saturation) of a
+// neighbour, and unwrap hues to within 180° of the previous
+// keyframe's hue
+function hues(keyFrames, converted) {
+  var positions = converted.map(function(index) {
+    return keyFrames[index].position;
+  });
+  var chromatic = positions.filter(function(position) {
+    return position[1] > 0;
+  });
+
+  if (!chromatic.length) {
+    return;
+  }
+
+  positions.forEach(function(position, index) {
+    var neighbour;
+
+    if (position[1] > 0) {
+      return;
+    }
+
+    // The nearest colored neighbour, looking ahead first
+    neighbour = positions.slice(index + 1).concat(positions.slice(0, index).reverse()).find(function(other) {
+      return other[1] > 0;
+    });
+
+    position[0] = neighbour[0];
+
+    if (position[2] === 0) {
+      position[1] = neighbour[1];
+    }
+  });
+
+  positions.reduce(function(previous, position) {
+    while (position[0] - previous[0] > 180) {
+      position[0] -= 360;
+    }
+    while (previous[0] - position[0] > 180) {
+      position[0] += 360;
+    }
+    return position;
+  });
+}
+
+/**
+ * Animation.render
+ *
+ * @position [array] A color, as a tuple in the animation's color space
+ */
+RGB.prototype[Animation.render] = function(frames) {
+  var rgb = space(this).to(frames[0]);
+
+  this.update(RGB.colors.reduce(function(current, color, index) {
+    return (current[color] = Math.round(__.constrain(rgb[index], 0, 255)), current);
+  }, {}));
+
+  return this;
+};
+
 module.exports = RGB;
@@ -0,0 +1,609 @@
+var Board = require("../board.js");
+var Animation = require("../animation");
+var RGB = require("./rgb");
+
+var priv = new Map();
+
+// Color orders, as numbered by the node-pixel firmware
+var Orders = {
+  GRB: 0,
+  RGB: 1,
+  BRG: 2,
+};
+
+/**
+ * WS2812 (NeoPixel) strips are driven by a Firmata extension:
+ * the node-pixel firmware (https://github.com/ajfisher/node-pixel),
+ * through the IO plugin's sysexCommand().
+ *
+ *   config   [0x51, 0x01, order << 5 | pin, length (LSB), length (MSB)]
+ *   set      [0x51, 0x03, index (LSB), index (MSB), color (4 x 7 bits)]
+ *   show     [0x51, 0x02]
+ *
+ * Only the pixels that changed since the last show() are sent.
+ */
+var NODE_PIXEL = 0x51;
+
+var COMMANDS = {
+  CONFIG: 0x01,
+  SHOW: 0x02,
+  SET_PIXEL: 0x03,
+};
+
+var Controllers = {
+  WS2812: {
+    initialize: {
+      value: function(opts) {
+        var state = priv.get(this);
+        var order = Orders[(opts.order || "GRB").toUpperCase()];
+
+        if (typeof order === "undefined") {
+          throw new Error("Led.Strip WS2812 `order` must be \"GRB\", \"RGB\" or \"BRG\"");
+        }
+
+        if (typeof this.io.sysexCommand !== "function") {
+          throw new Error("Led.Strip WS2812 requires an IO plugin with sysexCommand() (and the node-pixel firmware)");
+        }
+
+        this.pin = opts.pin;
+        state.sent = new Uint8Array(this.length * 3);
+
+        this.io.sysexCommand([
+          NODE_PIXEL, COMMANDS.CONFIG,
+          (order << 5) | this.pin,
+          this.length & 0x7F, (this.length >> 7) & 0x7F
+        ]);
+      }
+    },
+    write: {
+      writable: true,
+      value: function(colors) {
+        var state = priv.get(this);
+        var sent = state.sent;
+        var color;
+
+        for (var i = 0; i < this.length; i++) {
+          var offset = i * 3;
+
+          if (colors[offset] !== sent[offset] ||
+              colors[offset + 1] !== sent[offset + 1] ||
+              colors[offset + 2] !== sent[offset + 2]) {
+
+            color = (colors[offset] << 16) | (colors[offset + 1] << 8) | colors[offset + 2];
+
+            this.io.sysexCommand([
+              NODE_PIXEL, COMMANDS.SET_PIXEL,
+              i & 0x7F, (i >> 7) & 0x7F,
+              color & 0x7F, (color >> 7) & 0x7F, (color >> 14) & 0x7F, (color >> 21) & 0x7F
+            ]);
+          }
+        }
+
+        sent.set(colors);
+
+        this.io.sysexCommand([NODE_PIXEL, COMMANDS.SHOW]);
+      }
+    }
+  },
+
+  /**
+   * APA102 (DotStar) strips are written over SPI, when the IO
+   * plugin has spiWrite(bytes), or bit-banged with shiftOut()
+   * on the `data` and `clock` pins.
+   *
+   *   [0, 0, 0, 0], [0xFF, blue, green, red] x length, [0xFF] x length / 16
+   */
+  APA102: {
+    initialize: {
+      value: function(opts) {
+        var state = priv.get(this);
+        var pins = opts.pins || {};
+
+        if (Array.isArray(pins)) {
+          pins = {
+            data: pins[0],
+            clock: pins[1]
+          };
+        }
+
+        if (pins.data != null && pins.clock != null) {
+          this.pins = {
+            data: pins.data,
+            clock: pins.clock
+          };
+
+          this.io.pinMode(this.pins.data, this.io.MODES.OUTPUT);
+          this.io.pinMode(this.pins.clock, this.io.MODES.OUTPUT);
+        } else if (typeof this.io.spiWrite === "function") {
+          state.spi = true;
+        } else {
+          throw new Error("Led.Strip APA102 requires `pins` (data, clock), or an IO plugin with spiWrite()");
+        }
+      }
+    },
+    write: {
+      writable: true,
+      value: function(colors) {
+        var state = priv.get(this);
+        var frame = [0, 0, 0, 0];
+        var end = Math.ceil(this.length / 16);
+
+        for (var i = 0; i < this.length; i++) {
+          frame.push(0xFF, colors[i * 3 + 2], colors[i * 3 + 1], colors[i * 3]);
+        }
+
+        while (end--) {
+          frame.push(0xFF);
+        }
+
+        if (state.spi) {
+          this.io.spiWrite(frame);
+        } else {
+          frame.forEach(function(byte) {
+            this.board.shiftOut(this.pins.data, this.pins.clock, true, byte);
+          }, this);
+        }
+      }
+    }
+  },
+};
+
+Controllers.NEOPIXEL = Controllers.WS2812;
+Controllers.DOTSTAR = Controllers.APA102;
+
+/**
+ * Pixel
+ * @constructor
+ *
+ * A pixel of a strip, from strip.pixel(index). Changes are
+ * buffered until the strip's show().
+ *
+ * @param {Strip}  strip
+ * @param {Number} index
+ */
+function Pixel(strip, index) {
+  this.strip = strip;
+  this.index = index;
+}
+
+/**
+ * color Get or set the pixel's color
+ *
+ * @param  {String|Array|Object} color Any color accepted by Led.RGB's color()
+ *                                     (when missing, the method behaves like a getter)
+ * @return {Pixel|Object} {red, green, blue}
+ */
+Pixel.prototype.color = function() {
+  var pixels = priv.get(this.strip).pixels;
+  var offset = this.index * 3;
+  var color;
+
+  if (arguments.length === 0) {
+    return {
+      red: pixels[offset],
+      green: pixels[offset + 1],
+      blue: pixels[offset + 2]
+    };
+  }
+
+  color = RGB.ToRGB.apply(null, arguments);
+
+  pixels[offset] = Math.round(color.red);
+  pixels[offset + 1] = Math.round(color.green);
+  pixels[offset + 2] = Math.round(color.blue);
+
+  return this;
+};
+
+/**
+ * off Set the pixel to black
+ *
+ * @return {Pixel}
+ */
+Pixel.prototype.off = function() {
+  return this.color(0, 0, 0);
+};
+
+/**
+ * Strip
+ * @constructor
+ *
+ * An addressable LED strip: a buffer of pixels, written to
+ * the strip by show().
+ *
+ * new five.Led.Strip({
+ *   pin: 6,
+ *   length: 60
+ * });
+ *
+ * new five.Led.Strip({
+ *   controller: "APA102",
+ *   pins: { data: 11, clock: 13 },
+ *   length: 144,
+ *   gamma: 2.8
+ * });
+ *
+ * Controllers: WS2812 (or NEOPIXEL, the default) and APA102
+ * (or DOTSTAR). `brightness` (0-255) scales, and `gamma`
+ * corrects, the colors written by show(); the buffer keeps
+ * the colors as they were set.
+ *
+ * @param {Object} opts Options: pin, pins, length, controller,
+ *                      order, brightness, gamma
+ * @alias Led.Strip
+ */
+function Strip(opts) {
+  if (!(this instanceof Strip)) {
+    return new Strip(opts);
+  }
+
+  var controller;
+
+  Board.Component.call(
+    this, opts = Board.Options(opts)
+  );
+
+  if (opts.controller && typeof opts.controller === "string") {
+    controller = Controllers[opts.controller.toUpperCase()];
+  } else {
+    controller = opts.controller;
+  }
+
+  if (controller == null) {
+    controller = Controllers.WS2812;
+  }
+
+  if (typeof opts.length !== "number" || opts.length < 1) {
+    throw new Error("Led.Strip requires a `length` (the number of pixels)");
+  }
+
+  this.length = opts.length;
+
+  priv.set(this, {
+    pixels: new Uint8Array(this.length * 3),
+    brightness: 255,
+    gamma: 1,
+    table: null,
+    spi: false,
+    animation: null,
+  });
+
+  Object.defineProperties(this, controller);
+
+  this.pixels = Array.from({ length: this.length }, function(value, index) {
+    return new Pixel(this, index);
+  }, this);
+
+  this.brightness(typeof opts.brightness === "number" ? opts.brightness : 255);
+
+  if (opts.gamma) {
+    this.gamma(opts.gamma);
+  }
+
+  this.initialize(opts);
+}
+
+/**
+ * pixel
+ *
+ * @param  {Number} index The pixel's position on the strip
+ * @return {Pixel} (or undefined, when outside the strip)
+ */
+Strip.prototype.pixel = function(index) {
+  return this.pixels[index];
+};
+
+/**
+ * color Set every pixel to a color
+ *
+ * @param  {String|Array|Object} color Any color accepted by Led.RGB's color()
+ * @return {Strip}
+ */
+Strip.prototype.color = function() {
+  var color = RGB.ToRGB.apply(null, arguments);
+
+  this.pixels.forEach(function(pixel) {
+    pixel.color(color);
+  });
+
+  return this;
+};
+
+/**
+ * clear Set every pixel to black (without showing)
+ *
+ * @return {Strip}
+ */
+Strip.prototype.clear = function() {
+  priv.get(this).pixels.fill(0);
+  return this;
+};
+
+/**
+ * off Set every pixel to black, and show
+ *
+ * @return {Strip}
+ */
+Strip.prototype.off = function() {
+  return this.clear().show();
+};
+
+/**
+ * show Write the buffered pixels to the strip
+ *
+ * @return {Strip}
+ */
+Strip.prototype.show = function() {
+  var state = priv.get(this);
+  var table = state.table;
+
+  this.write(state.pixels.map(function(value) {
+    return table[value];
+  }));
+
+  return this;
+};
+
+/**
+ * brightness Get or set the brightness of the strip
+ * (applied on the next show())
+ *
+ * @param  {Number} value 0-255 (when missing, the method
+ *                        behaves like a getter)
+ * @return {Strip|Number}
+ */
+Strip.prototype.brightness = function(value) {
+  var state = priv.get(this);
+
+  if (arguments.length === 0) {
+    return state.brightness;
+  }
+
+  state.brightness = Board.constrain(value, 0, 255);
+  state.table = table(state);
+
+  return this;
+};
+
+/**
+ * gamma Get or set the gamma correction of the strip
+ * (applied on the next show())
+ *
+ * @param  {Number} value Output = (input / 255) ^ gamma; 1 for
+ *                        none, 2.8 approximates the eye's response.
+ *                        (when missing, the method behaves like a getter)
+ * @return {Strip|Number}
+ */
+Strip.prototype.gamma = function(value) {
+  var state = priv.get(this);
+
+  if (arguments.length === 0) {
+    return state.gamma;
+  }
+
+  if (typeof value !== "number" || value <= 0) {
+    throw new Error("Led.Strip `gamma` must be a positive number");
+  }
+
+  state.gamma = value;
+  state.table = table(state);
+
+  return this;
+};
+
+// The output value of each input value, with the brightness
+// and gamma correction applied
+function table(state) {
+  var values = new Uint8Array(256);
+
+  for (var i = 0; i < 256; i++) {
+    values[i] = Math.round(Math.pow(i / 255, state.gamma) * state.brightness);
+  }
+
+  return values;
+}
+
+/**
+ * shift Move every pixel along the strip, filling the
+ * vacated pixels with black
+ *
+ * @param  {Number} offset Positive values move toward the end
+ *                         of the strip, negative toward the start
+ * @return {Strip}
+ */
+Strip.prototype.shift = function(offset) {
+  var pixels = priv.get(this).pixels;
+  var length = pixels.length;
+
+  offset = Math.round(offset || 0) * 3;
+
+  if (offset > 0) {
+    pixels.copyWithin(offset, 0, length - offset);
+    pixels.fill(0, 0, Math.min(offset, length));
+  } else if (offset < 0) {
+    pixels.copyWithin(0, -offset);
+    pixels.fill(0, Math.max(length + offset, 0));
+  }
+
+  return this;
+};
+
+/**
+ * rotate Move every pixel along the strip, wrapping around
+ * from one end to the other
+ *
+ * @param  {Number} offset Positive values move toward the end
+ *                         of the strip, negative toward the start
+ * @return {Strip}
+ */
+Strip.prototype.rotate = function(offset) {
+  var state = priv.get(this);
+  var pixels = state.pixels;
+  var length = this.length;
+  var rotated;
+
+  offset = ((Math.round(offset || 0) % length) + length) % length;
+
+  if (offset) {
+    rotated = new Uint8Array(pixels.length);
+    rotated.set(pixels.subarray((length - offset) * 3));
+    rotated.set(pixels.subarray(0, (length - offset) * 3), offset * 3);
+    state.pixels = rotated;
+  }
+
+  return this;
+};
+
+/**
+ * stop Stop the running animation
+ *
+ * @return {Strip}
+ */
+Strip.prototype.stop = function() {
+  var state = priv.get(this);
+
+  if (state.animation) {
+    state.animation.stop();
+  }
+
+  return this;
+};
+
+/**
+ * toJSON
+ *
+ * @return {Object} The state record used by Board.prototype.serialize:
+ *                  the buffered pixels as [r, g, b, r, g, b, ...]
+ */
+Strip.prototype.toJSON = function() {
+  var state = priv.get(this);
+
+  return {
+    id: this.id,
+    length: this.length,
+    brightness: state.brightness,
+    gamma: state.gamma,
+    pixels: Array.from(state.pixels)
+  };
+};
+
+/**
+ * fromJSON Restore the brightness, gamma and pixels
+ * recorded by toJSON, and show them
+ *
+ * @param  {Object} data A state record
+ * @return {Strip}
+ */
+Strip.prototype.fromJSON = function(data) {
+  var state = priv.get(this);
+
+  if (!data) {
+    return this;
+  }
+
+  if (typeof data.brightness === "number") {
+    this.brightness(data.brightness);
+  }
+
+  if (typeof data.gamma === "number") {
+    this.gamma(data.gamma);
+  }
+
+  if (Array.isArray(data.pixels)) {
+    state.pixels.fill(0);
+    state.pixels.set(data.pixels.slice(0, state.pixels.length));
+    this.show();
+  }
+
+  return this;
+};
+
+/**
+ * Animation.normalize
+ *
+ * Each keyframe is a frame of the whole strip: one color,
+ * for every pixel, or an array of colors, one per pixel
+ * (pixels past the end of a short array are black). A null
+ * first keyframe starts from the current pixels.
+ *
+ * @param [object] keyFrames
+ */
+Strip.prototype[Animation.normalize] = function(keyFrames) {
+  var length = this.length;
+
+  return keyFrames.map(function(keyFrame, index) {
+    var frame, colors;
+
+    if (keyFrame === null) {
+      return index === 0 ? {
+        position: Array.from(priv.get(this).pixels)
+      } : null;
+    }
+
+    if (typeof keyFrame === "object" && keyFrame.position) {
+      return keyFrame;
+    }
+
+    if (typeof keyFrame === "object" && keyFrame.colors) {
+      frame = keyFrame;
+      colors = keyFrame.colors;
+    } else {
+      frame = {};
+      colors = keyFrame;
+    }
+
+    // A single color, rather than a color per pixel
+    if (!Array.isArray(colors) || typeof colors[0] === "number") {
+      colors = Array(length).fill(colors);
+    }
+
+    return Object.assign({}, frame, {
+      position: colors.slice(0, length).reduce(function(position, color, pixel) {
+        if (color != null) {
+          color = RGB.ToRGB(color);
+          position[pixel * 3] = color.red;
+          position[pixel * 3 + 1] = color.green;
+          position[pixel * 3 + 2] = color.blue;
+        }
+        return position;
+      }, Array(length * 3).fill(0))
+    });
+  }, this);
+};
+
+/**
+ * Animation.render
+ *
+ * @position [array] Every pixel's red, green and blue values
+ */
+Strip.prototype[Animation.render] = function(frames) {
+  var pixels = priv.get(this).pixels;
+
+  frames[0].forEach(function(value, index) {
+    pixels[index] = Board.constrain(Math.round(value), 0, 255);
+  });
+
+  return this.show();
+};
+
+/**
+ * animate Play an Animation() segment on the strip
+ *
+ * @param  {Object} segment An Animation() segment config object,
+ *                          with strip frames as keyFrames
+ * @return {Strip}
+ */
+Strip.prototype.animate = function(segment) {
+  var state = priv.get(this);
+
+  this.stop();
+
+  state.animation = state.animation || new Animation(this);
+  state.animation.enqueue(segment);
+
+  return this;
+};
+
+Strip.Pixel = Pixel;
+
+module.exports = Strip;
@@ -1,5 +1,6 @@
 var Board = require("./board");
 var EVS = require("./evshield");
+var Filter = require("./filter");
 var within = require("./mixins/within");
 var __ = require("./fn");
 var Emitter = require("events").EventEmitter;
@@ -211,6 +212,9 @@ function Light(opts) {
     };
   }
 
+  // Raw readings are passed through the (optional) filters, in order
+  state.filter = Filter.chain(opts.filters);
+
   priv.set(this, state);
 
   Object.defineProperties(this, {
@@ -232,7 +236,7 @@ function Light(opts) {
 
   if (typeof this.initialize === "function") {
     this.initialize(opts, function(data) {
-      raw = data;
+      raw = state.filter ? state.filter.process(data) : data;
     });
   }
 
@@ -0,0 +1,402 @@
+var Emitter = require("events").EventEmitter;
+var util = require("util");
+var Animation = require("./animation");
+var Operation = require("./operation");
+var Servo = require("./servo");
+
+var priv = new Map();
+
+var DEGREES = 180 / Math.PI;
+
+// The number of joints (and links) of each type of limb
+var Types = {
+  planar: 2,
+  spatial: 3,
+};
+
+// Solve a two link planar chain for the point (u, v); returns
+// both [shoulder, elbow] solutions (radians), or null
+function solve(u, v, a, b) {
+  var cosine = (u * u + v * v - a * a - b * b) / (2 * a * b);
+
+  if (cosine < -1 - 1e-9 || cosine > 1 + 1e-9) {
+    return null;
+  }
+
+  cosine = Math.max(-1, Math.min(1, cosine));
+
+  return [1, -1].map(function(sign) {
+    var elbow = sign * Math.acos(cosine);
+
+    return [
+      Math.atan2(v, u) - Math.atan2(b * Math.sin(elbow), a + b * Math.cos(elbow)),
+      elbow
+    ];
+  });
+}
+
+// The servo positions (degrees) of the joints
+function positions(limb) {
+  return [].map.call(limb.servos, function(servo) {
+    return servo.last ? servo.last.target : servo.startAt;
+  });
+}
+
+/**
+ * Limb
+ * @constructor
+ *
+ * A kinematic chain of servos: a 2-DOF planar arm or leg,
+ * or a 3-DOF spatial leg (a yaw joint, then two joints
+ * bending in a vertical plane).
+ *
+ * new five.Limb({
+ *   type: "spatial",
+ *   servos: [coxa, femur, tibia],
+ *   links: [25, 50, 80],
+ *   offsets: [90, 90, 180]
+ * });
+ *
+ * `links` are the link lengths (for a spatial limb, the
+ * first link is the horizontal distance from the yaw axis
+ * to the next joint). `offsets` are the servo positions
+ * at which each joint is at 0°: the first link pointing
+ * along the x axis, the others continuing in a straight
+ * line. `limits` (servo degrees, default: each servo's
+ * `range`) restrict the solutions, and `elbow` ("up" or
+ * "down") chooses between them.
+ *
+ * Planar limbs reach points { x, y }; spatial limbs reach
+ * points { x, y, z }, with z up.
+ *
+ * Events:
+ *
+ *   "error"  A point could not be reached (error.point). Moves
+ *            made with `promises: true` reject instead, and
+ *            only emit when there's a listener; otherwise, as
+ *            with any "error" event, an unheard error is thrown.
+ *
+ * @param {Object} opts Options: type, servos, links, offsets,
+ *                      limits, elbow, fps, promises
+ */
+function Limb(opts) {
+  if (!(this instanceof Limb)) {
+    return new Limb(opts);
+  }
+
+  var joints;
+
+  Emitter.call(this);
+
+  opts = opts || {};
+
+  this.type = opts.type || "planar";
+
+  joints = Types[this.type];
+
+  if (!joints) {
+    throw new Error("Limb `type` must be \"planar\" or \"spatial\"");
+  }
+
+  this.servos = opts.servos instanceof Servo.Array ?
+    opts.servos : new Servo.Array(opts.servos || []);
+
+  if (this.servos.length !== joints || !Array.isArray(opts.links) || opts.links.length !== joints) {
+    throw new Error("A " + this.type + " Limb requires " + joints + " `servos` and " + joints + " `links`");
+  }
+
+  this.links = opts.links.slice();
+  this.offsets = opts.offsets ? opts.offsets.slice() : this.links.map(function() {
+    return 90;
+  });
+  this.limits = opts.limits ? opts.limits.slice() : [].map.call(this.servos, function(servo) {
+    return servo.range;
+  });
+  this.elbow = opts.elbow || "up";
+  this.fps = opts.fps || 60;
+
+  // The board of the servos, for its `promises` option
+  this.board = this.servos[0].board;
+
+  // Return promises from timed moves
+  this.promises = Operation.isEnabled(this, opts);
+
+  priv.set(this, {
+    animation: null,
+    // The operation of the timed move in progress
+    operation: null,
+  });
+}
+
+util.inherits(Limb, Emitter);
+
+/**
+ * forward Forward kinematics
+ *
+ * @param  {Array} degrees Servo positions (default: the current positions)
+ * @return {Object} { x, y, z }
+ */
+Limb.prototype.forward = function(degrees) {
+  var angles = (degrees || positions(this)).map(function(position, index) {
+    return (position - this.offsets[index]) / DEGREES;
+  }, this);
+  var links = this.links;
+  var yaw = 0;
+  var reach, height;
+
+  if (this.type === "spatial") {
+    yaw = angles.shift();
+    links = links.slice(1);
+  }
+
+  reach = links[0] * Math.cos(angles[0]) + links[1] * Math.cos(angles[0] + angles[1]);
+  height = links[0] * Math.sin(angles[0]) + links[1] * Math.sin(angles[0] + angles[1]);
+
+  if (this.type === "planar") {
+    return {
+      x: reach,
+      y: height,
+      z: 0
+    };
+  }
+
+  reach += this.links[0];
+
+  return {
+    x: reach * Math.cos(yaw),
+    y: reach * Math.sin(yaw),
+    z: height
+  };
+};
+
+/**
+ * inverse Inverse kinematics
+ *
+ * @param  {Object} point { x, y, z }
+ * @return {Array|null} Servo positions, or null when the point
+ *                      is out of reach, or outside the limits
+ */
+Limb.prototype.inverse = function(point) {
+  var yaw = [];
+  var solutions, u, v;
+
+  if (this.type === "spatial") {
+    yaw.push(Math.atan2(point.y || 0, point.x || 0));
+    u = Math.sqrt(Math.pow(point.x || 0, 2) + Math.pow(point.y || 0, 2)) - this.links[0];
+    v = point.z || 0;
+    solutions = solve(u, v, this.links[1], this.links[2]);
+  } else {
+    solutions = solve(point.x || 0, point.y || 0, this.links[0], this.links[1]);
+  }
+
+  if (!solutions) {
+    return null;
+  }
+
+  // Elbow up bends the second joint negatively
+  if (this.elbow === "up") {
+    solutions.reverse();
+  }
+
+  solutions = solutions.map(function(angles) {
+    return yaw.concat(angles).map(function(angle, index) {
+      return this.offsets[index] + angle * DEGREES;
+    }, this);
+  }, this).filter(function(degrees) {
+    return degrees.every(function(position, index) {
+      var limit = this.limits[index];
+      return position >= limit[0] - 1e-9 && position <= limit[1] + 1e-9;
+    }, this);
+  }, this);
+
+  return solutions.length ? solutions[0] : null;
+};
+
+/**
+ * isReachable
+ *
+ * @param  {Object}  point { x, y, z }
+ * @return {Boolean}
+ */
+Limb.prototype.isReachable = function(point) {
+  return this.inverse(point) !== null;
+};
+
+// Reject the move's promise (when there is one) and emit
+// "error", unless the rejection is the only report needed
+function unreachable(limb, point, operation) {
+  var error = new Error(
+    "Limb cannot reach (" + [point.x || 0, point.y || 0, point.z || 0].join(", ") + ")"
+  );
+
+  error.point = point;
+
+  if (operation) {
+    operation.fail(error);
+  }
+
+  if (!operation || limb.listenerCount("error")) {
+    limb.emit("error", error);
+  }
+
+  return error;
+}
+
+/**
+ * to
+ *
+ * Move to a point, immediately, over `time` ms, or within
+ * a motion profile's limits (see Animation.profile; in link
+ * length units per second). Timed moves travel in a straight
+ * line, solving for the joint positions on every frame.
+ *
+ * @param  {Object} point        { x, y, z }
+ * @param  {Number|Object} time  Duration (ms), or a motion profile
+ * @return {Limb}
+ *
+ * - or, when created with `promises: true` -
+ *
+ * @return {Promise} Resolved with the limb when the move is
+ *                   complete, rejected when it can't be made
+ */
+Limb.prototype.to = function(point, time) {
+  var state = priv.get(this);
+  var operation = Operation.begin(this);
+  var degrees = this.inverse(point);
+  var from, target, segment, motion;
+
+  if (!degrees) {
+    unreachable(this, point, operation);
+    return Operation.result(this, operation);
+  }
+
+  if (typeof time === "undefined") {
+    this.servos.each(function(servo, index) {
+      servo.to(degrees[index]);
+    });
+
+    if (operation) {
+      operation.complete();
+    }
+
+    return Operation.result(this, operation);
+  }
+
+  from = this.forward();
+  target = [point.x || 0, point.y || 0, point.z || 0];
+
+  segment = {
+    duration: time,
+    keyFrames: [null, {
+      position: target
+    }],
+    fps: this.fps,
+    onstart: function() {
+      state.operation = operation;
+    },
+    oncomplete: function() {
+      state.operation = null;
+
+      if (operation) {
+        operation.complete();
+      }
+    }
+  };
+
+  if (typeof time === "object") {
+    motion = Animation.profile(Math.sqrt(target.reduce(function(sum, value, index) {
+      return sum + Math.pow(value - from["xyz"[index]], 2);
+    }, 0)), time);
+
+    segment.duration = Math.max(motion.duration, 1);
+    segment.easing = motion.easing;
+  }
+
+  state.animation = state.animation || new Animation(this);
+  state.animation.enqueue(segment);
+
+  return Operation.result(this, operation);
+};
+
+/**
+ * stop Stop moving
+ *
+ * @return {Limb}
+ */
+Limb.prototype.stop = function() {
+  var state = priv.get(this);
+
+  if (state.animation) {
+    state.animation.stop();
+  }
+
+  state.operation = null;
+  this.servos.stop();
+  Operation.interrupt(this);
+
+  return this;
+};
+
+/**
+ * Animation.normalize
+ *
+ * Keyframes are points: { x, y, z } or { position: [x, y, z] }.
+ * A null first keyframe starts from the current position.
+ *
+ * @param [object] keyFrames
+ */
+Limb.prototype[Animation.normalize] = function(keyFrames) {
+  var current = this.forward();
+
+  return keyFrames.map(function(keyFrame, index) {
+    if (keyFrame === null) {
+      return index === 0 ? {
+        position: [current.x, current.y, current.z]
+      } : null;
+    }
+
+    if (typeof keyFrame === "object" && !keyFrame.position) {
+      keyFrame.position = [keyFrame.x || 0, keyFrame.y || 0, keyFrame.z || 0];
+    }
+
+    return keyFrame;
+  });
+};
+
+/**
+ * Animation.render
+ *
+ * Solve for the joint positions of each frame's point. An
+ * unreachable point stops the animation.
+ *
+ * @position [array] [x, y, z]
+ */
+Limb.prototype[Animation.render] = function(frames) {
+  var point = {
+    x: frames[0][0],
+    y: frames[0][1],
+    z: frames[0][2]
+  };
+  var state = priv.get(this);
+  var degrees = this.inverse(point);
+  var operation = state.operation;
+
+  if (!degrees) {
+    state.operation = null;
+
+    try {
+      unreachable(this, point, operation);
+    } finally {
+      this.stop();
+    }
+    return this;
+  }
+
+  this.servos.each(function(servo, index) {
+    servo.to(degrees[index]);
+  });
+
+  return this;
+};
+
+module.exports = Limb;
@@ -0,0 +1,445 @@
+var Emitter = require("events").EventEmitter;
+var util = require("util");
+var path = require("path");
+var fs = require("fs");
+var Scheduler = require("./board.scheduler");
+
+var priv = new Map();
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" &&
+    (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype);
+}
+
+// Read a (possibly dotted) property path, eg. "accelerometer.x"
+function lookup(target, property) {
+  return property.split(".").reduce(function(value, key) {
+    return value == null ? undefined : value[key];
+  }, target);
+}
+
+/**
+ * flatten
+ *
+ * Flatten nested readings into a single level of
+ * dotted keys, for CSV columns:
+ *
+ *   { temp: { celsius: 20 } } => { "temp.celsius": 20 }
+ *
+ * @param  {Object} value
+ * @param  {String} prefix
+ * @param  {Object} accum
+ * @return {Object}
+ */
+function flatten(value, prefix, accum) {
+  accum = accum || {};
+
+  if (isPlainObject(value)) {
+    Object.keys(value).forEach(function(key) {
+      flatten(value[key], prefix ? prefix + "." + key : key, accum);
+    });
+  } else {
+    accum[prefix] = value;
+  }
+
+  return accum;
+}
+
+function csv(value) {
+  var string = value == null ? "" : String(value);
+
+  if (/[",\r\n]/.test(string)) {
+    return "\"" + string.replace(/"/g, "\"\"") + "\"";
+  }
+  return string;
+}
+
+// readings.csv, readings.1.csv, readings.2.csv...
+function filename(file, index) {
+  var ext = path.extname(file);
+
+  if (index === 0) {
+    return file;
+  }
+
+  return path.join(path.dirname(file), path.basename(file, ext) + "." + index + ext);
+}
+
+/**
+ * Logger
+ * @constructor
+ *
+ * Log timestamped readings from one or more components
+ * to a CSV or newline-delimited JSON file.
+ *
+ * new five.Logger({
+ *   file: "readings.csv",
+ *   freq: 1000,
+ *   components: {
+ *     temperature: thermometer,
+ *     pressure: barometer,
+ *     motion: {
+ *       component: imu,
+ *       fields: ["accelerometer.x", "accelerometer.y", "thermometer.celsius"]
+ *     }
+ *   },
+ *   rotate: {
+ *     size: 1024 * 1024,
+ *     interval: 24 * 60 * 60 * 1000
+ *   }
+ * });
+ *
+ * Each row has a `timestamp` (ISO 8601) and the latest
+ * reading of every component: the value of its most
+ * recent "data" event, or the listed `fields` of the
+ * component (which may be dotted property paths).
+ * Components that report themselves as their data
+ * (eg. IMU) must be logged by `fields`.
+ *
+ * Rows are written every `freq` ms, or, with `on: "change"`,
+ * whenever any component emits "change". No rows are
+ * written until every component has reported at least once.
+ *
+ * The format is "csv" or "ndjson" (default: "csv" for a
+ * .csv file, otherwise "ndjson"). A `rotate.size` (bytes)
+ * or `rotate.interval` (ms) starts a new numbered file
+ * (readings.1.csv, readings.2.csv...) when exceeded.
+ *
+ * Without a `file`, rows are collected in the `rows` array.
+ *
+ * Events:
+ *
+ *   "row"     A row was logged
+ *   "rotate"  A new file was started (receives the file name)
+ *   "error"   The file could not be written
+ *
+ * @param {Object} opts
+ */
+function Logger(opts) {
+  if (!(this instanceof Logger)) {
+    return new Logger(opts);
+  }
+
+  var components, state;
+
+  Emitter.call(this);
+
+  opts = opts || {};
+  components = opts.components || {};
+
+  if (Array.isArray(components)) {
+    // Unnamed components are named by their id
+    components = components.reduce(function(accum, component) {
+      accum[component.id] = component;
+      return accum;
+    }, {});
+  }
+
+  this.format = opts.format ||
+    (opts.file && path.extname(opts.file).toLowerCase() === ".csv" ? "csv" : "ndjson");
+
+  if (this.format !== "csv" && this.format !== "ndjson") {
+    throw new Error("Logger `format` must be \"csv\" or \"ndjson\"");
+  }
+
+  this.freq = opts.freq || 1000;
+  this.mode = opts.on === "change" ? "change" : "interval";
+
+  state = {
+    file: opts.file || null,
+    index: 0,
+    rotate: opts.rotate || {},
+    stream: null,
+    bytes: 0,
+    opened: null,
+    columns: null,
+    entries: [],
+    timer: null,
+    board: null,
+    exit: null,
+    isLogging: true,
+    isPaused: false,
+  };
+
+  priv.set(this, state);
+
+  this.rows = [];
+
+  Object.keys(components).forEach(function(name) {
+    this.add(name, components[name]);
+  }, this);
+
+  if (state.file) {
+    open(this);
+  }
+
+  // Sampled on the components' board's scheduler
+  if (this.mode === "interval") {
+    state.timer = Scheduler.every(state.board, this.freq, this.log.bind(this));
+  }
+}
+
+util.inherits(Logger, Emitter);
+
+function open(logger) {
+  var state = priv.get(logger);
+
+  state.stream = fs.createWriteStream(filename(state.file, state.index));
+  state.stream.on("error", logger.emit.bind(logger, "error"));
+  state.bytes = 0;
+  state.opened = Date.now();
+
+  if (logger.format === "csv" && state.columns) {
+    write(logger, state.columns.map(csv).join(",") + "\n");
+  }
+}
+
+function rotate(logger) {
+  var state = priv.get(logger);
+
+  state.stream.end();
+  state.index++;
+
+  open(logger);
+
+  logger.emit("rotate", filename(state.file, state.index));
+}
+
+function write(logger, line) {
+  var state = priv.get(logger);
+
+  state.stream.write(line);
+  state.bytes += Buffer.byteLength(line);
+}
+
+function shouldRotate(logger, line) {
+  var state = priv.get(logger);
+  var size = state.rotate.size;
+  var interval = state.rotate.interval;
+
+  if (size && state.bytes > 0 && state.bytes + Buffer.byteLength(line) > size) {
+    return true;
+  }
+
+  return !!(interval && Date.now() - state.opened >= interval);
+}
+
+function snapshot(entry) {
+  if (entry.fields) {
+    return entry.fields.reduce(function(accum, field) {
+      accum[field] = lookup(entry.component, field);
+      return accum;
+    }, {});
+  }
+
+  // Copy the reading, so that rows are not changed by later readings
+  return isPlainObject(entry.latest) ?
+    JSON.parse(JSON.stringify(entry.latest)) : entry.latest;
+}
+
+/**
+ * add Log another component
+ *
+ * @param {String} name   The component's column (or key) name
+ * @param {Object} component A component, or { component, fields }
+ * @return {Logger}
+ */
+Logger.prototype.add = function(name, component) {
+  var state = priv.get(this);
+  var entry = {
+    name: name,
+    component: component.component || component,
+    fields: component.fields || null,
+    latest: undefined,
+    hasReported: false,
+    listeners: {},
+  };
+
+  if (!(entry.component instanceof Emitter)) {
+    throw new Error("Logger can only log components that emit events (" + name + ")");
+  }
+
+  // Composite components (eg. IMU) report themselves as their data
+  if (!entry.fields && Array.isArray(entry.component.components)) {
+    throw new Error("Logger requires `fields` to log " + name);
+  }
+
+  entry.listeners.data = function(data) {
+    // Analog sensors report NaN until their first reading
+    if (data === undefined || (typeof data === "number" && isNaN(data))) {
+      return;
+    }
+
+    entry.latest = data !== null && typeof data === "object" && !isPlainObject(data) ?
+      data.value : data;
+    entry.hasReported = true;
+  };
+
+  entry.component.on("data", entry.listeners.data);
+
+  if (this.mode === "change") {
+    entry.listeners.change = function(data) {
+      entry.listeners.data(data);
+      this.log();
+    }.bind(this);
+
+    entry.component.on("change", entry.listeners.change);
+  }
+
+  // The board's exit closes the log file
+  if (!state.board && entry.component.board) {
+    state.board = entry.component.board;
+    state.exit = this.stop.bind(this, null);
+    state.board.on("exit", state.exit);
+  }
+
+  state.entries.push(entry);
+
+  return this;
+};
+
+/**
+ * log Write a row with the latest readings now
+ *
+ * @return {Logger}
+ */
+Logger.prototype.log = function() {
+  var state = priv.get(this);
+  var row, flat, line;
+
+  if (!state.isLogging || state.isPaused || !state.entries.length) {
+    return this;
+  }
+
+  if (!state.entries.every(function(entry) {
+    return entry.hasReported;
+  })) {
+    return this;
+  }
+
+  row = {
+    timestamp: new Date().toISOString()
+  };
+
+  state.entries.forEach(function(entry) {
+    row[entry.name] = snapshot(entry);
+  });
+
+  if (state.stream) {
+    if (this.format === "csv") {
+      flat = flatten(row);
+
+      if (!state.columns) {
+        state.columns = Object.keys(flat);
+        write(this, state.columns.map(csv).join(",") + "\n");
+      }
+
+      line = state.columns.map(function(column) {
+        return csv(flat[column]);
+      }).join(",") + "\n";
+    } else {
+      line = JSON.stringify(row) + "\n";
+    }
+
+    if (shouldRotate(this, line)) {
+      rotate(this);
+    }
+
+    write(this, line);
+  } else {
+    this.rows.push(row);
+  }
+
+  this.emit("row", row);
+
+  return this;
+};
+
+/**
+ * pause Stop writing rows until resumed
+ *
+ * @return {Logger}
+ */
+Logger.prototype.pause = function() {
+  priv.get(this).isPaused = true;
+  return this;
+};
+
+/**
+ * resume Continue writing rows
+ *
+ * @return {Logger}
+ */
+Logger.prototype.resume = function() {
+  priv.get(this).isPaused = false;
+  return this;
+};
+
+/**
+ * stop Stop logging and close the output file, if any.
+ *
+ * @param  {Function} callback Called once the file is flushed
+ * @return {Logger}
+ */
+Logger.prototype.stop = function(callback) {
+  var state = priv.get(this);
+
+  if (!state.isLogging) {
+    if (typeof callback === "function") {
+      process.nextTick(callback);
+    }
+    return this;
+  }
+
+  state.isLogging = false;
+
+  if (state.timer) {
+    state.timer.cancel();
+    state.timer = null;
+  }
+
+  state.entries.forEach(function(entry) {
+    Object.keys(entry.listeners).forEach(function(event) {
+      entry.component.removeListener(event, entry.listeners[event]);
+    });
+  });
+
+  if (state.board) {
+    state.board.removeListener("exit", state.exit);
+  }
+
+  if (state.stream) {
+    state.stream.end(callback || undefined);
+    state.stream = null;
+  } else if (typeof callback === "function") {
+    process.nextTick(callback);
+  }
+
+  return this;
+};
+
+Object.defineProperties(Logger.prototype, {
+  /**
+   * [read-only] The file currently being written
+   * @property file
+   * @type String
+   */
+  file: {
+    get: function() {
+      var state = priv.get(this);
+      return state.file ? filename(state.file, state.index) : null;
+    }
+  },
+  /**
+   * [read-only]
+   * @property isPaused
+   * @type Boolean
+   */
+  isPaused: {
+    get: function() {
+      return priv.get(this).isPaused;
+    }
+  },
+});
+
+module.exports = Logger;
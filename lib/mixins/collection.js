@@ -1,3 +1,7 @@
+var Emitter = require("events").EventEmitter;
+
+var priv = new Map();
+
 function Collection(numsOrObjects) {
   var Type = this.type;
   var initObjects = [];
@@ -64,4 +68,203 @@ Collection.prototype.forEach = function() {
   [].forEach.apply(this, arguments);
 };
 
+/**
+ * Collection.Emitter
+ * @constructor
+ *
+ * A Collection of Emitters. Listening for an event on
+ * the collection listens for it on every member:
+ *
+ *  - "data" is emitted once every member has emitted
+ *    "data" since the last "data" event, with an array
+ *    of each member's most recent data (in collection order)
+ *  - "change" is emitted whenever any member emits
+ *    "change", with the same array
+ *  - Any other event is emitted whenever any member
+ *    emits it, with the member followed by the event's
+ *    own arguments
+ *
+ * @param {Array|Object} numsOrObjects
+ */
+Collection.Emitter = function(numsOrObjects) {
+  Emitter.call(this);
+
+  priv.set(this, {
+    events: [],
+    latest: [],
+    reported: new Set(),
+  });
+
+  this.on("newListener", function(type) {
+    var state = priv.get(this);
+
+    if (type === "newListener" || type === "removeListener" ||
+        state.events.includes(type)) {
+      return;
+    }
+
+    state.events.push(type);
+    this.each(function(member) {
+      subscribe(this, member, type);
+    }.bind(this));
+  });
+
+  Collection.call(this, numsOrObjects);
+};
+
+Collection.Emitter.prototype = Object.create(Collection.prototype, {
+  constructor: {
+    value: Collection.Emitter
+  }
+});
+
+Object.keys(Emitter.prototype).forEach(function(method) {
+  Collection.Emitter.prototype[method] = Emitter.prototype[method];
+});
+
+Collection.Emitter.prototype.add = function() {
+  var state = priv.get(this);
+  var start = this.length;
+  var length = Collection.prototype.add.apply(this, arguments);
+
+  [].slice.call(this, start, length).forEach(function(member) {
+    state.events.forEach(function(type) {
+      subscribe(this, member, type);
+    }, this);
+  }, this);
+
+  return length;
+};
+
+function subscribe(collection, member, type) {
+  if (typeof member.on !== "function") {
+    return;
+  }
+
+  member.on(type, function() {
+    var state = priv.get(collection);
+    var args = [].slice.call(arguments);
+    var index = [].indexOf.call(collection, member);
+    var values;
+
+    if (type !== "data" && type !== "change") {
+      collection.emit.apply(collection, [type, member].concat(args));
+      return;
+    }
+
+    state.latest[index] = args.length ? args[0] : member.value;
+    values = Array.from({ length: collection.length }, function(_, i) {
+      return state.latest[i];
+    });
+
+    if (type === "change") {
+      collection.emit("change", values);
+      return;
+    }
+
+    state.reported.add(index);
+
+    if (state.reported.size >= collection.length) {
+      state.reported.clear();
+      collection.emit("data", values);
+    }
+  });
+}
+
+/**
+ * Collection.create
+ *
+ * Generate an Array-like collection constructor (`Type.Array`)
+ * for a component type that does not define its own. Every
+ * method of Type.prototype is forwarded to all members.
+ * Forwarded methods return the collection, or, when every
+ * member returns a promise, a promise for all of them.
+ *
+ * Collections of Emitter components are Collection.Emitters.
+ *
+ * @param  {Function} Type
+ * @return {Function}
+ */
+Collection.create = function(Type) {
+  var Base = Type.prototype instanceof Emitter ? Collection.Emitter : Collection;
+
+  function Components(numsOrObjects) {
+    if (!(this instanceof Components)) {
+      return new Components(numsOrObjects);
+    }
+
+    Object.defineProperty(this, "type", {
+      value: Type
+    });
+
+    Base.call(this, numsOrObjects);
+  }
+
+  Components.prototype = Object.create(Base.prototype, {
+    constructor: {
+      value: Components
+    }
+  });
+
+  Object.keys(Type.prototype).forEach(function(method) {
+    var descriptor = Object.getOwnPropertyDescriptor(Type.prototype, method);
+
+    // Skip accessors, per-component state records and
+    // anything the collection itself already provides.
+    if (typeof descriptor.value !== "function" ||
+        method === "toJSON" || method === "fromJSON" ||
+        method in Components.prototype) {
+      return;
+    }
+
+    Components.prototype[method] = Collection.forward(method);
+  });
+
+  return Components;
+};
+
+/**
+ * Collection.forward
+ *
+ * Create a collection method that calls a method of every
+ * member, and returns the collection, or, when every member
+ * returns a promise, a promise for all of them.
+ *
+ * @param  {String} method
+ * @return {Function}
+ */
+Collection.forward = function(method) {
+  return function() {
+    var length = this.length;
+    var results = [];
+
+    for (var i = 0; i < length; i++) {
+      results.push(this[i][method].apply(this[i], arguments));
+    }
+
+    return Collection.result(this, results);
+  };
+};
+
+/**
+ * Collection.result
+ *
+ * The result of a collection method, from the results of
+ * each member: a promise for all of them, when every member
+ * returned a promise, otherwise the collection.
+ *
+ * @param  {Collection} collection
+ * @param  {Array} results
+ * @return {Collection|Promise}
+ */
+Collection.result = function(collection, results) {
+  if (results.length && results.every(function(result) {
+      return result instanceof Promise;
+    })) {
+    return Promise.all(results);
+  }
+
+  return collection;
+};
+
 module.exports = Collection;
@@ -6,12 +6,32 @@ var __ = require("./fn");
 var events = require("events");
 var util = require("util");
 var Collection = require("./mixins/collection");
+var Encoder = require("./encoder");
+var Operation = require("./operation");
+var PID = require("./pid");
 var Sensor = require("./sensor");
 var ShiftRegister = require("./shiftregister");
 
 var priv = new Map();
 var registers = new Map();
 
+// Default closed-loop gains and tolerances,
+// for target RPM and target position control
+var Loops = {
+  rpm: {
+    kp: 0.5,
+    ki: 2,
+    kd: 0,
+    tolerance: 2,
+  },
+  position: {
+    kp: 1,
+    ki: 0,
+    kd: 0.05,
+    tolerance: 1,
+  },
+};
+
 function registerKey(registerOpts) {
   return ["clock", "data", "latch"].reduce(function(accum, key) {
     return accum + "." + registerOpts[key];
@@ -379,7 +399,7 @@ var Devices = {
  * Motor
  * @constructor
  *
- * @param {Object} opts Options: pin|pins{pwm, dir[, cdir]}, device, controller, current
+ * @param {Object} opts Options: pin|pins{pwm, dir[, cdir]}, device, controller, current, encoder, pid
  * @param {Number} pin A single pin for basic
  * @param {Array} pins A two or three digit array of pins [pwm, dir]|[pwm, dir, cdir]
  *
@@ -520,6 +540,9 @@ function Motor(opts) {
   this.invertPWM = typeof this.opts.invertPWM !== "undefined" ?
     this.opts.invertPWM : false;
 
+  // Return promises from brake()
+  this.promises = Operation.isEnabled(this, this.opts);
+
   Object.defineProperties(this, device);
 
   if (this.opts.register) {
@@ -543,6 +566,14 @@ function Motor(opts) {
     this.current = new Sensor(this.opts.current);
   }
 
+  // encoder is an Encoder, or the options for one,
+  // and enables closed-loop rpm() and to()
+  if (this.opts.encoder) {
+    this.encoder = this.opts.encoder instanceof Encoder ?
+      this.opts.encoder :
+      new Encoder(Object.assign({ board: this.board }, this.opts.encoder));
+  }
+
   // Create a "state" entry for privately
   // storing the state of the motor
   state = {
@@ -550,7 +581,15 @@ function Motor(opts) {
     currentSpeed: typeof this.opts.speed !== "undefined" ?
       this.opts.speed : 128,
     braking: false,
-    enabled: true
+    // The pending timed brake (a token: releasing or stopping
+    // replaces it, so an earlier wait does nothing when it's due)
+    brakeWait: null,
+    brakeOperations: [],
+    enabled: true,
+    gains: this.opts.pid || {},
+    control: null,
+    pids: {},
+    isSteering: false
   };
 
   priv.set(this, state);
@@ -683,6 +722,25 @@ Motor.prototype.start = function(speed) {
 };
 
 Motor.prototype.stop = function() {
+  var state = priv.get(this);
+
+  // Reversing direction under closed-loop control
+  // stops the motor, but does not end the control.
+  if (state.isSteering) {
+    this.speed({
+      speed: 0,
+      saveSpeed: false
+    });
+    return this;
+  }
+
+  state.brakeWait = null;
+
+  state.brakeOperations.length = 0;
+
+  endControl(this);
+  Operation.interrupt(this);
+
   this.speed({
     speed: 0,
     saveSpeed: false
@@ -692,7 +750,23 @@ Motor.prototype.stop = function() {
   return this;
 };
 
+/**
+ * brake Brake the motor
+ *
+ * @param  {Number} duration (optional) Resume after duration ms
+ * @return {Motor}
+ *
+ * - or, when created with `promises: true` -
+ *
+ * @return {Promise} Resolved with the Motor when it resumes
+ *                   (or immediately, with no duration),
+ *                   rejected by `stop()`
+ */
 Motor.prototype.brake = function(duration) {
+  var state = priv.get(this);
+  var operation = null;
+  var wait;
+
   if (typeof this.pins.brake === "undefined") {
     if (this.board.io.name !== "Mock") {
       console.log("Non-braking motor type");
@@ -709,17 +783,31 @@ Motor.prototype.brake = function(duration) {
     process.nextTick(this.emit.bind(this, "brake"));
 
     if (duration) {
-      var motor = this;
+      operation = Operation.begin(this);
+
+      if (operation) {
+        state.brakeOperations.push(operation);
+      }
+
+      wait = state.brakeWait = {};
+
       this.board.wait(duration, function() {
-        motor.resume();
-      });
+        if (state.brakeWait === wait) {
+          state.brakeWait = null;
+          this.resume();
+        }
+      }.bind(this));
     }
   }
 
-  return this;
+  return Operation.result(this, operation);
 };
 
 Motor.prototype.release = function() {
+  var state = priv.get(this);
+
+  state.brakeWait = null;
+
   this.resume();
   process.nextTick(this.emit.bind(this, "release"));
 
@@ -727,13 +815,64 @@ Motor.prototype.release = function() {
 };
 
 Motor.prototype.resume = function() {
+  var state = priv.get(this);
   var speed = this.speed();
+
+  // Timed brakes are complete once the motor resumes.
+  // Settle them first: dir() stops the motor, which
+  // would otherwise interrupt them.
+  state.brakeOperations.splice(0).forEach(function(operation) {
+    operation.complete();
+  });
+
   this.dir(this.direction);
   this.start(speed);
 
   return this;
 };
 
+/**
+ * toJSON
+ *
+ * @return {Object} The state record used by Board.prototype.serialize
+ */
+Motor.prototype.toJSON = function() {
+  return {
+    id: this.id,
+    pins: this.pins,
+    speed: this.currentSpeed,
+    direction: this.direction.value,
+    isOn: this.isOn
+  };
+};
+
+/**
+ * fromJSON Return the motor to the speed and direction
+ * recorded by toJSON, and start it if it was running
+ *
+ * @param  {Object} data A state record
+ * @return {Motor}
+ */
+Motor.prototype.fromJSON = function(data) {
+  var state = priv.get(this);
+
+  if (!data) {
+    return this;
+  }
+
+  if (typeof data.speed === "number") {
+    state.currentSpeed = Board.constrain(data.speed, 0, 255);
+  }
+
+  if (data.isOn) {
+    this[data.direction === 0 ? "reverse" : "forward"](state.currentSpeed);
+  } else if (data.isOn === false && this.isOn) {
+    this.stop();
+  }
+
+  return this;
+};
+
 Motor.prototype.enable = function() {
   var state = priv.get(this);
   if (typeof this.pins.enable !== "undefined" && !this.enabled) {
@@ -750,7 +889,7 @@ Motor.prototype.disable = function() {
   }
 };
 
-[
+var Directions = [
   /**
    * forward Turn the Motor in its forward direction
    * fwd Turn the Motor in its forward direction
@@ -775,7 +914,9 @@ Motor.prototype.disable = function() {
     abbr: "rev",
     value: 0
   }
-].forEach(function(dir) {
+];
+
+Directions.forEach(function(dir) {
   var method = function(speed) {
     this.dir(dir);
     this.start(speed);
@@ -785,6 +926,174 @@ Motor.prototype.disable = function() {
   Motor.prototype[dir.name] = Motor.prototype[dir.abbr] = method;
 });
 
+function endControl(motor) {
+  var state = priv.get(motor);
+  var control = state.control;
+
+  if (!control) {
+    return null;
+  }
+
+  motor.encoder.removeListener("data", control.update);
+  state.control = null;
+
+  return control;
+}
+
+// Apply a signed closed-loop output (-255...255)
+function drive(motor, output) {
+  var state = priv.get(motor);
+  var direction = Directions[output < 0 ? 1 : 0];
+  var speed = Math.round(Math.abs(output));
+
+  if (typeof motor.pins.dir === "undefined") {
+    // Non-directional motors can only be driven forward
+    speed = output < 0 ? 0 : speed;
+  } else if (motor.direction.value !== direction.value) {
+    state.isSteering = true;
+    motor.dir(direction);
+    state.isSteering = false;
+  }
+
+  motor.speed({
+    speed: speed,
+    saveSpeed: false
+  });
+}
+
+function control(motor, mode, setpoint, opts) {
+  var state = priv.get(motor);
+  var encoder = motor.encoder;
+  var settings, pid, previous, stallTime, current;
+
+  if (!encoder) {
+    throw new Error("Motor closed-loop control requires an `encoder`");
+  }
+
+  opts = opts || {};
+  settings = Object.assign({}, Loops[mode], state.gains[mode], opts);
+  stallTime = settings.stallTime || 500;
+
+  // Each mode's PID is kept for the life of the motor
+  pid = state.pids[mode] || (state.pids[mode] = new PID({
+    min: -255,
+    max: 255
+  }));
+
+  pid.kp = settings.kp;
+  pid.ki = settings.ki;
+  pid.kd = settings.kd;
+  pid.reset();
+
+  previous = endControl(motor);
+
+  if (previous && previous.operation) {
+    previous.operation.fail(new Error("Motor operation interrupted by a new target"));
+  }
+
+  current = {
+    mode: mode,
+    setpoint: setpoint,
+    operation: mode === "position" ? Operation.begin(motor) : null,
+    hasArrived: false,
+    isStalled: false,
+    stalled: 0,
+    count: encoder.count,
+    update: null
+  };
+
+  current.update = function() {
+    var input = mode === "rpm" ? encoder.rpm : encoder.count;
+    var output;
+
+    if (Math.abs(setpoint - input) <= settings.tolerance) {
+      if (mode === "position") {
+        endControl(motor);
+        drive(motor, 0);
+
+        if (current.operation) {
+          current.operation.complete();
+        }
+
+        motor.emit("arrived", input);
+        return;
+      }
+
+      if (!current.hasArrived) {
+        current.hasArrived = true;
+        motor.emit("arrived", input);
+      }
+    }
+
+    output = pid.compute(setpoint, input, encoder.freq / 1000);
+
+    drive(motor, output);
+
+    // Driven, but not moving
+    if (Math.abs(output) >= motor.threshold && encoder.count === current.count) {
+      current.stalled += encoder.freq;
+
+      if (current.stalled >= stallTime && !current.isStalled) {
+        current.isStalled = true;
+        motor.emit("stalled", {
+          mode: mode,
+          target: setpoint,
+          value: input,
+          output: output
+        });
+      }
+    } else {
+      current.stalled = 0;
+      current.isStalled = false;
+    }
+
+    current.count = encoder.count;
+  };
+
+  state.control = current;
+  encoder.on("data", current.update);
+
+  return current;
+}
+
+/**
+ * rpm Hold a target speed, measured by the motor's encoder
+ *
+ * @param  {Number} target Revolutions per minute (negative for reverse)
+ * @param  {Object} opts   (optional) kp, ki, kd, tolerance, stallTime
+ * @return {Motor}
+ *
+ * Emits "arrived" once the speed is within `tolerance`
+ * rpm of the target, and "stalled" when driven without
+ * moving for `stallTime` ms. Control continues until
+ * stop() (or a new target).
+ */
+Motor.prototype.rpm = function(target, opts) {
+  control(this, "rpm", target, opts);
+  return this;
+};
+
+/**
+ * to Move to a target position, in encoder counts
+ *
+ * @param  {Number} position
+ * @param  {Object} opts     (optional) kp, ki, kd, tolerance, stallTime
+ * @return {Motor}
+ *
+ * - or, when created with `promises: true` -
+ *
+ * @return {Promise} Resolved with the Motor on arrival,
+ *                   rejected by `stop()` or a new target
+ *
+ * Emits "arrived" and stops once within `tolerance`
+ * counts of the position, and "stalled" when driven
+ * without moving for `stallTime` ms.
+ */
+Motor.prototype.to = function(position, opts) {
+  var current = control(this, "position", position, opts);
+  return Operation.result(this, current.operation);
+};
+
 Motor.SHIELD_CONFIGS = {
   ADAFRUIT_V1: {
     M1: {
@@ -991,7 +1300,10 @@ Motors.prototype = Object.create(Collection.prototype, {
  * eg. array.release();
  */
 
-Object.keys(Motor.prototype).forEach(function(method) {
+Object.keys(Motor.prototype).filter(function(method) {
+  // State records are per-motor, not per-collection
+  return method !== "toJSON" && method !== "fromJSON";
+}).forEach(function(method) {
   // Create Motors wrappers for each method listed.
   // This will allow us control over all Motor instances
   // simultaneously.
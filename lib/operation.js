@@ -0,0 +1,135 @@
+var priv = new Map();
+
+/**
+ * Operation
+ * @constructor
+ *
+ * A pending timed operation (a servo move, an led fade,
+ * a stepper move, a song...) of a component that was
+ * created with `promises: true`.
+ *
+ * The operation's `promise` resolves with the component
+ * when the operation completes, or rejects when the
+ * operation is interrupted by the component's `stop()`.
+ *
+ * @param {Object} component
+ */
+function Operation(component) {
+  var pending = priv.get(component) || [];
+
+  this.component = component;
+  this.promise = new Promise(function(resolve, reject) {
+    this.resolve = resolve;
+    this.reject = reject;
+  }.bind(this));
+
+  pending.push(this);
+  priv.set(component, pending);
+}
+
+function remove(operation) {
+  var pending = priv.get(operation.component);
+  var index;
+
+  if (!pending) {
+    return;
+  }
+
+  index = pending.indexOf(operation);
+
+  if (index !== -1) {
+    pending.splice(index, 1);
+  }
+
+  if (!pending.length) {
+    priv.delete(operation.component);
+  }
+}
+
+/**
+ * complete Resolve the operation's promise with the component
+ */
+Operation.prototype.complete = function() {
+  remove(this);
+  this.resolve(this.component);
+};
+
+/**
+ * fail Reject the operation's promise
+ *
+ * @param  {Error} error
+ */
+Operation.prototype.fail = function(error) {
+  remove(this);
+  this.reject(error);
+};
+
+/**
+ * Operation.isEnabled
+ *
+ * Components return promises when created with
+ * `promises: true`, or when their board was.
+ *
+ * @param  {Object}  component
+ * @param  {Object}  opts      Component options
+ * @return {Boolean}
+ */
+Operation.isEnabled = function(component, opts) {
+  if (typeof opts.promises !== "undefined") {
+    return !!opts.promises;
+  }
+  return !!(component.board && component.board.promises);
+};
+
+/**
+ * Operation.begin
+ *
+ * @param  {Object} component
+ * @return {Operation|null} A new pending operation, or null
+ *                          when the component does not
+ *                          return promises.
+ */
+Operation.begin = function(component) {
+  return component.promises ? new Operation(component) : null;
+};
+
+/**
+ * Operation.interrupt
+ *
+ * Reject every pending operation of a component.
+ *
+ * @param  {Object} component
+ */
+Operation.interrupt = function(component) {
+  var pending = priv.get(component);
+
+  if (!pending) {
+    return;
+  }
+
+  pending.slice().forEach(function(operation) {
+    operation.fail(
+      new Error(component.constructor.name + " operation interrupted by stop()")
+    );
+  });
+};
+
+/**
+ * Operation.result
+ *
+ * The value returned by a timed method: the operation's
+ * promise when the component returns promises, otherwise
+ * the component itself (for chaining).
+ *
+ * @param  {Object} component
+ * @param  {Operation|null} operation
+ * @return {Promise|Object}
+ */
+Operation.result = function(component, operation) {
+  if (operation) {
+    return operation.promise;
+  }
+  return component.promises ? Promise.resolve(component) : component;
+};
+
+module.exports = Operation;
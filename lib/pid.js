@@ -0,0 +1,509 @@
+var Board = require("./board");
+var Emitter = require("events").EventEmitter;
+var util = require("util");
+var Operation = require("./operation");
+var Scheduler = require("./board.scheduler");
+
+var priv = new Map();
+
+// Ziegler-Nichols tuning rules, from the ultimate
+// gain (ku) and period (tu, in seconds)
+var Rules = {
+  classic: function(ku, tu) {
+    return {
+      kp: 0.6 * ku,
+      ki: 1.2 * ku / tu,
+      kd: 0.075 * ku * tu
+    };
+  },
+  pi: function(ku, tu) {
+    return {
+      kp: 0.45 * ku,
+      ki: 0.54 * ku / tu,
+      kd: 0
+    };
+  },
+  "no-overshoot": function(ku, tu) {
+    return {
+      kp: 0.2 * ku,
+      ki: 0.4 * ku / tu,
+      kd: 0.066 * ku * tu
+    };
+  },
+};
+
+// Read a (possibly dotted) property path, eg. "accelerometer.x"
+function lookup(target, property) {
+  return property.split(".").reduce(function(value, key) {
+    return value == null ? undefined : value[key];
+  }, target);
+}
+
+/**
+ * reader
+ *
+ * An input source is a function, an object with a
+ * `value` (eg. Sensor), or { component, property }:
+ *
+ *   { component: thermometer, property: "celsius" }
+ *
+ * @param  {Function|Object} input
+ * @return {Function}
+ */
+function reader(input) {
+  if (typeof input === "function") {
+    return input;
+  }
+
+  if (input && input.component) {
+    return function() {
+      return lookup(input.component, input.property || "value");
+    };
+  }
+
+  if (input && typeof input === "object") {
+    return function() {
+      return input.value;
+    };
+  }
+
+  throw new Error("PID `input` must be a function, a component, or { component, property }");
+}
+
+/**
+ * writer
+ *
+ * An output sink is a function, or { component, method }:
+ *
+ *   { component: motor, method: "speed" }
+ *
+ * @param  {Function|Object} output
+ * @return {Function}
+ */
+function writer(output) {
+  if (typeof output === "function") {
+    return output;
+  }
+
+  if (output && output.component && typeof output.component[output.method] === "function") {
+    return function(value) {
+      output.component[output.method](value);
+    };
+  }
+
+  throw new Error("PID `output` must be a function or { component, method }");
+}
+
+// The board of an input or output source (or its component)
+function boardOf(source) {
+  if (!source || typeof source !== "object") {
+    return null;
+  }
+
+  return source.board || (source.component && source.component.board) || null;
+}
+
+/**
+ * PID
+ * @constructor
+ *
+ * A proportional-integral-derivative controller.
+ *
+ * As a calculator:
+ *
+ * var pid = new PID({ kp: 1, ki: 0.5, kd: 0, min: -255, max: 255 });
+ *
+ * output = pid.compute(setpoint, input, dt);
+ *
+ * As a control loop, reading an `input` and writing an
+ * `output` every `freq` ms:
+ *
+ * new five.PID({
+ *   input: { component: thermometer, property: "celsius" },
+ *   output: function(value) { heater.brightness(value); },
+ *   setpoint: 60,
+ *   ramp: 0.5,
+ *   kp: 8, ki: 0.2, kd: 1,
+ *   min: 0, max: 255,
+ *   freq: 250
+ * });
+ *
+ * new five.PID({
+ *   input: sensor,
+ *   output: { component: motor, method: "speed" },
+ *   setpoint: 512
+ * });
+ *
+ * The integral is only accumulated while the output
+ * is not saturated (anti-windup), and the derivative
+ * is taken on the input, to avoid a kick when the
+ * setpoint changes. With a `ramp` (setpoint units per
+ * second), setpoint changes are approached gradually.
+ *
+ * Control loops emit "data" after every sample, with
+ * { setpoint, input, output, error }. They run on the
+ * scheduler of the `board` (by default, the board of the
+ * input or output component), and end when it exits.
+ *
+ * @param {Object} opts Options: kp, ki, kd, min, max,
+ *                      input, output, setpoint, ramp, freq, board
+ */
+function PID(opts) {
+  if (!(this instanceof PID)) {
+    return new PID(opts);
+  }
+
+  Emitter.call(this);
+
+  opts = opts || {};
+
+  this.kp = typeof opts.kp === "undefined" ? 1 : opts.kp;
+  this.ki = opts.ki || 0;
+  this.kd = opts.kd || 0;
+  this.min = typeof opts.min === "undefined" ? -Infinity : opts.min;
+  this.max = typeof opts.max === "undefined" ? Infinity : opts.max;
+  this.freq = opts.freq || 100;
+  this.ramp = opts.ramp || 0;
+
+  this.integral = 0;
+  this.input = null;
+  this.output = 0;
+
+  this.board = opts.board || boardOf(opts.input) || boardOf(opts.output) || Board.mount();
+
+  // Return a promise from autotune()
+  this.promises = Operation.isEnabled(this, opts);
+
+  priv.set(this, {
+    read: opts.input ? reader(opts.input) : null,
+    write: opts.output ? writer(opts.output) : null,
+    target: opts.setpoint || 0,
+    setpoint: opts.setpoint || 0,
+    timer: null,
+    tune: null,
+  });
+
+  if (opts.input || opts.output) {
+    if (!opts.input || !opts.output) {
+      throw new Error("PID control loops require both an `input` and an `output`");
+    }
+
+    if (opts.enabled !== false) {
+      this.start();
+    }
+  }
+}
+
+util.inherits(PID, Emitter);
+
+/**
+ * compute Calculate the next output
+ *
+ * @param  {Number} setpoint
+ * @param  {Number} input    The measured value
+ * @param  {Number} dt       Seconds since the last compute
+ * @return {Number} output
+ */
+PID.prototype.compute = function(setpoint, input, dt) {
+  var error = setpoint - input;
+  var derivative = this.input === null || !dt ? 0 : (input - this.input) / dt;
+  var integral = this.integral + error * (dt || 0);
+  var output = this.kp * error + this.ki * integral - this.kd * derivative;
+  var saturated = output > this.max ? 1 : (output < this.min ? -1 : 0);
+
+  // Don't accumulate error that pushes further into saturation
+  if (!saturated || (saturated > 0) !== (error > 0)) {
+    this.integral = integral;
+  }
+
+  output = Math.min(this.max, Math.max(this.min, output));
+
+  this.input = input;
+  this.output = output;
+
+  return output;
+};
+
+/**
+ * reset Clear the accumulated integral and derivative history
+ *
+ * @return {PID}
+ */
+PID.prototype.reset = function() {
+  this.integral = 0;
+  this.input = null;
+  this.output = 0;
+  return this;
+};
+
+function relay(pid, state, input) {
+  var tune = state.tune;
+  var now = Date.now();
+  var period, amplitude, ku, tu, gains;
+
+  tune.high = Math.max(tune.high, input);
+  tune.low = Math.min(tune.low, input);
+
+  if (tune.isOn && input > state.setpoint + tune.hysteresis) {
+    tune.isOn = false;
+    tune.peaks.push(tune.high);
+    tune.high = -Infinity;
+  } else if (!tune.isOn && input < state.setpoint - tune.hysteresis) {
+    tune.isOn = true;
+    tune.troughs.push(tune.low);
+    tune.low = Infinity;
+    tune.switches.push(now);
+  }
+
+  // The first (partial) cycle is discarded
+  if (tune.switches.length > tune.cycles + 1) {
+    period = (tune.switches[tune.switches.length - 1] - tune.switches[1]) /
+      (tune.switches.length - 2);
+    amplitude = (average(tune.peaks.slice(1)) - average(tune.troughs.slice(1))) / 2;
+
+    ku = 4 * tune.step / (Math.PI * amplitude);
+    tu = period / 1000;
+    gains = Rules[tune.rule](ku, tu);
+
+    pid.kp = gains.kp;
+    pid.ki = gains.ki;
+    pid.kd = gains.kd;
+    pid.reset();
+
+    state.tune = null;
+
+    if (tune.operation) {
+      tune.operation.complete();
+    }
+
+    pid.emit("tuned", Object.assign({ ku: ku, tu: tu }, gains));
+
+    return pid.compute(state.setpoint, input, pid.freq / 1000);
+  }
+
+  return tune.bias + (tune.isOn ? tune.step : -tune.step);
+}
+
+function average(values) {
+  return values.reduce(function(sum, value) {
+    return sum + value;
+  }, 0) / values.length;
+}
+
+function sample() {
+  var state = priv.get(this);
+  var dt = this.freq / 1000;
+  var input = state.read();
+  var output, step;
+
+  if (typeof input !== "number" || isNaN(input)) {
+    return;
+  }
+
+  // Approach a new setpoint at the ramp rate
+  if (state.setpoint !== state.target) {
+    step = this.ramp ? this.ramp * dt : Infinity;
+
+    if (Math.abs(state.target - state.setpoint) <= step) {
+      state.setpoint = state.target;
+    } else {
+      state.setpoint += state.target > state.setpoint ? step : -step;
+    }
+  }
+
+  if (state.tune) {
+    output = relay(this, state, input);
+    this.input = input;
+    this.output = output;
+  } else {
+    output = this.compute(state.setpoint, input, dt);
+  }
+
+  state.write(output);
+
+  this.emit("data", {
+    setpoint: state.setpoint,
+    input: input,
+    output: output,
+    error: state.setpoint - input
+  });
+}
+
+/**
+ * start Start (or restart) the control loop
+ *
+ * @return {PID}
+ */
+PID.prototype.start = function() {
+  var state = priv.get(this);
+
+  if (!state.read) {
+    throw new Error("PID control loops require an `input` and an `output`");
+  }
+
+  // (A loop is also cancelled when the board exits)
+  if (!state.timer || state.timer.state === "cancelled") {
+    this.reset();
+    state.timer = Scheduler.every(this.board, this.freq, sample.bind(this));
+  }
+
+  return this;
+};
+
+/**
+ * stop Stop the control loop (and any auto-tune)
+ *
+ * @return {PID}
+ */
+PID.prototype.stop = function() {
+  var state = priv.get(this);
+
+  if (state.timer) {
+    state.timer.cancel();
+    state.timer = null;
+  }
+
+  state.tune = null;
+  Operation.interrupt(this);
+
+  return this;
+};
+
+/**
+ * autotune Find gains with the relay method
+ *
+ * The output alternates between `bias` ± `step` as the
+ * input crosses the setpoint, until the input has
+ * oscillated `cycles` times. The gains are calculated
+ * from the oscillation's amplitude and period, using a
+ * Ziegler-Nichols `rule` ("classic", "pi" or "no-overshoot"),
+ * applied, and emitted with a "tuned" event.
+ *
+ * Starting another auto-tune abandons the one in progress
+ * (rejecting its promise).
+ *
+ * @param  {Object} opts step, bias, hysteresis, cycles, rule
+ * @return {PID}
+ *
+ * - or, when created with `promises: true` -
+ *
+ * @return {Promise} Resolved with the PID once tuned
+ */
+PID.prototype.autotune = function(opts) {
+  var state = priv.get(this);
+  var bias, operation;
+
+  opts = opts || {};
+
+  if (!state.read) {
+    throw new Error("PID auto-tune requires an `input` and an `output`");
+  }
+
+  if (!Rules[opts.rule || "classic"]) {
+    throw new Error("Unknown PID tuning rule: " + opts.rule);
+  }
+
+  bias = typeof opts.bias === "number" ? opts.bias :
+    (isFinite(this.min) && isFinite(this.max) ? (this.min + this.max) / 2 : this.output);
+
+  if (state.tune) {
+    state.tune = null;
+    Operation.interrupt(this);
+  }
+
+  operation = Operation.begin(this);
+
+  state.tune = {
+    step: opts.step || (isFinite(this.max) ? (this.max - bias) : 1),
+    bias: bias,
+    hysteresis: opts.hysteresis || 0,
+    cycles: opts.cycles || 4,
+    rule: opts.rule || "classic",
+    isOn: true,
+    high: -Infinity,
+    low: Infinity,
+    peaks: [],
+    troughs: [],
+    switches: [],
+    operation: operation,
+  };
+
+  this.start();
+
+  return Operation.result(this, operation);
+};
+
+/**
+ * toJSON
+ *
+ * PIDs are not components of a board, so they aren't
+ * part of Board.prototype.serialize; keep the record
+ * and give it back to fromJSON after a restart.
+ *
+ * @return {Object} { kp, ki, kd, setpoint }
+ */
+PID.prototype.toJSON = function() {
+  return {
+    kp: this.kp,
+    ki: this.ki,
+    kd: this.kd,
+    setpoint: this.target
+  };
+};
+
+/**
+ * fromJSON Restore the gains and setpoint recorded by toJSON
+ *
+ * @param  {Object} data A state record
+ * @return {PID}
+ */
+PID.prototype.fromJSON = function(data) {
+  if (!data) {
+    return this;
+  }
+
+  ["kp", "ki", "kd", "setpoint"].forEach(function(key) {
+    if (typeof data[key] === "number") {
+      this[key] = data[key];
+    }
+  }, this);
+
+  return this;
+};
+
+Object.defineProperties(PID.prototype, {
+  /**
+   * The setpoint. With a `ramp`, reading returns the
+   * current (ramping) setpoint, and `target` returns the
+   * final setpoint.
+   *
+   * @property setpoint
+   * @type Number
+   */
+  setpoint: {
+    get: function() {
+      return priv.get(this).setpoint;
+    },
+    set: function(value) {
+      var state = priv.get(this);
+
+      state.target = value;
+
+      if (!this.ramp) {
+        state.setpoint = value;
+      }
+    }
+  },
+  target: {
+    get: function() {
+      return priv.get(this).target;
+    }
+  },
+  isTuning: {
+    get: function() {
+      return !!priv.get(this).tune;
+    }
+  },
+});
+
+module.exports = PID;
@@ -1,4 +1,5 @@
 var Board = require("./board"),
+  Operation = require("./operation"),
   Timer = require("nanotimer");
 
 var priv = new Map();
@@ -15,6 +16,9 @@ function Piezo(opts) {
 
   this.io.pinMode(this.pin, this.mode);
 
+  // Return promises from play()
+  this.promises = Operation.isEnabled(this, opts);
+
   // Piezo instance properties
   var state = {
     isPlaying: false,
@@ -282,6 +286,18 @@ function stringToSong(stringSong, beats) {
   return song;
 }
 
+/**
+ * play Play a song
+ *
+ * @param  {Object|String} tune     { song, beats, tempo } or a song
+ * @param  {Function}      callback Called with the tune when the song is over
+ * @return {Piezo}
+ *
+ * - or, when created with `promises: true` -
+ *
+ * @return {Promise} Resolved with the Piezo when the song is
+ *                   over, rejected by `stop()`
+ */
 Piezo.prototype.play = function(tune, callback) {
   if (typeof tune !== "object") {
     tune = {
@@ -298,6 +314,7 @@ Piezo.prototype.play = function(tune, callback) {
   var song = tune.song || [];
   var i = 0;
   var duration;
+  var operation = Operation.begin(this);
 
   if (song && !Array.isArray(song)) {
     song = [song];
@@ -313,6 +330,9 @@ Piezo.prototype.play = function(tune, callback) {
     if (i++ === song.length) {
       // Song is over
       state.isPlaying = false;
+      if (operation) {
+        operation.complete();
+      }
       if (typeof callback === "function") {
         callback(tune);
       }
@@ -333,7 +353,7 @@ Piezo.prototype.play = function(tune, callback) {
 
   next();
 
-  return this;
+  return Operation.result(this, operation);
 };
 
 Piezo.prototype.noTone = function() {
@@ -352,6 +372,38 @@ Piezo.prototype.stop = function() {
     state.timeout = null;
   }
 
+  Operation.interrupt(this);
+
+  return this;
+};
+
+/**
+ * toJSON
+ *
+ * A tune that is playing is not part of the record;
+ * only the default octave is restored.
+ *
+ * @return {Object} The state record used by Board.prototype.serialize
+ */
+Piezo.prototype.toJSON = function() {
+  return {
+    id: this.id,
+    pin: this.pin,
+    octave: this.defaultOctave()
+  };
+};
+
+/**
+ * fromJSON Restore the default octave recorded by toJSON
+ *
+ * @param  {Object} data A state record
+ * @return {Piezo}
+ */
+Piezo.prototype.fromJSON = function(data) {
+  if (data && typeof data.octave === "number") {
+    this.defaultOctave(data.octave);
+  }
+
   return this;
 };
 
@@ -1,5 +1,7 @@
 var Board = require("./board");
 var EVS = require("./evshield");
+var Calibration = require("./calibration");
+var Filter = require("./filter");
 var within = require("./mixins/within");
 var Emitter = require("events").EventEmitter;
 var util = require("util");
@@ -383,6 +385,20 @@ Controllers["LIDAR-Lite"] = Controllers.LIDARLITE;
  *  freq: 100
  * });
  *
+ * five.Proximity({
+ *  pin: "A0",
+ *  filters: [ "spike", { type: "ema", alpha: 0.2 } ]
+ * });
+ *
+ * five.Proximity({
+ *  pin: "A0",
+ *  calibration: [[80, 60], [150, 30], [300, 15], [530, 8]]
+ * });
+ *
+ * A `calibration` (a Calibration, a saved profile's
+ * file name, or calibration options) of raw readings
+ * to centimeters replaces the controller's formula.
+ *
  *
  * @param {Object} opts [description]
  *
@@ -419,6 +435,13 @@ function Proximity(opts) {
     };
   }
 
+  // Raw readings are passed through the (optional) filters, in order
+  state.filter = Filter.chain(opts.filters);
+  state.calibration = Calibration.from(opts.calibration);
+  state.reading = function() {
+    return raw;
+  };
+
   priv.set(this, state);
 
   Object.defineProperties(this, {
@@ -429,6 +452,9 @@ function Proximity(opts) {
      */
     centimeters: {
       get: function() {
+        if (state.calibration.points.length) {
+          return state.calibration.map(raw);
+        }
         return this.toCm(raw);
       }
     },
@@ -452,12 +478,22 @@ function Proximity(opts) {
         return this.inches;
       }
     },
+    /**
+     * [read-only] Raw reading to centimeters calibration
+     * @property calibration
+     * @type Calibration
+     */
+    calibration: {
+      get: function() {
+        return state.calibration;
+      }
+    },
   });
 
   if (typeof this.initialize === "function") {
     opts.pinValue = pinValue;
     this.initialize(opts, function(data) {
-      raw = data;
+      raw = state.filter ? state.filter.process(data) : data;
     });
   }
 
@@ -495,4 +531,17 @@ util.inherits(Proximity, Emitter);
 
 Object.assign(Proximity.prototype, within);
 
+/**
+ * calibrate Record the current reading as a calibration
+ *           reference point at a measured distance.
+ *
+ * @param  {Number} cm The actual distance, in centimeters
+ * @return {Object} instance
+ */
+Proximity.prototype.calibrate = function(cm) {
+  var state = priv.get(this);
+  state.calibration.add(state.reading(), cm);
+  return this;
+};
+
 module.exports = Proximity;
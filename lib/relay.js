@@ -93,4 +93,30 @@ Relay.prototype.toggle = function() {
   return this;
 };
 
+/**
+ * toJSON
+ * @return {Object} The state record used by Board.prototype.serialize
+ */
+Relay.prototype.toJSON = function() {
+  return {
+    id: this.id,
+    pin: this.pin,
+    type: this.type,
+    isOn: this.isOn
+  };
+};
+
+/**
+ * fromJSON Return the relay to the state recorded by toJSON
+ * @param  {Object} data A state record
+ * @return {Relay}
+ */
+Relay.prototype.fromJSON = function(data) {
+  if (data && typeof data.isOn === "boolean") {
+    this[data.isOn ? "on" : "off"]();
+  }
+
+  return this;
+};
+
 module.exports = Relay;
@@ -1,5 +1,7 @@
 var Board = require("./board"),
   events = require("events"),
+  Calibration = require("./calibration"),
+  Filter = require("./filter"),
   util = require("util"),
   within = require("./mixins/within");
 
@@ -43,7 +45,15 @@ function arrayMedian(input) {
  *
  * @description Generic analog or digital sensor constructor
  *
- * @param {Object} opts Options: pin, freq, range
+ * @param {Object} opts Options: pin, freq, range, filters, calibration
+ *
+ * Analog readings may be passed through a chain of `filters`
+ * (see lib/filter.js), applied in order to the median of each
+ * interval's samples.
+ *
+ * A `calibration` (see lib/calibration.js: a Calibration, a
+ * saved profile's file name, or calibration options) maps
+ * readings to the `calibrated` value and "calibrated" event.
  */
 
 function Sensor(opts) {
@@ -62,7 +72,9 @@ function Sensor(opts) {
   median = NaN;
 
   Board.Component.call(
-    this, opts = Board.Options(opts)
+    this, opts = Board.Options(opts), {
+      pinMode: opts.type === "digital" ? "INPUT" : "ANALOG"
+    }
   );
 
   if (!opts.type) {
@@ -86,6 +98,9 @@ function Sensor(opts) {
     value: 0,
     freq: opts.freq || 25,
     previousFreq: opts.freq || 25,
+    filter: opts.type === "digital" ? null : Filter.chain(opts.filters),
+    calibration: Calibration.from(opts.calibration),
+    reading: null,
   };
   // Put a reference where the prototype methods defined in this file have access
   priv.set(this, state);
@@ -108,6 +123,14 @@ function Sensor(opts) {
     }
   }.bind(this));
 
+  // When filters are in use, the most recent filtered value
+  // stands in for the raw value
+  function filtered() {
+    return state.filter && !isNaN(median) ? median : value;
+  }
+
+  state.reading = filtered;
+
   // Throttle
   // TODO: The event (interval) processing function should be outside of the Sensor
   // constructor function (with appropriate passed (and bound?) arguments), to
@@ -136,10 +159,18 @@ function Sensor(opts) {
     if (samples.length > 0) {
       // Filter the accumulated sample values to reduce analog reading noise
       median = arrayMedian(samples);
+
+      if (state.filter) {
+        median = state.filter.process(median);
+      }
     }
 
     this.emit("data", median);
 
+    if (state.calibration.points.length) {
+      this.emit("calibrated", state.calibration.map(median));
+    }
+
     // If the filtered (median) value for this interval is at least ± the
     // configured threshold from last, fire change events
     if (median <= (last - this.threshold) || median >= (last + this.threshold)) {
@@ -224,7 +255,7 @@ function Sensor(opts) {
             return state.scale[value];
           }
 
-          mapped = Board.fmap(value, this.range[0], this.range[1], state.scale[0], state.scale[1]);
+          mapped = Board.fmap(filtered(), this.range[0], this.range[1], state.scale[0], state.scale[1]);
           constrain = Board.constrain(mapped, state.scale[0], state.scale[1]);
 
           return constrain;
@@ -247,6 +278,16 @@ function Sensor(opts) {
         }
       }
     },
+    calibration: {
+      get: function() {
+        return state.calibration;
+      }
+    },
+    calibrated: {
+      get: function() {
+        return state.calibration.map(filtered());
+      }
+    },
     value: {
       get: function() {
         if (state.scale) {
@@ -254,7 +295,7 @@ function Sensor(opts) {
           return this.scaled;
         }
 
-        return value;
+        return filtered();
       }
     }
   });
@@ -374,6 +415,28 @@ Sensor.prototype.booleanAt = function(barrier) {
   return this;
 };
 
+/**
+ * calibrate Record the current reading as a calibration
+ *           reference point for the provided actual value.
+ *
+ * @param  {Number} actual
+ * @return {Object} instance
+ *
+ */
+
+Sensor.prototype.calibrate = function(actual) {
+  var state = priv.get(this);
+  var reading = state.reading();
+
+  if (reading === null) {
+    throw new Error("Sensor cannot be calibrated before its first reading");
+  }
+
+  state.calibration.add(reading, actual);
+
+  return this;
+};
+
 module.exports = Sensor;
 
 // Reference
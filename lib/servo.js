@@ -1,4 +1,5 @@
 var IS_TEST_MODE = !!process.env.IS_TEST_MODE;
+var fs = require("fs");
 var Board = require("./board");
 var Pins = Board.Pins;
 var Expander = require("./expander");
@@ -7,6 +8,8 @@ var util = require("util");
 var Collection = require("./mixins/collection");
 var __ = require("./fn");
 var Animation = require("./animation");
+var Operation = require("./operation");
+var Calibration = require("./calibration");
 
 // Servo instance private data
 var priv = new Map();
@@ -38,6 +41,15 @@ var Controllers = {
         var state = priv.get(this);
         state.expander.servoWrite(pin, degrees);
       }
+    },
+    pulseWrite: {
+      writable: true,
+      value: function(pin, microseconds) {
+        // The expander maps 0-180 onto the pwmRange
+        this.servoWrite(pin, Board.fmap(
+          microseconds, this.pwmRange[0], this.pwmRange[1], 0, 180
+        ));
+      }
     }
   },
   Standard: {
@@ -62,16 +74,35 @@ var Controllers = {
     },
     servoWrite: {
       value: function(pin, degrees) {
+        var state = priv.get(this);
+
         // Servo is restricted to integers
         degrees |= 0;
 
         // If same degrees return immediately.
-        if (this.last && this.last.degrees === degrees) {
+        if (state.written === degrees) {
           return this;
         }
 
+        state.written = degrees;
         this.io.servoWrite(this.pin, degrees);
       }
+    },
+    pulseWrite: {
+      value: function(pin, microseconds) {
+        var state = priv.get(this);
+
+        microseconds |= 0;
+
+        if (state.written === microseconds) {
+          return this;
+        }
+
+        // Firmata treats servo values of 544 or
+        // more as pulse widths in microseconds
+        state.written = microseconds;
+        this.io.servoWrite(this.pin, microseconds);
+      }
     }
   }
 };
@@ -80,7 +111,18 @@ var Controllers = {
  * Servo
  * @constructor
  *
- * @param {Object} opts Options: pin, type, id, range
+ * A `calibration` corrects a servo's non-linear response;
+ * see Servo.prototype.calibrate.
+ *
+ * A `profile` ({ velocity, acceleration, jerk }, in degrees
+ * per second, per second², per second³) limits moves made with
+ * `to(degrees, profile)`; the limits given to `to()` override
+ * the servo's. Moves without a jerk limit are trapezoidal,
+ * moves with one are S-curves. During moves, `isMoving` is true
+ * and "move:progress" events report { degrees, progress }.
+ *
+ * @param {Object} opts Options: pin, type, id, range, calibration,
+ *                      profile
  */
 
 function Servo(opts) {
@@ -95,17 +137,23 @@ function Servo(opts) {
   pinValue = typeof opts === "object" ? opts.pin : opts;
 
   Board.Component.call(
-    this, opts = Board.Options(opts)
+    this, opts = Board.Options(opts), {
+      pinMode: "SERVO"
+    }
   );
 
   this.range = opts.range || [0, 180];
   this.deadband = opts.deadband || [90, 90];
   this.fps = opts.fps || 100;
   this.offset = opts.offset || 0;
+  this.profile = opts.profile || null;
   this.mode = this.io.MODES.SERVO;
   this.interval = null;
   this.value = null;
 
+  // Return promises from timed operations (to, step, min, max, center)
+  this.promises = Operation.isEnabled(this, opts);
+
   // StandardFirmata on Arduino allows controlling
   // servos from analog pins.
   // If we're currently operating with an Arduino
@@ -158,9 +206,15 @@ function Servo(opts) {
   // ];
 
   priv.set(this, {
-    history: history
+    history: history,
+    calibration: null,
+    written: null,
   });
 
+  if (opts.calibration) {
+    this.calibrate(opts.calibration);
+  }
+
 
   /**
    * Used for adding special controllers (i.e. PCA9685)
@@ -183,6 +237,11 @@ function Servo(opts) {
       get: function() {
         return history[history.length - 1].degrees;
       }
+    },
+    isMoving: {
+      get: function() {
+        return !!priv.get(this).isMoving;
+      }
     }
   }));
 
@@ -224,15 +283,27 @@ util.inherits(Servo, Emitter);
  *
  * - or -
  *
+ * @param  {Number} degrees   Degrees to turn servo to.
+ * @param  {Object} profile   Motion profile limits (see `profile`)
+ *
+ * - or -
+ *
  * @param {Object} an Animation() segment config object
  *
  * @return {Servo} instance
+ *
+ * - or, when created with `promises: true` -
+ *
+ * @return {Promise} Resolved with the instance when the move
+ *                   is complete, rejected by `stop()`
  */
 
 Servo.prototype.to = function(degrees, time, rate) {
 
   var options = {};
   var state = priv.get(this);
+  var operation = null;
+  var oncomplete;
 
   if (typeof degrees === "object") {
 
@@ -248,7 +319,23 @@ Servo.prototype.to = function(degrees, time, rate) {
 
     Object.assign(options, degrees);
 
-    state.isRunning = true;
+    operation = Operation.begin(this);
+    oncomplete = options.oncomplete;
+
+    // Settle before oncomplete, which may call stop()
+    options.oncomplete = function() {
+      state.isMoving = false;
+
+      if (operation) {
+        operation.complete();
+      }
+
+      if (typeof oncomplete === "function") {
+        oncomplete.apply(this, arguments);
+      }
+    };
+
+    state.isMoving = true;
 
     state.animation = state.animation || new Animation(this);
     state.animation.enqueue(options);
@@ -260,6 +347,10 @@ Servo.prototype.to = function(degrees, time, rate) {
     // Enforce limited range of motion
     degrees = Board.constrain(degrees, this.range[0], this.range[1]);
 
+    if (time !== null && typeof time === "object") {
+      return this.to(profiled(this, degrees, motion(this, degrees, time)));
+    }
+
     degrees += this.offset;
     this.value = degrees;
 
@@ -279,10 +370,10 @@ Servo.prototype.to = function(degrees, time, rate) {
         fps: rate || this.fps
       };
 
-      this.to(options);
+      return this.to(options);
 
     } else {
-      this.servoWrite(this.pin, degrees);
+      write(this, degrees);
       state.history.push({
         timestamp: Date.now(),
         degrees: degrees,
@@ -291,10 +382,183 @@ Servo.prototype.to = function(degrees, time, rate) {
     }
   }
 
-  // return this instance
+  return Operation.result(this, operation);
+};
+
+
+/**
+ * motion
+ *
+ * A motion profile for moving to `degrees`, within `limits`
+ * merged over the servo's own `profile`. The default velocity
+ * is the servo's rated speed (`specs.speed`, seconds per 60°).
+ *
+ * @param  {Servo}  servo
+ * @param  {Number} degrees
+ * @param  {Object} limits  { velocity, acceleration, jerk }
+ * @return {Object} { duration, easing } (see Animation.profile)
+ */
+function motion(servo, degrees, limits) {
+  var from = servo.last ? servo.last.target : servo.startAt;
+
+  return Animation.profile(degrees - from, Object.assign({
+    velocity: 60 / servo.specs.speed
+  }, servo.profile, limits));
+}
+
+// An animation segment that follows a motion profile to `degrees`
+function profiled(servo, degrees, plan) {
+  return {
+    duration: Math.max(plan.duration, 1),
+    easing: plan.easing,
+    keyFrames: [null, {
+      degrees: degrees
+    }],
+    fps: servo.fps
+  };
+}
+
+// Write degrees through the servo's calibration, if it has one
+function write(servo, degrees) {
+  var calibration = priv.get(servo).calibration;
+  var value;
+
+  if (!calibration) {
+    return servo.servoWrite(servo.pin, degrees);
+  }
+
+  value = Math.round(calibration.table.map(degrees));
+
+  if (calibration.units === "microseconds") {
+    servo.pulseWrite(servo.pin, value);
+  } else {
+    servo.servoWrite(servo.pin, Board.constrain(value, 0, 180));
+  }
+}
+
+/**
+ * profile
+ *
+ * Normalize a calibration profile. Measured (commanded, actual)
+ * angles are stored reversed, so that the table maps the angle
+ * that's wanted to the angle that must be commanded; (degrees,
+ * microseconds) tables are used as they are.
+ *
+ * @param  {Array|Object|String|Calibration} value
+ * @return {Object}
+ */
+function profile(value) {
+  var units, points;
+
+  if (typeof value === "string") {
+    value = JSON.parse(fs.readFileSync(value, "utf8"));
+  }
+
+  if (value instanceof Calibration) {
+    value = value.toJSON();
+  }
+
+  if (Array.isArray(value)) {
+    value = {
+      points: value
+    };
+  }
+
+  units = value.units || "degrees";
+
+  if (units !== "degrees" && units !== "microseconds") {
+    throw new Error("Servo calibration `units` must be \"degrees\" or \"microseconds\"");
+  }
+
+  points = (value.points || []).map(function(point) {
+    return [point[0], point[1]];
+  });
+
+  return {
+    units: units,
+    type: value.type || "linear",
+    degree: value.degree || 2,
+    points: points,
+    table: new Calibration({
+      type: value.type,
+      degree: value.degree,
+      points: units === "degrees" ? points.map(function(point) {
+        return [point[1], point[0]];
+      }) : points
+    })
+  };
+}
+
+/**
+ * calibrate
+ *
+ * Correct the servo's response with a table of measured
+ * (commanded, actual) angles:
+ *
+ * servo.calibrate([[0, 6], [90, 90], [180, 171]]);
+ *
+ * Or, a table of (degrees, microseconds) pulse widths:
+ *
+ * servo.calibrate({
+ *   units: "microseconds",
+ *   points: [[0, 560], [90, 1480], [180, 2420]]
+ * });
+ *
+ * Positions between the points are interpolated, or fit
+ * with `type: "polynomial"` (see lib/calibration.js).
+ * Profiles saved with `saveCalibration()` are loaded by
+ * file name. `null` removes the calibration.
+ *
+ * @param  {Array|Object|String|Calibration} value
+ * @return {Servo} instance
+ */
+Servo.prototype.calibrate = function(value) {
+  var state = priv.get(this);
+
+  state.calibration = value ? profile(value) : null;
+  state.written = null;
+
   return this;
 };
 
+/**
+ * saveCalibration Write the calibration profile to a JSON file
+ *
+ * @param  {String} file
+ * @return {Servo} instance
+ */
+Servo.prototype.saveCalibration = function(file) {
+  if (!this.calibration) {
+    throw new Error("Servo has no calibration to save");
+  }
+
+  fs.writeFileSync(file, JSON.stringify(this.calibration, null, 2));
+
+  return this;
+};
+
+Object.defineProperties(Servo.prototype, {
+  /**
+   * [read-only] The calibration profile, or null
+   * @property calibration
+   * @type Object
+   */
+  calibration: {
+    get: function() {
+      var calibration = priv.get(this).calibration;
+
+      return calibration ? {
+        units: calibration.units,
+        type: calibration.type,
+        degree: calibration.degree,
+        points: calibration.points.map(function(point) {
+          return point.slice();
+        })
+      } : null;
+    }
+  },
+});
+
 
 /**
  * Animation.normalize
@@ -335,7 +599,18 @@ Servo.prototype[Animation.normalize] = function(keyFrames) {
  */
 
 Servo.prototype[Animation.render] = function(position) {
-  return this.to(position[0]);
+  var state = priv.get(this);
+
+  this.to(position[0]);
+
+  if (state.isMoving) {
+    this.emit("move:progress", {
+      degrees: position[0],
+      progress: state.animation.progress
+    });
+  }
+
+  return this;
 };
 
 /**
@@ -425,7 +700,12 @@ Servo.prototype.sweep = function(opts) {
     Object.assign(options, opts);
   }
 
-  this.to(options);
+  if (this.promises) {
+    // A sweep never completes, it can only be stopped
+    this.to(options).catch(function() {});
+  } else {
+    this.to(options);
+  }
 
   return this;
 };
@@ -441,6 +721,9 @@ Servo.prototype.stop = function() {
     state.animation.stop();
   }
 
+  state.isMoving = false;
+  Operation.interrupt(this);
+
   if (this.type === "continuous") {
     this.to(
       this.deadband.reduce(function(a, b) {
@@ -454,6 +737,33 @@ Servo.prototype.stop = function() {
   return this;
 };
 
+/**
+ * toJSON
+ *
+ * @return {Object} The state record used by Board.prototype.serialize
+ */
+Servo.prototype.toJSON = function() {
+  return {
+    id: this.id,
+    pin: this.pin,
+    position: this.last ? this.last.target : null
+  };
+};
+
+/**
+ * fromJSON Return the servo to a position recorded by toJSON
+ *
+ * @param  {Object} data A state record
+ * @return {Servo} instance
+ */
+Servo.prototype.fromJSON = function(data) {
+  if (data && typeof data.position === "number") {
+    this.to(data.position);
+  }
+
+  return this;
+};
+
 //
 ["clockWise", "cw", "counterClockwise", "ccw"].forEach(function(api) {
   Servo.prototype[api] = function(rate) {
@@ -555,7 +865,11 @@ Servos.prototype = Object.create(Collection.prototype, {
  * eg. array.stop();
  */
 
-Object.keys(Servo.prototype).forEach(function(method) {
+Object.keys(Servo.prototype).filter(function(method) {
+  // State records and calibrations are per-servo, not per-collection
+  return method !== "toJSON" && method !== "fromJSON" &&
+    method !== "calibrate" && method !== "saveCalibration";
+}).forEach(function(method) {
   // Create Servos wrappers for each method listed.
   // This will allow us control over all Servo instances
   // simultaneously.
@@ -569,6 +883,73 @@ Object.keys(Servo.prototype).forEach(function(method) {
   };
 });
 
+/**
+ * to
+ *
+ * With a motion profile, move every servo so that they all
+ * finish together: the longest move sets the duration, and
+ * every servo follows its motion.
+ *
+ * eg. array.to([45, 120, 90], { velocity: 90, acceleration: 180 });
+ *
+ * @param  {Number|Array} degrees  Degrees, or degrees for each servo
+ * @param  {Object}       profile  Motion profile limits
+ * @return {Servos}
+ *
+ * - or, when every servo was created with `promises: true` -
+ *
+ * @return {Promise} Resolved with an array of the servos
+ *                   when every move is complete
+ */
+Servos.prototype.to = function(degrees, time, rate) {
+  var results = [];
+  var targets, motions, slowest;
+
+  if (time === null || typeof time !== "object") {
+    this.each(function(servo) {
+      results.push(servo.to(degrees, time, rate));
+    });
+    return Collection.result(this, results);
+  }
+
+  targets = [];
+  motions = [];
+
+  this.each(function(servo, index) {
+    var target = Array.isArray(degrees) ? degrees[index] : degrees;
+
+    target = Board.constrain(target, servo.range[0], servo.range[1]);
+
+    targets.push(target);
+    motions.push(motion(servo, target, time));
+  });
+
+  slowest = motions.reduce(function(slowest, motion) {
+    return motion.duration > slowest.duration ? motion : slowest;
+  }, motions[0]);
+
+  this.each(function(servo, index) {
+    results.push(servo.to(profiled(servo, targets[index], slowest)));
+  });
+
+  return Collection.result(this, results);
+};
+
+Object.defineProperties(Servos.prototype, {
+  /**
+   * [read-only] Whether any servo is moving
+   * @property isMoving
+   * @type Boolean
+   */
+  isMoving: {
+    get: function() {
+      return [].some.call(this, function(servo) {
+        return servo.isMoving;
+      });
+    }
+  },
+});
+
 /**
  * Animation.normalize
  *
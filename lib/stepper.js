@@ -1,4 +1,6 @@
 var Board = require("./board");
+var Collection = require("./mixins/collection");
+var Operation = require("./operation");
 var priv = new Map();
 var steppers = new Map();
 
@@ -33,10 +35,249 @@ function isSupported(io) {
   });
 }
 
+// TWO_WIRE coil sequence (motor1, motor2)
+var TWO_WIRE_SEQUENCE = [
+  [0, 1],
+  [1, 1],
+  [1, 0],
+  [0, 0]
+];
+
+// Steps per second from a speed or acceleration in 0.01 * rad/s(²)
+function stepsPerSecond(state, value) {
+  return value / 100 / (2 * Math.PI) * state.stepsPerRev * state.microsteps;
+}
+
+// The interval (ms) before the next step of a software move:
+// the lowest of the full speed, and the speeds reachable by
+// accelerating from the start and decelerating to the end
+function interval(motion) {
+  var speed = motion.speed;
+
+  if (motion.accel) {
+    speed = Math.min(speed, Math.sqrt(2 * motion.accel * (motion.step + 1)));
+  }
+
+  if (motion.decel) {
+    speed = Math.min(speed, Math.sqrt(2 * motion.decel * (motion.steps - motion.step)));
+  }
+
+  return 1000 / speed;
+}
+
+// Energize the outputs for the current phase
+function energize(stepper, state) {
+  var pins = state.pins;
+  var microsteps = state.microsteps;
+  var angle, coils;
+
+  if (state.type === Stepper.TYPE.DRIVER) {
+    stepper.io.digitalWrite(pins.step, 1);
+    stepper.io.digitalWrite(pins.step, 0);
+    return;
+  }
+
+  if (state.type === Stepper.TYPE.TWO_WIRE) {
+    coils = TWO_WIRE_SEQUENCE[((state.phase % 4) + 4) % 4];
+    stepper.io.digitalWrite(pins.motor1, coils[0]);
+    stepper.io.digitalWrite(pins.motor2, coils[1]);
+    return;
+  }
+
+  // FOUR_WIRE: coil A is motor1/motor2, coil B is motor3/motor4.
+  // Full steps energize both coils (45°, 135°...), half steps
+  // alternate with one coil, and microsteps drive the coils
+  // with sine and cosine weighted PWM.
+  angle = Math.PI / 4 + state.phase * (Math.PI / 2) / microsteps;
+  coils = [
+    Math.cos(angle), -Math.cos(angle),
+    Math.sin(angle), -Math.sin(angle)
+  ];
+
+  ["motor1", "motor2", "motor3", "motor4"].forEach(function(motor, index) {
+    var value = coils[index] > 1e-9 ? coils[index] : 0;
+
+    if (microsteps > 2) {
+      stepper.io.analogWrite(pins[motor], Math.round(value * 255));
+    } else {
+      stepper.io.digitalWrite(pins[motor], value ? 1 : 0);
+    }
+  });
+}
+
+function run(stepper) {
+  var state = priv.get(stepper);
+  var motion = state.motion;
+  var now = Date.now();
+
+  while (motion.step < motion.steps && motion.due <= now) {
+    state.phase += motion.sign;
+    state.position += motion.sign;
+    energize(stepper, state);
+
+    motion.due += interval(motion);
+    motion.step++;
+  }
+
+  if (motion.step >= motion.steps && motion.due <= now) {
+    state.motion = null;
+    motion.callback(true);
+    return;
+  }
+
+  motion.timer = setTimeout(run.bind(null, stepper), motion.due - now);
+}
+
+// Steps per unit, from a `units` option: "degrees",
+// "revolutions", or { name, steps } (steps per unit)
+function Units(opts) {
+  var units = opts.units || "steps";
+  var perRev = opts.stepsPerRev * (opts.microsteps || 1);
+
+  if (units === "steps") {
+    return { name: "steps", steps: 1 };
+  }
+
+  if (units === "degrees") {
+    return { name: "degrees", steps: perRev / 360 };
+  }
+
+  if (units === "revolutions") {
+    return { name: "revolutions", steps: perRev };
+  }
+
+  if (typeof units === "object" && units.steps > 0) {
+    return { name: units.name || "units", steps: units.steps };
+  }
+
+  throw new Error(
+    "Stepper `units` must be \"steps\", \"degrees\", \"revolutions\" or { name, steps }"
+  );
+}
+
+// Whether a position (in steps) is within the soft limits
+function isWithinLimits(state, steps) {
+  var position = steps / state.units.steps;
+
+  return !(position < state.limits.min || position > state.limits.max);
+}
+
+var Controllers = {
+  FIRMATA: {
+    initialize: {
+      value: function(opts, params) {
+        if (!isSupported(this.io)) {
+          throw new Error(
+            "Stepper is not supported"
+          );
+        }
+
+        steppers.set(this.board, steppers.get(this.board) || []);
+        this.id = steppers.get(this.board).length;
+
+        if (this.id >= MAXSTEPPERS) {
+          throw new Error(
+            "Stepper cannot exceed max steppers (" + MAXSTEPPERS + ")"
+          );
+        }
+
+        params.unshift(this.id);
+
+        // Iterate the params and set each pin's mode to MODES.STEPPER
+        // Params:
+        // [deviceNum, type, stepsPerRev, dirOrMotor1Pin, stepOrMotor2Pin, motor3Pin, motor4Pin]
+        // The first 3 are required, the remaining 2-4 will be pins
+        params.slice(3).forEach(function(pin) {
+          this.io.pinMode(pin, this.io.MODES.STEPPER);
+        }, this);
+
+        this.io.stepperConfig.apply(this.io, params);
+
+        steppers.get(this.board).push(this);
+      }
+    },
+    stepperStep: {
+      value: function(direction, steps, speed, accel, decel, callback) {
+        var state = priv.get(this);
+
+        this.io.stepperStep(this.id, direction, steps, speed, accel, decel, function(complete) {
+          state.position += direction === Stepper.DIRECTION.CW ? steps : -steps;
+          callback(complete);
+        });
+      }
+    },
+    stepperStop: {
+      value: function() {
+        // Firmata's stepper moves run to completion
+      }
+    }
+  },
+
+  SOFTWARE: {
+    initialize: {
+      value: function(opts, params) {
+        var state = priv.get(this);
+        var pins = params.slice(2);
+        var microstepping = state.type === Stepper.TYPE.FOUR_WIRE && state.microsteps > 2;
+
+        if (state.type === Stepper.TYPE.TWO_WIRE && state.microsteps > 1) {
+          throw new Error(
+            "Stepper.TYPE.TWO_WIRE does not support half or micro stepping"
+          );
+        }
+
+        pins.forEach(function(pin) {
+          this.io.pinMode(pin, microstepping ? this.io.MODES.PWM : this.io.MODES.OUTPUT);
+        }, this);
+
+        if (state.type !== Stepper.TYPE.DRIVER) {
+          energize(this, state);
+        }
+      }
+    },
+    stepperStep: {
+      value: function(direction, steps, speed, accel, decel, callback) {
+        var state = priv.get(this);
+
+        if (state.type === Stepper.TYPE.DRIVER) {
+          this.io.digitalWrite(state.pins.dir, direction);
+        }
+
+        state.motion = {
+          sign: direction === Stepper.DIRECTION.CW ? 1 : -1,
+          step: 0,
+          steps: steps,
+          speed: stepsPerSecond(state, speed),
+          accel: stepsPerSecond(state, accel),
+          decel: stepsPerSecond(state, decel),
+          due: Date.now(),
+          timer: null,
+          callback: callback
+        };
+
+        run(this);
+      }
+    },
+    stepperStop: {
+      value: function() {
+        var state = priv.get(this);
+        var motion = state.motion;
+
+        if (motion) {
+          clearTimeout(motion.timer);
+          state.motion = null;
+          motion.callback(false);
+        }
+      }
+    }
+  }
+};
+
 /**
  * Stepper
  *
- * Class for handling steppers using AdvancedFirmata support for asynchronous stepper control
+ * Class for handling steppers using AdvancedFirmata support for asynchronous stepper control,
+ * or software stepping
  *
  *
  * five.Stepper({
@@ -101,12 +342,45 @@ function isSupported(io) {
  * });
  *
  *
+ * Positions (`position`, `to()`, the soft `limits` and the
+ * home position) are in `units`: "steps" (default), "degrees",
+ * "revolutions", or { name, steps } for steps per unit:
+ *
+ * five.Stepper({
+ *  type: five.Stepper.TYPE.DRIVER
+ *  stepsPerRev: 200,
+ *  pins: [ step, dir ],
+ *  units: { name: "mm", steps: 80 },
+ *  limits: { min: 0, max: 300 }
+ * });
+ *
+ * Moves (`step()` or `to()`) that would end outside the
+ * limits are refused.
+ *
+ *
+ * When the IO plugin has no stepper support (eg. StandardFirmata),
+ * the "SOFTWARE" controller generates the step/dir pulses or coil
+ * sequences with digitalWrite, timing each step in JavaScript
+ * (so at most ~1000 steps per second). FOUR_WIRE steppers can be
+ * half stepped (`microsteps: 2`), or micro stepped with PWM on
+ * the motor pins (`microsteps: 4, 8...`); positions and speeds
+ * are then in microsteps.
+ *
+ * five.Stepper({
+ *  controller: "SOFTWARE",
+ *  type: five.Stepper.TYPE.FOUR_WIRE
+ *  stepsPerRev: 200,
+ *  microsteps: 2,
+ *  pins: [ motor1, motor2, motor3, motor4 ]
+ * });
+ *
+ *
  * @param {Object} opts
  *
  */
 
 function Stepper(opts) {
-  var state, params = [];
+  var state, controller, params = [];
 
   if (!(this instanceof Stepper)) {
     return new Stepper(opts);
@@ -116,12 +390,6 @@ function Stepper(opts) {
     this, opts = Board.Options(opts)
   );
 
-  if (!isSupported(this.io)) {
-    throw new Error(
-      "Stepper is not supported"
-    );
-  }
-
   if (!opts.pins) {
     throw new Error(
       "Stepper requires a `pins` object or array"
@@ -134,14 +402,8 @@ function Stepper(opts) {
     );
   }
 
-  steppers.set(this.board, steppers.get(this.board) || []);
-  this.id = steppers.get(this.board).length;
-
-  if (this.id >= MAXSTEPPERS) {
-    throw new Error(
-      "Stepper cannot exceed max steppers (" + MAXSTEPPERS + ")"
-    );
-  }
+  // Return promises from step()
+  this.promises = Operation.isEnabled(this, opts);
 
   // Convert an array of pins to the appropriate named pin
   if (Array.isArray(this.pins)) {
@@ -180,7 +442,7 @@ function Stepper(opts) {
 
 
   // Initial Stepper config params (same for all 3 types)
-  params.push(this.id, opts.type, opts.stepsPerRev);
+  params.push(opts.type, opts.stepsPerRev);
 
 
   if (opts.type === Stepper.TYPE.DRIVER) {
@@ -219,28 +481,40 @@ function Stepper(opts) {
     );
   }
 
-  // Iterate the params and set each pin's mode to MODES.STEPPER
-  // Params:
-  // [deviceNum, type, stepsPerRev, dirOrMotor1Pin, stepOrMotor2Pin, motor3Pin, motor4Pin]
-  // The first 3 are required, the remaining 2-4 will be pins
-  params.slice(3).forEach(function(pin) {
-    this.io.pinMode(pin, this.io.MODES.STEPPER);
-  }, this);
-
-  this.io.stepperConfig.apply(this.io, params);
-
-  steppers.get(this.board).push(this);
-
   state = Step.PROPERTIES.reduce(function(state, key, i) {
     return (state[key] = typeof opts[key] !== "undefined" ? opts[key] : Step.DEFAULTS[i], state);
   }, {
     isRunning: false,
     type: opts.type,
-    pins: this.pins
+    pins: this.pins,
+    stepsPerRev: opts.stepsPerRev,
+    microsteps: opts.microsteps || 1,
+    position: 0,
+    phase: 0,
+    motion: null,
+    homing: null,
+    units: Units(opts),
+    limits: {
+      min: opts.limits && typeof opts.limits.min === "number" ? opts.limits.min : -Infinity,
+      max: opts.limits && typeof opts.limits.max === "number" ? opts.limits.max : Infinity,
+    },
   });
 
   priv.set(this, state);
 
+  // Steppers use the firmware's stepper support when the
+  // IO plugin has it, otherwise they are driven in software
+  if (typeof opts.controller === "string") {
+    controller = Controllers[opts.controller];
+  } else {
+    controller = opts.controller ||
+      (isSupported(this.io) ? Controllers.FIRMATA : Controllers.SOFTWARE);
+  }
+
+  Board.Controller.call(this, controller, opts);
+
+  this.initialize(opts, params);
+
   Object.defineProperties(this, {
     type: {
       get: function() {
@@ -252,6 +526,47 @@ function Stepper(opts) {
       get: function() {
         return state.pins;
       }
+    },
+
+    /**
+     * [read-only] The position (in `units`) relative to the
+     * starting position, or to the home position once homed
+     * @property position
+     * @type Number
+     */
+    position: {
+      get: function() {
+        return state.position / state.units.steps;
+      }
+    },
+
+    /**
+     * [read-only] The units of positions: { name, steps },
+     * where `steps` is the number of steps per unit
+     * @property units
+     * @type Object
+     */
+    units: {
+      get: function() {
+        return Object.assign({}, state.units);
+      }
+    },
+
+    /**
+     * [read-only] The soft limits: { min, max } (in `units`)
+     * @property limits
+     * @type Object
+     */
+    limits: {
+      get: function() {
+        return Object.assign({}, state.limits);
+      }
+    },
+
+    isRunning: {
+      get: function() {
+        return state.isRunning;
+      }
     }
   });
 }
@@ -367,9 +682,13 @@ Stepper.prototype.cw = function() {
  * NOTE: *steps* is required.
  *
  * @param {Function} callback function(err, complete)
+ *
+ * When created with `promises: true`, returns a Promise that
+ * is resolved with the Stepper when the move is complete, or
+ * rejected with the same error passed to the callback.
  */
 Stepper.prototype.step = function(stepsOrOpts, callback) {
-  var steps, step, state, params, isValidStep;
+  var steps, step, state, params, isValidStep, operation;
 
   steps = typeof stepsOrOpts === "object" ?
     (stepsOrOpts.steps || 0) : Math.floor(stepsOrOpts);
@@ -382,7 +701,10 @@ Stepper.prototype.step = function(stepsOrOpts, callback) {
 
   isValidStep = true;
 
+  operation = Operation.begin(this);
+
   function failback(error) {
+    if (isValidStep && operation) { operation.fail(error); }
     isValidStep = false;
     if (callback) { callback(error); }
   }
@@ -428,25 +750,792 @@ Stepper.prototype.step = function(stepsOrOpts, callback) {
     );
   }
 
+  // A move at no speed would never complete
+  if (isValidStep && (isNaN(step.speed) || step.speed <= 0)) {
+    failback(
+      new Error(
+        "Must set a speed (or rpm) greater than 0 before calling `step()`"
+      )
+    );
+  }
+
+  if (isValidStep &&
+      !isWithinLimits(state, state.position + (step.direction === Stepper.DIRECTION.CW ? steps : -steps))) {
+    failback(
+      new Error(
+        "Stepper cannot move outside its limits (" + state.limits.min + ", " + state.limits.max + ")"
+      )
+    );
+  }
+
   if (isValidStep) {
     state.isRunning = true;
 
     params.push(function(complete) {
       state.isRunning = false;
-      callback(null, complete);
+      if (operation) { operation.complete(); }
+      if (callback) { callback(null, complete); }
     });
 
     step.move.apply(step, params);
   }
 
+  return Operation.result(this, operation);
+};
+
+/**
+ * to
+ *
+ * Move stepper motor to an absolute position (in `units`)
+ *
+ * @param {Number} position
+ * @param {Object} opts Options: rpm, speed, accel, decel (optional)
+ * @param {Function} callback function(err, complete)
+ *
+ * When created with `promises: true`, returns a Promise (see `step()`)
+ */
+Stepper.prototype.to = function(position, opts, callback) {
+  var state = priv.get(this);
+  var steps, operation;
+
+  if (typeof opts === "function") {
+    callback = opts;
+    opts = {};
+  }
+
+  steps = Math.round(position * state.units.steps) - state.position;
+
+  if (steps === 0) {
+    operation = Operation.begin(this);
+
+    if (operation) { operation.complete(); }
+    if (callback) { process.nextTick(callback.bind(null, null, true)); }
+
+    return Operation.result(this, operation);
+  }
+
+  return this.step(Object.assign({}, opts, {
+    steps: Math.abs(steps),
+    direction: steps > 0 ? Stepper.DIRECTION.CW : Stepper.DIRECTION.CCW
+  }), callback);
+};
+
+/**
+ * home
+ *
+ * Step toward a limit `switch` (a Switch or Button) until it
+ * closes, then make that the home `position` (default: 0)
+ *
+ * @param {Object} opts Options:
+ *    opts = {
+ *      switch:     // Switch or Button at the home position
+ *      direction:  // toward the switch (default: CCW)
+ *      rpm:
+ *      speed:
+ *      position:   // the home position, in `units`
+ *      limit:      // give up after this many steps
+ *    }
+ *
+ * @param {Function} callback function(err, complete)
+ *
+ * When created with `promises: true`, returns a Promise (see `step()`)
+ */
+Stepper.prototype.home = function(opts, callback) {
+  var state = priv.get(this);
+  var limit, direction, speed, maximum, operation, homing, steps;
+
+  opts = opts || {};
+  limit = opts.switch;
+
+  if (!limit) {
+    throw new Error(
+      "Stepper homing requires a limit `switch`"
+    );
+  }
+
+  direction = typeof opts.direction === "number" ?
+    opts.direction : Stepper.DIRECTION.CCW;
+
+  speed = typeof opts.speed === "number" ? opts.speed :
+    Math.round((opts.rpm || state.rpm) * (2 * Math.PI) * 100 / 60);
+
+  if (isNaN(speed) || speed <= 0) {
+    throw new Error(
+      "Stepper homing requires a speed (or rpm) greater than 0"
+    );
+  }
+
+  maximum = opts.limit || Infinity;
+  operation = Operation.begin(this);
+  steps = 0;
+
+  homing = state.homing = {
+    finish: finish
+  };
+  state.isRunning = true;
+
+  function finish(error) {
+    if (state.homing !== homing) {
+      return;
+    }
+
+    state.homing = null;
+    state.isRunning = false;
+
+    if (operation) {
+      if (error) { operation.fail(error); } else { operation.complete(); }
+    }
+
+    if (callback) { callback(error, !error); }
+  }
+
+  var next = function() {
+    if (state.homing !== homing) {
+      return;
+    }
+
+    if (limit.isClosed === true || limit.isDown === true) {
+      state.position = Math.round((opts.position || 0) * state.units.steps);
+      return finish(null);
+    }
+
+    if (steps >= maximum) {
+      return finish(new Error("Stepper did not reach its home switch within " + maximum + " steps"));
+    }
+
+    steps++;
+
+    this.stepperStep(direction, 1, speed, 0, 0, function(complete) {
+      if (!complete) {
+        return finish(new Error("Stepper homing interrupted by stop()"));
+      }
+      next();
+    });
+  }.bind(this);
+
+  next();
+
+  return Operation.result(this, operation);
+};
+
+/**
+ * stop
+ *
+ * Stop a software move or homing. (Firmata's stepper moves
+ * can't be stopped, so they run to completion)
+ *
+ * @return {Stepper} this Chainable method
+ */
+Stepper.prototype.stop = function() {
+  var state = priv.get(this);
+
+  // Firmata can't cancel the step in progress, so
+  // homing is finished here rather than by its callback
+  if (state.homing) {
+    state.homing.finish(new Error("Stepper homing interrupted by stop()"));
+  }
+
+  Operation.interrupt(this);
+
+  this.stepperStop();
+  state.isRunning = false;
+
+  return this;
+};
+
+/**
+ * toJSON
+ *
+ * @return {Object} The state record used by Board.prototype.serialize
+ */
+Stepper.prototype.toJSON = function() {
+  var state = priv.get(this);
+
+  return {
+    id: this.id,
+    type: state.type,
+    rpm: state.rpm,
+    direction: state.direction,
+    accel: state.accel,
+    decel: state.decel
+  };
+};
+
+/**
+ * fromJSON
+ *
+ * Restore the rpm, direction, accel and decel recorded by toJSON.
+ * Speed is derived from rpm.
+ *
+ * @param {Object} data A state record
+ *
+ * @return {Stepper} this Chainable method
+ */
+Stepper.prototype.fromJSON = function(data) {
+  if (data) {
+    ["rpm", "direction", "accel", "decel"].forEach(function(key) {
+      if (typeof data[key] === "number") {
+        this[key](data[key]);
+      }
+    }, this);
+  }
+
   return this;
 };
 
 Step.prototype.move = function(steps, dir, speed, accel, decel, callback) {
   // Restore the param order... (steps, dir => dir, steps)
-  this.stepper.io.stepperStep.apply(
-    this.stepper.io, [this.stepper.id, dir, steps, speed, accel, decel, callback]
-  );
+  this.stepper.stepperStep(dir, steps, speed, accel, decel, callback);
+};
+
+/**
+ * Steppers()
+ * new Steppers()
+ *
+ * Stepper.Array: a collection of steppers that can be moved
+ * together, as the axes of a plotter or gantry.
+ *
+ * var axes = new five.Stepper.Array([x, y, z]);
+ *
+ * axes.to([100, 50, 0], { velocity: 40, acceleration: 200 });
+ * axes.to([120, 80, 0]);
+ *
+ * Each `to()` queues a straight line segment to a target
+ * (in each stepper's `units`; null keeps an axis where it
+ * is). When every stepper uses the SOFTWARE controller, the
+ * segment is stepped Bresenham-style: the axis with the most
+ * steps sets the pace, and the others step as their share of
+ * the line comes due. Queued segments are planned together
+ * (look-ahead), so that the speed carries through junctions
+ * instead of stopping at the end of every segment: the
+ * sharper the corner, the slower the junction.
+ *
+ * Otherwise each stepper moves with the share of the speed
+ * (and acceleration) that makes all of them arrive together,
+ * stopping at the end of each segment.
+ *
+ * `velocity` (units per second along the line) and
+ * `acceleration` (units per second², 0 for none) default to
+ * the speed and acceleration of the axis with the most steps.
+ *
+ * Events:
+ *
+ *   "move:complete"   A segment is complete (its target)
+ *   "queue:complete"  Every queued segment is complete
+ */
+function Steppers(numsOrObjects) {
+  if (!(this instanceof Steppers)) {
+    return new Steppers(numsOrObjects);
+  }
+
+  Object.defineProperty(this, "type", {
+    value: Stepper
+  });
+
+  Collection.Emitter.call(this, numsOrObjects);
+
+  // Return promises from to() when every stepper does
+  this.promises = this.length > 0 && [].every.call(this, function(stepper) {
+    return stepper.promises;
+  });
+
+  priv.set(this, {
+    segment: null,
+    queue: [],
+    timer: null,
+  });
+}
+
+Steppers.prototype = Object.create(Collection.Emitter.prototype, {
+  constructor: {
+    value: Steppers
+  }
+});
+
+[
+  "rpm", "speed", "direction", "accel", "decel", "cw", "ccw", "step"
+].forEach(function(method) {
+  Steppers.prototype[method] = Collection.forward(method);
+});
+
+function isSoftware(stepper) {
+  return stepper.stepperStep === Controllers.SOFTWARE.stepperStep.value;
+}
+
+// The speed or acceleration (0.01 * rad/s(²)) of a number of steps per second
+function radiansPerSecond(state, steps) {
+  return steps * 100 * (2 * Math.PI) / (state.stepsPerRev * state.microsteps);
+}
+
+// The speed reached from `speed` after accelerating over a segment
+function reach(speed, segment) {
+  return segment.acceleration ?
+    Math.sqrt(speed * speed + 2 * segment.acceleration * segment.length) : Infinity;
+}
+
+// The speed through the junction of two segments: full speed
+// when they are in line, slowing to a stop at right angles
+function junction(previous, segment) {
+  var cosine;
+
+  if (!previous) {
+    return 0;
+  }
+
+  cosine = previous.unit.reduce(function(sum, value, index) {
+    return sum + value * segment.unit[index];
+  }, 0);
+
+  return Math.min(previous.velocity, segment.velocity) * Math.max(0, cosine);
+}
+
+// Plan the entry and exit speeds of the running and queued
+// segments: the last one stops, and no segment enters or
+// exits faster than it can accelerate or decelerate to.
+// (The running segment's entry speed is already fixed)
+function plan(state) {
+  var segments = (state.segment ? [state.segment] : []).concat(state.queue);
+  var i, segment, next;
+
+  for (i = segments.length - 1; i >= 0; i--) {
+    segment = segments[i];
+    next = segments[i + 1];
+
+    segment.exit = next ? next.entry : 0;
+
+    if (segment !== state.segment) {
+      segment.entry = Math.min(junction(segments[i - 1], segment), reach(segment.exit, segment));
+    }
+  }
+
+  for (i = 0; i < segments.length; i++) {
+    segment = segments[i];
+    next = segments[i + 1];
+
+    segment.exit = Math.min(segment.exit, reach(segment.entry, segment));
+
+    if (next) {
+      next.entry = Math.min(next.entry, segment.exit);
+    }
+  }
+}
+
+// The interval (ms) before the next step of the dominant axis
+function pace(segment) {
+  var speed = segment.velocity;
+  var a = segment.acceleration;
+  var perUnit = segment.steps / segment.length;
+
+  if (a) {
+    speed = Math.min(
+      speed,
+      Math.sqrt(segment.entry * segment.entry + 2 * a * (segment.step + 1) / perUnit),
+      Math.sqrt(segment.exit * segment.exit + 2 * a * (segment.steps - segment.step) / perUnit)
+    );
+  }
+
+  return 1000 / (speed * perUnit);
+}
+
+function begin(steppers, state, due) {
+  var segment = state.queue.shift();
+
+  state.segment = segment || null;
+
+  if (!segment) {
+    steppers.emit("queue:complete");
+    return;
+  }
+
+  steppers.each(function(stepper, index) {
+    var stepperState = priv.get(stepper);
+
+    stepperState.isRunning = segment.deltas[index] !== 0;
+
+    if (segment.interpolated && stepperState.type === Stepper.TYPE.DRIVER && segment.deltas[index]) {
+      stepper.io.digitalWrite(stepperState.pins.dir, segment.deltas[index] > 0 ? 1 : 0);
+    }
+  });
+
+  if (segment.interpolated) {
+    segment.due = typeof due === "number" ? due : Date.now();
+    interpolate(steppers, state);
+  } else {
+    synchronize(steppers, state);
+  }
+}
+
+function complete(steppers, segment) {
+  steppers.each(function(stepper) {
+    priv.get(stepper).isRunning = false;
+  });
+
+  if (segment.operation) {
+    segment.operation.complete();
+  }
+
+  if (segment.callback) {
+    segment.callback(null, true);
+  }
+
+  steppers.emit("move:complete", segment.target.map(function(steps, index) {
+    return steps / priv.get(steppers[index]).units.steps;
+  }));
+}
+
+// Step each axis whose share of the line has come due
+// with the next step of the dominant axis
+function advance(steppers, segment) {
+  segment.deltas.forEach(function(delta, index) {
+    var stepperState;
+
+    segment.errors[index] += Math.abs(delta);
+
+    if (segment.errors[index] >= segment.steps) {
+      segment.errors[index] -= segment.steps;
+
+      stepperState = priv.get(steppers[index]);
+      stepperState.phase += Math.sign(delta);
+      stepperState.position += Math.sign(delta);
+      energize(steppers[index], stepperState);
+    }
+  });
+}
+
+// Step every axis of a segment Bresenham-style
+function interpolate(steppers, state) {
+  var segment = state.segment;
+  var now = Date.now();
+
+  while (segment.step < segment.steps && segment.due <= now) {
+    advance(steppers, segment);
+
+    segment.due += pace(segment);
+    segment.step++;
+  }
+
+  if (segment.step >= segment.steps && segment.due <= now) {
+    state.segment = null;
+    complete(steppers, segment);
+    begin(steppers, state, segment.due);
+    return;
+  }
+
+  state.timer = setTimeout(interpolate.bind(null, steppers, state), segment.due - now);
+}
+
+// Move every axis of a segment with the controller's own
+// stepping, at speeds that bring them to the target together
+function synchronize(steppers, state) {
+  var segment = state.segment;
+  var perUnit = segment.steps / segment.length;
+  var remaining = segment.deltas.filter(Boolean).length;
+
+  function done() {
+    if (--remaining === 0 && state.segment === segment) {
+      state.segment = null;
+      complete(steppers, segment);
+      begin(steppers, state);
+    }
+  }
+
+  steppers.each(function(stepper, index) {
+    var stepperState = priv.get(stepper);
+    var steps = Math.abs(segment.deltas[index]);
+    var share = steps / segment.steps;
+
+    if (!steps) {
+      return;
+    }
+
+    stepper.stepperStep(
+      segment.deltas[index] > 0 ? Stepper.DIRECTION.CW : Stepper.DIRECTION.CCW,
+      steps,
+      Math.max(1, Math.round(radiansPerSecond(stepperState, segment.velocity * perUnit * share))),
+      Math.round(radiansPerSecond(stepperState, segment.acceleration * perUnit * share)),
+      Math.round(radiansPerSecond(stepperState, segment.acceleration * perUnit * share)),
+      done
+    );
+  });
+
+  if (!remaining) {
+    remaining = 1;
+    process.nextTick(done);
+  }
+}
+
+/**
+ * to
+ *
+ * Queue a straight line move to a target position
+ *
+ * @param {Array} positions A position (in `units`) for each stepper
+ * @param {Object} opts Options: velocity, acceleration (optional)
+ * @param {Function} callback function(err, complete)
+ *
+ * When every stepper was created with `promises: true`,
+ * returns a Promise that is resolved with the collection
+ * when the segment is complete.
+ *
+ * @return {Steppers}
+ */
+Steppers.prototype.to = function(positions, opts, callback) {
+  var state = priv.get(this);
+  var last = state.queue.length ? state.queue[state.queue.length - 1] : state.segment;
+  var operation = Operation.begin(this);
+  var target = [];
+  var deltas = [];
+  var lengths = [];
+  var error = null;
+  var steps, length, dominant, dominantState, velocity, segment;
+
+  if (typeof opts === "function") {
+    callback = opts;
+    opts = {};
+  }
+
+  opts = opts || {};
+
+  this.each(function(stepper, index) {
+    var stepperState = priv.get(stepper);
+    var from = last ? last.target[index] : stepperState.position;
+    var position = positions[index];
+    var to = position == null ? from : Math.round(position * stepperState.units.steps);
+
+    if (!error && !isWithinLimits(stepperState, to)) {
+      error = new Error(
+        "Stepper cannot move outside its limits (" +
+        stepperState.limits.min + ", " + stepperState.limits.max + ")"
+      );
+    }
+
+    target.push(to);
+    deltas.push(to - from);
+    lengths.push((to - from) / stepperState.units.steps);
+  });
+
+  steps = deltas.map(Math.abs);
+  dominant = steps.indexOf(Math.max.apply(null, steps));
+  dominantState = priv.get(this[dominant]);
+  length = Math.sqrt(lengths.reduce(function(sum, value) {
+    return sum + value * value;
+  }, 0));
+  velocity = typeof opts.velocity === "number" ? opts.velocity :
+    stepsPerSecond(dominantState, dominantState.speed ||
+      Math.round(dominantState.rpm * (2 * Math.PI) * 100 / 60)) * length / (steps[dominant] || 1);
+
+  // A segment that moves at all has to move at a finite, positive velocity
+  if (!error && steps[dominant] && !(velocity > 0 && isFinite(velocity))) {
+    error = new Error("Steppers must move at a velocity (or speed) greater than 0");
+  }
+
+  if (error) {
+    if (operation) { operation.fail(error); }
+    if (callback) { callback(error); }
+
+    return Operation.result(this, operation);
+  }
+
+  segment = {
+    target: target,
+    deltas: deltas,
+    steps: steps[dominant],
+    length: length,
+    unit: lengths.map(function(value) {
+      return length ? value / length : 0;
+    }),
+    velocity: velocity,
+    acceleration: typeof opts.acceleration === "number" ? opts.acceleration :
+      stepsPerSecond(dominantState, dominantState.accel) * length / (steps[dominant] || 1),
+    interpolated: [].every.call(this, isSoftware),
+    entry: 0,
+    exit: 0,
+    step: 0,
+    errors: steps.map(function() {
+      return Math.floor(steps[dominant] / 2);
+    }),
+    due: 0,
+    operation: operation,
+    callback: callback,
+  };
+
+  state.queue.push(segment);
+  plan(state);
+
+  if (!state.segment) {
+    begin(this, state);
+  }
+
+  return Operation.result(this, operation);
 };
 
+// The home() options of each stepper: an array of them, or
+// options whose array (or collection) values are per stepper
+function homeOptions(steppers, opts) {
+  return [].map.call(steppers, function(stepper, index) {
+    if (Array.isArray(opts)) {
+      return opts[index] || {};
+    }
+
+    return Object.keys(opts).reduce(function(options, key) {
+      var value = opts[key];
+
+      options[key] = Array.isArray(value) || value instanceof Collection ?
+        value[index] : value;
+
+      return options;
+    }, {});
+  });
+}
+
+/**
+ * home
+ *
+ * Home every stepper at once, each toward its own limit
+ * switch (see Stepper.prototype.home)
+ *
+ * eg. axes.home({ switch: [xLimit, yLimit], rpm: 60 });
+ *     axes.home([{ switch: xLimit }, { switch: yLimit, position: 200 }]);
+ *
+ * @param {Object|Array} opts Options for each stepper, or options
+ *                            whose array values are per stepper
+ * @param {Function} callback function(err, complete), once every
+ *                            stepper is home (or has failed)
+ *
+ * When every stepper was created with `promises: true`,
+ * returns a Promise that is resolved with the collection
+ * when every stepper is home.
+ *
+ * @return {Steppers}
+ */
+Steppers.prototype.home = function(opts, callback) {
+  var options = homeOptions(this, opts || {});
+  var started = [];
+  var failure = null;
+  var homed = true;
+  // One more than the steppers, counted down once they have
+  // all started (a stepper that is already home finishes at once)
+  var remaining = this.length + 1;
+  var operation;
+
+  options.forEach(function(axis) {
+    if (!axis.switch) {
+      throw new Error(
+        "Stepper homing requires a limit `switch` for each stepper"
+      );
+    }
+  });
+
+  function done(error, complete) {
+    failure = failure || error || null;
+    homed = homed && !!complete;
+
+    if (--remaining) {
+      return;
+    }
+
+    if (operation) {
+      if (failure) { operation.fail(failure); } else { operation.complete(); }
+    }
+
+    if (callback) { callback(failure, homed && !failure); }
+  }
+
+  try {
+    this.each(function(stepper, index) {
+      var result = stepper.home(options[index], done);
+
+      started.push(stepper);
+
+      // Failures are reported by the collection
+      if (result instanceof Promise) {
+        result.catch(function() {});
+      }
+    });
+  } catch (error) {
+    // Don't leave the others homing
+    remaining = Infinity;
+    started.forEach(function(stepper) {
+      stepper.stop();
+    });
+    throw error;
+  }
+
+  operation = Operation.begin(this);
+  done(null, true);
+
+  return Operation.result(this, operation);
+};
+
+/**
+ * stop
+ *
+ * Stop moving, and clear the queue
+ *
+ * @return {Steppers}
+ */
+Steppers.prototype.stop = function() {
+  var state = priv.get(this);
+  var segments = (state.segment ? [state.segment] : []).concat(state.queue);
+
+  clearTimeout(state.timer);
+
+  state.segment = null;
+  state.queue.length = 0;
+
+  Operation.interrupt(this);
+
+  segments.forEach(function(segment) {
+    if (segment.callback) {
+      segment.callback(null, false);
+    }
+  });
+
+  this.each(function(stepper) {
+    stepper.stop();
+  });
+
+  return this;
+};
+
+Object.defineProperties(Steppers.prototype, {
+  /**
+   * [read-only] The position of each stepper (in `units`)
+   * @property position
+   * @type Array
+   */
+  position: {
+    get: function() {
+      return [].map.call(this, function(stepper) {
+        return stepper.position;
+      });
+    }
+  },
+
+  /**
+   * [read-only] Whether a segment is running
+   * @property isRunning
+   * @type Boolean
+   */
+  isRunning: {
+    get: function() {
+      return !!priv.get(this).segment;
+    }
+  },
+
+  /**
+   * [read-only] The number of queued segments (not yet running)
+   * @property queued
+   * @type Number
+   */
+  queued: {
+    get: function() {
+      return priv.get(this).queue.length;
+    }
+  },
+});
+
+// Assign Steppers Collection class as static "method" of Stepper.
+Stepper.Array = Steppers;
+
 module.exports = Stepper;
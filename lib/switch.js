@@ -58,7 +58,9 @@ function Switch(opts) {
   }
 
   Board.Component.call(
-    this, opts = Board.Options(opts)
+    this, opts = Board.Options(opts), {
+      pinMode: "INPUT"
+    }
   );
 
   this.io.pinMode(this.pin, this.io.MODES.INPUT);
@@ -1,4 +1,5 @@
 var Board = require("./board"),
+  Filter = require("./filter"),
   Emitter = require("events").EventEmitter,
   util = require("util");
 
@@ -696,7 +697,7 @@ Controllers["MPU-6050"] = Controllers.MPU6050;
 var priv = new Map();
 
 function Thermometer(opts) {
-  var controller, freq, last = 0, raw;
+  var controller, filter, freq, last = 0, raw;
 
   if (!(this instanceof Thermometer)) {
     return new Thermometer(opts);
@@ -725,6 +726,9 @@ function Thermometer(opts) {
 
   Board.Controller.call(this, controller, opts);
 
+  // Raw readings are passed through the (optional) filters, in order
+  filter = Filter.chain(opts.filters);
+
   if (!this.toCelsius) {
     this.toCelsius = opts.toCelsius || function(x) { return x; };
   }
@@ -755,7 +759,7 @@ function Thermometer(opts) {
 
   if (typeof this.initialize === "function") {
     this.initialize(opts, function(data) {
-      raw = data;
+      raw = filter ? filter.process(data) : data;
     });
   }
 
@@ -300,3 +300,121 @@ exports["Animation"] = {
   }
 
 };
+
+exports["Animation.profile"] = {
+  trapezoidal: function(test) {
+    test.expect(5);
+
+    // 0.5s accelerating, 1s cruising, 0.5s decelerating
+    var profile = five.Animation.profile(90, {
+      velocity: 60,
+      acceleration: 120
+    });
+
+    test.equal(profile.duration, 2000);
+    test.equal(profile.easing(0), 0);
+    test.ok(Math.abs(profile.easing(0.25) - 15 / 90) < 1e-9);
+    test.ok(Math.abs(profile.easing(0.5) - 0.5) < 1e-9);
+    test.equal(profile.easing(1), 1);
+
+    test.done();
+  },
+
+  triangular: function(test) {
+    test.expect(2);
+
+    // Too short to reach full velocity
+    var profile = five.Animation.profile(-30, {
+      velocity: 60,
+      acceleration: 120
+    });
+
+    test.ok(Math.abs(profile.duration - 1000) < 1e-9);
+    test.ok(Math.abs(profile.easing(0.5) - 0.5) < 1e-9);
+
+    test.done();
+  },
+
+  constantVelocity: function(test) {
+    test.expect(2);
+
+    var profile = five.Animation.profile(90, { velocity: 60 });
+
+    test.equal(profile.duration, 1500);
+    test.equal(profile.easing(0.5), 0.5);
+
+    test.done();
+  },
+
+  sCurve: function(test) {
+    test.expect(4);
+
+    var profile = five.Animation.profile(90, {
+      velocity: 60,
+      acceleration: 120,
+      jerk: 240
+    });
+    var steps = 1000;
+    var dt = profile.duration / 1000 / steps;
+    var previous = 0;
+    var velocity = 0;
+    var accelerations = [];
+    var position, next, i;
+
+    // The trapezoid, smoothed over 0.5s
+    test.equal(profile.duration, 2500);
+
+    for (i = 1; i <= steps; i++) {
+      position = profile.easing(i / steps) * 90;
+      next = (position - previous) / dt;
+      accelerations.push((next - velocity) / dt);
+      velocity = next;
+      previous = position;
+    }
+
+    test.ok(Math.max.apply(null, accelerations) <= 120.5);
+
+    // Acceleration builds up gradually
+    test.ok(accelerations[10] < 20);
+    test.equal(profile.easing(1), 1);
+
+    test.done();
+  },
+
+  sCurveShort: function(test) {
+    test.expect(3);
+
+    // Too short to reach full acceleration: the jerk ramps the
+    // acceleration up and down, twice, over (d / 2j)^(1/3) s each
+    var profile = five.Animation.profile(5, {
+      velocity: 90,
+      acceleration: 180,
+      jerk: 200
+    });
+    var time = Math.cbrt(5 / 400);
+    var dt = profile.duration / 1000 / 1000;
+    var velocity = 0;
+
+    test.ok(Math.abs(profile.duration - 4000 * time) < 1e-6);
+
+    for (var i = 1; i <= 1000; i++) {
+      velocity = Math.max(velocity, (profile.easing(i / 1000) - profile.easing((i - 1) / 1000)) * 5 / dt);
+    }
+
+    // At its peak, half way
+    test.ok(Math.abs(velocity - 200 * time * time) < 0.01);
+    test.ok(Math.abs(profile.easing(0.5) - 0.5) < 1e-9);
+
+    test.done();
+  },
+
+  invalid: function(test) {
+    test.expect(1);
+
+    test.throws(function() {
+      five.Animation.profile(90, {});
+    }, /velocity/);
+
+    test.done();
+  },
+};
@@ -553,4 +553,162 @@ exports["Board.Component"] = {
     test.done();
   },
 
+  pinOwners: function(test) {
+    test.expect(3);
+
+    var servo = new five.Servo({ id: "pan", pin: 9, board: this.board });
+    var led = new five.Led({ id: "status", pin: "A0", board: this.board });
+    var pin = this.board.io.pins[9];
+    var mode = pin.mode;
+
+    // Firmata records the mode set for each pin, MockFirmata does not.
+    pin.mode = this.board.io.MODES.SERVO;
+
+    var owners = this.board.pinOwners();
+
+    pin.mode = mode;
+
+    test.equal(owners.length, 2);
+    test.deepEqual(owners[0], {
+      pin: 9, type: "pin", id: servo.id, component: "Servo", mode: "SERVO"
+    });
+    test.deepEqual(owners[1], {
+      pin: "A0", type: "pin", id: led.id, component: "Led", mode: "OUTPUT"
+    });
+
+    test.done();
+  },
+
+  pinOwnersController: function(test) {
+    test.expect(1);
+
+    var component = {};
+
+    Board.Component.call(component, {
+      id: "expanded",
+      pin: 3,
+      controller: "FOO"
+    });
+
+    test.deepEqual(this.board.pinOwners()[0], {
+      pin: 3, type: "pin", id: "expanded", component: "Object", mode: null, controller: "FOO"
+    });
+
+    test.done();
+  },
+
+  pinConflictDefaultWarns: function(test) {
+    test.expect(2);
+
+    var spy = this.sandbox.spy(this.board, "warn");
+
+    new five.Servo({ id: "pan", pin: 9, board: this.board });
+    new five.Led({ id: "status", pin: 9, board: this.board });
+
+    test.equal(this.board.pinConflict, "warn");
+    test.deepEqual(spy.lastCall.args, [
+      "Component", "pin: 9 is already in use by Servo (pan)"
+    ]);
+
+    test.done();
+  },
+
+  pinConflictEvent: function(test) {
+    test.expect(5);
+
+    var servo = new five.Servo({ id: "pan", pin: 9, board: this.board });
+
+    this.sandbox.stub(this.board, "warn");
+
+    this.board.on("conflict", function(event) {
+      test.equal(event.type, "conflict");
+      test.equal(event.owner, servo);
+      test.equal(event.target instanceof five.Led, true);
+      test.equal(event.request.value, 9);
+      test.equal(event.message, "pin: 9 is already in use by Servo (pan)");
+      test.done();
+    });
+
+    new five.Led({ pin: 9, board: this.board });
+  },
+
+  pinConflictError: function(test) {
+    test.expect(3);
+
+    this.board.pinConflict = "error";
+
+    new five.Servo({ id: "pan", pin: 9, board: this.board });
+
+    test.throws(function() {
+      new five.Led({ pin: 9, board: this.board });
+    }.bind(this), /pin: 9 is already in use by Servo \(pan\)/);
+
+    test.equal(this.board.pinOwners().length, 1);
+    test.equal(this.board.pinOwners()[0].component, "Servo");
+
+    test.done();
+  },
+
+  pinConflictSharedReads: function(test) {
+    test.expect(3);
+
+    this.board.pinConflict = "error";
+
+    new five.Sensor({ pin: "A0", board: this.board });
+
+    // Reading in the same mode is compatible
+    test.doesNotThrow(function() {
+      new five.Sensor({ pin: "A0", board: this.board });
+    }.bind(this));
+
+    test.equal(this.board.pinOwners().length, 2);
+
+    // Writing isn't
+    test.throws(function() {
+      new five.Led({ pin: "A0", board: this.board });
+    }.bind(this), /pin: A0 is already in use by Sensor/);
+
+    test.done();
+  },
+
+  pinConflictModes: function(test) {
+    test.expect(2);
+
+    this.board.pinConflict = "error";
+
+    new five.Button({ pin: 2, board: this.board });
+
+    test.throws(function() {
+      new five.Sensor({ pin: 2, type: "digital", board: this.board });
+      new five.Servo({ pin: 2, board: this.board });
+    }.bind(this), /pin: 2 is already in use by Button/);
+
+    test.equal(this.board.pinOwners().length, 2);
+
+    test.done();
+  },
+
+  pinConflictReservesNothing: function(test) {
+    test.expect(2);
+
+    var component = {};
+
+    this.board.pinConflict = "error";
+
+    new five.Servo({ id: "pan", pin: 9, board: this.board });
+
+    test.throws(function() {
+      Board.Component.call(component, {
+        pins: [8, 9],
+        board: this.board
+      });
+    }.bind(this), /pin: 9 is already in use by Servo \(pan\)/);
+
+    // Pin 8 was not left reserved
+    test.deepEqual(this.board.pinOwners().map(function(owner) {
+      return owner.pin;
+    }), [9]);
+
+    test.done();
+  },
 };
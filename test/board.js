@@ -368,6 +368,184 @@ exports["samplingInterval"] = {
 };
 
 
+exports["serialize/restore"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.digitalWrite = sinon.spy(MockFirmata.prototype, "digitalWrite");
+    this.servoWrite = sinon.spy(MockFirmata.prototype, "servoWrite");
+
+    this.relay = new five.Relay({
+      id: "pump",
+      pin: 10,
+      board: this.board
+    });
+
+    this.servo = new five.Servo({
+      id: "pan",
+      pin: 11,
+      board: this.board
+    });
+
+    this.pin = new five.Pin({
+      id: "led",
+      pin: 3,
+      board: this.board
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  serializeUsesComponentSchema: function(test) {
+    test.expect(4);
+
+    this.relay.on();
+    this.servo.to(30);
+
+    var records = JSON.parse(this.board.serialize());
+
+    test.deepEqual(records[0], {
+      id: "pump",
+      pin: 10,
+      type: "NO",
+      isOn: true
+    });
+
+    test.deepEqual(records[1], {
+      id: "pan",
+      pin: 11,
+      position: 30
+    });
+
+    // Components without a schema are reflected,
+    // and can't be restored
+    test.equal(records[2].mode, "OUTPUT");
+    test.equal(records[2].restorable, false);
+
+    test.done();
+  },
+
+  serializeFilter: function(test) {
+    test.expect(2);
+
+    var records = JSON.parse(this.board.serialize(function(prop, value) {
+      return prop === "id" ? value.toUpperCase() : value;
+    }));
+
+    test.equal(records[0].id, "PUMP");
+    test.equal(records[1].id, "PAN");
+
+    test.done();
+  },
+
+  restore: function(test) {
+    test.expect(5);
+
+    this.relay.on();
+    this.servo.to(30);
+
+    var json = this.board.serialize();
+
+    this.relay.off();
+    this.servo.to(150);
+
+    this.digitalWrite.reset();
+    this.servoWrite.reset();
+
+    test.equal(this.board.restore(json), this.board);
+    test.equal(this.relay.isOn, true);
+    test.ok(this.digitalWrite.lastCall.calledWith(10, 1));
+    test.equal(this.servo.position, 30);
+    test.ok(this.servoWrite.lastCall.calledWith(11, 30));
+
+    test.done();
+  },
+
+  restoreComponents: function(test) {
+    test.expect(12);
+
+    var json, records;
+
+    // Led.Strip needs the node-pixel firmware
+    this.board.io.sysexCommand = function() {};
+
+    var rgb = new five.Led.RGB({ id: "rgb", pins: [3, 5, 6], board: this.board });
+    var motor = new five.Motor({ id: "motor", pins: { pwm: 9, dir: 8 }, board: this.board });
+    var esc = new five.ESC({ id: "esc", pin: 12, board: this.board });
+    var piezo = new five.Piezo({ id: "piezo", pin: 13, board: this.board });
+    var strip = new five.Led.Strip({ id: "strip", pin: 7, length: 2, board: this.board });
+    var encoder = new five.Encoder({ id: "encoder", pins: [14, 15], board: this.board });
+
+    rgb.color("#ff8000").intensity(50);
+    motor.reverse(100);
+    esc.speed(1);
+    piezo.defaultOctave(5);
+    strip.brightness(128);
+    strip.pixel(1).color("#0000ff");
+    encoder.fromJSON({ count: 42 });
+
+    json = this.board.serialize();
+    records = JSON.parse(json);
+
+    test.equal(records.some(function(record) {
+      return record.restorable === false && record.id !== "led";
+    }), false);
+
+    rgb.color("#00ff00").intensity(100).off();
+    motor.forward(200);
+    esc.speed(0);
+    piezo.defaultOctave(4);
+    strip.brightness(255).off();
+    encoder.reset();
+
+    this.board.restore(json);
+
+    test.deepEqual(rgb.color(), { red: 255, green: 128, blue: 0 });
+    test.equal(rgb.intensity(), 50);
+    test.equal(rgb.isOn, true);
+    test.equal(motor.currentSpeed, 100);
+    test.equal(motor.direction.value, 0);
+    test.equal(motor.isOn, true);
+    test.equal(esc.last.speed, 1);
+    test.equal(piezo.defaultOctave(), 5);
+    test.equal(strip.brightness(), 128);
+    test.deepEqual(strip.pixel(1).color(), { red: 0, green: 0, blue: 255 });
+    test.equal(encoder.count, 42);
+
+    test.done();
+  },
+
+  restoreIgnoresUnknown: function(test) {
+    test.expect(2);
+
+    this.board.restore([
+      { id: "nope", isOn: true },
+      null,
+      { isOn: true },
+    ]);
+
+    test.equal(this.relay.isOn, false);
+    test.equal(this.digitalWrite.callCount, 0);
+
+    test.done();
+  },
+
+  restoreInvalid: function(test) {
+    test.expect(1);
+
+    test.throws(function() {
+      this.board.restore("{}");
+    }.bind(this));
+
+    test.done();
+  }
+};
+
 exports["static"] = {
   "Board.cache": function(test) {
     test.expect(2);
@@ -0,0 +1,332 @@
+var mocks = require("mock-firmata"),
+  MockFirmata = mocks.Firmata,
+  five = require("../lib/johnny-five.js"),
+  sinon = require("sinon"),
+  fs = require("fs"),
+  os = require("os"),
+  path = require("path"),
+  Board = five.Board,
+  Recorder = Board.Recorder,
+  Player = Board.Player,
+  Sensor = five.Sensor;
+
+function newBoard(io) {
+  return new Board({
+    io: io,
+    debug: false,
+    repl: false
+  });
+}
+
+exports["Board.Recorder"] = {
+  setUp: function(done) {
+    this.sandbox = sinon.sandbox.create();
+    this.clock = this.sandbox.useFakeTimers();
+    this.analogRead = this.sandbox.spy(MockFirmata.prototype, "analogRead");
+    this.pinMode = this.sandbox.spy(MockFirmata.prototype, "pinMode");
+
+    this.io = new MockFirmata();
+    this.recorder = new Recorder(this.io);
+    this.board = newBoard(this.recorder);
+
+    this.io.emit("connect");
+    this.io.emit("ready");
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    this.sandbox.restore();
+    done();
+  },
+
+  requiresIO: function(test) {
+    test.expect(1);
+
+    test.throws(function() {
+      new Recorder({});
+    });
+
+    test.done();
+  },
+
+  mirrorsIO: function(test) {
+    test.expect(4);
+
+    test.equal(this.recorder.name, "Mock");
+    test.equal(this.recorder.MODES, this.io.MODES);
+    test.equal(this.recorder.pins, this.io.pins);
+    test.equal(this.board.isReady, true);
+
+    test.done();
+  },
+
+  recordsReady: function(test) {
+    test.expect(3);
+
+    var ready = this.recorder.records[0];
+
+    test.equal(ready.type, "ready");
+    test.equal(ready.name, "Mock");
+    test.deepEqual(ready.pins, JSON.parse(JSON.stringify(this.io.pins)));
+
+    test.done();
+  },
+
+  recordsCallsAndData: function(test) {
+    test.expect(8);
+
+    this.clock.tick(10);
+
+    new Sensor({
+      pin: "A1",
+      board: this.board
+    });
+
+    test.equal(this.pinMode.callCount, 1);
+    test.equal(this.analogRead.callCount, 1);
+
+    var calls = this.recorder.records.filter(function(record) {
+      return record.type === "call";
+    });
+
+    test.deepEqual(calls[0], {
+      t: 10, type: "call", method: "pinMode", args: [1, 2]
+    });
+    test.deepEqual(calls[1], {
+      t: 10, type: "call", method: "analogRead", args: [1, null]
+    });
+
+    this.clock.tick(5);
+    this.analogRead.lastCall.args[1](512);
+
+    var data = this.recorder.records[this.recorder.records.length - 1];
+
+    test.equal(data.t, 15);
+    test.equal(data.type, "data");
+    test.equal(data.key, "analogRead:[1]");
+    test.deepEqual(data.data, [512]);
+
+    test.done();
+  },
+
+  dropsNonPortableArgs: function(test) {
+    test.expect(1);
+
+    this.recorder.i2cConfig({
+      address: 0x40,
+      board: this.board,
+      delay: 5
+    });
+
+    test.deepEqual(this.recorder.records[this.recorder.records.length - 1].args, [{
+      address: 0x40,
+      delay: 5
+    }]);
+
+    test.done();
+  },
+
+  stop: function(test) {
+    test.expect(1);
+
+    var length = this.recorder.records.length;
+
+    this.recorder.stop();
+    this.recorder.digitalWrite(13, 1);
+
+    test.equal(this.recorder.records.length, length);
+
+    test.done();
+  },
+};
+
+exports["Board.Player"] = {
+  setUp: function(done) {
+    this.sandbox = sinon.sandbox.create();
+    this.clock = this.sandbox.useFakeTimers();
+
+    this.records = [
+      { t: 0, type: "ready", name: "Mock", HIGH: 1, LOW: 0, defaultLed: 13,
+        MODES: new MockFirmata().MODES, pins: JSON.parse(JSON.stringify(new MockFirmata().pins)),
+        analogPins: [14, 15, 16, 17, 18, 19] },
+      { t: 5, type: "call", method: "analogRead", args: [1, null] },
+      { t: 20, type: "data", method: "analogRead", key: "analogRead:[1]", data: [100] },
+      { t: 40, type: "data", method: "analogRead", key: "analogRead:[1]", data: [200] },
+      { t: 50, type: "data", method: "i2cReadOnce", key: "i2cReadOnce:[64,0,2]", data: [[1, 2]] },
+    ];
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    this.sandbox.restore();
+    done();
+  },
+
+  requiresRecording: function(test) {
+    test.expect(2);
+
+    test.throws(function() {
+      new Player({});
+    });
+
+    test.throws(function() {
+      new Player([{ t: 0, type: "call", method: "pinMode", args: [] }]);
+    }, /ready/);
+
+    test.done();
+  },
+
+  capabilities: function(test) {
+    test.expect(5);
+
+    var player = new Player(this.records);
+
+    test.equal(player.name, "Mock");
+    test.equal(player.isReady, true);
+    test.equal(player.defaultLed, 13);
+    test.deepEqual(player.analogPins, [14, 15, 16, 17, 18, 19]);
+    test.equal(player.pins.length, this.records[0].pins.length);
+
+    test.done();
+  },
+
+  replaysWithTiming: function(test) {
+    test.expect(4);
+
+    var player = new Player(this.records);
+    var board = newBoard(player);
+    var spy = sinon.spy();
+
+    board.on("ready", function() {
+      player.analogRead(1, spy);
+
+      this.clock.tick(19);
+      test.equal(spy.callCount, 0);
+
+      this.clock.tick(1);
+      test.equal(spy.callCount, 1);
+      test.deepEqual(spy.lastCall.args, [100]);
+
+      this.clock.tick(20);
+      test.deepEqual(spy.lastCall.args, [200]);
+
+      test.done();
+    }.bind(this));
+  },
+
+  replaysToComponents: function(test) {
+    test.expect(2);
+
+    var player = new Player(this.records);
+    var board = newBoard(player);
+
+    board.on("ready", function() {
+      var sensor = new Sensor({
+        pin: "A1",
+        board: board
+      });
+
+      this.clock.tick(25);
+      test.equal(sensor.value, 100);
+
+      this.clock.tick(20);
+      test.equal(sensor.value, 200);
+
+      test.done();
+    }.bind(this));
+  },
+
+  holdsOnceResponses: function(test) {
+    test.expect(2);
+
+    var player = new Player(this.records);
+    var board = newBoard(player);
+    var spy = sinon.spy();
+
+    board.on("ready", function() {
+      this.clock.tick(60);
+
+      player.i2cReadOnce(0x40, 0x00, 2, spy);
+
+      process.nextTick(function() {
+        test.equal(spy.callCount, 1);
+        test.deepEqual(spy.lastCall.args, [[1, 2]]);
+        test.done();
+      });
+    }.bind(this));
+  },
+
+  end: function(test) {
+    test.expect(1);
+
+    var player = new Player(this.records);
+    var board = newBoard(player);
+
+    player.on("end", function() {
+      test.ok(true);
+      test.done();
+    });
+
+    board.on("ready", function() {
+      this.clock.tick(50);
+    }.bind(this));
+  },
+};
+
+exports["Board.Recorder -> Board.Player (file)"] = {
+  setUp: function(done) {
+    this.file = path.join(os.tmpdir(), "j5-recording-" + Date.now() + ".ndjson");
+    this.analogRead = sinon.spy(MockFirmata.prototype, "analogRead");
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    this.analogRead.restore();
+
+    if (fs.existsSync(this.file)) {
+      fs.unlinkSync(this.file);
+    }
+    done();
+  },
+
+  roundTrip: function(test) {
+    test.expect(3);
+
+    var io = new MockFirmata();
+    var recorder = new Recorder({
+      io: io,
+      file: this.file
+    });
+    var board = newBoard(recorder);
+
+    io.emit("connect");
+    io.emit("ready");
+
+    board.analogRead(2, function() {});
+    this.analogRead.lastCall.args[1](321);
+
+    recorder.stop(function() {
+      var player = new Player(this.file);
+
+      test.equal(recorder.records.length, 0);
+      test.equal(player.name, "Mock");
+
+      Board.purge();
+
+      var replayed = newBoard(player);
+
+      replayed.on("ready", function() {
+        player.analogRead(2, function(value) {
+          test.equal(value, 321);
+          player.stop();
+          test.done();
+        });
+      });
+    }.bind(this));
+  }
+};
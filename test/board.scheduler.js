@@ -0,0 +1,379 @@
+var mocks = require("mock-firmata"),
+  MockFirmata = mocks.Firmata,
+  five = require("../lib/johnny-five.js"),
+  sinon = require("sinon"),
+  Board = five.Board,
+  Scheduler = Board.Scheduler;
+
+function newBoard() {
+  var io = new MockFirmata();
+  var board = new Board({
+    io: io,
+    debug: false,
+    repl: false
+  });
+
+  io.emit("connect");
+  io.emit("ready");
+
+  return board;
+}
+
+exports["Board.Scheduler"] = {
+  setUp: function(done) {
+    this.sandbox = sinon.sandbox.create();
+    this.clock = this.sandbox.useFakeTimers();
+    this.board = newBoard();
+    this.scheduler = this.board.scheduler;
+    done();
+  },
+
+  tearDown: function(done) {
+    this.scheduler.clear();
+    Board.purge();
+    this.sandbox.restore();
+    done();
+  },
+
+  boardScheduler: function(test) {
+    test.expect(2);
+
+    test.ok(this.scheduler instanceof Scheduler);
+    test.equal(this.scheduler.board, this.board);
+
+    test.done();
+  },
+
+  invalidDescriptions: function(test) {
+    test.expect(2);
+
+    test.throws(function() {
+      this.scheduler.schedule(null);
+    }.bind(this));
+
+    test.throws(function() {
+      this.scheduler.wait({ delay: 10 });
+    }.bind(this), /task/);
+
+    test.done();
+  },
+
+  wait: function(test) {
+    test.expect(5);
+
+    var spy = this.sandbox.spy();
+    var task = this.scheduler.wait(100, spy);
+    var complete = this.sandbox.spy();
+
+    task.on("complete", complete);
+
+    test.ok(task instanceof Scheduler.Task);
+
+    this.clock.tick(99);
+    test.equal(spy.callCount, 0);
+
+    this.clock.tick(1);
+    test.equal(spy.callCount, 1);
+    test.ok(spy.calledOn(this.board));
+    test.equal(task.state, "complete");
+
+    test.done();
+  },
+
+  loop: function(test) {
+    test.expect(2);
+
+    var spy = this.sandbox.spy();
+
+    this.scheduler.loop(10, spy);
+    this.clock.tick(55);
+
+    test.equal(spy.callCount, 5);
+    test.equal(this.scheduler.tasks.length, 1);
+
+    test.done();
+  },
+
+  loopTimes: function(test) {
+    test.expect(2);
+
+    var spy = this.sandbox.spy();
+    var task = this.scheduler.loop({ loop: 10, times: 3, task: spy });
+
+    this.clock.tick(100);
+
+    test.equal(spy.callCount, 3);
+    test.equal(task.state, "complete");
+
+    test.done();
+  },
+
+  loopZeroTimes: function(test) {
+    test.expect(2);
+
+    var spy = this.sandbox.spy();
+    var task = this.scheduler.loop({ loop: 10, times: 0, task: spy });
+
+    this.clock.tick(100);
+
+    test.equal(spy.callCount, 0);
+    test.equal(task.state, "complete");
+
+    test.done();
+  },
+
+  loopCancelFromTask: function(test) {
+    test.expect(1);
+
+    var count = 0;
+
+    this.scheduler.loop(10, function(task) {
+      if (++count === 2) {
+        task.cancel();
+      }
+    });
+
+    this.clock.tick(100);
+
+    test.equal(count, 2);
+    test.done();
+  },
+
+  cancel: function(test) {
+    test.expect(3);
+
+    var spy = this.sandbox.spy();
+    var cancel = this.sandbox.spy();
+    var task = this.scheduler.wait(100, spy);
+
+    task.on("cancel", cancel);
+    task.cancel();
+
+    this.clock.tick(200);
+
+    test.equal(spy.callCount, 0);
+    test.equal(cancel.callCount, 1);
+    test.equal(task.state, "cancelled");
+
+    test.done();
+  },
+
+  pauseResume: function(test) {
+    test.expect(4);
+
+    var spy = this.sandbox.spy();
+    var task = this.scheduler.wait(100, spy);
+
+    this.clock.tick(60);
+    task.pause();
+    test.equal(task.state, "paused");
+
+    this.clock.tick(1000);
+    test.equal(spy.callCount, 0);
+
+    task.resume();
+
+    this.clock.tick(39);
+    test.equal(spy.callCount, 0);
+
+    this.clock.tick(1);
+    test.equal(spy.callCount, 1);
+
+    test.done();
+  },
+
+  namedTasks: function(test) {
+    test.expect(5);
+
+    var first = this.sandbox.spy();
+    var second = this.sandbox.spy();
+
+    var task = this.scheduler.loop({ name: "heartbeat", loop: 10, task: first });
+
+    test.equal(this.scheduler.task("heartbeat"), task);
+
+    // Reusing a name replaces the existing task
+    var replacement = this.scheduler.loop({ name: "heartbeat", loop: 10, task: second });
+
+    test.equal(task.state, "cancelled");
+    test.equal(this.scheduler.task("heartbeat"), replacement);
+
+    this.clock.tick(20);
+    this.scheduler.pause("heartbeat");
+    this.clock.tick(100);
+
+    test.equal(first.callCount, 0);
+    test.equal(second.callCount, 2);
+
+    test.done();
+  },
+
+  sequence: function(test) {
+    test.expect(4);
+
+    var calls = [];
+    var complete = this.sandbox.spy();
+    var task = this.scheduler.sequence([
+      { delay: 100, task: function() { calls.push("a"); } },
+      { loop: 10, times: 2, task: function() { calls.push("b"); } },
+      function() { calls.push("c"); },
+    ]);
+
+    task.on("complete", complete);
+
+    this.clock.tick(100);
+    test.deepEqual(calls, ["a"]);
+
+    this.clock.tick(10);
+    test.deepEqual(calls, ["a", "b"]);
+
+    this.clock.tick(10);
+    test.deepEqual(calls, ["a", "b", "b", "c"]);
+    test.equal(complete.callCount, 1);
+
+    test.done();
+  },
+
+  parallel: function(test) {
+    test.expect(3);
+
+    var a = this.sandbox.spy();
+    var b = this.sandbox.spy();
+    var complete = this.sandbox.spy();
+    var task = this.scheduler.parallel([
+      { delay: 50, task: a },
+      { sequence: [
+        { delay: 20, task: b },
+        { delay: 20, task: b },
+      ] },
+    ], { name: "group" });
+
+    task.on("complete", complete);
+
+    this.clock.tick(40);
+    test.equal(b.callCount, 2);
+    test.equal(complete.callCount, 0);
+
+    this.clock.tick(10);
+    test.equal(complete.callCount, 1);
+
+    test.done();
+  },
+
+  groupCancelPause: function(test) {
+    test.expect(3);
+
+    var spy = this.sandbox.spy();
+    var task = this.scheduler.sequence([
+      { delay: 20, task: spy },
+      { delay: 20, task: spy },
+    ]);
+
+    this.clock.tick(30);
+    task.pause();
+    this.clock.tick(100);
+    test.equal(spy.callCount, 1);
+
+    task.resume();
+    this.clock.tick(10);
+    test.equal(spy.callCount, 2);
+
+    this.scheduler.wait(100, spy).cancel();
+    this.clock.tick(100);
+    test.equal(spy.callCount, 2);
+
+    test.done();
+  },
+
+  promiseStep: function(test) {
+    test.expect(2);
+
+    var resolve;
+    var after = this.sandbox.spy();
+
+    this.scheduler.sequence([
+      { task: function() {
+        return new Promise(function(r) {
+          resolve = r;
+        });
+      } },
+      { task: after },
+    ]);
+
+    this.clock.tick(10);
+    test.equal(after.callCount, 0);
+
+    resolve();
+
+    // Settled promises complete their step on a later turn
+    Promise.resolve().then(function() {
+      this.clock.tick(0);
+      test.equal(after.callCount, 1);
+      test.done();
+    }.bind(this));
+  },
+
+  exitClearsTasks: function(test) {
+    test.expect(2);
+
+    var spy = this.sandbox.spy();
+
+    this.scheduler.loop(10, spy);
+    this.scheduler.sequence([{ delay: 10, task: spy }]);
+
+    this.board.emit("exit");
+    this.clock.tick(100);
+
+    test.equal(spy.callCount, 0);
+    test.equal(this.scheduler.tasks.length, 0);
+
+    test.done();
+  },
+
+  boardWaitLoop: function(test) {
+    test.expect(4);
+
+    var wait = this.sandbox.spy();
+    var loop = this.sandbox.spy();
+
+    test.equal(this.board.wait(10, wait), this.board);
+    test.equal(this.board.loop(10, loop), this.board);
+
+    this.clock.tick(30);
+
+    test.equal(wait.callCount, 1);
+    test.equal(loop.callCount, 3);
+
+    test.done();
+  },
+
+  every: function(test) {
+    test.expect(6);
+
+    var spy = this.sandbox.spy();
+    var task = Scheduler.every(this.board, 10, spy);
+    var handle;
+
+    // On the board's scheduler, and ended by its exit
+    test.ok(task instanceof Scheduler.Task);
+    test.equal(spy.firstCall, null);
+
+    this.clock.tick(20);
+    this.board.emit("exit");
+    this.clock.tick(20);
+
+    test.equal(spy.callCount, 2);
+    test.equal(task.state, "cancelled");
+
+    // Without a board, on an interval
+    handle = Scheduler.every(null, 10, spy);
+    this.clock.tick(20);
+    handle.cancel();
+    this.clock.tick(20);
+
+    test.equal(spy.callCount, 4);
+    test.equal(handle.state, "cancelled");
+
+    test.done();
+  },
+};
@@ -0,0 +1,321 @@
+var five = require("../lib/johnny-five.js"),
+  sinon = require("sinon"),
+  Board = five.Board,
+  Simulator = Board.Simulator,
+  Sensor = five.Sensor,
+  Button = five.Button,
+  Led = five.Led,
+  Accelerometer = five.Accelerometer,
+  Proximity = five.Proximity;
+
+function newBoard(io) {
+  return new Board({
+    io: io,
+    debug: false,
+    repl: false
+  });
+}
+
+exports["Board.Simulator"] = {
+  setUp: function(done) {
+    this.sandbox = sinon.sandbox.create();
+    this.clock = this.sandbox.useFakeTimers();
+    this.simulator = new Simulator();
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    this.simulator.stop();
+    this.sandbox.restore();
+    done();
+  },
+
+  capabilities: function(test) {
+    test.expect(7);
+
+    test.equal(this.simulator.name, "Simulator");
+    test.equal(this.simulator.isReady, true);
+    test.equal(this.simulator.pins.length, 20);
+    test.deepEqual(this.simulator.analogPins, [14, 15, 16, 17, 18, 19]);
+    test.ok(this.simulator.pins[3].supportedModes.includes(this.simulator.MODES.PWM));
+    test.ok(!this.simulator.pins[4].supportedModes.includes(this.simulator.MODES.PWM));
+    test.equal(this.simulator.pins[16].analogChannel, 2);
+
+    test.done();
+  },
+
+  bindRequiresModel: function(test) {
+    test.expect(2);
+
+    test.throws(function() {
+      this.simulator.bind(2, {});
+    }.bind(this));
+
+    test.throws(function() {
+      this.simulator.bind({}, Simulator.Registers());
+    }.bind(this));
+
+    test.done();
+  },
+
+  unsupported: function(test) {
+    test.expect(1);
+
+    test.throws(function() {
+      this.simulator.stepperConfig(0, 1, 200, 2, 3);
+    }.bind(this), /Simulator does not support stepperConfig/);
+
+    test.done();
+  },
+
+  writes: function(test) {
+    test.expect(3);
+
+    var model = Simulator.Digital(0);
+    model.write = sinon.spy();
+
+    this.simulator.bind(13, model);
+
+    var board = newBoard(this.simulator);
+
+    board.on("ready", function() {
+      var led = new Led({
+        pin: 13,
+        board: board
+      });
+
+      led.on();
+
+      test.equal(this.simulator.pins[13].value, 1);
+      test.equal(model.write.callCount, 1);
+      test.equal(model.write.lastCall.args[0], 1);
+
+      test.done();
+    }.bind(this));
+  },
+
+  unboundPinsReadBack: function(test) {
+    test.expect(1);
+
+    var spy = sinon.spy();
+
+    this.simulator.digitalWrite(7, 1);
+    this.simulator.digitalRead(7, spy);
+
+    this.clock.tick(19);
+
+    test.deepEqual(spy.lastCall.args, [1]);
+    test.done();
+  },
+
+  sensor: function(test) {
+    test.expect(3);
+
+    this.simulator.bind("A0", Simulator.Analog(function(t) {
+      return t < 1000 ? 100 : 900;
+    }));
+
+    var board = newBoard(this.simulator);
+
+    board.on("ready", function() {
+      var sensor = new Sensor({
+        pin: "A0",
+        board: board
+      });
+      var change = sinon.spy();
+
+      sensor.on("change", change);
+
+      this.clock.tick(50);
+      test.equal(sensor.value, 100);
+
+      this.clock.tick(1000);
+      test.equal(sensor.value, 900);
+      test.ok(change.called);
+
+      test.done();
+    }.bind(this));
+  },
+
+  analogIsClamped: function(test) {
+    test.expect(2);
+
+    var model = Simulator.Potentiometer(2000);
+
+    test.equal(model.read(0), 1023);
+
+    model.value = -5;
+    test.equal(model.read(0), 0);
+
+    test.done();
+  },
+
+  button: function(test) {
+    test.expect(4);
+
+    this.simulator.bind(2, Simulator.Button([
+      [100, 200]
+    ]));
+
+    var board = newBoard(this.simulator);
+
+    board.on("ready", function() {
+      var button = new Button({
+        pin: 2,
+        board: board
+      });
+      var down = sinon.spy();
+      var up = sinon.spy();
+
+      button.on("down", down);
+      button.on("up", up);
+
+      this.clock.tick(50);
+      test.equal(down.callCount, 0);
+
+      this.clock.tick(100);
+      test.equal(down.callCount, 1);
+      test.equal(up.callCount, 0);
+
+      this.clock.tick(200);
+      test.equal(up.callCount, 1);
+
+      test.done();
+    }.bind(this));
+  },
+
+  buttonPullup: function(test) {
+    test.expect(2);
+
+    var model = Simulator.Button({
+      presses: [
+        [0, 10]
+      ],
+      isPullup: true
+    });
+
+    test.equal(model.read(5), 0);
+    test.equal(model.read(20), 1);
+
+    test.done();
+  },
+
+  registers: function(test) {
+    test.expect(3);
+
+    var spy = sinon.spy();
+
+    this.simulator.bind({
+      address: 0x40
+    }, Simulator.Registers({
+      0x00: 0x12,
+      0x01: function(t) {
+        return t;
+      }
+    }));
+
+    this.clock.tick(7);
+
+    this.simulator.i2cWrite(0x40, [0x02, 0xAA, 0xBB]);
+    this.simulator.i2cReadOnce(0x40, 0x00, 4, spy);
+    this.simulator.i2cReadOnce(0x41, 0x00, 2, spy);
+
+    process.nextTick(function() {
+      test.equal(spy.callCount, 2);
+      test.deepEqual(spy.firstCall.args, [[0x12, 7, 0xAA, 0xBB]]);
+      test.deepEqual(spy.lastCall.args, [[0, 0]]);
+      test.done();
+    });
+  },
+
+  mpu6050: function(test) {
+    test.expect(3);
+
+    this.simulator.bind({
+      address: 0x68
+    }, Simulator.MPU6050({
+      accelerometer: function(t) {
+        return t < 500 ? { x: 0, y: 0, z: 16384 } : { x: 8192, y: -8192, z: 0 };
+      }
+    }));
+
+    var board = newBoard(this.simulator);
+
+    board.on("ready", function() {
+      var accel = new Accelerometer({
+        controller: "MPU6050",
+        board: board
+      });
+
+      this.clock.tick(200);
+      test.equal(accel.z, 1);
+
+      this.clock.tick(500);
+      test.equal(accel.x, 0.5);
+      test.equal(accel.y, -0.5);
+
+      test.done();
+    }.bind(this));
+  },
+
+  proximity: function(test) {
+    test.expect(1);
+
+    this.simulator.bind(7, Simulator.Ping(30));
+
+    var board = newBoard(this.simulator);
+
+    board.on("ready", function() {
+      var proximity = new Proximity({
+        controller: "HCSR04",
+        pin: 7,
+        board: board
+      });
+
+      // pingRead responds on the next tick
+      process.nextTick(function() {
+        this.clock.tick(100);
+        test.equal(proximity.cm, 30);
+        test.done();
+      }.bind(this));
+    }.bind(this));
+  },
+
+  samplingInterval: function(test) {
+    test.expect(2);
+
+    var spy = sinon.spy();
+
+    this.simulator.setSamplingInterval(100);
+    this.simulator.analogRead(0, spy);
+
+    this.clock.tick(99);
+    test.equal(spy.callCount, 0);
+
+    this.clock.tick(1);
+    test.equal(spy.callCount, 1);
+
+    test.done();
+  },
+
+  boardExit: function(test) {
+    test.expect(3);
+
+    var board = newBoard(this.simulator);
+    var spy = sinon.spy();
+
+    test.equal(this.simulator.board, board);
+
+    this.simulator.analogRead(0, spy);
+    this.clock.tick(19);
+    test.equal(spy.callCount, 1);
+
+    // Readings are scheduled on the board, and stop when it exits
+    board.emit("exit");
+    this.clock.tick(100);
+    test.equal(spy.callCount, 1);
+
+    test.done();
+  },
+};
@@ -0,0 +1,159 @@
+var fs = require("fs"),
+  os = require("os"),
+  path = require("path"),
+  five = require("../lib/johnny-five.js"),
+  Calibration = five.Calibration;
+
+exports["Calibration"] = {
+  identity: function(test) {
+    test.expect(3);
+
+    var calibration = new Calibration();
+
+    test.equal(calibration.map(512), 512);
+    test.equal(calibration.map(null), null);
+
+    // A single point is an offset
+    calibration.add(500, 510);
+    test.equal(calibration.map(100), 110);
+
+    test.done();
+  },
+
+  linear: function(test) {
+    test.expect(6);
+
+    var calibration = new Calibration([[300, 30], [100, 10], [500, 90]]);
+
+    // Points are kept in raw order
+    test.deepEqual(calibration.points, [[100, 10], [300, 30], [500, 90]]);
+    test.equal(calibration.coefficients, null);
+
+    test.equal(calibration.map(200), 20);
+    test.equal(calibration.map(400), 60);
+
+    // Extrapolated along the end segments
+    test.equal(calibration.map(0), 0);
+    test.equal(calibration.map(600), 120);
+
+    test.done();
+  },
+
+  addReplaces: function(test) {
+    test.expect(2);
+
+    var calibration = new Calibration([[0, 0], [10, 10]]);
+
+    calibration.add(10, 20);
+
+    test.deepEqual(calibration.points, [[0, 0], [10, 20]]);
+
+    calibration.clear();
+    test.deepEqual(calibration.points, []);
+
+    test.done();
+  },
+
+  polynomial: function(test) {
+    test.expect(4);
+
+    var calibration = new Calibration({
+      type: "polynomial",
+      degree: 2,
+      points: [[0, 1], [1, 3], [2, 9], [3, 19]]
+    });
+
+    // 1 + 0x + 2x^2
+    calibration.coefficients.forEach(function(coefficient, index) {
+      test.ok(Math.abs(coefficient - [1, 0, 2][index]) < 1e-9);
+    });
+
+    test.ok(Math.abs(calibration.map(4) - 33) < 1e-9);
+
+    test.done();
+  },
+
+  polynomialDegreeLimit: function(test) {
+    test.expect(2);
+
+    // Two points fit a line, regardless of the requested degree
+    var calibration = new Calibration({
+      type: "polynomial",
+      degree: 3,
+      points: [[0, 0], [10, 20]]
+    });
+
+    test.equal(calibration.coefficients.length, 2);
+    test.ok(Math.abs(calibration.map(5) - 10) < 1e-9);
+
+    test.done();
+  },
+
+  invalid: function(test) {
+    test.expect(2);
+
+    test.throws(function() {
+      new Calibration({ type: "cubic" });
+    });
+
+    test.throws(function() {
+      new Calibration().add("1", 2);
+    });
+
+    test.done();
+  },
+
+  from: function(test) {
+    test.expect(3);
+
+    var calibration = new Calibration();
+
+    test.equal(Calibration.from(calibration), calibration);
+    test.ok(Calibration.from([[0, 0], [1, 1]]) instanceof Calibration);
+    test.ok(Calibration.from(undefined) instanceof Calibration);
+
+    test.done();
+  },
+};
+
+exports["Calibration (file)"] = {
+  setUp: function(done) {
+    this.file = path.join(os.tmpdir(), "j5-calibration-" + Date.now() + ".json");
+    done();
+  },
+
+  tearDown: function(done) {
+    if (fs.existsSync(this.file)) {
+      fs.unlinkSync(this.file);
+    }
+    done();
+  },
+
+  saveLoad: function(test) {
+    test.expect(4);
+
+    var calibration = new Calibration({
+      type: "polynomial",
+      degree: 1,
+      points: [[0, 0], [100, 50]]
+    });
+
+    calibration.save(this.file);
+
+    test.deepEqual(JSON.parse(fs.readFileSync(this.file, "utf8")), {
+      type: "polynomial",
+      degree: 1,
+      points: [[0, 0], [100, 50]]
+    });
+
+    var loaded = Calibration.load(this.file);
+
+    test.equal(loaded.type, "polynomial");
+    test.deepEqual(loaded.points, calibration.points);
+
+    // A file name is a saved profile
+    test.deepEqual(Calibration.from(this.file).toJSON(), calibration.toJSON());
+
+    test.done();
+  },
+};
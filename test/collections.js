@@ -1,5 +1,11 @@
 var Collection = require("../lib/mixins/collection");
+var Emitter = require("events").EventEmitter;
+var util = require("util");
 var sinon = require("sinon");
+var mocks = require("mock-firmata");
+var MockFirmata = mocks.Firmata;
+var five = require("../lib/johnny-five.js");
+var Board = five.Board;
 
 function restore(target) {
   for (var prop in target) {
@@ -185,3 +191,211 @@ exports["Collections"] = {
   },
 
 };
+
+function Reading(opts) {
+  Emitter.call(this);
+  this.opts = opts;
+  this.value = null;
+}
+
+util.inherits(Reading, Emitter);
+
+Reading.prototype.scale = function() {
+  return this;
+};
+
+Reading.prototype.settle = function() {
+  return Promise.resolve(this);
+};
+
+Object.defineProperty(Reading.prototype, "reading", {
+  enumerable: true,
+  get: function() {
+    return this.value;
+  }
+});
+
+exports["Collection.create"] = {
+  setUp: function(done) {
+    this.Readings = Collection.create(Reading);
+    this.readings = new this.Readings([1, 2, 3]);
+    done();
+  },
+
+  tearDown: function(done) {
+    restore(this);
+    done();
+  },
+
+  shape: function(test) {
+    test.expect(6);
+
+    test.ok(this.readings instanceof Collection.Emitter);
+    test.ok(this.readings instanceof Collection);
+    test.equal(this.readings.type, Reading);
+    test.equal(this.readings.length, 3);
+    test.ok(this.readings[2] instanceof Reading);
+    test.ok(this.Readings([4]) instanceof this.Readings);
+
+    test.done();
+  },
+
+  forwarding: function(test) {
+    test.expect(3);
+
+    var scale = sinon.spy(Reading.prototype, "scale");
+
+    test.equal(this.readings.scale(2), this.readings);
+    test.equal(scale.callCount, 3);
+    test.equal(this.readings.reading, undefined);
+
+    scale.restore();
+    test.done();
+  },
+
+  forwardingPromises: function(test) {
+    test.expect(1);
+
+    this.readings.settle().then(function(results) {
+      test.deepEqual(results, [this.readings[0], this.readings[1], this.readings[2]]);
+      test.done();
+    }.bind(this));
+  },
+
+  aggregatedData: function(test) {
+    test.expect(3);
+
+    var spy = sinon.spy();
+
+    this.readings.on("data", spy);
+
+    this.readings[0].emit("data", 10);
+    this.readings[1].emit("data", 20);
+    test.equal(spy.callCount, 0);
+
+    this.readings[2].emit("data", 30);
+    test.equal(spy.callCount, 1);
+    test.deepEqual(spy.lastCall.args, [[10, 20, 30]]);
+
+    test.done();
+  },
+
+  aggregatedChange: function(test) {
+    test.expect(2);
+
+    var spy = sinon.spy();
+
+    this.readings.on("change", spy);
+    this.readings[1].emit("change", 5);
+
+    test.equal(spy.callCount, 1);
+    test.deepEqual(spy.lastCall.args, [[undefined, 5, undefined]]);
+
+    test.done();
+  },
+
+  forwardedEvents: function(test) {
+    test.expect(2);
+
+    var spy = sinon.spy();
+
+    this.readings.on("press", spy);
+    this.readings[2].emit("press", "a", "b");
+
+    test.equal(spy.callCount, 1);
+    test.deepEqual(spy.lastCall.args, [this.readings[2], "a", "b"]);
+
+    test.done();
+  },
+
+  addSubscribes: function(test) {
+    test.expect(1);
+
+    var spy = sinon.spy();
+    var reading = new Reading(4);
+
+    this.readings.on("press", spy);
+    this.readings.add(reading);
+    reading.emit("press");
+
+    test.equal(spy.callCount, 1);
+    test.done();
+  },
+};
+
+exports["Component.Array"] = {
+  setUp: function(done) {
+    var io = new MockFirmata();
+
+    this.board = new Board({
+      io: io,
+      debug: false,
+      repl: false
+    });
+
+    io.emit("connect");
+    io.emit("ready");
+
+    this.sandbox = sinon.sandbox.create();
+    this.clock = this.sandbox.useFakeTimers();
+    this.digitalWrite = this.sandbox.spy(MockFirmata.prototype, "digitalWrite");
+    this.analogRead = this.sandbox.spy(MockFirmata.prototype, "analogRead");
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    this.sandbox.restore();
+    done();
+  },
+
+  generated: function(test) {
+    test.expect(4);
+
+    test.equal(typeof five.Relay.Array, "function");
+    test.equal(typeof five.Button.Array, "function");
+    test.equal(typeof five.Thermometer.Array, "function");
+    test.equal(typeof five.Led.RGB.Array, "function");
+
+    test.done();
+  },
+
+  handWrittenArraysAreKept: function(test) {
+    test.expect(1);
+
+    test.equal(five.Led.Array, require("../lib/led/leds"));
+    test.done();
+  },
+
+  relays: function(test) {
+    test.expect(3);
+
+    var relays = new five.Relay.Array([9, 10]);
+
+    test.equal(relays.on(), relays);
+    test.ok(this.digitalWrite.calledWith(9, 1));
+    test.ok(this.digitalWrite.calledWith(10, 1));
+
+    test.done();
+  },
+
+  sensors: function(test) {
+    test.expect(2);
+
+    var sensors = new five.Sensor.Array(["A0", "A1"]);
+    var spy = this.sandbox.spy();
+
+    sensors.on("data", spy);
+
+    this.analogRead.getCall(0).args[1](100);
+    this.analogRead.getCall(1).args[1](200);
+
+    this.clock.tick(25);
+
+    test.equal(spy.callCount, 1);
+    test.deepEqual(spy.lastCall.args, [[100, 200]]);
+
+    test.done();
+  },
+};
@@ -0,0 +1,397 @@
+var mocks = require("mock-firmata"),
+  MockFirmata = mocks.Firmata,
+  five = require("../lib/johnny-five.js"),
+  sinon = require("sinon"),
+  Emitter = require("events").EventEmitter,
+  Board = five.Board,
+  DifferentialDrive = five.DifferentialDrive,
+  ESC = five.ESC,
+  Motor = five.Motor,
+  Servo = five.Servo;
+
+function newBoard() {
+  var io = new MockFirmata();
+  var board = new Board({
+    io: io,
+    debug: false,
+    repl: false
+  });
+
+  io.emit("connect");
+  io.emit("ready");
+
+  return board;
+}
+
+// An encoder stand in: one count per unit of distance,
+// with a wheel circumference of 100
+function newEncoder() {
+  var encoder = new Emitter();
+
+  encoder.count = 0;
+  encoder.cpr = 100;
+
+  return encoder;
+}
+
+function restore(target) {
+  for (var prop in target) {
+
+    if (Array.isArray(target[prop])) {
+      continue;
+    }
+
+    if (target[prop] != null && typeof target[prop].restore === "function") {
+      target[prop].restore();
+    }
+
+    if (typeof target[prop] === "object") {
+      restore(target[prop]);
+    }
+  }
+}
+
+exports["DifferentialDrive"] = {
+  setUp: function(done) {
+    this.clock = sinon.useFakeTimers();
+    this.board = newBoard();
+    this.forward = sinon.spy(Motor.prototype, "forward");
+    this.reverse = sinon.spy(Motor.prototype, "reverse");
+    this.stop = sinon.spy(Motor.prototype, "stop");
+
+    this.left = new Motor({ board: this.board, pins: [3, 12] });
+    this.right = new Motor({ board: this.board, pins: [5, 13] });
+
+    this.drive = new DifferentialDrive({
+      left: this.left,
+      right: this.right
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  emitter: function(test) {
+    test.expect(1);
+    test.ok(this.drive instanceof Emitter);
+    test.done();
+  },
+
+  invalid: function(test) {
+    test.expect(4);
+
+    test.throws(function() {
+      new DifferentialDrive({ left: this.left });
+    }.bind(this), /requires `left` and `right`/);
+
+    test.throws(function() {
+      new DifferentialDrive({ left: this.left, right: {} });
+    }.bind(this), /Motors, ESCs or continuous Servos/);
+
+    test.throws(function() {
+      new DifferentialDrive({
+        left: this.left,
+        right: new Servo({ pin: 9, board: this.board })
+      });
+    }.bind(this), /must be continuous/);
+
+    test.throws(function() {
+      new DifferentialDrive({
+        left: this.left,
+        right: this.right,
+        encoders: { left: newEncoder(), right: newEncoder() }
+      });
+    }.bind(this), /`wheelDiameter` and a `trackWidth`/);
+
+    test.done();
+  },
+
+  tank: function(test) {
+    test.expect(3);
+
+    this.drive.tank(1, -0.5);
+
+    test.ok(this.forward.calledOn(this.left));
+    test.deepEqual(this.forward.lastCall.args, [255]);
+    test.ok(this.reverse.calledOn(this.right) && this.reverse.calledWith(128));
+
+    test.done();
+  },
+
+  drive: function(test) {
+    test.expect(3);
+
+    this.drive.drive(0.5, 0.25);
+    test.deepEqual(this.drive.speeds, { left: 0.25, right: 0.75 });
+
+    // Desaturated, keeping the curvature
+    this.drive.drive(1, 1);
+    test.deepEqual(this.drive.speeds, { left: 0, right: 1 });
+
+    this.drive.drive(0);
+    test.deepEqual(this.drive.speeds, { left: 0, right: 0 });
+
+    test.done();
+  },
+
+  arcade: function(test) {
+    test.expect(2);
+
+    // Forward, turning right
+    this.drive.arcade(0.5, 0.5);
+    test.deepEqual(this.drive.speeds, { left: 1, right: 0 });
+
+    // Spinning left on the spot
+    this.drive.arcade(-1, 0);
+    test.deepEqual(this.drive.speeds, { left: -1, right: 1 });
+
+    test.done();
+  },
+
+  servos: function(test) {
+    test.expect(2);
+
+    var left = new Servo.Continuous({ pin: 10, board: this.board });
+    var right = new Servo.Continuous({ pin: 11, board: this.board });
+    var cw = sinon.spy(Servo.prototype, "cw");
+    var ccw = sinon.spy(Servo.prototype, "ccw");
+
+    new DifferentialDrive({
+      left: left,
+      right: right,
+      invert: { right: true }
+    }).tank(1, 0.5);
+
+    test.ok(cw.calledOn(left) && cw.calledWith(1));
+    test.ok(ccw.calledOn(right) && ccw.calledWith(0.5));
+
+    cw.restore();
+    ccw.restore();
+    test.done();
+  },
+
+  escs: function(test) {
+    test.expect(2);
+
+    var escs = [6, 9].map(function(pin) {
+      return new ESC({
+        device: "FORWARD_REVERSE",
+        neutral: 50,
+        pin: pin,
+        board: this.board
+      });
+    }, this);
+    var forward = sinon.spy(ESC.prototype, "forward");
+    var reverse = sinon.spy(ESC.prototype, "reverse");
+
+    new DifferentialDrive({
+      left: escs[0],
+      right: escs[1]
+    }).tank(0.5, -1);
+
+    test.ok(forward.calledOn(escs[0]) && forward.calledWith(50));
+    test.ok(reverse.calledOn(escs[1]) && reverse.calledWith(100));
+
+    forward.restore();
+    reverse.restore();
+    test.done();
+  },
+
+  ramp: function(test) {
+    test.expect(5);
+
+    var drive = new DifferentialDrive({
+      left: this.left,
+      right: this.right,
+      ramp: 2
+    });
+
+    drive.tank(1, 0.5);
+
+    test.equal(drive.isRamping, true);
+
+    // Both sides arrive together
+    this.clock.tick(100);
+    test.ok(Math.abs(drive.speeds.left - 0.2) < 1e-9);
+    test.ok(Math.abs(drive.speeds.right - 0.1) < 1e-9);
+
+    this.clock.tick(500);
+    test.deepEqual(drive.speeds, { left: 1, right: 0.5 });
+    test.equal(drive.isRamping, false);
+
+    test.done();
+  },
+
+  rampBoardExit: function(test) {
+    test.expect(3);
+
+    var drive = new DifferentialDrive({
+      left: this.left,
+      right: this.right,
+      ramp: 2
+    });
+
+    test.equal(drive.board, this.board);
+
+    drive.tank(1, 1);
+    this.clock.tick(100);
+
+    // The ramp runs on the board's scheduler
+    this.board.emit("exit");
+    this.clock.tick(500);
+
+    test.ok(Math.abs(drive.speeds.left - 0.2) < 1e-9);
+    test.equal(drive.isRamping, false);
+
+    test.done();
+  },
+
+  trim: function(test) {
+    test.expect(4);
+
+    var drive = new DifferentialDrive({
+      left: this.left,
+      right: this.right,
+      trim: 0.1
+    });
+
+    drive.tank(1, 1);
+
+    test.ok(this.forward.calledOn(this.left) && this.forward.calledWith(230));
+    test.ok(this.forward.calledOn(this.right) && this.forward.calledWith(255));
+
+    this.forward.reset();
+    drive.trim(-0.2);
+
+    test.equal(drive.trim(), -0.2);
+    test.deepEqual(this.forward.args, [[255], [204]]);
+
+    test.done();
+  },
+
+  stop: function(test) {
+    test.expect(3);
+
+    var drive = new DifferentialDrive({
+      left: this.left,
+      right: this.right,
+      ramp: 1
+    });
+
+    drive.tank(1, 1);
+    this.clock.tick(100);
+    drive.stop();
+
+    test.deepEqual(drive.speeds, { left: 0, right: 0 });
+    test.equal(drive.isRamping, false);
+    test.ok(this.stop.calledOn(this.left) && this.stop.calledOn(this.right));
+
+    test.done();
+  },
+};
+
+exports["DifferentialDrive - odometry"] = {
+  setUp: function(done) {
+    this.clock = sinon.useFakeTimers();
+    this.board = newBoard();
+    this.encoders = {
+      left: newEncoder(),
+      right: newEncoder()
+    };
+
+    this.drive = new DifferentialDrive({
+      left: new Motor({ board: this.board, pins: [3, 12] }),
+      right: new Motor({ board: this.board, pins: [5, 13] }),
+      encoders: this.encoders,
+      wheelDiameter: 100 / Math.PI,
+      trackWidth: 50
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  pose: function(test) {
+    test.expect(5);
+
+    var spy = sinon.spy();
+
+    this.drive.on("odometry", spy);
+
+    // Straight ahead
+    this.encoders.left.count = 100;
+    this.encoders.right.count = 100;
+    this.encoders.left.emit("change");
+
+    test.deepEqual(spy.lastCall.args[0], { x: 100, y: 0, heading: 0 });
+
+    // A quarter turn to the left, on the spot
+    this.encoders.left.count -= 12.5 * Math.PI;
+    this.encoders.right.count += 12.5 * Math.PI;
+    this.encoders.right.emit("change");
+
+    test.ok(Math.abs(this.drive.pose.heading - Math.PI / 2) < 1e-9);
+    test.ok(Math.abs(this.drive.pose.x - 100) < 1e-9);
+
+    // Then ahead, along the y axis
+    this.encoders.left.count += 50;
+    this.encoders.right.count += 50;
+    this.encoders.right.emit("change");
+
+    test.ok(Math.abs(this.drive.pose.y - 50) < 1e-9);
+
+    this.drive.resetPose();
+    test.deepEqual(this.drive.pose, { x: 0, y: 0, heading: 0 });
+
+    test.done();
+  },
+
+  calibrate: function(test) {
+    test.expect(4);
+
+    var calibrated = sinon.spy();
+
+    this.drive.on("calibrated", calibrated);
+    this.drive.calibrate({ duration: 1000 });
+
+    test.deepEqual(this.drive.speeds, { left: 0.5, right: 0.5 });
+
+    // The left side runs faster
+    this.encoders.left.count = 100;
+    this.encoders.right.count = 90;
+    this.encoders.left.emit("change");
+
+    this.clock.tick(1000);
+
+    test.ok(Math.abs(this.drive.trim() - 0.1) < 1e-9);
+    test.equal(calibrated.callCount, 1);
+    test.deepEqual(this.drive.speeds, { left: 0, right: 0 });
+
+    test.done();
+  },
+
+  calibrateRequiresEncoders: function(test) {
+    test.expect(1);
+
+    var drive = new DifferentialDrive({
+      left: this.drive.left,
+      right: this.drive.right
+    });
+
+    test.throws(function() {
+      drive.calibrate();
+    }, /requires `encoders`/);
+
+    test.done();
+  },
+};
@@ -0,0 +1,273 @@
+var mocks = require("mock-firmata"),
+  MockFirmata = mocks.Firmata,
+  five = require("../lib/johnny-five.js"),
+  sinon = require("sinon"),
+  Board = five.Board,
+  Encoder = five.Encoder;
+
+function newBoard() {
+  var io = new MockFirmata();
+  var board = new Board({
+    io: io,
+    debug: false,
+    repl: false
+  });
+
+  io.emit("connect");
+  io.emit("ready");
+
+  return board;
+}
+
+// Drive the A/B channels through a number of quadrature
+// steps (negative steps turn in reverse)
+function turn(channels, steps) {
+  var sequence = [[0, 0], [1, 0], [1, 1], [0, 1]];
+  var state = channels.state;
+  var i, next;
+
+  for (i = 0; i < Math.abs(steps); i++) {
+    state = (state + (steps > 0 ? 1 : 3)) % 4;
+    next = sequence[state];
+
+    if (next[0] !== channels.levels[0]) {
+      channels.a(next[0]);
+    } else {
+      channels.b(next[1]);
+    }
+
+    channels.levels = next;
+  }
+
+  channels.state = state;
+}
+
+exports["Encoder"] = {
+  setUp: function(done) {
+    this.sandbox = sinon.sandbox.create();
+    this.clock = this.sandbox.useFakeTimers();
+    this.board = newBoard();
+    this.digitalRead = this.sandbox.spy(MockFirmata.prototype, "digitalRead");
+    this.pinMode = this.sandbox.spy(MockFirmata.prototype, "pinMode");
+
+    this.encoder = new Encoder({
+      pins: [2, 3],
+      cpr: 100,
+      freq: 100,
+      board: this.board
+    });
+
+    this.channels = {
+      a: this.digitalRead.args[0][1],
+      b: this.digitalRead.args[1][1],
+      levels: [0, 0],
+      state: 0
+    };
+
+    // The first report of both channels establishes the initial state
+    this.channels.a(0);
+    this.channels.b(0);
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    this.sandbox.restore();
+    done();
+  },
+
+  shape: function(test) {
+    test.expect(6);
+
+    test.deepEqual(this.encoder.pins, { a: 2, b: 3 });
+    test.equal(this.encoder.count, 0);
+    test.equal(this.encoder.rpm, 0);
+    test.equal(this.encoder.direction, 0);
+    test.equal(typeof this.encoder.reset, "function");
+    test.equal(Encoder.Array.name, "Components");
+
+    test.done();
+  },
+
+  pins: function(test) {
+    test.expect(4);
+
+    test.equal(this.digitalRead.args[0][0], 2);
+    test.equal(this.digitalRead.args[1][0], 3);
+    test.ok(this.pinMode.calledWith(2, this.board.io.MODES.INPUT));
+
+    test.throws(function() {
+      new Encoder({ pin: 2, board: this.board });
+    }.bind(this), /requires `pins`/);
+
+    test.done();
+  },
+
+  count: function(test) {
+    test.expect(4);
+
+    turn(this.channels, 10);
+    test.equal(this.encoder.count, 10);
+
+    turn(this.channels, -4);
+    test.equal(this.encoder.count, 6);
+    test.equal(this.encoder.revolutions, 0.06);
+
+    // Repeated reports of the same level are not steps
+    this.channels.a(this.channels.levels[0]);
+    test.equal(this.encoder.count, 6);
+
+    test.done();
+  },
+
+  invert: function(test) {
+    test.expect(1);
+
+    var encoder = new Encoder({
+      pins: [4, 5],
+      invert: true,
+      board: this.board
+    });
+    var channels = {
+      a: this.digitalRead.args[2][1],
+      b: this.digitalRead.args[3][1],
+      levels: [0, 0],
+      state: 0
+    };
+
+    channels.a(0);
+    channels.b(0);
+    turn(channels, 3);
+
+    test.equal(encoder.count, -3);
+    test.done();
+  },
+
+  initialState: function(test) {
+    test.expect(4);
+
+    var change = this.sandbox.spy();
+    var direction = this.sandbox.spy();
+    var encoder = new Encoder({
+      pins: [4, 5],
+      board: this.board
+    });
+    var channels = {
+      a: this.digitalRead.args[2][1],
+      b: this.digitalRead.args[3][1],
+      levels: [1, 1],
+      state: 2
+    };
+
+    encoder.on("change", change);
+    encoder.on("direction", direction);
+
+    // An encoder at rest with both channels high
+    channels.a(1);
+    channels.b(1);
+
+    test.equal(encoder.count, 0);
+    test.equal(change.callCount, 0);
+    test.equal(direction.callCount, 0);
+
+    turn(channels, 1);
+    test.equal(encoder.count, 1);
+
+    test.done();
+  },
+
+  events: function(test) {
+    test.expect(5);
+
+    var change = this.sandbox.spy();
+    var direction = this.sandbox.spy();
+    var forward = this.sandbox.spy();
+    var reverse = this.sandbox.spy();
+
+    this.encoder.on("change", change);
+    this.encoder.on("direction", direction);
+    this.encoder.on("forward", forward);
+    this.encoder.on("reverse", reverse);
+
+    turn(this.channels, 2);
+    turn(this.channels, -1);
+
+    test.equal(change.callCount, 3);
+    test.deepEqual(change.lastCall.args[0], {
+      count: 1,
+      revolutions: 0.01,
+      rpm: 0,
+      direction: -1
+    });
+    test.deepEqual(direction.args, [[1], [-1]]);
+    test.equal(forward.callCount, 1);
+    test.equal(reverse.callCount, 1);
+
+    test.done();
+  },
+
+  rpm: function(test) {
+    test.expect(3);
+
+    var data = this.sandbox.spy();
+
+    this.encoder.on("data", data);
+
+    // 50 counts in 100ms: half a revolution, 300 rpm
+    turn(this.channels, 50);
+    this.clock.tick(100);
+
+    test.equal(this.encoder.rpm, 300);
+    test.equal(data.lastCall.args[0].rpm, 300);
+
+    turn(this.channels, -25);
+    this.clock.tick(100);
+
+    test.equal(this.encoder.rpm, -150);
+    test.done();
+  },
+
+  reset: function(test) {
+    test.expect(2);
+
+    turn(this.channels, 20);
+    this.encoder.reset();
+
+    test.equal(this.encoder.count, 0);
+
+    this.clock.tick(100);
+    test.equal(this.encoder.rpm, 0);
+
+    test.done();
+  },
+
+  stop: function(test) {
+    test.expect(4);
+
+    var data = this.sandbox.spy();
+
+    this.encoder.on("data", data);
+    this.encoder.stop();
+
+    turn(this.channels, 10);
+    this.clock.tick(500);
+
+    test.equal(data.callCount, 0);
+    test.equal(this.encoder.count, 10);
+
+    this.encoder.start();
+    turn(this.channels, 10);
+    this.clock.tick(100);
+
+    test.equal(this.encoder.rpm, 60);
+
+    // The sampling is cancelled when the board exits
+    this.board.emit("exit");
+    this.clock.tick(500);
+
+    test.equal(data.callCount, 1);
+
+    test.done();
+  },
+};
@@ -0,0 +1,128 @@
+var five = require("../lib/johnny-five.js"),
+  Filter = five.Filter;
+
+function run(filter, values) {
+  return values.map(function(value) {
+    return filter.process(value);
+  });
+}
+
+exports["Filter"] = {
+  movingAverage: function(test) {
+    test.expect(3);
+
+    var filter = new Filter.MovingAverage(3);
+
+    test.deepEqual(run(filter, [3, 6, 9, 12]), [3, 4.5, 6, 9]);
+
+    filter.reset();
+    test.deepEqual(run(filter, [10]), [10]);
+
+    test.equal(new Filter.MovingAverage().size, 5);
+    test.done();
+  },
+
+  exponentialMovingAverage: function(test) {
+    test.expect(4);
+
+    var filter = new Filter.EMA({ alpha: 0.5 });
+
+    test.deepEqual(run(filter, [10, 20, 20]), [10, 15, 17.5]);
+
+    filter.reset();
+    test.deepEqual(run(filter, [0]), [0]);
+
+    test.equal(Filter.EMA, Filter.ExponentialMovingAverage);
+    test.throws(function() {
+      new Filter.EMA(0);
+    }, RangeError);
+
+    test.done();
+  },
+
+  kalman: function(test) {
+    test.expect(3);
+
+    var filter = new Filter.Kalman({ r: 1, q: 0.01 });
+    var noisy = [100, 110, 90, 105, 95, 100, 108, 92];
+    var output = run(filter, noisy);
+
+    test.equal(output[0], 100);
+
+    // Once settled, output varies much less than the input
+    test.ok(output.slice(2).every(function(value) {
+      return Math.abs(value - 100) < 2;
+    }));
+
+    // And converges on a new level
+    test.ok(Math.abs(run(filter, new Array(200).fill(200)).pop() - 200) < 1);
+
+    test.done();
+  },
+
+  hysteresis: function(test) {
+    test.expect(1);
+
+    var filter = new Filter.Hysteresis(5);
+
+    test.deepEqual(run(filter, [100, 103, 96, 105, 101, 100]), [100, 100, 100, 105, 105, 100]);
+    test.done();
+  },
+
+  spike: function(test) {
+    test.expect(2);
+
+    var filter = new Filter.Spike({ threshold: 10, limit: 2 });
+
+    // Single spikes are rejected
+    test.deepEqual(run(filter, [100, 500, 102, 0, 101]), [100, 100, 102, 102, 101]);
+
+    // Sustained changes are accepted
+    test.deepEqual(run(filter, [300, 300, 300, 301]), [101, 101, 300, 301]);
+
+    test.done();
+  },
+
+  chain: function(test) {
+    test.expect(4);
+
+    var chain = Filter.chain([
+      { type: "spike", threshold: 10 },
+      "movingAverage",
+      function(value) {
+        return value * 2;
+      },
+    ]);
+
+    test.ok(chain instanceof Filter.Chain);
+    test.equal(chain.filters.length, 3);
+
+    // The spike is rejected before it reaches the average
+    test.deepEqual(run(chain, [9, 15, 900]), [18, 24, 26]);
+
+    test.equal(Filter.chain(), null);
+    test.done();
+  },
+
+  from: function(test) {
+    test.expect(5);
+
+    var custom = {
+      process: function(value) {
+        return value + this.offset;
+      },
+      offset: 1
+    };
+
+    test.ok(Filter.from("kalman") instanceof Filter.Kalman);
+    test.ok(Filter.from({ type: "EMA", alpha: 0.1 }) instanceof Filter.EMA);
+    test.equal(Filter.from({ type: "EMA", alpha: 0.1 }).alpha, 0.1);
+    test.equal(Filter.from(custom).process(1), 2);
+
+    test.throws(function() {
+      Filter.from("median");
+    }, /Unknown filter: median/);
+
+    test.done();
+  },
+};
@@ -0,0 +1,533 @@
+var mocks = require("mock-firmata"),
+  MockFirmata = mocks.Firmata,
+  five = require("../lib/johnny-five.js"),
+  sinon = require("sinon"),
+  fs = require("fs"),
+  os = require("os"),
+  path = require("path"),
+  stream = require("stream"),
+  Board = five.Board,
+  GCode = five.GCode,
+  Led = five.Led,
+  Relay = five.Relay,
+  Servo = five.Servo,
+  Stepper = five.Stepper;
+
+function newBoard() {
+  var io = new MockFirmata();
+  var board = new Board({
+    io: io,
+    debug: false,
+    repl: false
+  });
+
+  io.emit("connect");
+  io.emit("ready");
+
+  return board;
+}
+
+// Software driven axes, at 10 steps per mm
+function newAxes(board) {
+  return [2, 4].map(function(pin) {
+    return new Stepper({
+      board: board,
+      controller: "SOFTWARE",
+      type: Stepper.TYPE.DRIVER,
+      stepsPerRev: 200,
+      pins: [pin, pin + 1],
+      units: { name: "mm", steps: 10 },
+      limits: { min: -50, max: 50 }
+    });
+  });
+}
+
+function restore(target) {
+  for (var prop in target) {
+
+    if (Array.isArray(target[prop])) {
+      continue;
+    }
+
+    if (target[prop] != null && typeof target[prop].restore === "function") {
+      target[prop].restore();
+    }
+
+    if (typeof target[prop] === "object") {
+      restore(target[prop]);
+    }
+  }
+}
+
+exports["GCode.parse"] = {
+  words: function(test) {
+    test.expect(3);
+
+    test.deepEqual(GCode.parse("N10 g1 X10.5 y-2 F600 (to the corner) ; fast*71"), {
+      g: [1],
+      m: [],
+      axes: { X: 10.5, Y: -2 },
+      n: 10,
+      f: 600
+    });
+
+    test.deepEqual(GCode.parse("G90G0Z.5"), {
+      g: [90, 0],
+      m: [],
+      axes: { Z: 0.5 }
+    });
+
+    test.deepEqual(GCode.parse("M3 S255"), {
+      g: [],
+      m: [3],
+      axes: {},
+      s: 255
+    });
+
+    test.done();
+  },
+
+  blank: function(test) {
+    test.expect(2);
+
+    test.equal(GCode.parse("   "), null);
+    test.equal(GCode.parse("; a comment"), null);
+
+    test.done();
+  },
+
+  invalid: function(test) {
+    test.expect(1);
+
+    test.throws(function() {
+      GCode.parse("G1 X");
+    }, /Invalid G-code: G1 X/);
+
+    test.done();
+  },
+};
+
+exports["GCode"] = {
+  setUp: function(done) {
+    this.clock = sinon.useFakeTimers();
+    this.board = newBoard();
+    this.axes = newAxes(this.board);
+    this.progress = sinon.spy();
+
+    this.gcode = new GCode({
+      axes: { x: this.axes[0], y: this.axes[1] },
+      feedrate: 600
+    });
+
+    this.gcode.on("progress", this.progress);
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  invalid: function(test) {
+    test.expect(3);
+
+    test.throws(function() {
+      new GCode({});
+    }, /requires `axes`/);
+
+    test.throws(function() {
+      new GCode({
+        axes: { x: this.axes[0] },
+        home: { x: {} }
+      });
+    }.bind(this), /require a limit `switch`/);
+
+    test.throws(function() {
+      new GCode({
+        axes: { x: this.axes[0] },
+        tool: new Servo({ pin: 9, board: this.board })
+      });
+    }.bind(this), /require `on` and `off` positions/);
+
+    test.done();
+  },
+
+  moves: function(test) {
+    test.expect(4);
+
+    var callback = sinon.spy();
+
+    this.gcode.send("G21\nG90\nG1 X10 Y5\n\nG0 X-5", callback);
+
+    this.clock.tick(3000);
+
+    test.deepEqual(this.gcode.steppers.position, [-5, 5]);
+    test.deepEqual(this.progress.args.map(function(args) {
+      return args[0].line;
+    }), [1, 2, 3, 4, 5]);
+    test.deepEqual(this.progress.args[2][0], { line: 3, text: "G1 X10 Y5" });
+    test.deepEqual(callback.lastCall.args, [null, true]);
+
+    test.done();
+  },
+
+  feedrate: function(test) {
+    test.expect(4);
+
+    test.equal(this.gcode.feedrate, 600);
+
+    // 10 mm at 1200 mm/minute: half a second
+    this.gcode.send("G1 X10 F1200");
+
+    test.equal(this.gcode.feedrate, 1200);
+
+    this.clock.tick(400);
+    test.ok(this.axes[0].position < 10);
+
+    this.clock.tick(200);
+    test.equal(this.axes[0].position, 10);
+
+    test.done();
+  },
+
+  relative: function(test) {
+    test.expect(2);
+
+    this.gcode.send("G91\nG1 X5 F6000\nG1 X5 Y2");
+    this.clock.tick(1000);
+
+    test.equal(this.gcode.isAbsolute, false);
+    test.deepEqual(this.gcode.steppers.position, [10, 2]);
+
+    test.done();
+  },
+
+  buffered: function(test) {
+    test.expect(2);
+
+    var moved = sinon.spy();
+
+    this.gcode.steppers.on("move:complete", moved);
+
+    // Moves are queued ahead of the running move
+    this.gcode.send("G1 X1 F600\nG1 X2\nG1 X3");
+
+    test.equal(this.gcode.steppers.queued, 2);
+
+    this.clock.tick(1000);
+    test.equal(moved.callCount, 3);
+
+    test.done();
+  },
+
+  servoTool: function(test) {
+    test.expect(5);
+
+    var pen = new Servo({ pin: 9, board: this.board });
+    var to = sinon.spy(pen, "to");
+
+    var gcode = new GCode({
+      axes: { x: this.axes[0] },
+      tool: { component: pen, on: 40, off: 90, delay: 100 }
+    });
+
+    gcode.send("M3\nG1 X1 F6000\nM5");
+
+    test.deepEqual(to.lastCall.args, [40]);
+
+    // The move waits for the pen
+    this.clock.tick(50);
+    test.equal(this.axes[0].position, 0);
+
+    this.clock.tick(100);
+    test.equal(this.axes[0].position, 1);
+
+    // ...and the pen waits for the move
+    test.deepEqual(to.lastCall.args, [90]);
+    test.equal(to.callCount, 2);
+
+    test.done();
+  },
+
+  relayTool: function(test) {
+    test.expect(2);
+
+    var relay = new Relay({ pin: 10, board: this.board });
+    var gcode = new GCode({
+      axes: { x: this.axes[0] },
+      tool: relay
+    });
+
+    gcode.send("M3");
+    this.clock.tick(10);
+    test.equal(relay.isOn, true);
+
+    gcode.send("M5");
+    this.clock.tick(10);
+    test.equal(relay.isOn, false);
+
+    test.done();
+  },
+
+  ledTool: function(test) {
+    test.expect(1);
+
+    var led = new Led({ pin: 11, board: this.board });
+    var brightness = sinon.spy(led, "brightness");
+
+    var gcode = new GCode({
+      axes: { x: this.axes[0] },
+      tool: led
+    });
+
+    gcode.send("M3 S128");
+
+    test.deepEqual(brightness.lastCall.args, [128]);
+    test.done();
+  },
+
+  dwell: function(test) {
+    test.expect(2);
+
+    this.gcode.send("G4 P500\nG1 X1 F6000");
+
+    this.clock.tick(400);
+    test.equal(this.axes[0].position, 0);
+
+    this.clock.tick(200);
+    test.equal(this.axes[0].position, 1);
+
+    test.done();
+  },
+
+  errors: function(test) {
+    test.expect(6);
+
+    var error = sinon.spy();
+    var callback = sinon.spy();
+
+    this.gcode.on("error", error);
+    this.gcode.send("G1 X1 F6000\nG2 X5\nG1 X3", callback);
+
+    this.clock.tick(1000);
+
+    test.equal(error.callCount, 1);
+    test.equal(error.lastCall.args[0].message, "G-code line 2: Unsupported command: G2");
+    test.equal(error.lastCall.args[0].line, 2);
+    test.equal(callback.lastCall.args[0], error.lastCall.args[0]);
+
+    // The rest of the program is dropped
+    test.equal(this.axes[0].position, 1);
+
+    this.gcode.send("G1 Z1\nG1 X100");
+    this.clock.tick(1000);
+
+    test.equal(error.lastCall.args[0].message, "G-code line 1: GCode has no Z axis");
+
+    test.done();
+  },
+
+  errorsWithoutListener: function(test) {
+    test.expect(3);
+
+    var callback = sinon.spy();
+
+    // Reported to the callback, without throwing
+    test.doesNotThrow(function() {
+      this.gcode.send("G2 X1", callback);
+    }.bind(this));
+
+    test.equal(callback.lastCall.args[0].message, "G-code line 1: Unsupported command: G2");
+
+    // The queue keeps running
+    this.gcode.send("G1 X1 F6000");
+    this.clock.tick(1000);
+
+    test.equal(this.axes[0].position, 1);
+
+    test.done();
+  },
+
+  limits: function(test) {
+    test.expect(2);
+
+    var error = sinon.spy();
+
+    this.gcode.on("error", error);
+    this.gcode.send("G1 X100");
+
+    test.ok(/outside its limits/.test(error.lastCall.args[0].message));
+    test.equal(this.gcode.steppers.isRunning, false);
+
+    test.done();
+  },
+
+  home: function(test) {
+    test.expect(3);
+
+    var limit = { isClosed: false };
+
+    var gcode = new GCode({
+      axes: { x: this.axes[0], y: this.axes[1] },
+      home: { x: { switch: limit, rpm: 60 } }
+    });
+
+    gcode.send("G1 X5 Y5 F6000");
+    this.clock.tick(500);
+
+    gcode.send("G28\nG1 X1 F6000");
+    this.clock.tick(200);
+
+    // Homing toward the switch
+    test.ok(this.axes[0].position < 5);
+
+    limit.isClosed = true;
+    this.clock.tick(1000);
+
+    test.equal(this.axes[0].position, 1);
+    test.equal(this.axes[1].position, 0);
+
+    test.done();
+  },
+
+  stop: function(test) {
+    test.expect(4);
+
+    var relay = new Relay({ pin: 10, board: this.board });
+    var callback = sinon.spy();
+
+    var gcode = new GCode({
+      axes: { x: this.axes[0] },
+      tool: relay
+    });
+
+    gcode.send("M3\nG1 X10 F600\nG1 X20", callback);
+    this.clock.tick(200);
+
+    gcode.stop();
+
+    test.deepEqual(callback.lastCall.args, [null, false]);
+    test.equal(relay.isOn, false);
+    test.equal(gcode.steppers.isRunning, false);
+
+    this.clock.tick(3000);
+    test.ok(this.axes[0].position < 10);
+
+    test.done();
+  },
+
+  promises: function(test) {
+    test.expect(1);
+
+    var gcode = new GCode({
+      axes: { x: this.axes[0] },
+      promises: true
+    });
+
+    gcode.send("G1 X1 F6000").then(function(result) {
+      test.equal(result, gcode);
+      test.done();
+    });
+
+    this.clock.tick(500);
+  },
+};
+
+exports["GCode - streams"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.axes = newAxes(this.board);
+    this.file = path.join(os.tmpdir(), "j5-gcode-" + Date.now() + "-" + process.pid + ".gcode");
+
+    // 600 mm/s: moves of a few mm take a few ms
+    this.gcode = new GCode({
+      axes: { x: this.axes[0], y: this.axes[1] },
+      feedrate: 36000
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    if (fs.existsSync(this.file)) {
+      fs.unlinkSync(this.file);
+    }
+    this.gcode.stop();
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  stream: function(test) {
+    test.expect(2);
+
+    var readable = new stream.PassThrough();
+    var lines = [];
+
+    this.gcode.on("progress", function(progress) {
+      lines.push(progress.line);
+    });
+
+    this.gcode.stream(readable, function() {
+      test.deepEqual(lines, [1, 2, 3]);
+      test.deepEqual(this.gcode.steppers.position, [2, 1]);
+      test.done();
+    }.bind(this));
+
+    // Lines may be split across chunks
+    readable.write("G1 X1");
+    readable.write(" Y1\nG1 X2\n");
+    readable.end("G1 Y1");
+  },
+
+  file: function(test) {
+    test.expect(3);
+
+    fs.writeFileSync(this.file, "G91\r\nG1 X3\r\nG1 Y-1 ; down\r\n");
+
+    this.gcode.file(this.file, function(error, complete) {
+      test.equal(error, null);
+      test.equal(complete, true);
+      test.deepEqual(this.gcode.steppers.position, [3, -1]);
+      test.done();
+    }.bind(this));
+  },
+
+  errorAfterEnd: function(test) {
+    test.expect(2);
+
+    var first = new stream.PassThrough();
+    var second = new stream.PassThrough();
+
+    this.gcode.stream(first, function(error, complete) {
+      if (!complete) {
+        return;
+      }
+
+      this.gcode.stream(second);
+
+      // An error from a stream that has finished leaves the others listed
+      first.emit("error", new Error("closed"));
+      test.equal(second.isPaused(), false);
+
+      this.gcode.stop();
+      test.equal(second.isPaused(), true);
+      test.done();
+    }.bind(this));
+
+    first.end("G1 X1\n");
+  },
+
+  fileError: function(test) {
+    test.expect(1);
+
+    this.gcode.on("error", function() {});
+
+    this.gcode.file(this.file + ".missing", function(error) {
+      test.equal(error.code, "ENOENT");
+      test.done();
+    });
+  },
+};
@@ -70,6 +70,8 @@ exports["LCD"] = {
     });
 
     this.proto = [{
+      name: "append"
+    }, {
       name: "autoscroll"
     }, {
       name: "blink"
@@ -77,6 +79,8 @@ exports["LCD"] = {
       name: "clear"
     }, {
       name: "command"
+    }, {
+      name: "contents"
     }, {
       name: "createChar"
     }, {
@@ -97,8 +101,14 @@ exports["LCD"] = {
       name: "off"
     }, {
       name: "print"
+    }, {
+      name: "screen"
     }, {
       name: "setCursor"
+    }, {
+      name: "stop"
+    }, {
+      name: "text"
     }, {
       name: "useChar"
     }, {
@@ -299,17 +309,25 @@ exports["LCD"] = {
     var cSpy = sinon.spy(this.lcd, "command");
 
     sentences.forEach(function(text) {
-      var comparison = text;
+      // Printed on a cleared display, the blanks are already there
+      var comparison = text.replace(/ /g, "");
+
+      this.lcd.clear();
       cSpy.reset();
 
       this.lcd.print(text);
 
-      test.strictEqual(cSpy.callCount, comparison.length, "Unexpected amount of #command calls");
+      var data = cSpy.args.filter(function(args) {
+        return args[0] === this.lcd.OP.DATA;
+      }, this);
+
+      test.strictEqual(data.length, comparison.length, "Unexpected amount of #command calls");
       for (var i = 0, l = comparison.length; i < l; ++i) {
-        test.strictEqual(cSpy.getCall(i).args[1], comparison.charCodeAt(i),
+        test.strictEqual(data[i][1], comparison.charCodeAt(i),
           "Unexpected byte #" + i + " on " + util.inspect(text) + " (comparing with " +
           util.inspect(comparison) + ")");
       }
+      test.strictEqual(this.lcd.contents()[0], text.padEnd(16));
     }, this);
     test.done();
   },
@@ -337,28 +355,34 @@ exports["LCD"] = {
 
     sentences.forEach(function(pair) {
       var text = pair[0],
-        comparison = pair[1];
+        comparison = pair[1].replace(/ /g, "");
 
       (text.match(/:\w+?:/g) || []).forEach(function(match) {
           if (":unknown:" !== match) {
             this.lcd.useChar(match.slice(1, -1));
           }
         }, this);
+      this.lcd.clear();
       var cSpy = sinon.spy(this.lcd, "command");
       this.lcd.print(text);
 
-      test.strictEqual(cSpy.callCount, comparison.length,
+      var data = cSpy.args.filter(function(args) {
+        return args[0] === this.lcd.OP.DATA;
+      }, this);
+
+      test.strictEqual(data.length, comparison.length,
         "Unexpected amount of #command calls for " + util.inspect(text));
       var i, output = "";
-      for (i = 0; i < cSpy.callCount; ++i) {
-        output += String.fromCharCode(cSpy.getCall(i).args[1]);
+      for (i = 0; i < data.length; ++i) {
+        output += String.fromCharCode(data[i][1]);
       }
-      for (i = 0; i < cSpy.callCount; ++i) {
-        test.strictEqual(cSpy.getCall(i).args[1], comparison.charCodeAt(i),
+      for (i = 0; i < data.length; ++i) {
+        test.strictEqual(data[i][1], comparison.charCodeAt(i),
           "Unexpected byte #" + i + " on " + util.inspect(text) +
           " (comparing " + util.inspect(output) + " with " +
           util.inspect(comparison) + ")");
       }
+      test.strictEqual(this.lcd.contents()[0], pair[1].padEnd(16).slice(0, 16));
       cSpy.restore();
     }, this);
 
@@ -368,6 +392,412 @@ exports["LCD"] = {
   // TODO: Remaining tests: clear, home, display/noDisplay, blink/noBlink, setCursor, pulse, autoscroll/noAutoscroll
 };
 
+// The [row, characters] written by each print() of the layout
+function drawn(setCursor, print) {
+  return setCursor.args.map(function(args, index) {
+    return [args[1], print.args[index][0]];
+  });
+}
+
+exports["LCD - Layout"] = {
+  setUp: function(done) {
+    // Date stays real: initialization blocks with a Date.now() loop
+    this.clock = sinon.useFakeTimers("setTimeout", "clearTimeout", "setInterval", "clearInterval");
+    this.board = newBoard();
+
+    this.lcd = new LCD({
+      pins: [7, 8, 9, 10, 11, 12],
+      board: this.board
+    });
+
+    this.setCursor = sinon.spy(this.lcd, "setCursor");
+    this.print = sinon.spy(this.lcd, "print");
+
+    done();
+  },
+
+  tearDown: function(done) {
+    this.lcd.stop();
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  wrap: function(test) {
+    test.expect(2);
+
+    test.equal(this.lcd.text("The quick brown fox jumps"), this.lcd);
+    test.deepEqual(drawn(this.setCursor, this.print), [
+      [0, "The quick brown "],
+      [1, "fox jumps       "],
+    ]);
+
+    test.done();
+  },
+
+  wrapLongWords: function(test) {
+    test.expect(1);
+
+    this.lcd.text("abcdefghijklmnopqrstuvwxyz");
+
+    test.deepEqual(drawn(this.setCursor, this.print), [
+      [0, "abcdefghijklmnop"],
+      [1, "qrstuvwxyz      "],
+    ]);
+
+    test.done();
+  },
+
+  align: function(test) {
+    test.expect(1);
+
+    this.lcd.text("Hi", { align: "center" });
+    this.lcd.text("Hi", { align: "right", row: 1 });
+
+    test.deepEqual(drawn(this.setCursor, this.print), [
+      [0, "       Hi       "],
+      [1, "              Hi"],
+    ]);
+
+    test.done();
+  },
+
+  newlines: function(test) {
+    test.expect(1);
+
+    var lcd = new LCD({
+      pins: [7, 8, 9, 10, 11, 12],
+      rows: 4,
+      cols: 20,
+      board: this.board
+    });
+    var setCursor = sinon.spy(lcd, "setCursor");
+    var print = sinon.spy(lcd, "print");
+
+    lcd.text("Status\n\nAll systems go", { row: 1 });
+
+    test.deepEqual(drawn(setCursor, print), [
+      [1, "Status              "],
+      [2, "                    "],
+      [3, "All systems go      "],
+    ]);
+
+    test.done();
+  },
+
+  append: function(test) {
+    test.expect(2);
+
+    this.lcd.append("one");
+    this.lcd.append("two");
+
+    test.deepEqual(drawn(this.setCursor, this.print), [
+      [0, "one             "],
+      [1, "two             "],
+    ]);
+
+    this.setCursor.reset();
+    this.print.reset();
+
+    // Scrolls up a line
+    this.lcd.append("three");
+
+    test.deepEqual(drawn(this.setCursor, this.print), [
+      [0, "two             "],
+      [1, "three           "],
+    ]);
+
+    test.done();
+  },
+
+  marquee: function(test) {
+    test.expect(7);
+
+    this.lcd.text("Departures 10:42 Platform 3", {
+      row: 1,
+      wrap: false,
+      speed: 4
+    });
+
+    test.deepEqual(drawn(this.setCursor, this.print), [
+      [1, "Departures 10:42"],
+    ]);
+    test.equal(this.lcd.isScrolling, true);
+
+    this.print.reset();
+    this.clock.tick(250);
+    test.deepEqual(this.print.lastCall.args[0], "epartures 10:42 ");
+
+    // Around again, after the text and the gap
+    this.clock.tick(250 * 16);
+    test.deepEqual(this.print.lastCall.args[0], "Platform 3   Dep");
+    this.clock.tick(250 * 13);
+    test.deepEqual(this.print.lastCall.args[0], "Departures 10:42");
+
+    this.lcd.stop();
+    this.print.reset();
+    this.clock.tick(1000);
+
+    test.equal(this.lcd.isScrolling, false);
+    test.equal(this.print.callCount, 0);
+
+    test.done();
+  },
+
+  screens: function(test) {
+    test.expect(6);
+
+    this.lcd.text("Inside 21C", { screen: "temperatures" });
+    this.lcd.text("Humidity 40%");
+
+    // Only the active screen is written
+    test.equal(this.print.callCount, 1);
+    test.equal(this.lcd.screen(), "default");
+
+    this.setCursor.reset();
+    this.print.reset();
+
+    test.equal(this.lcd.screen("temperatures"), this.lcd);
+    test.equal(this.lcd.screen(), "temperatures");
+    test.deepEqual(drawn(this.setCursor, this.print), [
+      [0, "Inside 21C      "],
+      [1, "                "],
+    ]);
+
+    this.print.reset();
+    this.lcd.screen("default");
+
+    test.equal(this.print.firstCall.args[0], "Humidity 40%    ");
+
+    test.done();
+  },
+
+  screensStopMarquees: function(test) {
+    test.expect(3);
+
+    this.lcd.text("A line longer than the display", { wrap: false });
+    this.lcd.screen("other");
+
+    test.equal(this.lcd.isScrolling, false);
+
+    this.lcd.screen("default");
+
+    test.equal(this.lcd.isScrolling, true);
+
+    // Picks up where it stopped
+    this.clock.tick(1000 / 3);
+    test.equal(this.print.lastCall.args[0], " line longer tha");
+
+    test.done();
+  },
+
+  marqueeBoardExit: function(test) {
+    test.expect(2);
+
+    this.lcd.text("A line longer than the display", { wrap: false });
+    this.clock.tick(1000 / 3);
+
+    // The marquees run on the board's scheduler
+    this.board.emit("exit");
+    this.print.reset();
+    this.clock.tick(1000);
+
+    test.equal(this.print.callCount, 0);
+    test.equal(this.lcd.isScrolling, false);
+
+    test.done();
+  },
+
+  specials: function(test) {
+    test.expect(1);
+
+    this.lcd.useChar("heart");
+    this.lcd.text("I :heart: JS", { align: "right" });
+
+    test.equal(this.print.lastCall.args[0], "          I \x07 JS");
+
+    test.done();
+  },
+};
+
+exports["LCD - Shadow buffer"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+
+    this.lcd = new LCD({
+      pins: [7, 8, 9, 10, 11, 12],
+      board: this.board
+    });
+
+    this.command = sinon.spy(this.lcd, "command");
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  contents: function(test) {
+    test.expect(3);
+
+    test.deepEqual(this.lcd.contents(), [" ".repeat(16), " ".repeat(16)]);
+
+    this.lcd.cursor(1, 14).print("OK!");
+    test.deepEqual(this.lcd.contents(), [" ".repeat(16), " ".repeat(14) + "OK"]);
+
+    this.lcd.clear();
+    test.deepEqual(this.lcd.contents(), [" ".repeat(16), " ".repeat(16)]);
+
+    test.done();
+  },
+
+  unchanged: function(test) {
+    test.expect(1);
+
+    this.lcd.setCursor(0, 0).print("Temp 21C");
+    this.command.reset();
+    this.lcd.setCursor(0, 0).print("Temp 21C");
+
+    test.equal(this.command.callCount, 0);
+
+    test.done();
+  },
+
+  changed: function(test) {
+    test.expect(2);
+
+    this.lcd.setCursor(0, 0).print("Temp 21C");
+    this.command.reset();
+    this.lcd.setCursor(0, 0).print("Temp 22C");
+
+    // A cursor move to the changed cell, then the character
+    test.deepEqual(this.command.args, [[0x86], [0x40, 0x32]]);
+    test.equal(this.lcd.contents()[0], "Temp 22C        ");
+
+    test.done();
+  },
+
+  cursorMoves: function(test) {
+    test.expect(3);
+
+    // The display's cursor is already there
+    this.lcd.setCursor(0, 0).print("ab");
+    this.lcd.setCursor(2, 0).print("cd");
+
+    test.deepEqual(this.command.args, [[0x40, 97], [0x40, 98], [0x40, 99], [0x40, 100]]);
+
+    // One move per run of changed cells
+    this.command.reset();
+    this.lcd.setCursor(0, 0).print("xbcy");
+
+    test.deepEqual(this.command.args, [[0x80], [0x40, 120], [0x83], [0x40, 121]]);
+
+    this.command.reset();
+    this.lcd.setCursor(3, 1).print("z");
+
+    test.deepEqual(this.command.args, [[0xC3], [0x40, 122]]);
+
+    test.done();
+  },
+
+  overflow: function(test) {
+    test.expect(3);
+
+    var lcd = new LCD({
+      pins: [7, 8, 9, 10, 11, 12],
+      rows: 4,
+      cols: 20,
+      board: this.board
+    });
+    var command = sinon.spy(lcd, "command");
+
+    // Past the end of row 0, the display continues on row 2
+    lcd.setCursor(18, 0).print("abcd");
+
+    test.deepEqual(lcd.contents(), [
+      " ".repeat(18) + "ab",
+      " ".repeat(20),
+      "cd" + " ".repeat(18),
+      " ".repeat(20),
+    ]);
+    test.deepEqual(command.args, [[0x92], [0x40, 97], [0x40, 98], [0x40, 99], [0x40, 100]]);
+
+    // The display's address counter followed along
+    command.reset();
+    lcd.print("e");
+
+    test.deepEqual(command.args, [[0x40, 101]]);
+
+    test.done();
+  },
+
+  createChar: function(test) {
+    test.expect(1);
+
+    this.lcd.useChar("heart");
+    this.command.reset();
+    this.lcd.print(":heart:");
+
+    // Back from CGRAM
+    test.deepEqual(this.command.args, [[0x80], [0x40, 7]]);
+
+    test.done();
+  },
+
+  visibleCursor: function(test) {
+    test.expect(2);
+
+    this.lcd.cursor();
+    this.command.reset();
+    this.lcd.setCursor(4, 1);
+
+    test.deepEqual(this.command.args, [[0xC4]]);
+
+    // Kept after the last character, even when nothing changed
+    this.lcd.print("    ");
+    test.deepEqual(this.command.lastCall.args, [0xC8]);
+
+    test.done();
+  },
+
+  layout: function(test) {
+    test.expect(2);
+
+    this.lcd.text("Humidity 40%", { screen: "humidity" });
+    this.lcd.text("Humidity 41%");
+    this.command.reset();
+
+    this.lcd.screen("humidity");
+
+    test.deepEqual(this.command.args, [[0x8A], [0x40, 0x30]]);
+    test.deepEqual(this.lcd.contents(), ["Humidity 40%    ", " ".repeat(16)]);
+
+    test.done();
+  },
+
+  jhd1313m1: function(test) {
+    test.expect(2);
+
+    var i2cWrite = sinon.spy(MockFirmata.prototype, "i2cWrite");
+    var lcd = new LCD({
+      controller: "JHD1313M1",
+      board: this.board
+    });
+
+    i2cWrite.reset();
+    lcd.cursor(1, 2).print("OK");
+
+    test.deepEqual(i2cWrite.args, [[62, [128, 0xC2]], [62, [64, 79]], [62, [64, 75]]]);
+    test.deepEqual(lcd.contents(), [" ".repeat(16), "  OK            "]);
+
+    i2cWrite.restore();
+    test.done();
+  },
+};
+
 exports["LCD - I2C (JHD1313M1)"] = {
   // TODO: Move all stubs and spies into setup
   setUp: function(done) {
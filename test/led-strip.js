@@ -0,0 +1,380 @@
+var mocks = require("mock-firmata"),
+  MockFirmata = mocks.Firmata,
+  five = require("../lib/johnny-five.js"),
+  sinon = require("sinon"),
+  Animation = five.Animation,
+  Board = five.Board,
+  Led = five.Led;
+
+function newBoard(opts) {
+  var io = new MockFirmata(opts);
+  var board = new Board({
+    io: io,
+    debug: false,
+    repl: false
+  });
+
+  io.emit("connect");
+  io.emit("ready");
+
+  return board;
+}
+
+function reds(strip) {
+  return strip.pixels.map(function(pixel) {
+    return pixel.color().red;
+  });
+}
+
+exports["Led.Strip"] = {
+  setUp: function(done) {
+    this.sandbox = sinon.sandbox.create();
+    this.sysexCommand = this.sandbox.spy();
+    this.board = newBoard({
+      sysexCommand: this.sysexCommand
+    });
+
+    this.strip = new Led.Strip({
+      pin: 6,
+      length: 4,
+      board: this.board
+    });
+
+    this.write = this.sandbox.spy(this.strip, "write");
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    this.sandbox.restore();
+    done();
+  },
+
+  shape: function(test) {
+    test.expect(5);
+
+    test.equal(this.strip.length, 4);
+    test.equal(this.strip.pixels.length, 4);
+    test.ok(this.strip.pixel(3) instanceof Led.Strip.Pixel);
+    test.equal(this.strip.pixel(4), undefined);
+    test.deepEqual(this.strip.pixel(0).color(), { red: 0, green: 0, blue: 0 });
+
+    test.done();
+  },
+
+  invalid: function(test) {
+    test.expect(3);
+
+    test.throws(function() {
+      new Led.Strip({ pin: 6, board: this.board });
+    }.bind(this), /requires a `length`/);
+
+    test.throws(function() {
+      new Led.Strip({ pin: 6, length: 8, order: "BGR", board: this.board });
+    }.bind(this), /`order` must be "GRB", "RGB" or "BRG"/);
+
+    test.throws(function() {
+      this.strip.gamma(0);
+    }.bind(this), /`gamma` must be a positive number/);
+
+    test.done();
+  },
+
+  pixel: function(test) {
+    test.expect(3);
+
+    test.equal(this.strip.pixel(1).color("#ff8000"), this.strip.pixel(1));
+    test.deepEqual(this.strip.pixel(1).color(), { red: 255, green: 128, blue: 0 });
+
+    this.strip.pixel(1).off();
+    test.deepEqual(this.strip.pixel(1).color(), { red: 0, green: 0, blue: 0 });
+
+    test.done();
+  },
+
+  colorAndClear: function(test) {
+    test.expect(3);
+
+    this.strip.color(10, 20, 30);
+    test.deepEqual(this.strip.pixel(3).color(), { red: 10, green: 20, blue: 30 });
+
+    this.strip.clear();
+    test.deepEqual(reds(this.strip), [0, 0, 0, 0]);
+
+    // Nothing is written until show()
+    test.equal(this.write.callCount, 0);
+
+    test.done();
+  },
+
+  invalidColor: function(test) {
+    test.expect(1);
+
+    test.throws(function() {
+      this.strip.pixel(0).color("not-a-color");
+    }.bind(this), /invalid color/);
+
+    test.done();
+  },
+
+  config: function(test) {
+    test.expect(2);
+
+    test.deepEqual(this.sysexCommand.firstCall.args[0], [0x51, 0x01, 6, 4, 0]);
+
+    new Led.Strip({
+      pin: 5,
+      length: 300,
+      order: "rgb",
+      board: this.board
+    });
+
+    test.deepEqual(this.sysexCommand.lastCall.args[0], [0x51, 0x01, 0x20 | 5, 300 & 0x7F, 300 >> 7]);
+
+    test.done();
+  },
+
+  show: function(test) {
+    test.expect(4);
+
+    this.sysexCommand.reset();
+    this.strip.pixel(1).color("red");
+    this.strip.show();
+
+    // The changed pixel, then show
+    test.equal(this.sysexCommand.callCount, 2);
+    test.deepEqual(this.sysexCommand.firstCall.args[0], [0x51, 0x03, 1, 0, 0, 0, 0x7C, 0x07]);
+    test.deepEqual(this.sysexCommand.lastCall.args[0], [0x51, 0x02]);
+
+    // Unchanged pixels aren't sent again
+    this.sysexCommand.reset();
+    this.strip.show();
+    test.equal(this.sysexCommand.callCount, 1);
+
+    test.done();
+  },
+
+  off: function(test) {
+    test.expect(2);
+
+    this.strip.color("white").show();
+    this.strip.off();
+
+    test.deepEqual(reds(this.strip), [0, 0, 0, 0]);
+    test.deepEqual(Array.from(this.write.lastCall.args[0]), Array(12).fill(0));
+
+    test.done();
+  },
+
+  brightnessAndGamma: function(test) {
+    test.expect(5);
+
+    this.strip.color(128, 255, 0);
+
+    test.equal(this.strip.brightness(), 255);
+    test.equal(this.strip.gamma(), 1);
+
+    this.strip.brightness(128).show();
+    test.deepEqual(Array.from(this.write.lastCall.args[0].slice(0, 3)), [64, 128, 0]);
+
+    this.strip.brightness(255).gamma(2.8).show();
+    test.deepEqual(Array.from(this.write.lastCall.args[0].slice(0, 3)), [37, 255, 0]);
+
+    // The buffer keeps the colors as they were set
+    test.deepEqual(this.strip.pixel(0).color(), { red: 128, green: 255, blue: 0 });
+
+    test.done();
+  },
+
+  shift: function(test) {
+    test.expect(3);
+
+    this.strip.pixel(0).color(1, 0, 0);
+    this.strip.pixel(1).color(2, 0, 0);
+
+    this.strip.shift(1);
+    test.deepEqual(reds(this.strip), [0, 1, 2, 0]);
+
+    this.strip.shift(-2);
+    test.deepEqual(reds(this.strip), [2, 0, 0, 0]);
+
+    this.strip.shift(8);
+    test.deepEqual(reds(this.strip), [0, 0, 0, 0]);
+
+    test.done();
+  },
+
+  rotate: function(test) {
+    test.expect(3);
+
+    this.strip.pixel(0).color(1, 0, 0);
+    this.strip.pixel(1).color(2, 0, 0);
+
+    this.strip.rotate(-1);
+    test.deepEqual(reds(this.strip), [2, 0, 0, 1]);
+
+    this.strip.rotate(2);
+    test.deepEqual(reds(this.strip), [0, 1, 2, 0]);
+
+    this.strip.rotate(4);
+    test.deepEqual(reds(this.strip), [0, 1, 2, 0]);
+
+    test.done();
+  },
+};
+
+exports["Led.Strip - APA102"] = {
+  setUp: function(done) {
+    this.sandbox = sinon.sandbox.create();
+    this.board = newBoard();
+    this.shiftOut = this.sandbox.spy(Board.prototype, "shiftOut");
+
+    this.strip = new Led.Strip({
+      controller: "APA102",
+      pins: { data: 2, clock: 3 },
+      length: 2,
+      board: this.board
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    this.sandbox.restore();
+    done();
+  },
+
+  shiftOut: function(test) {
+    test.expect(2);
+
+    this.strip.pixel(0).color(1, 2, 3);
+    this.strip.show();
+
+    test.equal(this.shiftOut.callCount, 13);
+    test.deepEqual(this.shiftOut.args.map(function(args) {
+      return args[3];
+    }), [0, 0, 0, 0, 0xFF, 3, 2, 1, 0xFF, 0, 0, 0, 0xFF]);
+
+    test.done();
+  },
+
+  spi: function(test) {
+    test.expect(2);
+
+    var spiWrite = this.sandbox.spy();
+    var strip = new Led.Strip({
+      controller: "DotStar",
+      length: 1,
+      board: newBoard({ spiWrite: spiWrite })
+    });
+
+    strip.color("blue").show();
+
+    test.deepEqual(spiWrite.lastCall.args[0], [0, 0, 0, 0, 0xFF, 0xFF, 0, 0, 0xFF]);
+    test.equal(this.shiftOut.callCount, 0);
+
+    test.done();
+  },
+
+  requiresPinsOrSpi: function(test) {
+    test.expect(1);
+
+    test.throws(function() {
+      new Led.Strip({
+        controller: "APA102",
+        length: 1,
+        board: this.board
+      });
+    }.bind(this), /requires `pins` \(data, clock\), or an IO plugin with spiWrite\(\)/);
+
+    test.done();
+  },
+
+  requiresSysex: function(test) {
+    test.expect(1);
+
+    test.throws(function() {
+      new Led.Strip({
+        pin: 6,
+        length: 1,
+        board: this.board
+      });
+    }.bind(this), /requires an IO plugin with sysexCommand\(\)/);
+
+    test.done();
+  },
+};
+
+exports["Led.Strip - Animation"] = {
+  setUp: function(done) {
+    this.sandbox = sinon.sandbox.create();
+    this.board = newBoard({
+      sysexCommand: this.sandbox.spy()
+    });
+    this.enqueue = this.sandbox.stub(Animation.prototype, "enqueue");
+
+    this.strip = new Led.Strip({
+      pin: 6,
+      length: 3,
+      board: this.board
+    });
+
+    this.show = this.sandbox.spy(this.strip, "show");
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    this.sandbox.restore();
+    done();
+  },
+
+  normalize: function(test) {
+    test.expect(4);
+
+    this.strip.pixel(0).color("red");
+
+    var keyFrames = this.strip[Animation.normalize]([
+      null,
+      "blue",
+      [null, [0, 255, 0]],
+      { colors: ["white"], easing: "inQuad" }
+    ]);
+
+    test.deepEqual(keyFrames[0].position, [255, 0, 0, 0, 0, 0, 0, 0, 0]);
+    test.deepEqual(keyFrames[1].position, [0, 0, 255, 0, 0, 255, 0, 0, 255]);
+    test.deepEqual(keyFrames[2].position, [0, 0, 0, 0, 255, 0, 0, 0, 0]);
+    test.equal(keyFrames[3].easing, "inQuad");
+
+    test.done();
+  },
+
+  render: function(test) {
+    test.expect(2);
+
+    this.strip[Animation.render]([[127.6, 0, 0, 0, 300, 0, 0, 0, -1]]);
+
+    test.deepEqual(reds(this.strip), [128, 0, 0]);
+    test.equal(this.show.callCount, 1);
+
+    test.done();
+  },
+
+  animate: function(test) {
+    test.expect(2);
+
+    var stop = this.sandbox.spy(this.strip, "stop");
+    var segment = {
+      duration: 1000,
+      keyFrames: [null, "red"]
+    };
+
+    test.equal(this.strip.animate(segment), this.strip);
+    test.ok(stop.calledBefore(this.enqueue) && this.enqueue.calledWith(segment));
+
+    test.done();
+  },
+};
@@ -52,9 +52,23 @@ var rgbProtoProperties = [{
   name: "blink"
 }, {
   name: "stop"
+}, {
+  name: "fade"
+}, {
+  name: "fadeIn"
+}, {
+  name: "fadeOut"
+}, {
+  name: "pulse"
+}, {
+  name: "gradient"
+}, {
+  name: "cycle"
 }];
 
-var rgbInstanceProperties = [];
+var rgbInstanceProperties = [{
+  name: "space"
+}];
 
 function newBoard() {
   var io = new MockFirmata();
@@ -372,6 +386,37 @@ exports["Led - PWM (Analog)"] = {
     test.done();
   },
 
+  toJSON: function(test) {
+    test.expect(4);
+
+    this.led.brightness(100);
+
+    var record = this.led.toJSON();
+
+    test.equal(record.id, this.led.id);
+    test.equal(record.pin, 11);
+    test.equal(record.value, 100);
+    test.equal(record.isOn, true);
+
+    test.done();
+  },
+
+  fromJSON: function(test) {
+    test.expect(4);
+
+    test.equal(this.led.fromJSON({ value: 42 }), this.led);
+    test.ok(this.analogWrite.lastCall.calledWith(11, 42));
+
+    this.led.fromJSON({ value: 0 });
+    test.ok(this.analogWrite.lastCall.calledWith(11, 0));
+
+    this.analogWrite.reset();
+    this.led.fromJSON({ value: null });
+    test.equal(this.analogWrite.callCount, 0);
+
+    test.done();
+  },
+
   correctReturns: function(test) {
     test.expect(10);
 
@@ -1378,6 +1423,377 @@ exports["Led - Default Pin w/ Firmata"] = {
   }
 };
 
+// Start a (stubbed) segment, as the Animation would
+function startSegment(enqueue) {
+  var segment = enqueue.lastCall.args[0];
+
+  segment.onstart();
+
+  return segment;
+}
+
+function positions(rgb, segment) {
+  return rgb[five.Animation.normalize](segment.keyFrames).map(function(keyFrame) {
+    return keyFrame.position.map(function(value) {
+      return Math.round(value * 1000) / 1000;
+    });
+  });
+}
+
+exports["Led.RGB - Animation"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.sandbox = sinon.sandbox.create();
+    this.enqueue = this.sandbox.stub(five.Animation.prototype, "enqueue");
+
+    this.rgb = new Led.RGB({
+      pins: [9, 10, 11],
+      board: this.board
+    });
+
+    this.write = this.sandbox.spy(this.rgb, "write");
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    this.sandbox.restore();
+    done();
+  },
+
+  space: function(test) {
+    test.expect(4);
+
+    test.equal(this.rgb.space, "hsv");
+    test.equal(new Led.RGB({ pins: [3, 5, 6], space: "gamma", board: this.board }).space, "gamma");
+
+    test.throws(function() {
+      new Led.RGB({ pins: [3, 5, 6], space: "cmyk", board: this.board });
+    }.bind(this), /`space` must be "hsv", "gamma" or "rgb"/);
+
+    test.throws(function() {
+      this.rgb.fade("red", { space: "cmyk" });
+    }.bind(this), /`space` must be "hsv", "gamma" or "rgb"/);
+
+    test.done();
+  },
+
+  fade: function(test) {
+    test.expect(5);
+
+    this.rgb.color("red");
+    this.rgb.fade("blue", 500);
+
+    var segment = startSegment(this.enqueue);
+
+    test.equal(segment.duration, 500);
+    test.equal(this.rgb.isRunning, true);
+
+    // Hues turn the short way around the color wheel...
+    test.deepEqual(positions(this.rgb, segment), [[0, 1, 1], [-120, 1, 1]]);
+
+    // ...through magenta, at full saturation
+    this.rgb[five.Animation.render]([[-60, 1, 1]]);
+    test.deepEqual(this.write.lastCall.args[0], { red: 255, green: 0, blue: 255 });
+
+    segment.oncomplete();
+    test.equal(this.rgb.isRunning, false);
+
+    test.done();
+  },
+
+  fadeOptions: function(test) {
+    test.expect(3);
+
+    this.rgb.fade({
+      keyFrames: [null, { color: "lime", easing: "inQuad" }],
+      duration: 200
+    });
+
+    var segment = startSegment(this.enqueue);
+
+    test.equal(segment.duration, 200);
+    test.equal(this.rgb[five.Animation.normalize](segment.keyFrames)[1].easing, "inQuad");
+
+    this.rgb.fade("red", { duration: 300, easing: "linear" });
+    test.equal(this.enqueue.lastCall.args[0].easing, "linear");
+
+    test.done();
+  },
+
+  achromatic: function(test) {
+    test.expect(2);
+
+    // White takes on the hue of the color it fades to...
+    this.rgb.color("white");
+    this.rgb.fade("blue");
+    test.deepEqual(positions(this.rgb, startSegment(this.enqueue)), [[240, 0, 1], [240, 1, 1]]);
+
+    // ...and black, its saturation too
+    this.rgb.color("black");
+    this.rgb.fade("lime");
+    test.deepEqual(positions(this.rgb, startSegment(this.enqueue)), [[120, 1, 0], [120, 1, 1]]);
+
+    test.done();
+  },
+
+  gamma: function(test) {
+    test.expect(3);
+
+    this.rgb.color("black");
+    this.rgb.fade("white", { space: "gamma" });
+
+    var segment = startSegment(this.enqueue);
+
+    test.deepEqual(positions(this.rgb, segment), [[0, 0, 0], [255, 255, 255]]);
+
+    // Half way, perceptually
+    this.rgb[five.Animation.render]([[127.5, 127.5, 127.5]]);
+    test.deepEqual(this.write.lastCall.args[0], { red: 37, green: 37, blue: 37 });
+
+    // The space is only for the segment
+    segment.oncomplete();
+    this.rgb.fade("white", { space: "rgb" });
+    startSegment(this.enqueue);
+
+    this.rgb[five.Animation.render]([[127.5, 127.5, 127.5]]);
+    test.deepEqual(this.write.lastCall.args[0], { red: 128, green: 128, blue: 128 });
+
+    test.done();
+  },
+
+  invalid: function(test) {
+    test.expect(3);
+
+    test.throws(function() {
+      this.rgb.fade("not-a-color");
+    }.bind(this), /invalid color/);
+
+    test.throws(function() {
+      this.rgb.gradient(["red"]);
+    }.bind(this), /two or more color stops/);
+
+    test.equal(this.enqueue.callCount, 0);
+
+    test.done();
+  },
+
+  fadeOutFadeIn: function(test) {
+    test.expect(4);
+
+    this.rgb.color("#102030");
+    this.rgb.fadeOut(100);
+
+    var segment = startSegment(this.enqueue);
+
+    test.deepEqual(segment.keyFrames, [null, [0, 0, 0]]);
+
+    this.rgb[five.Animation.render]([[210, 1, 0]]);
+    segment.oncomplete();
+
+    test.equal(this.rgb.isOn, false);
+
+    // The color is kept, for on() and fadeIn()
+    test.deepEqual(this.rgb.color(), { red: 16, green: 32, blue: 48 });
+
+    this.rgb.fadeIn(100);
+    test.deepEqual(this.enqueue.lastCall.args[0].keyFrames, [null, { red: 16, green: 32, blue: 48 }]);
+
+    test.done();
+  },
+
+  pulse: function(test) {
+    test.expect(5);
+
+    var callback = this.sandbox.spy();
+
+    this.rgb.color("red");
+    this.rgb.pulse(500, callback);
+
+    var segment = startSegment(this.enqueue);
+
+    test.equal(segment.duration, 500);
+    test.equal(segment.metronomic, true);
+    test.equal(segment.loop, true);
+    test.deepEqual(positions(this.rgb, segment), [[0, 1, 0], [0, 1, 1]]);
+
+    segment.onloop();
+    test.equal(callback.callCount, 1);
+
+    test.done();
+  },
+
+  pulseColor: function(test) {
+    test.expect(1);
+
+    this.rgb.pulse({ color: "blue", duration: 200 });
+
+    test.deepEqual(positions(this.rgb, startSegment(this.enqueue)), [[240, 1, 0], [240, 1, 1]]);
+
+    test.done();
+  },
+
+  gradient: function(test) {
+    test.expect(3);
+
+    this.rgb.gradient(["red", "lime", "blue", "red"], 3000);
+
+    var segment = startSegment(this.enqueue);
+
+    test.deepEqual(segment.cuePoints, [0, 1 / 3, 2 / 3, 1]);
+    test.equal(segment.duration, 3000);
+    test.deepEqual(positions(this.rgb, segment).map(function(position) {
+      return position[0];
+    }), [0, 120, 240, 360]);
+
+    test.done();
+  },
+
+  cycle: function(test) {
+    test.expect(4);
+
+    this.rgb.color("lime");
+    this.rgb.cycle(3000);
+
+    var segment = startSegment(this.enqueue);
+
+    test.equal(segment.loop, true);
+    test.deepEqual(positions(this.rgb, segment), [[120, 1, 1], [480, 1, 1]]);
+
+    // Explicit tuples are rendered in HSV, whatever the led's space
+    this.rgb.space = "rgb";
+    this.rgb.cycle({ duration: 3000, ccw: true });
+    test.deepEqual(positions(this.rgb, startSegment(this.enqueue)), [[120, 1, 1], [-240, 1, 1]]);
+
+    // White starts from red
+    this.rgb.color("white");
+    this.rgb.cycle();
+    test.deepEqual(positions(this.rgb, startSegment(this.enqueue)), [[0, 1, 1], [360, 1, 1]]);
+
+    test.done();
+  },
+
+  stop: function(test) {
+    test.expect(2);
+
+    this.rgb.cycle();
+    startSegment(this.enqueue);
+
+    test.equal(this.rgb.isRunning, true);
+
+    this.rgb.stop();
+    test.equal(this.rgb.isRunning, false);
+
+    test.done();
+  },
+
+  pca9685: function(test) {
+    test.expect(2);
+
+    var i2cWrite = this.sandbox.spy(MockFirmata.prototype, "i2cWrite");
+    var rgb = new Led.RGB({
+      pins: [0, 1, 2],
+      controller: "PCA9685",
+      board: this.board
+    });
+    var write = this.sandbox.spy(rgb, "write");
+
+    i2cWrite.reset();
+    rgb.fade("blue");
+    startSegment(this.enqueue);
+    rgb[five.Animation.render]([[-60, 1, 1]]);
+
+    test.deepEqual(write.lastCall.args[0], { red: 255, green: 0, blue: 255 });
+    test.equal(i2cWrite.callCount, 3);
+
+    Expander.purge();
+    test.done();
+  },
+
+  blinkm: function(test) {
+    test.expect(1);
+
+    var i2cWrite = this.sandbox.spy(MockFirmata.prototype, "i2cWrite");
+    var rgb = new Led.RGB({
+      controller: "BlinkM",
+      board: this.board
+    });
+
+    rgb.color("red");
+    rgb.fade("blue");
+    startSegment(this.enqueue);
+    rgb[five.Animation.render]([[-60, 1, 1]]);
+
+    test.ok(i2cWrite.lastCall.calledWith(0x09, [0x6e, 0xff, 0x00, 0xff]));
+
+    test.done();
+  },
+};
+
+exports["Led.RGB - Promises"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.sandbox = sinon.sandbox.create();
+    this.enqueue = this.sandbox.stub(five.Animation.prototype, "enqueue");
+
+    this.rgb = new Led.RGB({
+      pins: [9, 10, 11],
+      board: this.board,
+      promises: true
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    this.sandbox.restore();
+    done();
+  },
+
+  fadeResolves: function(test) {
+    test.expect(3);
+
+    var callback = this.sandbox.spy();
+
+    this.rgb.fade("blue", 500, callback).then(function(rgb) {
+      test.equal(rgb, this.rgb);
+      test.equal(callback.callCount, 1);
+      test.equal(this.rgb.isRunning, false);
+      test.done();
+    }.bind(this));
+
+    startSegment(this.enqueue).oncomplete();
+  },
+
+  fadeOutResolves: function(test) {
+    test.expect(2);
+
+    var fadeOut = this.rgb.fadeOut(100);
+
+    test.ok(fadeOut instanceof Promise);
+
+    fadeOut.then(function(rgb) {
+      test.equal(rgb, this.rgb);
+      test.done();
+    }.bind(this));
+
+    startSegment(this.enqueue).oncomplete();
+  },
+
+  stopRejects: function(test) {
+    test.expect(1);
+
+    this.rgb.gradient(["red", "blue"], 1000).then(null, function(error) {
+      test.equal(error.message, "RGB operation interrupted by stop()");
+      test.done();
+    });
+
+    this.rgb.stop();
+  },
+};
+
 exports["Led - Cycling Operations"] = {
   setUp: function(done) {
     this.board = newBoard();
@@ -1419,12 +1835,120 @@ exports["Led - Cycling Operations"] = {
   },
 
   rgbCallsStopBeforeNextCyclingOperation: function(test) {
-    test.expect(1);
+    test.expect(2);
 
     this.rgb.blink();
+    this.rgb.fade("red");
+    this.rgb.pulse();
+    this.rgb.cycle();
 
-    test.equal(this.rgbStop.callCount, 1);
+    test.equal(this.rgbStop.callCount, 4);
+    // fade, pulse and cycle are animations
+    test.equal(this.enqueue.callCount, 3);
     test.done();
   },
 
 };
+
+exports["Led - Promises"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.sandbox = sinon.sandbox.create();
+    this.enqueue = this.sandbox.stub(five.Animation.prototype, "enqueue");
+
+    this.led = new Led({
+      pin: 11,
+      board: this.board,
+      promises: true
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    this.sandbox.restore();
+    done();
+  },
+
+  fadeResolves: function(test) {
+    test.expect(3);
+
+    var callback = this.sandbox.spy();
+
+    this.led.fade(128, 500, callback).then(function(led) {
+      test.equal(led, this.led);
+      test.equal(callback.callCount, 1);
+      test.equal(this.led.isRunning, false);
+      test.done();
+    }.bind(this));
+
+    this.enqueue.lastCall.args[0].oncomplete();
+  },
+
+  fadeInFadeOut: function(test) {
+    test.expect(2);
+
+    var fadeIn = this.led.fadeIn(100);
+    this.enqueue.lastCall.args[0].oncomplete();
+
+    var fadeOut = this.led.fadeOut(100);
+    this.enqueue.lastCall.args[0].oncomplete();
+
+    test.ok(fadeIn instanceof Promise);
+
+    Promise.all([fadeIn, fadeOut]).then(function(leds) {
+      test.deepEqual(leds, [this.led, this.led]);
+      test.done();
+    }.bind(this));
+  },
+
+  stopRejects: function(test) {
+    test.expect(1);
+
+    this.led.fade(255, 1000).then(null, function(error) {
+      test.equal(error.message, "Led operation interrupted by stop()");
+      test.done();
+    });
+
+    this.led.stop();
+  },
+
+  nextFadeInterrupts: function(test) {
+    test.expect(1);
+
+    this.led.fade(255, 1000).then(null, function(error) {
+      test.equal(error.message, "Led operation interrupted by stop()");
+      test.done();
+    });
+
+    this.led.fade(0, 1000).catch(function() {});
+  },
+
+  boardOption: function(test) {
+    test.expect(2);
+
+    var board = new Board({
+      io: this.board.io,
+      debug: false,
+      repl: false,
+      promises: true
+    });
+
+    var led = new Led({
+      pin: 10,
+      board: board
+    });
+
+    var fade = led.fade(0, 100);
+
+    test.equal(led.promises, true);
+    test.ok(fade instanceof Promise);
+
+    fade.catch(function() {
+      test.done();
+    });
+
+    led.stop();
+  },
+};
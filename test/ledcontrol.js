@@ -1507,3 +1507,289 @@ exports["LedControl - I2C Digits"] = {
   }
 
 };
+
+function rows(canvas) {
+  return Array.from({ length: canvas.height }, function(value, y) {
+    return Array.from({ length: canvas.width }, function(value, x) {
+      return canvas.getPixel(x, y);
+    }).join("");
+  });
+}
+
+exports["Led.Matrix.Canvas"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.clock = sinon.useFakeTimers();
+
+    this.matrix = new LedMatrix({
+      pins: {
+        data: 2,
+        clock: 3,
+        cs: 4
+      },
+      devices: 2,
+      board: this.board
+    });
+
+    this.display = sinon.spy(this.matrix, "display");
+    this.send = sinon.spy(this.matrix, "send");
+    this.canvas = new LedMatrix.Canvas({
+      matrix: this.matrix
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    this.canvas.stop();
+    Board.purge();
+    restore(this);
+    LedControl.reset();
+    done();
+  },
+
+  shape: function(test) {
+    test.expect(3);
+
+    test.equal(LedControl.Canvas, LedMatrix.Canvas);
+    test.equal(this.canvas.width, 16);
+    test.equal(this.canvas.height, 8);
+
+    test.done();
+  },
+
+  invalid: function(test) {
+    test.expect(1);
+
+    test.throws(function() {
+      new LedMatrix.Canvas({
+        matrix: new LedControl({ pins: [5, 6, 7], board: this.board })
+      });
+    }.bind(this), /requires a `matrix`/);
+
+    test.done();
+  },
+
+  setPixel: function(test) {
+    test.expect(4);
+
+    this.canvas.setPixel(9, 1).setPixel(0, 0, true).setPixel(20, 20);
+
+    test.equal(this.canvas.getPixel(9, 1), 1);
+    test.equal(this.canvas.getPixel(0, 0), 1);
+    test.equal(this.canvas.getPixel(20, 20), 0);
+
+    this.canvas.setPixel(9, 1, 0);
+    test.equal(this.canvas.getPixel(9, 1), 0);
+
+    test.done();
+  },
+
+  line: function(test) {
+    test.expect(2);
+
+    this.canvas.line(0, 0, 3, 3);
+    test.deepEqual(rows(this.canvas).slice(0, 4).map(function(row) {
+      return row.slice(0, 4);
+    }), ["1000", "0100", "0010", "0001"]);
+
+    this.canvas.clear().line(5, 2, 1, 2);
+    test.equal(rows(this.canvas)[2].slice(0, 7), "0111110");
+
+    test.done();
+  },
+
+  rect: function(test) {
+    test.expect(2);
+
+    this.canvas.rect(1, 1, 4, 3);
+    test.deepEqual(rows(this.canvas).slice(0, 5).map(function(row) {
+      return row.slice(0, 6);
+    }), ["000000", "011110", "010010", "011110", "000000"]);
+
+    this.canvas.clear().rect(0, 0, 3, 2, 1, true);
+    test.deepEqual(rows(this.canvas).slice(0, 3).map(function(row) {
+      return row.slice(0, 4);
+    }), ["1110", "1110", "0000"]);
+
+    test.done();
+  },
+
+  bitmap: function(test) {
+    test.expect(2);
+
+    this.canvas.fill();
+    this.canvas.bitmap(6, 0, [0x81, "0110", [0, 0, 1]], { opaque: true });
+
+    test.deepEqual(rows(this.canvas).slice(0, 3), [
+      "1111111000000111",
+      "1111110110111111",
+      "1111110011111111",
+    ]);
+
+    this.canvas.clear().bitmap(0, 0, [0x5], { width: 3 });
+    test.equal(rows(this.canvas)[0].slice(0, 4), "1010");
+
+    test.done();
+  },
+
+  text: function(test) {
+    test.expect(3);
+
+    // "i" is 3 columns wide, "1" is 3 columns wide, " " is 3
+    test.equal(this.canvas.measure("i1"), 7);
+    test.equal(this.canvas.measure("i 1", { spacing: 2, space: 1 }), 3 + 2 + 1 + 2 + 3);
+
+    this.canvas.text(1, 0, "i");
+    test.deepEqual(rows(this.canvas).slice(0, 3).map(function(row) {
+      return row.slice(0, 5);
+    }), ["00100", "00000", "01100"]);
+
+    test.done();
+  },
+
+  show: function(test) {
+    test.expect(8);
+
+    this.canvas.setPixel(0, 0).setPixel(8, 7);
+    this.canvas.show();
+
+    // The first show() writes every row
+    test.equal(this.display.callCount, 2);
+    test.ok(this.send.calledWith(0, 1, 0x80));
+    test.ok(this.send.calledWith(1, 8, 0x80));
+
+    // Then only the rows that changed
+    this.display.reset();
+    this.canvas.setPixel(15, 7).show();
+
+    test.equal(this.display.callCount, 1);
+    test.equal(this.display.lastCall.args[0], 1);
+    test.deepEqual(Object.keys(this.display.lastCall.args[1]), ["7"]);
+    test.deepEqual(this.display.lastCall.args[1][7], [1, 0, 0, 0, 0, 0, 0, 1]);
+
+    this.display.reset();
+    this.canvas.show();
+    test.equal(this.display.callCount, 0);
+
+    test.done();
+  },
+
+  reverse: function(test) {
+    test.expect(1);
+
+    var canvas = new LedMatrix.Canvas({
+      matrix: this.matrix,
+      reverse: true
+    });
+
+    canvas.setPixel(0, 0).show();
+
+    // The leftmost column is device 1's
+    test.deepEqual(this.display.args[1][1][0], [1, 0, 0, 0, 0, 0, 0, 0]);
+
+    test.done();
+  },
+
+  marquee: function(test) {
+    test.expect(5);
+
+    var callback = sinon.spy();
+    var width = this.canvas.measure("Hi");
+
+    this.canvas.marquee("Hi", { speed: 10 }, callback);
+    test.equal(this.canvas.isScrolling, true);
+
+    // Enters from the right, a column every 100ms
+    this.clock.tick(100);
+    test.ok(this.canvas.getPixel(this.canvas.width - 1, 1) === 0 && rows(this.canvas).join("").indexOf("1") === -1);
+
+    this.clock.tick(100);
+    test.equal(rows(this.canvas)[1].slice(-1), "1");
+
+    this.clock.tick((this.canvas.width + width - 1) * 100);
+    test.equal(callback.callCount, 1);
+    test.equal(this.canvas.isScrolling, false);
+
+    test.done();
+  },
+
+  marqueeLoop: function(test) {
+    test.expect(2);
+
+    var callback = sinon.spy();
+
+    this.canvas.marquee("Hi", { loop: true, speed: 100 }, callback);
+    this.clock.tick(10000);
+
+    test.ok(callback.callCount > 1);
+    test.equal(this.canvas.isScrolling, true);
+
+    test.done();
+  },
+
+  marqueeBoardExit: function(test) {
+    test.expect(3);
+
+    var callback = sinon.spy();
+
+    test.equal(this.canvas.board, this.board);
+
+    this.canvas.marquee("Hi", { loop: true, speed: 100 }, callback);
+    this.clock.tick(200);
+
+    var shown = rows(this.canvas).join();
+
+    // The marquee runs on the board's scheduler
+    this.board.emit("exit");
+    this.clock.tick(10000);
+
+    test.equal(rows(this.canvas).join(), shown);
+    test.equal(this.canvas.isScrolling, false);
+
+    test.done();
+  },
+};
+
+exports["Led.Matrix.Canvas - HT16K33"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+
+    this.matrix = new LedMatrix({
+      controller: "HT16K33",
+      addresses: [0x70, 0x71],
+      board: this.board
+    });
+
+    this.i2cWrite = sinon.spy(MockFirmata.prototype, "i2cWrite");
+    this.canvas = new LedMatrix.Canvas({
+      matrix: this.matrix
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    restore(this);
+    LedControl.reset();
+    done();
+  },
+
+  show: function(test) {
+    test.expect(3);
+
+    this.canvas.line(0, 0, 15, 0).show();
+
+    // A single write per device
+    test.equal(this.i2cWrite.callCount, 2);
+
+    this.i2cWrite.reset();
+    this.canvas.setPixel(3, 3).show();
+
+    test.equal(this.i2cWrite.callCount, 1);
+    test.equal(this.i2cWrite.lastCall.args[0], 0x70);
+
+    test.done();
+  },
+};
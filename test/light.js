@@ -86,6 +86,30 @@ exports["Light"] = {
     test.expect(1);
     test.ok(this.light instanceof Emitter);
     test.done();
+  },
+
+  filters: function(test) {
+    var light = new Light({
+      pin: "A2",
+      freq: 100,
+      filters: ["spike", { type: "ema", alpha: 0.5 }],
+      board: this.board
+    });
+    var callback = this.analogRead.lastCall.args[1];
+    var spy = sinon.spy();
+
+    test.expect(2);
+
+    light.on("change", spy);
+
+    callback(100);
+    callback(200);
+    callback(1000);
+    this.clock.tick(100);
+
+    test.equal(light.value, 175);
+    test.equal(spy.callCount, 1);
+    test.done();
   }
 };
 
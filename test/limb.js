@@ -0,0 +1,336 @@
+var mocks = require("mock-firmata"),
+  MockFirmata = mocks.Firmata,
+  five = require("../lib/johnny-five.js"),
+  sinon = require("sinon"),
+  Board = five.Board,
+  Limb = five.Limb,
+  Servo = five.Servo;
+
+function newBoard() {
+  var io = new MockFirmata();
+  var board = new Board({
+    io: io,
+    debug: false,
+    repl: false
+  });
+
+  io.emit("connect");
+  io.emit("ready");
+
+  return board;
+}
+
+function near(test, actual, expected) {
+  Object.keys(expected).forEach(function(key) {
+    test.ok(Math.abs(actual[key] - expected[key]) < 1e-6, key + ": " + actual[key] + " != " + expected[key]);
+  });
+}
+
+exports["Limb - planar"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.servoWrite = sinon.spy(MockFirmata.prototype, "servoWrite");
+
+    this.shoulder = new Servo({ pin: 9, board: this.board });
+    this.elbow = new Servo({ pin: 10, board: this.board });
+
+    this.limb = new Limb({
+      servos: [this.shoulder, this.elbow],
+      links: [100, 100]
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    this.limb.stop();
+    Board.purge();
+    this.servoWrite.restore();
+    done();
+  },
+
+  shape: function(test) {
+    test.expect(5);
+
+    test.equal(this.limb.type, "planar");
+    test.equal(this.limb.servos.length, 2);
+    test.deepEqual(this.limb.offsets, [90, 90]);
+    test.deepEqual(this.limb.limits, [[0, 180], [0, 180]]);
+    test.equal(this.limb.elbow, "up");
+
+    test.done();
+  },
+
+  invalid: function(test) {
+    test.expect(3);
+
+    test.throws(function() {
+      new Limb({ type: "delta" });
+    }, /type/);
+
+    test.throws(function() {
+      new Limb({ servos: [this.shoulder], links: [100] });
+    }.bind(this), /requires 2 `servos`/);
+
+    test.throws(function() {
+      new Limb({ type: "spatial", servos: [this.shoulder, this.elbow], links: [10, 100, 100] });
+    }.bind(this), /requires 3 `servos`/);
+
+    test.done();
+  },
+
+  forward: function(test) {
+    test.expect(6);
+
+    // At the offsets, the links are straight along x
+    near(test, this.limb.forward([90, 90]), { x: 200, y: 0 });
+
+    near(test, this.limb.forward([180, 0]), { x: 100, y: 100 });
+
+    near(test, this.limb.forward([180, 90]), { x: 0, y: 200 });
+
+    test.done();
+  },
+
+  inverse: function(test) {
+    test.expect(4);
+
+    var point = { x: 150, y: 50 };
+    var up = this.limb.inverse(point);
+
+    near(test, this.limb.forward(up), point);
+
+    // Elbow up bends the second joint back
+    test.ok(up[1] < 90);
+
+    this.limb.elbow = "down";
+    test.ok(this.limb.inverse(point)[1] > 90);
+
+    test.done();
+  },
+
+  limits: function(test) {
+    test.expect(2);
+
+    // Reaching behind needs the shoulder beyond 180
+    test.equal(this.limb.inverse({ x: -150, y: -10 }), null);
+    test.equal(this.limb.isReachable({ x: 300, y: 0 }), false);
+
+    test.done();
+  },
+
+  to: function(test) {
+    test.expect(3);
+
+    this.servoWrite.reset();
+    test.equal(this.limb.to({ x: 200, y: 0 }), this.limb);
+
+    test.ok(this.servoWrite.calledWith(9, 90));
+    test.ok(this.servoWrite.calledWith(10, 90));
+
+    test.done();
+  },
+
+  unreachable: function(test) {
+    test.expect(3);
+
+    var error = sinon.spy();
+
+    this.limb.on("error", error);
+    this.servoWrite.reset();
+
+    this.limb.to({ x: 500, y: 0 });
+
+    test.equal(this.servoWrite.callCount, 0);
+    test.equal(error.callCount, 1);
+    test.deepEqual(error.lastCall.args[0].point, { x: 500, y: 0 });
+
+    test.done();
+  },
+
+  unreachableFrame: function(test) {
+    test.expect(2);
+
+    var error = sinon.spy();
+    var stop = sinon.spy(this.limb.servos, "stop");
+
+    this.limb.on("error", error);
+
+    this.limb[five.Animation.render]([[0, 0, 0]]);
+
+    test.equal(error.callCount, 1);
+    test.equal(stop.callCount, 1);
+
+    test.done();
+  },
+
+  unreachableWithoutListener: function(test) {
+    test.expect(3);
+
+    var stop = sinon.spy(this.limb.servos, "stop");
+
+    // With nothing else to report to, the error is thrown
+    test.throws(function() {
+      this.limb.to({ x: 500, y: 0 });
+    }.bind(this), /Limb cannot reach \(500, 0, 0\)/);
+
+    test.throws(function() {
+      this.limb[five.Animation.render]([[0, 0, 0]]);
+    }.bind(this), /Limb cannot reach \(0, 0, 0\)/);
+
+    test.equal(stop.callCount, 1);
+
+    test.done();
+  },
+
+  boardPromises: function(test) {
+    test.expect(1);
+
+    this.board.promises = true;
+
+    var limb = new Limb({
+      servos: [this.shoulder, this.elbow],
+      links: [100, 100]
+    });
+
+    limb.to({ x: 500, y: 0 }).catch(function(error) {
+      test.equal(error.message, "Limb cannot reach (500, 0, 0)");
+      test.done();
+    });
+  },
+
+  normalize: function(test) {
+    test.expect(2);
+
+    this.limb.to({ x: 200, y: 0 });
+
+    var keyFrames = this.limb[five.Animation.normalize]([null, { x: 100, y: 50 }]);
+
+    near(test, { x: keyFrames[0].position[0] }, { x: 200 });
+    test.deepEqual(keyFrames[1].position, [100, 50, 0]);
+
+    test.done();
+  },
+
+  unreachableRejects: function(test) {
+    test.expect(2);
+
+    var limb = new Limb({
+      servos: [this.shoulder, this.elbow],
+      links: [100, 100],
+      promises: true
+    });
+
+    limb.to({ x: 500, y: 0 }).catch(function(error) {
+      test.equal(error.message, "Limb cannot reach (500, 0, 0)");
+      test.deepEqual(error.point, { x: 500, y: 0 });
+      test.done();
+    });
+  },
+
+  unreachableFrameRejects: function(test) {
+    test.expect(1);
+
+    var limb = new Limb({
+      servos: [this.shoulder, this.elbow],
+      links: [100, 100],
+      promises: true
+    });
+    var enqueue = sinon.stub(five.Animation.prototype, "enqueue", function(segment) {
+      segment.onstart();
+    });
+
+    limb.to({ x: 150, y: 50 }, 50).catch(function(error) {
+      test.equal(error.message, "Limb cannot reach (0, 0, 0)");
+      test.done();
+    });
+
+    enqueue.restore();
+    limb[five.Animation.render]([[0, 0, 0]]);
+  },
+
+  timed: function(test) {
+    test.expect(2);
+
+    var limb = new Limb({
+      servos: [this.shoulder, this.elbow],
+      links: [100, 100],
+      promises: true
+    });
+
+    limb.to({ x: 200, y: 0 });
+
+    limb.to({ x: 150, y: 50 }, 50).then(function(result) {
+      test.equal(result, limb);
+      near(test, { x: limb.forward().x }, { x: 150 });
+      test.done();
+    });
+  },
+};
+
+exports["Limb - spatial"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+
+    this.limb = new Limb({
+      type: "spatial",
+      servos: [
+        new Servo({ pin: 9, board: this.board }),
+        new Servo({ pin: 10, board: this.board }),
+        new Servo({ pin: 11, board: this.board }),
+      ],
+      links: [20, 60, 80],
+      offsets: [90, 90, 180],
+      limits: [[0, 180], [0, 180], [0, 180]]
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    done();
+  },
+
+  forward: function(test) {
+    test.expect(3);
+
+    // Femur level, tibia straight down
+    near(test, this.limb.forward([90, 90, 90]), { x: 80, y: 0, z: -80 });
+
+    test.done();
+  },
+
+  inverse: function(test) {
+    test.expect(6);
+
+    var point = { x: 50, y: 50, z: -70 };
+    var degrees = this.limb.inverse(point);
+
+    near(test, this.limb.forward(degrees), point);
+
+    // Yawed 45° toward +y
+    near(test, { yaw: degrees[0] }, { yaw: 135 });
+
+    test.equal(this.limb.inverse({ x: 0, y: 0, z: 500 }), null);
+    test.equal(this.limb.isReachable(point), true);
+
+    test.done();
+  },
+
+  profile: function(test) {
+    test.expect(1);
+
+    var enqueue = sinon.spy(five.Animation.prototype, "enqueue");
+
+    this.limb.to({ x: 80, y: 0, z: -80 });
+    this.limb.to({ x: 80, y: 0, z: -50 }, { velocity: 300 });
+
+    // 30 units at 300 units/s
+    test.ok(Math.abs(enqueue.lastCall.args[0].duration - 100) < 1e-6);
+
+    this.limb.stop();
+    enqueue.restore();
+    test.done();
+  },
+};
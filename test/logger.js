@@ -0,0 +1,359 @@
+var mocks = require("mock-firmata"),
+  MockFirmata = mocks.Firmata,
+  five = require("../lib/johnny-five.js"),
+  sinon = require("sinon"),
+  fs = require("fs"),
+  os = require("os"),
+  path = require("path"),
+  Emitter = require("events").EventEmitter,
+  Board = five.Board,
+  Logger = five.Logger,
+  Sensor = five.Sensor;
+
+function newBoard() {
+  var io = new MockFirmata();
+  var board = new Board({
+    io: io,
+    debug: false,
+    repl: false
+  });
+
+  io.emit("connect");
+  io.emit("ready");
+
+  return board;
+}
+
+exports["Logger"] = {
+  setUp: function(done) {
+    this.sandbox = sinon.sandbox.create();
+    this.clock = this.sandbox.useFakeTimers();
+    this.board = newBoard();
+    this.analogRead = this.sandbox.spy(MockFirmata.prototype, "analogRead");
+
+    this.a = new Sensor({ pin: "A0", board: this.board });
+    this.b = new Sensor({ pin: "A1", board: this.board });
+
+    this.readA = this.analogRead.args[0][1];
+    this.readB = this.analogRead.args[1][1];
+
+    done();
+  },
+
+  tearDown: function(done) {
+    if (this.logger) {
+      this.logger.stop();
+    }
+    Board.purge();
+    this.sandbox.restore();
+    done();
+  },
+
+  interval: function(test) {
+    test.expect(3);
+
+    this.logger = new Logger({
+      freq: 100,
+      components: { a: this.a, b: this.b }
+    });
+
+    this.readA(10);
+    this.clock.tick(100);
+
+    // Not every component has reported yet
+    test.equal(this.logger.rows.length, 0);
+
+    this.readB(20);
+    this.clock.tick(100);
+
+    test.equal(this.logger.rows.length, 1);
+    test.deepEqual(this.logger.rows[0], {
+      timestamp: new Date(200).toISOString(),
+      a: 10,
+      b: 20
+    });
+
+    test.done();
+  },
+
+  componentArray: function(test) {
+    test.expect(1);
+
+    this.logger = new Logger({
+      freq: 100,
+      components: [this.a]
+    });
+
+    this.readA(10);
+    this.clock.tick(100);
+
+    test.equal(this.logger.rows[0][this.a.id], 10);
+    test.done();
+  },
+
+  onChange: function(test) {
+    test.expect(2);
+
+    var row = this.sandbox.spy();
+
+    this.logger = new Logger({
+      on: "change",
+      components: { a: this.a }
+    });
+
+    this.logger.on("row", row);
+
+    this.readA(10);
+    this.clock.tick(25);
+    this.clock.tick(25);
+    this.readA(500);
+    this.clock.tick(25);
+
+    test.equal(row.callCount, 2);
+    test.deepEqual(this.logger.rows.map(function(row) {
+      return row.a;
+    }), [10, 500]);
+
+    test.done();
+  },
+
+  fields: function(test) {
+    test.expect(2);
+
+    var imu = new Emitter();
+
+    imu.components = ["thermometer"];
+    imu.thermometer = { celsius: 21 };
+
+    test.throws(function() {
+      new Logger({ components: { imu: imu } });
+    }, /requires `fields`/);
+
+    this.logger = new Logger({
+      freq: 100,
+      components: {
+        imu: { component: imu, fields: ["thermometer.celsius"] }
+      }
+    });
+
+    imu.emit("data", imu);
+    this.clock.tick(100);
+
+    test.deepEqual(this.logger.rows[0].imu, { "thermometer.celsius": 21 });
+    test.done();
+  },
+
+  pauseResume: function(test) {
+    test.expect(3);
+
+    this.logger = new Logger({
+      freq: 100,
+      components: { a: this.a }
+    });
+
+    this.readA(10);
+    this.logger.pause();
+    this.clock.tick(300);
+
+    test.equal(this.logger.isPaused, true);
+    test.equal(this.logger.rows.length, 0);
+
+    this.logger.resume();
+    this.clock.tick(100);
+
+    test.equal(this.logger.rows.length, 1);
+    test.done();
+  },
+
+  stop: function(test) {
+    test.expect(4);
+
+    var data = this.sandbox.spy();
+
+    this.logger = new Logger({
+      freq: 100,
+      components: { a: this.a }
+    });
+
+    this.readA(10);
+    this.clock.tick(100);
+    this.logger.stop();
+    this.clock.tick(500);
+
+    test.equal(this.logger.rows.length, 1);
+
+    // Listeners are removed from the components
+    this.a.on("data", data);
+    test.equal(this.a.listeners("data").length, 1);
+
+    // Sampled on the board's scheduler, and
+    // the board's exit stops logging
+    this.logger = new Logger({ freq: 100, components: { a: this.a } });
+    test.equal(this.board.scheduler.tasks.length, 1);
+
+    this.board.emit("exit");
+    this.clock.tick(500);
+
+    test.equal(this.logger.rows.length, 0);
+    test.done();
+  },
+
+  invalidFormat: function(test) {
+    test.expect(1);
+
+    test.throws(function() {
+      new Logger({ format: "xml" });
+    });
+
+    test.done();
+  },
+};
+
+exports["Logger (file)"] = {
+  setUp: function(done) {
+    this.sandbox = sinon.sandbox.create();
+    this.clock = this.sandbox.useFakeTimers();
+    this.board = newBoard();
+    this.analogRead = this.sandbox.spy(MockFirmata.prototype, "analogRead");
+
+    this.sensor = new Sensor({ pin: "A0", board: this.board });
+    this.thermometer = new Emitter();
+    this.read = this.analogRead.args[0][1];
+
+    this.base = path.join(os.tmpdir(), "j5-log-" + Date.now() + "-" + process.pid);
+    this.files = [];
+
+    done();
+  },
+
+  tearDown: function(done) {
+    this.files.forEach(function(file) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+    Board.purge();
+    this.sandbox.restore();
+    done();
+  },
+
+  csv: function(test) {
+    test.expect(2);
+
+    var file = this.base + ".csv";
+    var logger = new Logger({
+      file: file,
+      freq: 100,
+      components: { light: this.sensor, temp: this.thermometer }
+    });
+
+    this.files.push(file);
+
+    test.equal(logger.format, "csv");
+
+    this.read(512);
+    this.thermometer.emit("data", { celsius: 20, note: "a, \"b\"" });
+    this.clock.tick(100);
+
+    this.clock.restore();
+
+    logger.stop(function() {
+      test.deepEqual(fs.readFileSync(file, "utf8").split("\n"), [
+        "timestamp,light,temp.celsius,temp.note",
+        new Date(100).toISOString() + ",512,20,\"a, \"\"b\"\"\"",
+        "",
+      ]);
+      test.done();
+    });
+  },
+
+  ndjson: function(test) {
+    test.expect(2);
+
+    var file = this.base + ".log";
+    var logger = new Logger({
+      file: file,
+      freq: 100,
+      components: { temp: this.thermometer }
+    });
+
+    this.files.push(file);
+
+    test.equal(logger.format, "ndjson");
+
+    this.thermometer.emit("data", { celsius: 20 });
+    this.clock.tick(100);
+    this.thermometer.emit("data", { celsius: 21 });
+    this.clock.tick(100);
+
+    this.clock.restore();
+
+    logger.stop(function() {
+      test.deepEqual(fs.readFileSync(file, "utf8").trim().split("\n").map(JSON.parse), [
+        { timestamp: new Date(100).toISOString(), temp: { celsius: 20 } },
+        { timestamp: new Date(200).toISOString(), temp: { celsius: 21 } },
+      ]);
+      test.done();
+    });
+  },
+
+  rotateBySize: function(test) {
+    test.expect(4);
+
+    var file = this.base + ".csv";
+    var rotate = this.sandbox.spy();
+    var logger = new Logger({
+      file: file,
+      freq: 100,
+      rotate: { size: 80 },
+      components: { light: this.sensor }
+    });
+
+    this.files.push(file, this.base + ".1.csv");
+
+    logger.on("rotate", rotate);
+
+    // The header is 16 bytes and each row is 27 bytes
+    this.read(1);
+    this.clock.tick(300);
+
+    test.equal(rotate.callCount, 1);
+    test.equal(logger.file, this.base + ".1.csv");
+
+    this.clock.restore();
+
+    logger.stop(function() {
+      test.equal(fs.readFileSync(file, "utf8").trim().split("\n").length, 3);
+
+      // Every file has a header
+      test.equal(fs.readFileSync(this.base + ".1.csv", "utf8").split("\n")[0], "timestamp,light");
+      test.done();
+    }.bind(this));
+  },
+
+  rotateByInterval: function(test) {
+    test.expect(2);
+
+    var file = this.base + ".log";
+    var logger = new Logger({
+      file: file,
+      freq: 100,
+      rotate: { interval: 250 },
+      components: { light: this.sensor }
+    });
+
+    this.files.push(file, this.base + ".1.log", this.base + ".2.log");
+
+    this.read(1);
+    this.clock.tick(600);
+
+    test.equal(logger.file, this.base + ".2.log");
+
+    this.clock.restore();
+
+    logger.stop(function() {
+      test.equal(fs.readFileSync(file, "utf8").trim().split("\n").length, 2);
+      test.done();
+    });
+  },
+};
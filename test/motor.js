@@ -7,6 +7,8 @@ var Board = five.Board;
 var Expander = five.Expander;
 var Motor = five.Motor;
 var Sensor = five.Sensor;
+var Encoder = five.Encoder;
+var Emitter = require("events").EventEmitter;
 
 function newBoard() {
   var io = new MockFirmata();
@@ -22,6 +24,19 @@ function newBoard() {
   return board;
 }
 
+// An Encoder whose readings are set directly by the test
+function fakeEncoder() {
+  var encoder = Object.create(Encoder.prototype);
+
+  Emitter.call(encoder);
+
+  encoder.freq = 100;
+  encoder.count = 0;
+  encoder.rpm = 0;
+
+  return encoder;
+}
+
 function restore(target) {
   for (var prop in target) {
 
@@ -629,7 +644,8 @@ exports["Motor: Directional with Brake"] = {
 
   timedBrake: function(test) {
     var clock = sinon.useFakeTimers();
-    test.expect(5);
+    var wait = sinon.spy(this.motor.board, "wait");
+    test.expect(6);
 
     this.motor.rev(128);
     this.analogWrite.reset();
@@ -637,6 +653,9 @@ exports["Motor: Directional with Brake"] = {
 
     this.motor.brake(1000);
 
+    // Timed on the board's scheduler
+    test.equal(wait.lastCall.args[0], 1000);
+
     test.ok(this.analogWrite.lastCall.calledWith(3, 255));
     test.ok(this.digitalWrite.firstCall.calledWith(9, 1));
     this.analogWrite.reset();
@@ -648,6 +667,7 @@ exports["Motor: Directional with Brake"] = {
     test.ok(this.analogWrite.lastCall.calledWith(3, 128));
     test.ok(this.digitalWrite.lastCall.calledWith(9, 0));
 
+    wait.restore();
     clock.restore();
     test.done();
   },
@@ -680,6 +700,274 @@ exports["Motor: Directional with Brake"] = {
 
 };
 
+exports["Motor: Promises"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.clock = sinon.useFakeTimers();
+    this.motor = new Motor({
+      board: this.board,
+      pins: {
+        pwm: 3,
+        dir: 12,
+        brake: 9
+      },
+      promises: true
+    });
+    this.resume = sinon.spy(this.motor, "resume");
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  brakeWithoutDuration: function(test) {
+    test.expect(2);
+
+    this.motor.brake().then(function(motor) {
+      test.equal(motor, this.motor);
+      test.equal(this.resume.callCount, 0);
+      test.done();
+    }.bind(this));
+  },
+
+  brakeResolvesOnResume: function(test) {
+    test.expect(2);
+
+    var promise = this.motor.brake(500);
+
+    promise.then(function(motor) {
+      test.equal(motor, this.motor);
+      test.equal(this.resume.callCount, 1);
+      test.done();
+    }.bind(this));
+
+    this.clock.tick(500);
+  },
+
+  releaseResolves: function(test) {
+    test.expect(1);
+
+    this.motor.brake(500).then(function() {
+      this.clock.tick(500);
+      test.equal(this.resume.callCount, 1);
+      test.done();
+    }.bind(this));
+
+    this.motor.release();
+  },
+
+  stopRejects: function(test) {
+    test.expect(2);
+
+    this.motor.brake(500).then(null, function(error) {
+      this.clock.tick(500);
+      test.equal(error.message, "Motor operation interrupted by stop()");
+      test.equal(this.resume.callCount, 0);
+      test.done();
+    }.bind(this));
+
+    this.motor.stop();
+  },
+};
+
+exports["Motor: Closed Loop"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.clock = sinon.useFakeTimers();
+    this.analogWrite = sinon.spy(MockFirmata.prototype, "analogWrite");
+    this.digitalWrite = sinon.spy(MockFirmata.prototype, "digitalWrite");
+    this.encoder = fakeEncoder();
+    this.motor = new Motor({
+      board: this.board,
+      pins: {
+        pwm: 3,
+        dir: 12
+      },
+      encoder: this.encoder,
+      promises: true
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    this.motor.stop();
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  requiresEncoder: function(test) {
+    test.expect(2);
+
+    var motor = new Motor({
+      board: this.board,
+      pins: [5, 6]
+    });
+
+    test.throws(function() {
+      motor.rpm(100);
+    }, /requires an `encoder`/);
+
+    motor = new Motor({
+      board: this.board,
+      pins: [5, 6],
+      encoder: { pins: [7, 8], cpr: 48 }
+    });
+
+    test.ok(motor.encoder instanceof Encoder);
+    test.done();
+  },
+
+  rpm: function(test) {
+    test.expect(4);
+
+    var arrived = sinon.spy();
+
+    this.motor.on("arrived", arrived);
+    this.motor.rpm(100);
+
+    this.analogWrite.reset();
+    this.encoder.emit("data");
+
+    test.ok(this.analogWrite.lastCall.args[1] > 0);
+    test.equal(this.motor.direction.value, 1);
+
+    this.encoder.rpm = 99;
+    this.encoder.emit("data");
+    this.encoder.emit("data");
+
+    test.equal(arrived.callCount, 1);
+    test.equal(arrived.lastCall.args[0], 99);
+
+    test.done();
+  },
+
+  rpmReverse: function(test) {
+    test.expect(3);
+
+    var stop = sinon.spy();
+
+    // Skip the "stop" emitted by initialization
+    process.nextTick(function() {
+      this.motor.on("stop", stop);
+      this.motor.rpm(-100);
+      this.encoder.emit("data");
+
+      test.equal(this.motor.direction.value, 0);
+      test.ok(this.analogWrite.lastCall.args[1] > 0);
+
+      // Reversing doesn't end control
+      this.encoder.rpm = -200;
+      this.encoder.emit("data");
+      this.encoder.emit("data");
+
+      process.nextTick(function() {
+        test.equal(stop.callCount, 0);
+        test.done();
+      });
+    }.bind(this));
+  },
+
+  to: function(test) {
+    test.expect(4);
+
+    var arrived = sinon.spy();
+
+    this.motor.on("arrived", arrived);
+
+    this.motor.to(200).then(function(motor) {
+      test.equal(motor, this.motor);
+      test.equal(arrived.callCount, 1);
+
+      // Arrival stops the motor and ends control
+      test.equal(this.analogWrite.lastCall.args[1], 0);
+
+      this.analogWrite.reset();
+      this.encoder.emit("data");
+      test.equal(this.analogWrite.callCount, 0);
+
+      test.done();
+    }.bind(this));
+
+    this.encoder.emit("data");
+    this.encoder.count = 150;
+    this.encoder.emit("data");
+    this.encoder.count = 200;
+    this.encoder.emit("data");
+  },
+
+  toReplaced: function(test) {
+    test.expect(1);
+
+    this.motor.to(200).then(null, function(error) {
+      test.equal(error.message, "Motor operation interrupted by a new target");
+      test.done();
+    });
+
+    // (Interrupted by tearDown)
+    this.motor.to(100).catch(function() {});
+  },
+
+  stalled: function(test) {
+    test.expect(2);
+
+    var stalled = sinon.spy();
+
+    this.motor.on("stalled", stalled);
+    this.motor.rpm(100, { stallTime: 300 });
+
+    for (var i = 0; i < 6; i++) {
+      this.encoder.emit("data");
+    }
+
+    test.equal(stalled.callCount, 1);
+    test.deepEqual(Object.keys(stalled.lastCall.args[0]), ["mode", "target", "value", "output"]);
+
+    test.done();
+  },
+
+  stopEndsControl: function(test) {
+    test.expect(2);
+
+    this.motor.to(200).then(null, function(error) {
+      test.equal(error.message, "Motor operation interrupted by stop()");
+
+      this.analogWrite.reset();
+      this.encoder.emit("data");
+      test.equal(this.analogWrite.callCount, 0);
+
+      test.done();
+    }.bind(this));
+
+    this.encoder.emit("data");
+    this.motor.stop();
+  },
+
+  gains: function(test) {
+    test.expect(1);
+
+    var motor = new Motor({
+      board: this.board,
+      pins: [5, 6],
+      encoder: fakeEncoder(),
+      pid: {
+        rpm: { kp: 0, ki: 0, kd: 0 }
+      }
+    });
+
+    motor.rpm(100);
+    motor.encoder.emit("data");
+
+    test.equal(this.analogWrite.lastCall.args[1], 0);
+    test.done();
+  },
+};
+
 exports["Motor: Directional with Current Sensing Pin"] = {
   setUp: function(done) {
     this.board = newBoard();
@@ -0,0 +1,116 @@
+var mocks = require("mock-firmata"),
+  MockFirmata = mocks.Firmata,
+  five = require("../lib/johnny-five.js"),
+  Operation = require("../lib/operation"),
+  Board = five.Board;
+
+function newBoard(opts) {
+  var io = new MockFirmata();
+  var board = new Board(Object.assign({
+    io: io,
+    debug: false,
+    repl: false
+  }, opts));
+
+  io.emit("connect");
+  io.emit("ready");
+
+  return board;
+}
+
+function Thing(opts) {
+  this.board = opts.board;
+  this.promises = Operation.isEnabled(this, opts);
+}
+
+exports["Operation"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    done();
+  },
+
+  isEnabled: function(test) {
+    test.expect(4);
+
+    var promising = newBoard({ promises: true });
+
+    test.equal(new Thing({ board: this.board }).promises, false);
+    test.equal(new Thing({ board: this.board, promises: true }).promises, true);
+    test.equal(new Thing({ board: promising }).promises, true);
+    test.equal(new Thing({ board: promising, promises: false }).promises, false);
+
+    test.done();
+  },
+
+  beginWithoutPromises: function(test) {
+    test.expect(2);
+
+    var thing = new Thing({ board: this.board });
+
+    test.equal(Operation.begin(thing), null);
+    test.equal(Operation.result(thing, null), thing);
+
+    test.done();
+  },
+
+  complete: function(test) {
+    test.expect(1);
+
+    var thing = new Thing({ board: this.board, promises: true });
+    var operation = Operation.begin(thing);
+
+    Operation.result(thing, operation).then(function(value) {
+      test.equal(value, thing);
+      test.done();
+    });
+
+    operation.complete();
+  },
+
+  resultWithoutOperation: function(test) {
+    test.expect(1);
+
+    var thing = new Thing({ board: this.board, promises: true });
+
+    Operation.result(thing, null).then(function(value) {
+      test.equal(value, thing);
+      test.done();
+    });
+  },
+
+  interrupt: function(test) {
+    test.expect(3);
+
+    var thing = new Thing({ board: this.board, promises: true });
+    var first = Operation.begin(thing);
+    var second = Operation.begin(thing);
+    var done = Operation.begin(thing);
+
+    done.complete();
+
+    Promise.all([
+      first.promise.catch(function(error) {
+        return error;
+      }),
+      second.promise.catch(function(error) {
+        return error;
+      }),
+    ]).then(function(errors) {
+      test.equal(errors[0].message, "Thing operation interrupted by stop()");
+      test.equal(errors[1].message, "Thing operation interrupted by stop()");
+
+      // Completed operations are unaffected
+      return done.promise;
+    }).then(function(value) {
+      test.equal(value, thing);
+      test.done();
+    });
+
+    Operation.interrupt(thing);
+  },
+};
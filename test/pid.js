@@ -0,0 +1,386 @@
+var mocks = require("mock-firmata"),
+  MockFirmata = mocks.Firmata,
+  five = require("../lib/johnny-five.js"),
+  sinon = require("sinon"),
+  Emitter = require("events").EventEmitter,
+  Board = five.Board,
+  PID = five.PID;
+
+exports["PID"] = {
+  proportional: function(test) {
+    test.expect(2);
+
+    var pid = new PID({ kp: 2 });
+
+    test.equal(pid.compute(10, 4, 0.1), 12);
+    test.equal(pid.compute(10, 10, 0.1), 0);
+
+    test.done();
+  },
+
+  integral: function(test) {
+    test.expect(2);
+
+    var pid = new PID({ kp: 0, ki: 1 });
+
+    test.equal(pid.compute(10, 0, 1), 10);
+    test.equal(pid.compute(10, 0, 1), 20);
+
+    test.done();
+  },
+
+  derivativeOnInput: function(test) {
+    test.expect(2);
+
+    var pid = new PID({ kp: 0, kd: 1 });
+
+    pid.compute(0, 0, 1);
+
+    // Setpoint changes don't kick the output
+    test.equal(pid.compute(100, 0, 1), 0);
+
+    // Input changes do
+    test.equal(pid.compute(100, 5, 1), -5);
+
+    test.done();
+  },
+
+  antiWindup: function(test) {
+    test.expect(3);
+
+    var pid = new PID({ kp: 0, ki: 1, min: -10, max: 10 });
+
+    for (var i = 0; i < 100; i++) {
+      pid.compute(100, 0, 1);
+    }
+
+    test.equal(pid.output, 10);
+    test.ok(pid.integral <= 10);
+
+    // Recovers as soon as the error reverses
+    test.ok(pid.compute(0, 100, 1) < 10);
+
+    test.done();
+  },
+
+  reset: function(test) {
+    test.expect(3);
+
+    var pid = new PID({ ki: 1 });
+
+    pid.compute(10, 0, 1);
+    pid.reset();
+
+    test.equal(pid.integral, 0);
+    test.equal(pid.input, null);
+    test.equal(pid.output, 0);
+
+    test.done();
+  },
+
+  json: function(test) {
+    test.expect(2);
+
+    var pid = new PID({ kp: 2, ki: 0.5, kd: 0.1, setpoint: 60 });
+    var restored = new PID();
+
+    test.deepEqual(pid.toJSON(), { kp: 2, ki: 0.5, kd: 0.1, setpoint: 60 });
+
+    restored.fromJSON(JSON.parse(JSON.stringify(pid)));
+
+    test.deepEqual(restored.toJSON(), pid.toJSON());
+
+    test.done();
+  },
+};
+
+exports["PID - Control Loop"] = {
+  setUp: function(done) {
+    this.sandbox = sinon.sandbox.create();
+    this.clock = this.sandbox.useFakeTimers();
+    this.output = this.sandbox.spy();
+    done();
+  },
+
+  tearDown: function(done) {
+    if (this.pid) {
+      this.pid.stop();
+    }
+    this.sandbox.restore();
+    done();
+  },
+
+  emitter: function(test) {
+    test.expect(1);
+    test.ok(new PID() instanceof Emitter);
+    test.done();
+  },
+
+  invalid: function(test) {
+    test.expect(4);
+
+    test.throws(function() {
+      new PID({ input: 1, output: function() {} });
+    }, /`input`/);
+
+    test.throws(function() {
+      new PID({ input: function() {}, output: {} });
+    }, /`output`/);
+
+    test.throws(function() {
+      new PID({ input: function() {} });
+    }, /both/);
+
+    test.throws(function() {
+      new PID().start();
+    });
+
+    test.done();
+  },
+
+  loop: function(test) {
+    test.expect(4);
+
+    var data = this.sandbox.spy();
+
+    this.pid = new PID({
+      input: function() {
+        return 4;
+      },
+      output: this.output,
+      setpoint: 10,
+      kp: 2,
+      max: 10,
+      freq: 50
+    });
+
+    this.pid.on("data", data);
+
+    this.clock.tick(49);
+    test.equal(this.output.callCount, 0);
+
+    this.clock.tick(1);
+
+    // Clamped to max
+    test.equal(this.output.lastCall.args[0], 10);
+    test.deepEqual(data.lastCall.args[0], {
+      setpoint: 10,
+      input: 4,
+      output: 10,
+      error: 6
+    });
+
+    this.pid.stop();
+    this.clock.tick(500);
+    test.equal(this.output.callCount, 1);
+
+    test.done();
+  },
+
+  componentInputOutput: function(test) {
+    test.expect(2);
+
+    var thermometer = { celsius: 20 };
+    var motor = { speed: this.sandbox.spy() };
+
+    this.pid = new PID({
+      input: { component: thermometer, property: "celsius" },
+      output: { component: motor, method: "speed" },
+      setpoint: 25
+    });
+
+    this.clock.tick(100);
+    test.equal(motor.speed.lastCall.args[0], 5);
+
+    this.pid.stop();
+
+    // Components with a value
+    this.pid = new PID({
+      input: { value: 30 },
+      output: this.output,
+      setpoint: 25
+    });
+
+    this.clock.tick(100);
+    test.equal(this.output.lastCall.args[0], -5);
+
+    test.done();
+  },
+
+  skipsMissingInput: function(test) {
+    test.expect(1);
+
+    this.pid = new PID({
+      input: { value: null },
+      output: this.output
+    });
+
+    this.clock.tick(500);
+    test.equal(this.output.callCount, 0);
+    test.done();
+  },
+
+  ramp: function(test) {
+    test.expect(4);
+
+    this.pid = new PID({
+      input: { value: 0 },
+      output: this.output,
+      ramp: 10,
+      kp: 0
+    });
+
+    this.pid.setpoint = 5;
+
+    test.equal(this.pid.target, 5);
+    test.equal(this.pid.setpoint, 0);
+
+    this.clock.tick(100);
+    test.equal(this.pid.setpoint, 1);
+
+    this.clock.tick(1000);
+    test.equal(this.pid.setpoint, 5);
+
+    test.done();
+  },
+
+  autotune: function(test) {
+    test.expect(6);
+
+    var plant = 0;
+    var tuned = this.sandbox.spy();
+
+    // An integrating process: the relay's output
+    // drives the input up (or down) by 0.5 per sample
+    this.pid = new PID({
+      input: function() {
+        return plant;
+      },
+      output: function(value) {
+        plant += (value - 50) / 100;
+      },
+      min: 0,
+      max: 100,
+      enabled: false
+    });
+
+    this.pid.on("tuned", tuned);
+    test.equal(this.pid.autotune({ cycles: 3 }), this.pid);
+    test.equal(this.pid.isTuning, true);
+
+    this.clock.tick(3000);
+
+    var ku = 4 * 50 / (Math.PI * 0.5);
+
+    test.equal(this.pid.isTuning, false);
+    test.equal(tuned.callCount, 1);
+    test.ok(Math.abs(tuned.lastCall.args[0].tu - 0.4) < 1e-9);
+    test.ok(Math.abs(this.pid.kp - 0.6 * ku) < 1e-9);
+
+    test.done();
+  },
+
+  autotunePromise: function(test) {
+    test.expect(2);
+
+    var plant = 0;
+
+    this.pid = new PID({
+      input: function() {
+        return plant;
+      },
+      output: function(value) {
+        plant += value > 0 ? 1 : -1;
+      },
+      min: -1,
+      max: 1,
+      promises: true
+    });
+
+    test.throws(function() {
+      this.pid.autotune({ rule: "magic" });
+    }.bind(this), /Unknown PID tuning rule/);
+
+    this.pid.autotune({ rule: "pi" }).then(function(pid) {
+      test.equal(pid.kd, 0);
+      test.done();
+    });
+
+    this.clock.tick(5000);
+  },
+
+  autotuneAgain: function(test) {
+    test.expect(2);
+
+    var plant = 0;
+    var first;
+
+    this.pid = new PID({
+      input: function() {
+        return plant;
+      },
+      output: function(value) {
+        plant += value > 0 ? 1 : -1;
+      },
+      min: -1,
+      max: 1,
+      promises: true
+    });
+
+    first = this.pid.autotune();
+
+    this.clock.tick(100);
+
+    // The first auto-tune is abandoned
+    first.catch(function(error) {
+      test.ok(/interrupted/.test(error.message));
+    });
+
+    this.pid.autotune({ rule: "pi" }).then(function(pid) {
+      test.equal(pid.kd, 0);
+      test.done();
+    });
+
+    this.clock.tick(5000);
+  },
+
+  boardExit: function(test) {
+    test.expect(4);
+
+    var io = new MockFirmata();
+    var board = new Board({
+      io: io,
+      debug: false,
+      repl: false
+    });
+
+    io.emit("connect");
+    io.emit("ready");
+
+    this.pid = new PID({
+      input: { component: { board: board, value: 0 } },
+      output: this.output,
+      setpoint: 10
+    });
+
+    test.equal(this.pid.board, board);
+
+    this.clock.tick(100);
+    test.equal(this.output.callCount, 1);
+
+    // The loop runs on the board's scheduler
+    board.emit("exit");
+    this.clock.tick(500);
+
+    test.equal(this.output.callCount, 1);
+
+    // ...and can be started again
+    this.pid.start();
+    this.clock.tick(100);
+
+    test.equal(this.output.callCount, 2);
+
+    Board.purge();
+    test.done();
+  },
+};
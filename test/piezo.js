@@ -437,3 +437,56 @@ exports["Piezo"] = {
     this.clock.tick(100);
   },
 };
+
+exports["Piezo - Promises"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.clock = sinon.useFakeTimers();
+    this.piezo = new Piezo({
+      pin: 3,
+      board: this.board,
+      promises: true
+    });
+    this.frequency = sinon.stub(this.piezo, "frequency");
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  playResolves: function(test) {
+    test.expect(2);
+
+    var callback = sinon.spy();
+
+    this.piezo.play({
+      song: "c4 d4",
+      tempo: 60000
+    }, callback).then(function(piezo) {
+      test.equal(piezo, this.piezo);
+      test.equal(callback.callCount, 1);
+      test.done();
+    }.bind(this));
+
+    this.clock.tick(10);
+  },
+
+  stopRejects: function(test) {
+    test.expect(2);
+
+    this.piezo.play({
+      song: "c4 d4 e4",
+      tempo: 60
+    }).then(null, function(error) {
+      test.equal(error.message, "Piezo operation interrupted by stop()");
+      test.equal(this.frequency.callCount, 1);
+      test.done();
+    }.bind(this));
+
+    this.piezo.stop();
+  },
+};
@@ -91,6 +91,46 @@ exports["Proximity"] = {
     test.expect(1);
     test.ok(this.proximity instanceof Emitter);
     test.done();
+  },
+
+  filters: function(test) {
+    var proximity = new Proximity({
+      controller: "GP2Y0A21YK",
+      pin: "A2",
+      filters: [{ type: "movingAverage", size: 2 }],
+      board: this.board
+    });
+    var callback = this.analogRead.lastCall.args[1];
+
+    test.expect(1);
+
+    callback(100);
+    callback(200);
+
+    test.equal(proximity.cm, proximity.toCm(150));
+    test.done();
+  },
+
+  calibration: function(test) {
+    var proximity = new Proximity({
+      controller: "GP2Y0A21YK",
+      pin: "A2",
+      calibration: [[100, 50], [300, 10]],
+      board: this.board
+    });
+    var callback = this.analogRead.lastCall.args[1];
+
+    test.expect(3);
+
+    callback(200);
+    test.equal(proximity.cm, 30);
+
+    callback(400);
+    proximity.calibrate(5);
+
+    test.deepEqual(proximity.calibration.points, [[100, 50], [300, 10], [400, 5]]);
+    test.equal(proximity.cm, 5);
+    test.done();
   }
 };
 
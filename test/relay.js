@@ -57,6 +57,10 @@ exports["Relay"] = {
       name: "open"
     }, {
       name: "toggle"
+    }, {
+      name: "toJSON"
+    }, {
+      name: "fromJSON"
     }];
 
     this.instance = [{
@@ -156,4 +160,38 @@ exports["Relay"] = {
 
     test.done();
   },
+
+  toJSON: function(test) {
+    test.expect(4);
+
+    this.relay.on();
+
+    test.deepEqual(this.relay.toJSON(), {
+      id: this.relay.id,
+      pin: 10,
+      type: "NO",
+      isOn: true
+    });
+
+    this.relay.off();
+    test.equal(this.relay.toJSON().isOn, false);
+
+    test.equal(JSON.parse(JSON.stringify(this.relay)).isOn, false);
+    test.equal(JSON.parse(JSON.stringify(this.relay)).type, "NO");
+
+    test.done();
+  },
+
+  fromJSON: function(test) {
+    test.expect(4);
+
+    test.equal(this.relay.fromJSON({ isOn: true }), this.relay);
+    test.ok(this.digitalWrite.lastCall.calledWith(10, 1));
+    test.equal(this.relay.isOn, true);
+
+    this.relay.fromJSON({ isOn: false });
+    test.equal(this.relay.isOn, false);
+
+    test.done();
+  },
 };
@@ -92,6 +92,7 @@ exports["Sensor - Analog"] = {
     // Methods expected to be found on the prototype for sensor instances
     this.methods = [
       "booleanAt",
+      "calibrate",
       "constructor",
       "enable",
       "disable",
@@ -116,6 +117,8 @@ exports["Sensor - Analog"] = {
       boolean: { type: "boolean" }, // defined property always true or false
       scaled: { type: "object" }, // defined property
       value: { type: "object" }, // defined property
+      calibration: { type: "object" }, // defined property
+      calibrated: { type: "object" }, // defined property (null before the first reading)
       state: { type: "object" }, // defined (for test mode) property
 
       board: { type: "object" },
@@ -1069,6 +1072,97 @@ exports["Sensor - Analog"] = {
     test.done();
   },// ./scale: function(test)
 
+  calibrate: function(test) {
+    var callback = this.analogRead.args[0][1];
+    var spy = sinon.spy();
+
+    test.expect(5);
+
+    test.throws(function() {
+      this.sensor.calibrate(0);
+    }.bind(this), /before its first reading/);
+
+    this.sensor.on("calibrated", spy);
+
+    callback(100);
+    this.clock.tick(25);
+
+    // Not calibrated yet
+    test.equal(spy.callCount, 0);
+
+    this.sensor.calibrate(10);
+
+    callback(300);
+    this.clock.tick(25);
+    this.sensor.calibrate(50);
+
+    callback(200);
+    this.clock.tick(25);
+
+    test.deepEqual(this.sensor.calibration.points, [[100, 10], [300, 50]]);
+    test.equal(this.sensor.calibrated, 30);
+    test.equal(spy.lastCall.args[0], 30);
+
+    test.done();
+  },
+
+  calibrationOption: function(test) {
+    var sensor = new Sensor({
+      pin: "A2",
+      calibration: {
+        type: "polynomial",
+        points: [[0, 0], [10, 100], [20, 400]]
+      },
+      board: this.board
+    });
+    var callback = this.analogRead.lastCall.args[1];
+
+    test.expect(1);
+
+    callback(15);
+    this.clock.tick(25);
+
+    test.equal(Math.round(sensor.calibrated), 225);
+    test.done();
+  },
+
+  filters: function(test) {
+    var sensor = new Sensor({
+      pin: "A2",
+      filters: [
+        { type: "spike", threshold: 100 },
+        { type: "movingAverage", size: 2 }
+      ],
+      board: this.board
+    });
+    var callback = this.analogRead.lastCall.args[1];
+    var spy = sinon.spy();
+
+    test.expect(4);
+
+    sensor.on("data", spy);
+
+    callback(100);
+    this.clock.tick(25);
+    callback(200);
+    this.clock.tick(25);
+
+    // Spike is rejected, the average holds
+    callback(1000);
+    this.clock.tick(25);
+
+    test.deepEqual(spy.args.map(function(args) {
+      return args[0];
+    }), [100, 150, 200]);
+    test.equal(sensor.value, 200);
+    test.equal(sensor.raw, 1000);
+
+    sensor.scale(0, 10);
+    test.equal(sensor.value, Board.fmap(200, 0, 1023, 0, 10));
+
+    test.done();
+  },
+
 
   scaleTo: function(test) {
     var callback = this.analogRead.args[0][1];
@@ -3,6 +3,9 @@ var MockFirmata = mocks.Firmata;
 var five = require("../lib/johnny-five.js");
 var events = require("events");
 var sinon = require("sinon");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
 var Board = five.Board;
 var Servo = five.Servo;
 var Expander = five.Expander;
@@ -77,6 +80,10 @@ exports["Servo"] = {
       name: "ccw"
     }, {
       name: "write"
+    }, {
+      name: "toJSON"
+    }, {
+      name: "fromJSON"
     }];
 
     this.instance = [{
@@ -384,6 +391,155 @@ exports["Servo"] = {
 };
 
 
+exports["Servo - toJSON/fromJSON"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.servoWrite = sinon.spy(MockFirmata.prototype, "servoWrite");
+    this.servo = new Servo({
+      id: "pan",
+      pin: 11,
+      board: this.board
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  toJSON: function(test) {
+    test.expect(2);
+
+    test.deepEqual(this.servo.toJSON(), {
+      id: "pan",
+      pin: 11,
+      position: null
+    });
+
+    this.servo.to(45);
+    test.equal(this.servo.toJSON().position, 45);
+
+    test.done();
+  },
+
+  fromJSON: function(test) {
+    test.expect(3);
+
+    test.equal(this.servo.fromJSON({ position: 120 }), this.servo);
+    test.ok(this.servoWrite.lastCall.calledWith(11, 120));
+
+    this.servoWrite.reset();
+    this.servo.fromJSON({ position: null });
+    test.equal(this.servoWrite.callCount, 0);
+
+    test.done();
+  },
+
+  arrayDoesNotForward: function(test) {
+    test.expect(2);
+
+    var servos = new Servo.Array([this.servo]);
+
+    test.equal(servos.toJSON, undefined);
+    test.equal(servos.fromJSON, undefined);
+
+    test.done();
+  }
+};
+
+exports["Servo - Promises"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.servoWrite = sinon.spy(MockFirmata.prototype, "servoWrite");
+    this.servo = new Servo({
+      pin: 11,
+      board: this.board,
+      promises: true
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  defaultsToChaining: function(test) {
+    test.expect(2);
+
+    var servo = new Servo({
+      pin: 10,
+      board: this.board
+    });
+
+    test.equal(servo.promises, false);
+    test.equal(servo.to(10), servo);
+
+    test.done();
+  },
+
+  toWithoutTime: function(test) {
+    test.expect(2);
+
+    this.servo.to(45).then(function(servo) {
+      test.equal(servo, this.servo);
+      test.ok(this.servoWrite.lastCall.calledWith(11, 45));
+      test.done();
+    }.bind(this));
+  },
+
+  toResolvesOnCompletion: function(test) {
+    test.expect(2);
+
+    this.servo.to(0);
+
+    this.servo.to(60, 30).then(function(servo) {
+      test.equal(servo, this.servo);
+      test.equal(this.servo.last.target, 60);
+      test.done();
+    }.bind(this));
+  },
+
+  stepResolvesOnCompletion: function(test) {
+    test.expect(1);
+
+    this.servo.to(90);
+
+    this.servo.step(-10, 30).then(function() {
+      test.equal(this.servo.last.target, 80);
+      test.done();
+    }.bind(this));
+  },
+
+  stopRejects: function(test) {
+    test.expect(2);
+
+    this.servo.to(0);
+
+    this.servo.to(180, 1000).then(null, function(error) {
+      test.ok(error instanceof Error);
+      test.equal(error.message, "Servo operation interrupted by stop()");
+      test.done();
+    });
+
+    this.servo.stop();
+  },
+
+  sweepIsChainable: function(test) {
+    test.expect(1);
+
+    test.equal(this.servo.sweep(), this.servo);
+    this.servo.stop();
+
+    test.done();
+  },
+};
+
 exports["Servo mode and config"] = {
   setUp: function(done) {
     this.board = newBoard();
@@ -426,6 +582,345 @@ exports["Servo mode and config"] = {
   }
 };
 
+exports["Servo - Calibration"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.servoWrite = sinon.spy(MockFirmata.prototype, "servoWrite");
+    this.file = path.join(os.tmpdir(), "j5-servo-" + Date.now() + "-" + process.pid + ".json");
+    done();
+  },
+
+  tearDown: function(done) {
+    if (fs.existsSync(this.file)) {
+      fs.unlinkSync(this.file);
+    }
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  uncalibrated: function(test) {
+    test.expect(1);
+
+    this.servo = new Servo({ pin: 11, board: this.board });
+
+    test.equal(this.servo.calibration, null);
+    test.done();
+  },
+
+  angles: function(test) {
+    test.expect(5);
+
+    // Commanding 0 moves to 6, 180 moves to 171
+    this.servo = new Servo({
+      pin: 11,
+      board: this.board,
+      calibration: [[0, 6], [90, 90], [180, 171]]
+    });
+
+    this.servo.to(6);
+    test.ok(this.servoWrite.lastCall.calledWith(11, 0));
+
+    this.servo.to(171);
+    test.ok(this.servoWrite.lastCall.calledWith(11, 180));
+
+    // Interpolated between the points
+    this.servo.to(48);
+    test.ok(this.servoWrite.lastCall.calledWith(11, 45));
+
+    this.servo.to(90);
+    test.ok(this.servoWrite.lastCall.calledWith(11, 90));
+
+    // Position is reported in calibrated degrees
+    test.equal(this.servo.position, 90);
+
+    test.done();
+  },
+
+  anglesConstrained: function(test) {
+    test.expect(1);
+
+    this.servo = new Servo({
+      pin: 11,
+      board: this.board,
+      calibration: [[0, 6], [180, 171]]
+    });
+
+    this.servo.to(0);
+    test.ok(this.servoWrite.lastCall.calledWith(11, 0));
+    test.done();
+  },
+
+  microseconds: function(test) {
+    test.expect(3);
+
+    this.servo = new Servo({
+      pin: 11,
+      board: this.board,
+      calibration: {
+        units: "microseconds",
+        points: [[0, 560], [90, 1480], [180, 2420]]
+      }
+    });
+
+    this.servo.to(90);
+    test.ok(this.servoWrite.lastCall.calledWith(11, 1480));
+
+    this.servo.to(135);
+    test.ok(this.servoWrite.lastCall.calledWith(11, 1950));
+
+    this.servoWrite.reset();
+    this.servo.to(135);
+    test.equal(this.servoWrite.callCount, 0);
+
+    test.done();
+  },
+
+  withInvert: function(test) {
+    test.expect(1);
+
+    this.servo = new Servo({
+      pin: 11,
+      board: this.board,
+      invert: true,
+      calibration: [[0, 6], [90, 90], [180, 171]]
+    });
+
+    // Inverted first, then calibrated
+    this.servo.to(174);
+    test.ok(this.servoWrite.lastCall.calledWith(11, 0));
+    test.done();
+  },
+
+  calibrate: function(test) {
+    test.expect(4);
+
+    this.servo = new Servo({ pin: 11, board: this.board });
+
+    test.equal(this.servo.calibrate([[0, 10], [180, 170]]), this.servo);
+    test.deepEqual(this.servo.calibration, {
+      units: "degrees",
+      type: "linear",
+      degree: 2,
+      points: [[0, 10], [180, 170]]
+    });
+
+    this.servo.to(10);
+    test.ok(this.servoWrite.lastCall.calledWith(11, 0));
+
+    this.servo.calibrate(null);
+    this.servo.to(10);
+    test.ok(this.servoWrite.lastCall.calledWith(11, 10));
+
+    test.done();
+  },
+
+  invalidUnits: function(test) {
+    test.expect(1);
+
+    this.servo = new Servo({ pin: 11, board: this.board });
+
+    test.throws(function() {
+      this.servo.calibrate({ units: "radians", points: [] });
+    }.bind(this), /units/);
+
+    test.done();
+  },
+
+  persistence: function(test) {
+    test.expect(4);
+
+    this.servo = new Servo({
+      pin: 11,
+      board: this.board,
+      calibration: {
+        units: "microseconds",
+        points: [[0, 560], [180, 2420]]
+      }
+    });
+
+    test.equal(this.servo.saveCalibration(this.file), this.servo);
+    test.deepEqual(JSON.parse(fs.readFileSync(this.file, "utf8")), this.servo.calibration);
+
+    var servo = new Servo({
+      pin: 10,
+      board: this.board,
+      calibration: this.file
+    });
+
+    test.deepEqual(servo.calibration, this.servo.calibration);
+
+    test.throws(function() {
+      new Servo({ pin: 9, board: this.board }).saveCalibration(this.file);
+    }.bind(this), /no calibration/);
+
+    test.done();
+  },
+
+  arrayDoesNotForward: function(test) {
+    test.expect(2);
+
+    var servos = new Servo.Array([new Servo({ pin: 11, board: this.board })]);
+
+    test.equal(servos.calibrate, undefined);
+    test.equal(servos.saveCalibration, undefined);
+
+    test.done();
+  }
+};
+
+exports["Servo - Motion Profiles"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.servoWrite = sinon.spy(MockFirmata.prototype, "servoWrite");
+    this.servo = new Servo({
+      pin: 11,
+      board: this.board,
+      startAt: 0,
+      profile: {
+        velocity: 1800,
+        acceleration: 36000
+      }
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    this.servo.stop();
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  profile: function(test) {
+    test.expect(2);
+
+    test.deepEqual(this.servo.profile, {
+      velocity: 1800,
+      acceleration: 36000
+    });
+    test.equal(new Servo({ pin: 10, board: this.board }).profile, null);
+
+    test.done();
+  },
+
+  moving: function(test) {
+    test.expect(5);
+
+    var progress = [];
+
+    this.servo.on("move:progress", function(data) {
+      progress.push(data);
+    });
+
+    test.equal(this.servo.isMoving, false);
+
+    this.servo.to(90, {});
+    test.equal(this.servo.isMoving, true);
+
+    this.servo.on("move:complete", function() {
+      var last = progress[progress.length - 1];
+
+      test.equal(this.servo.isMoving, false);
+      test.deepEqual(last, { degrees: 90, progress: 1 });
+      test.ok(this.servoWrite.lastCall.calledWith(11, 90));
+      test.done();
+    }.bind(this));
+  },
+
+  stop: function(test) {
+    test.expect(1);
+
+    this.servo.to(180, { velocity: 10 });
+    this.servo.stop();
+
+    test.equal(this.servo.isMoving, false);
+    test.done();
+  },
+
+  limits: function(test) {
+    test.expect(2);
+
+    var enqueue = sinon.spy(five.Animation.prototype, "enqueue");
+
+    // 90° at 1800°/s, accelerating in 0.05s
+    this.servo.to(90, {});
+    test.ok(Math.abs(enqueue.lastCall.args[0].duration - 100) < 1e-9);
+
+    // The move's limits override the servo's
+    new Servo({
+      pin: 10,
+      board: this.board,
+      startAt: 0,
+      profile: this.servo.profile
+    }).to(90, { velocity: 900 }).stop();
+
+    test.ok(Math.abs(enqueue.lastCall.args[0].duration - 125) < 1e-9);
+
+    enqueue.restore();
+    test.done();
+  },
+
+  promise: function(test) {
+    test.expect(1);
+
+    var servo = new Servo({
+      pin: 10,
+      board: this.board,
+      startAt: 0,
+      promises: true
+    });
+
+    servo.to(30, { velocity: 1000 }).then(function() {
+      test.equal(servo.last.target, 30);
+      test.done();
+    });
+  },
+
+  array: function(test) {
+    test.expect(5);
+
+    var enqueue = sinon.spy(five.Animation.prototype, "enqueue");
+    var other = new Servo({ pin: 10, board: this.board, startAt: 90 });
+    var servos = new Servo.Array([this.servo, other]);
+    var segments;
+
+    servos.to([90, 80], { velocity: 900 });
+
+    segments = enqueue.args.map(function(args) {
+      return args[0];
+    });
+
+    // The longest move sets the duration for both
+    test.equal(segments.length, 2);
+    test.equal(segments[0].duration, 125);
+    test.equal(segments[1].duration, 125);
+    test.equal(segments[1].keyFrames[1].degrees, 80);
+    test.equal(servos.isMoving, true);
+
+    servos.stop();
+    enqueue.restore();
+    test.done();
+  },
+
+  arrayPromise: function(test) {
+    test.expect(2);
+
+    var servos = new Servo.Array([10, 11].map(function(pin) {
+      return new Servo({ pin: pin, board: this.board, startAt: 0, promises: true });
+    }, this));
+
+    servos.to([30, 60], { velocity: 1000 }).then(function(result) {
+      test.deepEqual(result, [servos[0], servos[1]]);
+      test.deepEqual([].map.call(servos, function(servo) {
+        return servo.last.target;
+      }), [30, 60]);
+      test.done();
+    });
+  },
+};
+
 exports["Servo - Continuous"] = {
   setUp: function(done) {
     this.board = newBoard();
@@ -759,6 +1254,29 @@ exports["Servo - PCA9685"] = {
 
     test.done();
 
+  },
+
+  calibrated: function(test) {
+    test.expect(2);
+
+    this.servo = new Servo({
+      pin: 1,
+      board: this.board,
+      controller: "PCA9685",
+      calibration: {
+        units: "microseconds",
+        points: [[0, 600], [180, 1800]]
+      }
+    });
+
+    this.i2cWrite.reset();
+
+    // 1200us, at 4us per tick
+    this.servo.to(90);
+    test.equal(this.i2cWrite.args[0][1][3], 300);
+    test.equal(this.i2cWrite.args[0][1][4], 1);
+
+    test.done();
   }
 
 };
@@ -105,6 +105,7 @@ exports["Stepper Firmware Requirement"] = {
     try {
       new Stepper({
         board: this.board,
+        controller: "FIRMATA",
         type: five.Stepper.TYPE.DRIVER,
         stepsPerRev: 200,
         pins: [2, 3]
@@ -115,6 +116,36 @@ exports["Stepper Firmware Requirement"] = {
 
     test.done();
   },
+
+  softwareFallback: function(test) {
+    test.expect(2);
+
+    this.board = newBoard([
+      {
+        supportedModes: [],
+      }, {
+        supportedModes: [],
+      }, {
+        supportedModes: [0, 1, 4],
+      }, {
+        supportedModes: [0, 1, 3, 4],
+      }
+    ]);
+
+    this.stepperConfig = sinon.spy(MockFirmata.prototype, "stepperConfig");
+
+    test.doesNotThrow(function() {
+      new Stepper({
+        board: this.board,
+        type: five.Stepper.TYPE.DRIVER,
+        stepsPerRev: 200,
+        pins: [2, 3]
+      });
+    }.bind(this));
+
+    test.equal(this.stepperConfig.callCount, 0);
+    test.done();
+  },
 };
 
 exports["Stepper - constructor"] = {
@@ -449,6 +480,63 @@ exports["Stepper - step callback"] = {
   }
 };
 
+exports["Stepper - Promises"] = {
+  setUp: function(done) {
+    this.board = new Board({
+      io: new MockFirmata({
+        pins: [
+          {
+            supportedModes: [8]
+          }
+        ]
+      }),
+      debug: false,
+      repl: false
+    });
+
+    this.stepper = new Stepper({
+      board: this.board,
+      type: five.Stepper.TYPE.DRIVER,
+      stepsPerRev: 200,
+      pins: [2, 3],
+      promises: true
+    });
+
+    this.step = sinon.spy(MockFirmata.prototype, "stepperStep");
+
+    done();
+  },
+
+  tearDown: function(done) {
+    this.step.restore();
+    done();
+  },
+
+  stepResolves: function(test) {
+    test.expect(2);
+
+    var promise = this.stepper.cw().step(10);
+
+    test.ok(promise instanceof Promise);
+
+    promise.then(function(stepper) {
+      test.equal(stepper, this.stepper);
+      test.done();
+    }.bind(this));
+
+    this.step.getCall(0).args[6](true);
+  },
+
+  stepRejects: function(test) {
+    test.expect(1);
+
+    this.stepper.step(0).then(null, function(error) {
+      test.equal(error.message, "Must set a number of steps when calling `step()`");
+      test.done();
+    });
+  }
+};
+
 exports["Stepper - set direction required before step"] = {
   setUp: function(done) {
 
@@ -593,3 +681,939 @@ exports["Stepper - rpm / speed"] = {
     test.done();
   }
 };
+
+exports["Stepper - toJSON / fromJSON"] = {
+  setUp: function(done) {
+
+    this.board = new Board({
+      io: new MockFirmata({
+        pins: [
+          {
+            supportedModes: [8],
+          },
+        ]
+      }),
+      debug: false,
+      repl: false
+    });
+
+    this.stepper = new Stepper({
+      board: this.board,
+      type: five.Stepper.TYPE.DRIVER,
+      stepsPerRev: 200,
+      pins: [2, 3]
+    });
+    done();
+  },
+
+  tearDown: function(done) {
+    done();
+  },
+
+  toJSON: function(test) {
+    test.expect(1);
+
+    this.stepper.rpm(60).cw().accel(1600).decel(1600);
+
+    test.deepEqual(this.stepper.toJSON(), {
+      id: this.stepper.id,
+      type: five.Stepper.TYPE.DRIVER,
+      rpm: 60,
+      direction: 1,
+      accel: 1600,
+      decel: 1600
+    });
+
+    test.done();
+  },
+
+  fromJSON: function(test) {
+    test.expect(6);
+
+    test.equal(this.stepper.fromJSON({
+      rpm: 90,
+      direction: 0,
+      accel: 100,
+      decel: 200
+    }), this.stepper);
+
+    test.equal(this.stepper.rpm(), 90);
+    test.equal(this.stepper.speed(), 942);
+    test.equal(this.stepper.direction(), 0);
+    test.equal(this.stepper.accel(), 100);
+    test.equal(this.stepper.decel(), 200);
+
+    test.done();
+  }
+};
+
+exports["Stepper - SOFTWARE"] = {
+  setUp: function(done) {
+    this.clock = sinon.useFakeTimers();
+    this.board = newBoard();
+    this.digitalWrite = sinon.spy(MockFirmata.prototype, "digitalWrite");
+    this.analogWrite = sinon.spy(MockFirmata.prototype, "analogWrite");
+    this.pinMode = sinon.spy(MockFirmata.prototype, "pinMode");
+
+    // 60 rpm with 200 steps per revolution: ~5ms per step
+    this.stepper = new Stepper({
+      board: this.board,
+      controller: "SOFTWARE",
+      type: five.Stepper.TYPE.DRIVER,
+      stepsPerRev: 200,
+      pins: [2, 3],
+      rpm: 60
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  initialize: function(test) {
+    test.expect(3);
+
+    test.ok(this.pinMode.calledWith(2, this.board.io.MODES.OUTPUT));
+    test.ok(this.pinMode.calledWith(3, this.board.io.MODES.OUTPUT));
+    test.equal(this.stepper.position, 0);
+
+    test.done();
+  },
+
+  zeroSpeed: function(test) {
+    test.expect(4);
+
+    var spy = sinon.spy();
+
+    this.stepper.rpm(0).cw().step(3, spy);
+
+    test.equal(spy.lastCall.args[0].message, "Must set a speed (or rpm) greater than 0 before calling `step()`");
+    test.equal(this.stepper.isRunning, false);
+
+    this.stepper.to(10, { speed: 0 }, spy);
+
+    test.equal(spy.callCount, 2);
+
+    test.throws(function() {
+      this.stepper.home({ switch: { isDown: false }, speed: 0 });
+    }.bind(this), /greater than 0/);
+
+    test.done();
+  },
+
+  driver: function(test) {
+    test.expect(6);
+
+    var spy = sinon.spy();
+
+    this.stepper.cw().step(3, spy);
+
+    // The direction, then the first pulse
+    test.deepEqual(this.digitalWrite.args.slice(0, 3), [[3, 1], [2, 1], [2, 0]]);
+    test.equal(this.stepper.position, 1);
+    test.equal(this.stepper.isRunning, true);
+
+    this.clock.tick(11);
+    test.equal(this.stepper.position, 3);
+
+    this.clock.tick(5);
+    test.deepEqual(spy.lastCall.args, [null, true]);
+    test.equal(this.stepper.isRunning, false);
+
+    test.done();
+  },
+
+  ccw: function(test) {
+    test.expect(2);
+
+    this.stepper.ccw().step(2);
+    this.clock.tick(20);
+
+    test.ok(this.digitalWrite.calledWith(3, 0));
+    test.equal(this.stepper.position, -2);
+
+    test.done();
+  },
+
+  accel: function(test) {
+    test.expect(2);
+
+    var steps = [];
+    var previous = 0;
+
+    this.stepper.cw().step({
+      steps: 40,
+      accel: 1000,
+      decel: 1000
+    });
+
+    for (var i = 0; i < 1000; i++) {
+      this.clock.tick(1);
+      if (this.stepper.position !== previous) {
+        steps.push(Date.now());
+        previous = this.stepper.position;
+      }
+    }
+
+    // Slower at the ends than in the middle
+    test.ok(steps[1] - steps[0] > steps[21] - steps[20]);
+    test.ok(steps[39] - steps[38] > steps[21] - steps[20]);
+
+    test.done();
+  },
+
+  to: function(test) {
+    test.expect(3);
+
+    var spy = sinon.spy();
+
+    this.stepper.to(5);
+    this.clock.tick(50);
+    test.equal(this.stepper.position, 5);
+
+    this.stepper.to(-2);
+    this.clock.tick(50);
+    test.equal(this.stepper.position, -2);
+
+    this.stepper.to(-2, spy);
+    process.nextTick(function() {
+      test.deepEqual(spy.lastCall.args, [null, true]);
+      test.done();
+    });
+  },
+
+  stop: function(test) {
+    test.expect(3);
+
+    var spy = sinon.spy();
+
+    this.stepper.cw().step(100, spy);
+    this.clock.tick(20);
+    this.stepper.stop();
+    this.clock.tick(1000);
+
+    test.ok(this.stepper.position < 10);
+    test.equal(this.stepper.isRunning, false);
+    test.deepEqual(spy.lastCall.args, [null, false]);
+
+    test.done();
+  },
+
+  home: function(test) {
+    test.expect(4);
+
+    var limit = { isClosed: false };
+    var spy = sinon.spy();
+
+    this.stepper.to(10);
+    this.clock.tick(100);
+
+    this.stepper.home({ switch: limit, rpm: 60 }, spy);
+
+    this.clock.tick(20);
+    test.ok(this.stepper.position < 10);
+
+    limit.isClosed = true;
+    this.clock.tick(10);
+
+    test.equal(this.stepper.position, 0);
+    test.deepEqual(spy.lastCall.args, [null, true]);
+
+    test.throws(function() {
+      this.stepper.home({});
+    }.bind(this), /limit `switch`/);
+
+    test.done();
+  },
+
+  homeLimit: function(test) {
+    test.expect(1);
+
+    this.stepper.home({ switch: { isDown: false }, limit: 3 }, function(error) {
+      test.ok(/within 3 steps/.test(error.message));
+      test.done();
+    });
+
+    this.clock.tick(100);
+  },
+};
+
+exports["Stepper - SOFTWARE coils"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.clock = sinon.useFakeTimers();
+    this.digitalWrite = sinon.spy(MockFirmata.prototype, "digitalWrite");
+    this.analogWrite = sinon.spy(MockFirmata.prototype, "analogWrite");
+    this.pinMode = sinon.spy(MockFirmata.prototype, "pinMode");
+
+    this.coils = function(spy, count) {
+      var values = spy.args.map(function(args) {
+        return args[1];
+      });
+      var phases = [];
+
+      while (values.length) {
+        phases.push(values.splice(0, count).join(""));
+      }
+
+      return phases;
+    };
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  twoWire: function(test) {
+    test.expect(2);
+
+    var stepper = new Stepper({
+      board: this.board,
+      controller: "SOFTWARE",
+      type: five.Stepper.TYPE.TWO_WIRE,
+      stepsPerRev: 200,
+      pins: [2, 3]
+    });
+
+    this.digitalWrite.reset();
+    stepper.cw().step(4);
+    this.clock.tick(100);
+
+    test.deepEqual(this.coils(this.digitalWrite, 2), ["11", "10", "00", "01"]);
+
+    test.throws(function() {
+      new Stepper({
+        board: this.board,
+        controller: "SOFTWARE",
+        type: five.Stepper.TYPE.TWO_WIRE,
+        stepsPerRev: 200,
+        microsteps: 2,
+        pins: [4, 5]
+      });
+    }.bind(this), /does not support/);
+
+    test.done();
+  },
+
+  fourWire: function(test) {
+    test.expect(1);
+
+    var stepper = new Stepper({
+      board: this.board,
+      controller: "SOFTWARE",
+      stepsPerRev: 200,
+      pins: [2, 3, 4, 5]
+    });
+
+    this.digitalWrite.reset();
+    stepper.cw().step(4);
+    this.clock.tick(100);
+
+    test.deepEqual(this.coils(this.digitalWrite, 4), ["0110", "0101", "1001", "1010"]);
+    test.done();
+  },
+
+  halfStep: function(test) {
+    test.expect(1);
+
+    var stepper = new Stepper({
+      board: this.board,
+      controller: "SOFTWARE",
+      stepsPerRev: 200,
+      microsteps: 2,
+      pins: [2, 3, 4, 5]
+    });
+
+    this.digitalWrite.reset();
+    stepper.cw().step(4);
+    this.clock.tick(100);
+
+    test.deepEqual(this.coils(this.digitalWrite, 4), ["0010", "0110", "0100", "0101"]);
+    test.done();
+  },
+
+  microStep: function(test) {
+    test.expect(3);
+
+    var stepper = new Stepper({
+      board: this.board,
+      controller: "SOFTWARE",
+      stepsPerRev: 200,
+      microsteps: 4,
+      pins: [3, 5, 6, 9]
+    });
+
+    test.ok(this.pinMode.calledWith(3, this.board.io.MODES.PWM));
+
+    this.analogWrite.reset();
+    stepper.cw().step(1);
+
+    // 67.5°: cos 0.38, sin 0.92
+    test.deepEqual(this.analogWrite.args, [[3, 98], [5, 0], [6, 236], [9, 0]]);
+    test.equal(stepper.position, 1);
+
+    test.done();
+  },
+};
+
+exports["Stepper - positioning"] = {
+  setUp: function(done) {
+    this.board = newBoard();
+    this.stepperStep = sinon.stub(MockFirmata.prototype, "stepperStep", function() {
+      // Complete every move
+      arguments[6](true);
+    });
+
+    this.stepper = new Stepper({
+      board: this.board,
+      type: five.Stepper.TYPE.DRIVER,
+      stepsPerRev: 200,
+      pins: [2, 3],
+      units: "degrees",
+      limits: { min: -90, max: 360 }
+    });
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  units: function(test) {
+    test.expect(5);
+
+    test.deepEqual(this.stepper.units, { name: "degrees", steps: 200 / 360 });
+    test.deepEqual(this.stepper.limits, { min: -90, max: 360 });
+
+    var mm = new Stepper({
+      board: this.board,
+      type: five.Stepper.TYPE.DRIVER,
+      stepsPerRev: 200,
+      pins: [4, 5],
+      units: { name: "mm", steps: 80 }
+    });
+
+    test.deepEqual(mm.units, { name: "mm", steps: 80 });
+    test.deepEqual(mm.limits, { min: -Infinity, max: Infinity });
+
+    test.throws(function() {
+      new Stepper({
+        board: this.board,
+        type: five.Stepper.TYPE.DRIVER,
+        stepsPerRev: 200,
+        pins: [6, 7],
+        units: "furlongs"
+      });
+    }.bind(this), /units/);
+
+    test.done();
+  },
+
+  to: function(test) {
+    test.expect(6);
+
+    this.stepper.to(90);
+
+    // 90° is 50 steps, clockwise
+    test.equal(this.stepperStep.lastCall.args[1], 1);
+    test.equal(this.stepperStep.lastCall.args[2], 50);
+    test.equal(this.stepper.position, 90);
+
+    this.stepper.to(-36);
+
+    test.equal(this.stepperStep.lastCall.args[1], 0);
+    test.equal(this.stepperStep.lastCall.args[2], 70);
+    test.equal(this.stepper.position, -36);
+
+    test.done();
+  },
+
+  relative: function(test) {
+    test.expect(1);
+
+    this.stepper.cw().step(100);
+    test.equal(this.stepper.position, 180);
+
+    test.done();
+  },
+
+  limits: function(test) {
+    test.expect(4);
+
+    var spy = sinon.spy();
+
+    this.stepper.to(400, spy);
+
+    test.equal(this.stepperStep.callCount, 0);
+    test.ok(/outside its limits \(-90, 360\)/.test(spy.lastCall.args[0].message));
+
+    // Relative moves are limited too
+    this.stepper.ccw().step(51, spy);
+    test.equal(this.stepperStep.callCount, 0);
+
+    this.stepper.to(360, spy);
+    test.equal(this.stepper.position, 360);
+
+    test.done();
+  },
+
+  limitsRejects: function(test) {
+    test.expect(1);
+
+    var stepper = new Stepper({
+      board: this.board,
+      type: five.Stepper.TYPE.DRIVER,
+      stepsPerRev: 200,
+      pins: [4, 5],
+      limits: { max: 10 },
+      promises: true
+    });
+
+    stepper.to(11).then(null, function(error) {
+      test.ok(/outside its limits/.test(error.message));
+      test.done();
+    });
+  },
+
+  home: function(test) {
+    test.expect(4);
+
+    var limit = { isDown: false };
+    var spy = sinon.spy();
+    var moves = 0;
+
+    this.stepperStep.restore();
+    this.stepperStep = sinon.stub(MockFirmata.prototype, "stepperStep", function() {
+      if (++moves === 5) {
+        limit.isDown = true;
+      }
+      arguments[6](true);
+    });
+
+    this.stepper.to(180);
+    this.stepperStep.reset();
+    moves = 0;
+
+    this.stepper.home({
+      switch: limit,
+      direction: five.Stepper.DIRECTION.CW,
+      speed: 100,
+      position: 360
+    }, spy);
+
+    // Homing steps one at a time, checking the switch
+    test.equal(this.stepperStep.callCount, 5);
+    test.deepEqual(this.stepperStep.lastCall.args.slice(1, 4), [1, 1, 100]);
+    test.equal(this.stepper.position, 360);
+    test.deepEqual(spy.lastCall.args, [null, true]);
+
+    test.done();
+  },
+
+  homeStop: function(test) {
+    test.expect(4);
+
+    var spy = sinon.spy();
+    var pending = null;
+
+    // Firmata's steps run to completion, even when stopped
+    this.stepperStep.restore();
+    this.stepperStep = sinon.stub(MockFirmata.prototype, "stepperStep", function() {
+      pending = arguments[6];
+    });
+
+    this.stepper.home({ switch: { isDown: false }, speed: 100 }, spy);
+    this.stepper.stop();
+
+    test.equal(spy.callCount, 1);
+    test.equal(spy.lastCall.args[0].message, "Stepper homing interrupted by stop()");
+    test.equal(this.stepper.isRunning, false);
+
+    // The step completes later, and is ignored
+    pending(true);
+    test.equal(spy.callCount, 1);
+
+    test.done();
+  },
+};
+
+// Run until the queue is complete; the elapsed ms
+function elapsed(axes, clock, moves) {
+  var start = Date.now();
+  var end = null;
+
+  axes.once("queue:complete", function() {
+    end = Date.now();
+  });
+
+  moves();
+
+  for (var i = 0; i < 1000 && end === null; i++) {
+    clock.tick(10);
+  }
+
+  return end - start;
+}
+
+exports["Stepper.Array"] = {
+  setUp: function(done) {
+    this.clock = sinon.useFakeTimers();
+    this.board = newBoard();
+    this.digitalWrite = sinon.spy(MockFirmata.prototype, "digitalWrite");
+
+    // 10 steps per mm
+    this.axes = new Stepper.Array([2, 4].map(function(pin) {
+      return new Stepper({
+        board: this.board,
+        controller: "SOFTWARE",
+        type: five.Stepper.TYPE.DRIVER,
+        stepsPerRev: 200,
+        pins: [pin, pin + 1],
+        units: { name: "mm", steps: 10 },
+        limits: { min: 0, max: 100 }
+      });
+    }, this));
+
+    done();
+  },
+
+  tearDown: function(done) {
+    Board.purge();
+    restore(this);
+    done();
+  },
+
+  shape: function(test) {
+    test.expect(5);
+
+    test.equal(five.Steppers, Stepper.Array);
+    test.ok(this.axes instanceof Stepper.Array);
+    test.equal(this.axes.length, 2);
+    test.deepEqual(this.axes.position, [0, 0]);
+    test.equal(this.axes.isRunning, false);
+
+    test.done();
+  },
+
+  interpolate: function(test) {
+    test.expect(9);
+
+    var callback = sinon.spy();
+    var moved = sinon.spy();
+    var emptied = sinon.spy();
+    var position;
+
+    this.axes.on("move:complete", moved);
+    this.axes.on("queue:complete", emptied);
+
+    this.axes.to([10, 5], { velocity: 10 }, callback);
+
+    test.equal(this.axes.isRunning, true);
+
+    // Both direction pins, toward the target
+    test.ok(this.digitalWrite.calledWith(3, 1));
+    test.ok(this.digitalWrite.calledWith(5, 1));
+
+    // Half way, the y axis has stepped half as often as x
+    this.clock.tick(560);
+    position = this.axes.position;
+
+    test.ok(position[0] > 4 && position[0] < 6);
+    test.ok(Math.abs(position[0] - 2 * position[1]) < 0.15);
+
+    this.clock.tick(1000);
+
+    test.deepEqual(this.axes.position, [10, 5]);
+    test.deepEqual(callback.lastCall.args, [null, true]);
+    test.deepEqual(moved.args, [[[10, 5]]]);
+    test.equal(emptied.callCount, 1);
+
+    test.done();
+  },
+
+  hold: function(test) {
+    test.expect(2);
+
+    this.axes.to([5, 5], { velocity: 50 });
+    this.clock.tick(500);
+
+    this.digitalWrite.reset();
+
+    // null keeps an axis where it is
+    this.axes.to([null, 0], { velocity: 50 });
+    this.clock.tick(500);
+
+    test.deepEqual(this.axes.position, [5, 0]);
+    test.equal(this.digitalWrite.calledWith(2, 1), false);
+
+    test.done();
+  },
+
+  lookAhead: function(test) {
+    test.expect(3);
+
+    var axes = this.axes;
+    var profile = { velocity: 10, acceleration: 100 };
+
+    var single = elapsed(axes, this.clock, function() {
+      axes.to([10, 0], profile);
+    });
+
+    // The speed carries through segments in line...
+    var inline = elapsed(axes, this.clock, function() {
+      axes.to([15, 0], profile);
+      axes.to([20, 0], profile);
+    });
+
+    // ...but stops at a right angle
+    var corner = elapsed(axes, this.clock, function() {
+      axes.to([25, 0], profile);
+      axes.to([25, 5], profile);
+    });
+
+    test.ok(Math.abs(inline - single) <= 20);
+    test.ok(corner > single + 30);
+    test.deepEqual(axes.position, [25, 5]);
+
+    test.done();
+  },
+
+  limits: function(test) {
+    test.expect(3);
+
+    var callback = sinon.spy();
+
+    this.axes.to([10, 101], callback);
+
+    test.ok(/outside its limits/.test(callback.lastCall.args[0].message));
+    test.equal(this.axes.isRunning, false);
+    test.equal(this.axes.queued, 0);
+
+    test.done();
+  },
+
+  zeroVelocity: function(test) {
+    test.expect(4);
+
+    var callback = sinon.spy();
+
+    this.axes.to([10, 5], { velocity: 0 }, callback);
+
+    test.equal(callback.lastCall.args[0].message, "Steppers must move at a velocity (or speed) greater than 0");
+    test.equal(this.axes.isRunning, false);
+
+    // The dominant stepper's speed is used when there's no velocity
+    this.axes.each(function(stepper) {
+      stepper.rpm(0);
+    });
+
+    this.axes.to([10, 5], callback);
+
+    test.equal(callback.callCount, 2);
+    test.equal(this.axes.queued, 0);
+
+    test.done();
+  },
+
+  stop: function(test) {
+    test.expect(4);
+
+    var first = sinon.spy();
+    var second = sinon.spy();
+
+    this.axes.to([10, 10], { velocity: 10 }, first);
+    this.axes.to([20, 10], { velocity: 10 }, second);
+
+    test.equal(this.axes.queued, 1);
+
+    this.clock.tick(100);
+    this.axes.stop();
+
+    test.deepEqual(first.lastCall.args, [null, false]);
+    test.deepEqual(second.lastCall.args, [null, false]);
+    test.equal(this.axes.isRunning, false);
+
+    test.done();
+  },
+
+  promises: function(test) {
+    test.expect(1);
+
+    var axes = new Stepper.Array([6, 8].map(function(pin) {
+      return new Stepper({
+        board: this.board,
+        controller: "SOFTWARE",
+        type: five.Stepper.TYPE.DRIVER,
+        stepsPerRev: 200,
+        pins: [pin, pin + 1],
+        promises: true
+      });
+    }, this));
+
+    axes.to([20, 10], { velocity: 1000 }).then(function(result) {
+      test.equal(result, axes);
+      test.done();
+    });
+
+    this.clock.tick(100);
+  },
+
+  forwardedPromises: function(test) {
+    test.expect(3);
+
+    var axes = new Stepper.Array([6, 8].map(function(pin) {
+      return new Stepper({
+        board: this.board,
+        controller: "SOFTWARE",
+        type: five.Stepper.TYPE.DRIVER,
+        stepsPerRev: 200,
+        pins: [pin, pin + 1],
+        rpm: 60,
+        promises: true
+      });
+    }, this));
+
+    // Setters return the collection
+    test.equal(axes.cw(), axes);
+    test.equal(typeof axes.home, "function");
+
+    axes.step(10).then(function(result) {
+      test.deepEqual(result, [axes[0], axes[1]]);
+      test.done();
+    });
+
+    this.clock.tick(100);
+  },
+
+  home: function(test) {
+    test.expect(5);
+
+    var limits = [{ isClosed: false }, { isClosed: false }];
+    var spy = sinon.spy();
+
+    this.axes.to([5, 5], { velocity: 100 });
+    this.clock.tick(500);
+
+    // Per stepper options are arrays
+    this.axes.home({ switch: limits, position: [0, 2], rpm: 60 }, spy);
+    this.clock.tick(20);
+
+    limits[0].isClosed = true;
+    this.clock.tick(10);
+
+    test.equal(this.axes.position[0], 0);
+    test.equal(spy.callCount, 0);
+
+    limits[1].isClosed = true;
+    this.clock.tick(10);
+
+    test.deepEqual(this.axes.position, [0, 2]);
+    test.equal(spy.callCount, 1);
+    test.deepEqual(spy.lastCall.args, [null, true]);
+
+    test.done();
+  },
+
+  homeOptions: function(test) {
+    test.expect(4);
+
+    var spy = sinon.spy();
+
+    // An array of options, one for each stepper
+    this.axes.home([
+      { switch: { isDown: true } },
+      { switch: { isDown: true }, position: 100 }
+    ], spy);
+
+    test.deepEqual(this.axes.position, [0, 100]);
+    test.deepEqual(spy.lastCall.args, [null, true]);
+
+    test.throws(function() {
+      this.axes.home([{ switch: { isDown: false } }]);
+    }.bind(this), /limit `switch` for each stepper/);
+
+    // Nothing started
+    test.equal(this.axes[0].isRunning, false);
+
+    test.done();
+  },
+
+  homeStop: function(test) {
+    test.expect(3);
+
+    var spy = sinon.spy();
+
+    this.axes.home({ switch: [{ isClosed: false }, { isClosed: false }] }, spy);
+    this.clock.tick(20);
+    this.axes.stop();
+
+    test.equal(spy.callCount, 1);
+    test.equal(spy.lastCall.args[0].message, "Stepper homing interrupted by stop()");
+    test.equal(spy.lastCall.args[1], false);
+
+    test.done();
+  },
+
+  homePromise: function(test) {
+    test.expect(1);
+
+    var axes = new Stepper.Array([6, 8].map(function(pin) {
+      return new Stepper({
+        board: this.board,
+        controller: "SOFTWARE",
+        type: five.Stepper.TYPE.DRIVER,
+        stepsPerRev: 200,
+        pins: [pin, pin + 1],
+        rpm: 60,
+        promises: true
+      });
+    }, this));
+
+    axes.home({ switch: [{ isClosed: true }, { isClosed: true }] }).then(function(result) {
+      test.equal(result, axes);
+      test.done();
+    });
+  },
+
+  synchronized: function(test) {
+    test.expect(4);
+
+    var stepperStep = sinon.stub(MockFirmata.prototype, "stepperStep", function() {
+      arguments[6](true);
+    });
+    var callback = sinon.spy();
+
+    // Firmata's stepper moves are given a share of the speed
+    var axes = new Stepper.Array([6, 8].map(function(pin) {
+      return new Stepper({
+        board: this.board,
+        type: five.Stepper.TYPE.DRIVER,
+        stepsPerRev: 200,
+        pins: [pin, pin + 1]
+      });
+    }, this));
+
+    axes.to([200, 100], { velocity: 200 }, callback);
+
+    test.equal(stepperStep.callCount, 2);
+    test.deepEqual(stepperStep.args.map(function(args) {
+      return args.slice(1, 3);
+    }), [[1, 200], [1, 100]]);
+    test.equal(stepperStep.args[0][3], 2 * stepperStep.args[1][3]);
+    test.deepEqual(callback.lastCall.args, [null, true]);
+
+    stepperStep.restore();
+    test.done();
+  },
+};
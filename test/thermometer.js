@@ -234,6 +234,28 @@ exports["Thermometer -- ANALOG"] = {
     },
   },
 
+  filters: function(test) {
+    this.temperature = new Thermometer({
+      pins: ["A0"],
+      toCelsius: function(raw) {
+        return raw;
+      },
+      filters: [{ type: "movingAverage", size: 2 }],
+      freq: this.freq,
+      board: this.board
+    });
+
+    test.expect(2);
+
+    // The stubbed analogRead has already yielded 0
+    this.analogRead.yield(10);
+    test.equal(this.temperature.C, 5);
+
+    this.analogRead.yield(20);
+    test.equal(this.temperature.C, 15);
+    test.done();
+  },
+
   LM335: {
     setUp: function(done) {
       this.temperature = new Thermometer({